@@ -3,6 +3,10 @@ import terser from '@rollup/plugin-terser';
 
 const production = !process.env.ROLLUP_WATCH;
 
+// Web Workers the library starts with new Worker(new URL('./<name>.worker.js', import.meta.url)).
+// Each is bundled on its own next to the library builds, so the URL resolves inside dist.
+const workers = ['grid', 'basins'];
+
 export default [
   // ES Module build
   {
@@ -50,5 +54,18 @@ export default [
       nodeResolve(),
       production && terser()
     ].filter(Boolean)
-  }
+  },
+  // Web Worker builds (module workers, loaded relative to the builds above)
+  ...workers.map(name => ({
+    input: `src/visualization/${name}.worker.js`,
+    output: {
+      file: `dist/${name}.worker.js`,
+      format: 'es',
+      sourcemap: true
+    },
+    plugins: [
+      nodeResolve(),
+      production && terser()
+    ].filter(Boolean)
+  }))
 ]; 
\ No newline at end of file
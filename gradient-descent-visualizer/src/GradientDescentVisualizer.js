@@ -5,8 +5,109 @@
 
 import { Visualizer2D } from './visualization/Visualizer2D.js';
 import { Visualizer3D } from './visualization/Visualizer3D.js';
-import { GradientDescentOptimizer, createOptimizer } from './math/gradientDescent.js';
-import { getBuiltInFunctions, CustomFunction } from './math/functions.js';
+import { BasinMapper } from './visualization/basinMap.js';
+import { SweepChart } from './visualization/SweepChart.js';
+import { HistoryChart } from './visualization/HistoryChart.js';
+import { GradientDescentOptimizer, createOptimizer, optimizerPresets } from './math/gradientDescent.js';
+import { getLineSearches } from './math/lineSearch.js';
+import { getBuiltInFunctions, CustomFunction, findBasin, getAxisBounds } from './math/functions.js';
+import { createRandom } from './math/random.js';
+import { logSpace, createSweep, computeSweepCells } from './math/sweep.js';
+
+/**
+ * Trail colors assigned to racing runs in order
+ */
+const RUN_COLORS = [
+  '#ff6600', '#1f77b4', '#2ca02c', '#d62728',
+  '#9467bd', '#8c564b', '#e377c2', '#17becf'
+];
+
+/**
+ * Stats panel names of the critical point a basin drains into
+ */
+const BASIN_LABELS = {
+  'global-minimum': 'Global min',
+  'local-minimum': 'Local min',
+  'saddle': 'Saddle',
+  'maximum': 'Max'
+};
+
+/**
+ * Stats panel names of the optimizer statuses
+ */
+const STATUS_LABELS = {
+  'running': 'Running',
+  'converged': 'Converged',
+  'diverged': 'Diverged',
+  'maxIterations': 'Max iterations',
+  'stalled': 'Stalled'
+};
+
+/**
+ * Stats panel names of the reasons a run stopped
+ */
+const STATUS_REASON_LABELS = {
+  'non-finite': 'NaN/Infinity',
+  'exploding-loss': 'exploding loss',
+  'escaped': 'left the plot',
+  'oscillation': 'oscillating',
+  'epochs': 'epoch limit',
+  'gradientNorm': 'gradient norm',
+  'absoluteChange': 'loss change',
+  'relativeChange': 'relative loss change',
+  'stepSize': 'step size',
+  'distanceToMinimum': 'at minimum',
+  'plateau': 'plateau',
+  'timeBudget': 'time budget'
+};
+
+/**
+ * Steps previewed from the start marker while it is dragged
+ */
+const PREVIEW_STEPS = 50;
+
+/**
+ * Factor either side of the current learning rate covered by a default sweep
+ */
+const SWEEP_RANGE = 100;
+
+/**
+ * Learning rates in a default sweep
+ */
+const SWEEP_RATES = 25;
+
+/**
+ * Momentum rows of a two-dimensional sweep started from the controls
+ */
+const SWEEP_MOMENTA = [0, 0.5, 0.8, 0.9, 0.95, 0.99];
+
+/**
+ * Sweep runs computed per task, so the page stays responsive during a sweep
+ */
+const SWEEP_CELLS_PER_CHUNK = 5;
+
+/**
+ * Learning rate schedules offered in the controls, scaled to the run length
+ * Each create(totalSteps) returns a spec for createSchedule(), or null for a constant rate;
+ * lengths are at least one step so short runs still get a valid schedule.
+ */
+const SCHEDULE_PRESETS = {
+  none: { label: 'Constant', create: () => null },
+  step: { label: 'Step Decay', create: (n) => ({ type: 'step', stepSize: Math.max(1, Math.round(n / 10)), gamma: 0.5 }) },
+  exponential: { label: 'Exponential', create: () => ({ type: 'exponential', gamma: 0.99 }) },
+  inverseTime: { label: 'Inverse Time', create: () => ({ type: 'inverseTime', decayRate: 0.05 }) },
+  cosine: { label: 'Cosine Annealing', create: (n) => ({ type: 'cosine', totalSteps: n }) },
+  cosineRestarts: {
+    label: 'Cosine Warm Restarts',
+    create: (n) => ({ type: 'cosineRestarts', period: Math.max(1, Math.round(n / 20)), periodMultiplier: 2 })
+  },
+  warmupCosine: {
+    label: 'Warmup + Cosine',
+    create: (n) => [{ type: 'warmup', warmupSteps: Math.max(1, Math.round(n / 20)) }, { type: 'cosine', totalSteps: n }]
+  },
+  oneCycle: { label: 'One-Cycle', create: (n) => ({ type: 'oneCycle', totalSteps: n, maxFactor: 5 }) },
+  cyclical: { label: 'Cyclical', create: (n) => ({ type: 'cyclical', stepSize: Math.max(1, Math.round(n / 20)), maxFactor: 4 }) }
+};
 
 /**
  * Main GradientDescentVisualizer class
@@ -28,13 +129,48 @@ export class GradientDescentVisualizer {
       initialFunction: 'quadratic',
       initialPosition: { x: 2, y: 2 },
       learningRate: 0.01,
+      momentum: null, // Primary run's momentum, null for the preset's
+      optimizer: 'standard', // Preset name from optimizerPresets
+      runs: [], // Additional racing runs, see addRun()
+      lineSearch: null, // Line search name from getLineSearches(), null for fixed steps
+      schedule: null, // Schedule preset name ('cosine', 'oneCycle', ...) or createSchedule() spec
+      batchSize: null, // Mini-batch size on dataset objectives, null for full batch
+      seed: 1, // Seed of every random stream (batches, gradient noise, random starts)
+      stopping: null, // Primary run's stopping criteria (createStoppingCriterion() spec), null for the gradient norm
+      showCriticalPoints: true, // Mark known minima, saddles and maxima
+      showQuadraticModel: false, // 2D only: local second-order model at the current point
+      showLineSearch: false, // 2D only: trial points of the latest line search
+      showBatchGradient: false, // 2D only: latest mini-batch gradient arrow
+      contourLevelMode: 'linear', // 2D only: contour spacing, 'linear', 'log' or 'quantile'
+      showVectorField: false, // 2D only: -∇f arrows on a lattice
+      vectorFieldScale: 'normalized', // 2D only: 'normalized' arrows or 'magnitude'-scaled ones
+      showStreamlines: false, // 2D only: gradient-flow curves
+      showBasinMap: false, // 2D only: run the primary optimizer from every cell of a start grid
+      basinMapMode: 'basin', // 2D only: color basin cells by 'basin', 'iterations' or 'divergence'
+      basinMapResolution: 40, // Basin map cells per axis
+      showInspector: true, // Readout of f, ∇f under the cursor; right-click pins points to compare
+      inspectHessian: false, // Add the Hessian eigenvalues to the inspector readouts
+      showHistoryChart: true, // Loss, gradient norm, step size and learning rate charts with a scrubber
+      historyLogScale: true, // Log-scaled value axes on the history charts
       ...options
     };
     
     // State management
     this.currentFunction = null;
-    this.optimizer = null;
+    this.optimizer = null; // Primary run's optimizer, driven by the controls
+    this.runs = [];
+    this.nextRunId = 1;
+    this.random = createRandom(this.options.seed).fork('start-positions');
     this.visualizer = null;
+    this.basinMapper = null; // Computes basin maps, created when the map is first shown
+    this.basinMapSource = null; // Function and config of the latest basin map
+    this.basinLabels = new Map(); // Basin stat of each end point on the current function, see describeBasin()
+    this.sweep = null; // Latest learning rate sweep, see runLearningRateSweep()
+    this.sweepChart = null; // Chart of the sweep, created with the first sweep
+    this.sweepTimer = null; // Pending sweep chunk
+    this.resolveSweep = null; // Settles the promise of the sweep in progress
+    this.historyChart = null; // Charts of the runs' histories, created with the first stats update
+    this.scrubIteration = null; // Past iteration shown in the visualizer, null while following the runs
     this.isPlaying = false;
     this.animationId = null;
     this.lastStepTime = 0;
@@ -43,12 +179,14 @@ export class GradientDescentVisualizer {
     // UI elements
     this.controlPanel = null;
     this.statsPanel = null;
+    this.historyContainer = null; // History chart and scrubber under the visualization
     this.canvas3D = null;
     this.canvas2D = null;
     
     // Event callbacks
     this.onStateChange = null;
     this.onConvergence = null;
+    this.onDivergence = null;
     this.onStep = null;
     
     this.initialize();
@@ -59,6 +197,7 @@ export class GradientDescentVisualizer {
    */
   initialize() {
     this.createLayout();
+    this.createHistoryPanel();
     this.createControls();
     this.setupInitialFunction();
     this.setupEventListeners();
@@ -88,6 +227,14 @@ export class GradientDescentVisualizer {
     this.visualizationContainer.style.minHeight = '400px';
     this.container.appendChild(this.visualizationContainer);
     
+    // Create history container, shown with or without the controls
+    if (this.options.showHistoryChart) {
+      this.historyContainer = document.createElement('div');
+      this.historyContainer.style.padding = '10px 15px';
+      this.historyContainer.style.borderTop = '1px solid #ddd';
+      this.container.appendChild(this.historyContainer);
+    }
+    
     // Create control container
     if (this.options.showControls) {
       this.controlContainer = document.createElement('div');
@@ -104,15 +251,35 @@ export class GradientDescentVisualizer {
   createControls() {
     if (!this.options.showControls || !this.controlContainer) return;
     
+    // Function menu: registry order, one group per category
+    const functionGroups = {};
+    for (const [value, func] of Object.entries(getBuiltInFunctions())) {
+      const category = func.category || 'Other';
+      functionGroups[category] = (functionGroups[category] || '') + `<option value="${value}">${func.name}</option>`;
+    }
+    const functionOptions = Object.entries(functionGroups)
+      .map(([category, options]) => `<optgroup label="${category}">${options}</optgroup>`)
+      .join('');
+    
+    const optimizerOptions = Object.entries(optimizerPresets)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('');
+    
+    const lineSearchOptions = Object.entries(getLineSearches())
+      .map(([value, search]) => `<option value="${value}">${search.name}</option>`)
+      .join('');
+    
+    const scheduleOptions = Object.entries(SCHEDULE_PRESETS)
+      .map(([value, preset]) => `<option value="${value}">${preset.label}</option>`)
+      .join('');
+    
     const controlsHTML = `
       <div class="gd-controls">
         <div class="gd-control-row">
           <div class="gd-control-group">
             <label>Function:</label>
             <select id="gd-function-select">
-              <option value="quadratic">Quadratic Bowl</option>
-              <option value="rosenbrock">Rosenbrock</option>
-              <option value="rastrigin">Rastrigin</option>
+              ${functionOptions}
               <option value="custom">Custom Function</option>
             </select>
           </div>
@@ -125,9 +292,24 @@ export class GradientDescentVisualizer {
             </select>
           </div>
           
+          <div class="gd-control-group">
+            <label>Optimizer:</label>
+            <select id="gd-optimizer-select">
+              ${optimizerOptions}
+            </select>
+          </div>
+          
+          <div class="gd-control-group">
+            <label>Line Search:</label>
+            <select id="gd-line-search-select">
+              <option value="none">None (fixed step)</option>
+              ${lineSearchOptions}
+            </select>
+          </div>
+          
           <div class="gd-control-group">
             <label>Learning Rate:</label>
-            <input type="range" id="gd-learning-rate" min="0.001" max="0.5" step="0.001" value="${this.options.learningRate}">
+            <input type="range" id="gd-learning-rate" min="0.001" max="1" step="0.001" value="${this.options.learningRate}">
             <span id="gd-learning-rate-value">${this.options.learningRate}</span>
           </div>
         </div>
@@ -143,11 +325,82 @@ export class GradientDescentVisualizer {
             <input type="number" id="gd-start-y" value="${this.options.initialPosition.y}" step="0.1">
           </div>
           
+          <div class="gd-control-group">
+            <label>LR Schedule:</label>
+            <select id="gd-schedule-select">
+              ${scheduleOptions}
+            </select>
+          </div>
+          
+          <div class="gd-control-group">
+            <label>Batch Size:</label>
+            <select id="gd-batch-size">
+              <option value="">Full</option>
+              <option value="1">1 (SGD)</option>
+              <option value="8">8</option>
+              <option value="32">32</option>
+            </select>
+          </div>
+          
+          <div class="gd-control-group">
+            <label>Contours:</label>
+            <select id="gd-contour-levels">
+              <option value="linear">Linear</option>
+              <option value="log">Log</option>
+              <option value="quantile">Quantile</option>
+            </select>
+          </div>
+          
+          <div class="gd-control-group">
+            <label>Basin Map:</label>
+            <select id="gd-basin-map">
+              <option value="off">Off</option>
+              <option value="basin">Basin</option>
+              <option value="iterations">Iterations</option>
+              <option value="divergence">Divergence</option>
+            </select>
+          </div>
+          
           <div class="gd-control-group">
             <label>Speed:</label>
             <input type="range" id="gd-speed" min="0.1" max="5" step="0.1" value="${this.options.animationSpeed}">
             <span id="gd-speed-value">${this.options.animationSpeed}x</span>
           </div>
+          
+          <div class="gd-control-group">
+            <label>
+              <input type="checkbox" id="gd-show-critical-points" ${this.options.showCriticalPoints ? 'checked' : ''}>
+              Critical Points
+            </label>
+            <label>
+              <input type="checkbox" id="gd-quadratic-model" ${this.options.showQuadraticModel ? 'checked' : ''}>
+              Quadratic Model
+            </label>
+            <label>
+              <input type="checkbox" id="gd-show-line-search" ${this.options.showLineSearch ? 'checked' : ''}>
+              Line Search Trials
+            </label>
+            <label>
+              <input type="checkbox" id="gd-show-batch-gradient" ${this.options.showBatchGradient ? 'checked' : ''}>
+              Batch Gradient
+            </label>
+            <label>
+              <input type="checkbox" id="gd-show-vector-field" ${this.options.showVectorField ? 'checked' : ''}>
+              Gradient Field
+            </label>
+            <label>
+              <input type="checkbox" id="gd-show-streamlines" ${this.options.showStreamlines ? 'checked' : ''}>
+              Streamlines
+            </label>
+            <label>
+              <input type="checkbox" id="gd-show-inspector" ${this.options.showInspector ? 'checked' : ''}>
+              Inspector
+            </label>
+            <label>
+              <input type="checkbox" id="gd-inspect-hessian" ${this.options.inspectHessian ? 'checked' : ''}>
+              Hessian Eigenvalues
+            </label>
+          </div>
         </div>
         
         <div class="gd-control-row">
@@ -156,9 +409,37 @@ export class GradientDescentVisualizer {
             <button id="gd-pause-btn" class="gd-btn" disabled>Pause</button>
             <button id="gd-step-btn" class="gd-btn">Step</button>
             <button id="gd-reset-btn" class="gd-btn">Reset</button>
+            <button id="gd-random-start-btn" class="gd-btn">Random Start</button>
+          </div>
+          
+          <div class="gd-control-group">
+            <button id="gd-add-run-btn" class="gd-btn">Add Run</button>
+            <button id="gd-clear-runs-btn" class="gd-btn">Clear Runs</button>
+          </div>
+        </div>
+        
+        <div class="gd-control-row">
+          <div class="gd-control-group">
+            <button id="gd-sweep-btn" class="gd-btn">Sweep Learning Rate</button>
+            <label>
+              <input type="checkbox" id="gd-sweep-momentum">
+              × Momentum
+            </label>
+          </div>
+          
+          <div class="gd-control-group">
+            <label>Sweep Chart:</label>
+            <select id="gd-sweep-metric">
+              <option value="loss">Final Loss</option>
+              <option value="iterations">Iterations</option>
+            </select>
           </div>
         </div>
         
+        <div class="gd-control-row gd-sweep-chart" id="gd-sweep-chart"></div>
+        
+        <div class="gd-control-row gd-function-info" id="gd-function-info"></div>
+        
         <div class="gd-control-row gd-stats-row">
           <div class="gd-stats">
             <div class="gd-stat">
@@ -174,10 +455,27 @@ export class GradientDescentVisualizer {
               <span id="gd-gradient-norm">0.000</span>
             </div>
             <div class="gd-stat">
-              <label>Converged:</label>
-              <span id="gd-converged">No</span>
+              <label>Epoch:</label>
+              <span id="gd-epoch">0</span>
+            </div>
+            <div class="gd-stat">
+              <label>Learning Rate:</label>
+              <span id="gd-effective-learning-rate">0.000</span>
+            </div>
+            <div class="gd-stat">
+              <label>Basin:</label>
+              <span id="gd-basin">-</span>
+            </div>
+            <div class="gd-stat">
+              <label>Convergence Order:</label>
+              <span id="gd-convergence-order">-</span>
+            </div>
+            <div class="gd-stat">
+              <label>Status:</label>
+              <span id="gd-status" class="gd-status-badge gd-status-running">Running</span>
             </div>
           </div>
+          <table id="gd-run-stats" class="gd-run-stats"></table>
         </div>
       </div>
     `;
@@ -186,6 +484,37 @@ export class GradientDescentVisualizer {
     this.addControlStyles();
   }
   
+  /**
+   * Create the history chart host and its scrubber under the visualization
+   * The panel carries its own layout so it works without the control styles.
+   */
+  createHistoryPanel() {
+    if (!this.historyContainer) return;
+    
+    this.historyContainer.innerHTML = `
+      <div id="gd-history-chart" class="gd-history-chart"></div>
+      <div class="gd-history-scrubber" style="display: flex; align-items: center; gap: 8px; margin-top: 8px;">
+        <label for="gd-history-scrubber">History:</label>
+        <input type="range" id="gd-history-scrubber" min="0" max="0" step="1" value="0" style="flex: 1; max-width: 400px;">
+        <span id="gd-history-iteration">Live</span>
+        <label>
+          <input type="checkbox" id="gd-history-log" ${this.options.historyLogScale ? 'checked' : ''}>
+          Log Scale
+        </label>
+      </div>
+    `;
+    
+    const historyScrubber = this.historyContainer.querySelector('#gd-history-scrubber');
+    const historyLog = this.historyContainer.querySelector('#gd-history-log');
+    
+    historyScrubber.addEventListener('input', (e) => {
+      this.scrubTo(parseInt(e.target.value, 10));
+    });
+    historyLog.addEventListener('change', (e) => {
+      this.setHistoryLogScale(e.target.checked);
+    });
+  }
+  
   /**
    * Add CSS styles for controls
    */
@@ -262,6 +591,19 @@ export class GradientDescentVisualizer {
         border-color: #0056b3;
       }
       
+      .gd-function-info {
+        flex-direction: column;
+        align-items: flex-start;
+        gap: 4px;
+        font-size: 13px;
+        color: #555;
+      }
+      
+      .gd-function-info code {
+        font-family: monospace;
+        color: #333;
+      }
+      
       .gd-stats-row {
         padding-top: 10px;
         border-top: 1px solid #ddd;
@@ -293,6 +635,60 @@ export class GradientDescentVisualizer {
         color: #333;
       }
       
+      span.gd-status-badge {
+        padding: 2px 8px;
+        border-radius: 10px;
+        font-family: Arial, sans-serif;
+        font-size: 12px;
+        font-weight: bold;
+        color: white;
+        background: #6c757d;
+      }
+      
+      .gd-status-running {
+        background: #007bff;
+      }
+      
+      .gd-status-converged {
+        background: #28a745;
+      }
+      
+      .gd-status-diverged {
+        background: #dc3545;
+      }
+      
+      .gd-status-stalled {
+        background: #fd7e14;
+      }
+      
+      .gd-run-stats {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 13px;
+      }
+      
+      .gd-run-stats th {
+        text-align: left;
+        font-weight: 500;
+        color: #666;
+        padding: 4px 8px;
+      }
+      
+      .gd-run-stats td {
+        font-family: monospace;
+        padding: 4px 8px;
+        border-top: 1px solid #eee;
+      }
+      
+      .gd-run-swatch {
+        display: inline-block;
+        width: 12px;
+        height: 12px;
+        border-radius: 2px;
+        margin-right: 6px;
+        vertical-align: middle;
+      }
+      
       @media (max-width: 768px) {
         .gd-control-row {
           flex-direction: column;
@@ -325,6 +721,10 @@ export class GradientDescentVisualizer {
     const functions = getBuiltInFunctions();
     this.setFunction(functions[this.options.initialFunction]);
     this.setVisualizationMode(this.options.mode);
+    
+    for (const runConfig of this.options.runs) {
+      this.addRun(runConfig);
+    }
   }
   
   /**
@@ -356,6 +756,24 @@ export class GradientDescentVisualizer {
       });
     }
     
+    // Optimizer selection
+    const optimizerSelect = document.getElementById('gd-optimizer-select');
+    if (optimizerSelect) {
+      optimizerSelect.value = this.options.optimizer;
+      optimizerSelect.addEventListener('change', (e) => {
+        this.setOptimizer(e.target.value);
+      });
+    }
+    
+    // Line search selection
+    const lineSearchSelect = document.getElementById('gd-line-search-select');
+    if (lineSearchSelect) {
+      lineSearchSelect.value = this.options.lineSearch || 'none';
+      lineSearchSelect.addEventListener('change', (e) => {
+        this.setLineSearch(e.target.value);
+      });
+    }
+    
     // Learning rate
     const learningRateSlider = document.getElementById('gd-learning-rate');
     const learningRateValue = document.getElementById('gd-learning-rate-value');
@@ -367,6 +785,45 @@ export class GradientDescentVisualizer {
       });
     }
     
+    // Learning rate schedule
+    const scheduleSelect = document.getElementById('gd-schedule-select');
+    if (scheduleSelect) {
+      scheduleSelect.value = typeof this.options.schedule === 'string' ? this.options.schedule : 'none';
+      scheduleSelect.addEventListener('change', (e) => {
+        this.setSchedule(e.target.value);
+      });
+    }
+    
+    // Mini-batch size
+    const batchSizeSelect = document.getElementById('gd-batch-size');
+    if (batchSizeSelect) {
+      batchSizeSelect.value = this.options.batchSize ? String(this.options.batchSize) : '';
+      batchSizeSelect.addEventListener('change', (e) => {
+        this.setBatchSize(e.target.value ? parseInt(e.target.value, 10) : null);
+      });
+    }
+    
+    // Contour level spacing
+    const contourLevelSelect = document.getElementById('gd-contour-levels');
+    if (contourLevelSelect) {
+      contourLevelSelect.value = this.options.contourLevelMode;
+      contourLevelSelect.addEventListener('change', (e) => {
+        this.setContourLevelMode(e.target.value);
+      });
+    }
+    
+    // Basin-of-attraction map
+    const basinMapSelect = document.getElementById('gd-basin-map');
+    if (basinMapSelect) {
+      basinMapSelect.value = this.options.showBasinMap ? this.options.basinMapMode : 'off';
+      basinMapSelect.addEventListener('change', (e) => {
+        if (e.target.value !== 'off') {
+          this.setBasinMapMode(e.target.value);
+        }
+        this.setBasinMapVisibility(e.target.value !== 'off');
+      });
+    }
+    
     // Start position
     const startX = document.getElementById('gd-start-x');
     const startY = document.getElementById('gd-start-y');
@@ -391,16 +848,110 @@ export class GradientDescentVisualizer {
       });
     }
     
+    // Critical point markers
+    const criticalPointsToggle = document.getElementById('gd-show-critical-points');
+    if (criticalPointsToggle) {
+      criticalPointsToggle.addEventListener('change', (e) => {
+        this.setCriticalPointVisibility(e.target.checked);
+      });
+    }
+    
+    // Quadratic model overlay
+    const quadraticModelToggle = document.getElementById('gd-quadratic-model');
+    if (quadraticModelToggle) {
+      quadraticModelToggle.addEventListener('change', (e) => {
+        this.setQuadraticModelVisibility(e.target.checked);
+      });
+    }
+    
+    const lineSearchToggle = document.getElementById('gd-show-line-search');
+    if (lineSearchToggle) {
+      lineSearchToggle.addEventListener('change', (e) => {
+        this.setLineSearchVisibility(e.target.checked);
+      });
+    }
+    
+    const batchGradientToggle = document.getElementById('gd-show-batch-gradient');
+    if (batchGradientToggle) {
+      batchGradientToggle.addEventListener('change', (e) => {
+        this.setBatchGradientVisibility(e.target.checked);
+      });
+    }
+    
+    // Gradient field overlays
+    const vectorFieldToggle = document.getElementById('gd-show-vector-field');
+    if (vectorFieldToggle) {
+      vectorFieldToggle.addEventListener('change', (e) => {
+        this.setVectorFieldVisibility(e.target.checked);
+      });
+    }
+    
+    const streamlinesToggle = document.getElementById('gd-show-streamlines');
+    if (streamlinesToggle) {
+      streamlinesToggle.addEventListener('change', (e) => {
+        this.setStreamlineVisibility(e.target.checked);
+      });
+    }
+    
+    // Hover inspector
+    const inspectorToggle = document.getElementById('gd-show-inspector');
+    if (inspectorToggle) {
+      inspectorToggle.addEventListener('change', (e) => {
+        this.setInspectorVisibility(e.target.checked);
+      });
+    }
+    
+    const inspectHessianToggle = document.getElementById('gd-inspect-hessian');
+    if (inspectHessianToggle) {
+      inspectHessianToggle.addEventListener('change', (e) => {
+        this.setInspectorHessian(e.target.checked);
+      });
+    }
+    
     // Control buttons
     const playBtn = document.getElementById('gd-play-btn');
     const pauseBtn = document.getElementById('gd-pause-btn');
     const stepBtn = document.getElementById('gd-step-btn');
     const resetBtn = document.getElementById('gd-reset-btn');
+    const randomStartBtn = document.getElementById('gd-random-start-btn');
     
     if (playBtn) playBtn.addEventListener('click', () => this.play());
     if (pauseBtn) pauseBtn.addEventListener('click', () => this.pause());
     if (stepBtn) stepBtn.addEventListener('click', () => this.step());
     if (resetBtn) resetBtn.addEventListener('click', () => this.reset());
+    if (randomStartBtn) randomStartBtn.addEventListener('click', () => this.randomizeStartPosition());
+    
+    // Racing runs: snapshot the current controls into a new run
+    const addRunBtn = document.getElementById('gd-add-run-btn');
+    const clearRunsBtn = document.getElementById('gd-clear-runs-btn');
+    
+    if (addRunBtn) {
+      addRunBtn.addEventListener('click', () => this.addRun({
+        optimizer: this.options.optimizer,
+        learningRate: this.optimizer.config.learningRate,
+        lineSearch: this.options.lineSearch,
+        schedule: this.resolveSchedulePreset(),
+        batchSize: this.options.batchSize,
+        startPosition: { ...this.options.initialPosition }
+      }));
+    }
+    if (clearRunsBtn) clearRunsBtn.addEventListener('click', () => this.clearRuns());
+    
+    // Learning rate sweep
+    const sweepBtn = document.getElementById('gd-sweep-btn');
+    const sweepMomentum = document.getElementById('gd-sweep-momentum');
+    const sweepMetric = document.getElementById('gd-sweep-metric');
+    
+    if (sweepBtn) {
+      sweepBtn.addEventListener('click', () => {
+        this.runLearningRateSweep({ momenta: sweepMomentum && sweepMomentum.checked ? SWEEP_MOMENTA : null });
+      });
+    }
+    if (sweepMetric) {
+      sweepMetric.addEventListener('change', (e) => {
+        if (this.sweepChart) this.sweepChart.setMetric(e.target.value);
+      });
+    }
   }
   
   /**
@@ -410,9 +961,9 @@ export class GradientDescentVisualizer {
     const expression = prompt(
       'Enter a custom function expression (using x and y variables):\n' +
       'Examples:\n' +
-      '  x*x + y*y\n' +
-      '  Math.sin(x) + Math.cos(y)\n' +
-      '  (x-1)*(x-1) + (y-1)*(y-1)'
+      '  x^2 + y^2\n' +
+      '  sin(x) + cos(y)\n' +
+      '  (x-1)^2 + 2(y-1)^2'
     );
     
     if (expression) {
@@ -436,13 +987,13 @@ export class GradientDescentVisualizer {
    */
   setFunction(func) {
     this.currentFunction = func;
+    this.basinLabels.clear();
     
-    // Create new optimizer
-    this.optimizer = createOptimizer(func);
-    this.optimizer.initialize(
-      this.options.initialPosition.x,
-      this.options.initialPosition.y
-    );
+    // Create new optimizers for the primary and every racing run
+    if (this.runs.length === 0) {
+      this.runs.push({ id: 0, primary: true, label: null, color: RUN_COLORS[0], optimizer: null });
+    }
+    this.runs.forEach(run => this.buildRunOptimizer(run));
     
     // Update visualizer
     if (this.visualizer) {
@@ -451,17 +1002,272 @@ export class GradientDescentVisualizer {
       this.updateVisualization();
     }
     
-    // Update learning rate display
-    const learningRateSlider = document.getElementById('gd-learning-rate');
-    const learningRateValue = document.getElementById('gd-learning-rate-value');
-    if (learningRateSlider && learningRateValue) {
-      learningRateSlider.value = func.recommendedLearningRate || 0.01;
-      learningRateValue.textContent = (func.recommendedLearningRate || 0.01).toFixed(3);
+    // The visualizer dropped its basin map, even when the function is the same one
+    this.basinMapSource = null;
+    this.updateBasinMap();
+    
+    this.updateLearningRateDisplay();
+    this.updateFunctionInfo();
+    this.updateStartPositionLimits();
+    this.updateStats();
+  }
+  
+  /**
+   * Limit the start position inputs to the function's axis ranges
+   */
+  updateStartPositionLimits() {
+    const { x: xBounds, y: yBounds } = getAxisBounds(this.currentFunction);
+    [['gd-start-x', xBounds], ['gd-start-y', yBounds]].forEach(([id, { min, max }]) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.min = min;
+        input.max = max;
+      }
+    });
+  }
+  
+  /**
+   * Show the function description and, when known, its exact partial derivatives
+   */
+  updateFunctionInfo() {
+    const info = document.getElementById('gd-function-info');
+    if (!info || !this.currentFunction) return;
+    
+    const lines = [this.currentFunction.description];
+    const { gradientExpression } = this.currentFunction;
+    if (gradientExpression) {
+      lines.push(`∂f/∂x = ${gradientExpression.dx}`, `∂f/∂y = ${gradientExpression.dy}`);
     }
     
+    info.innerHTML = '';
+    for (const line of lines) {
+      const code = document.createElement('code');
+      code.textContent = line;
+      info.appendChild(code);
+    }
+  }
+  
+  /**
+   * Set the optimizer preset (update rule and its default hyperparameters)
+   * @param {string} preset - Preset name from optimizerPresets
+   */
+  setOptimizer(preset) {
+    this.options.optimizer = preset;
+    this.options.momentum = null;
+    if (!this.currentFunction) return;
+    
+    this.buildRunOptimizer(this.runs[0]);
+    this.reset();
+    this.updateLearningRateDisplay();
+  }
+  
+  /**
+   * Change the primary run's line search
+   * @param {string|null} name - Line search name from getLineSearches(), or 'none'
+   */
+  setLineSearch(name) {
+    this.options.lineSearch = name && name !== 'none' ? name : null;
+    if (!this.currentFunction) return;
+    
+    const { learningRate } = this.optimizer.config;
+    this.buildRunOptimizer(this.runs[0]);
+    this.optimizer.config.learningRate = learningRate;
+    this.reset();
+  }
+  
+  /**
+   * Change the primary run's stopping criteria and restart
+   * @param {Object|string|Array|null} stopping - createStoppingCriterion() spec, or null for the gradient norm
+   */
+  setStoppingCriteria(stopping) {
+    this.options.stopping = stopping;
+    if (!this.optimizer) return;
+    
+    this.optimizer.setStopping(stopping);
+    this.reset();
+  }
+  
+  /**
+   * Change the primary run's learning rate schedule without restarting it
+   * @param {string|Object|Array|null} schedule - Preset name from the schedule menu, or a createSchedule() spec
+   */
+  setSchedule(schedule) {
+    this.options.schedule = schedule && schedule !== 'none' ? schedule : null;
+    if (!this.optimizer) return;
+    
+    this.optimizer.setSchedule(this.resolveSchedulePreset());
+    this.updateBasinMap();
     this.updateStats();
   }
   
+  /**
+   * Change the primary run's mini-batch size without restarting it
+   * Only dataset objectives are subsampled; other functions always use their exact gradient.
+   * @param {number|null} batchSize - Samples per step, or null for the full batch
+   */
+  setBatchSize(batchSize) {
+    this.options.batchSize = batchSize || null;
+    if (this.optimizer) {
+      this.optimizer.config.batchSize = this.options.batchSize;
+    }
+    this.updateBasinMap();
+  }
+  
+  /**
+   * Turn the schedule option into a createSchedule() spec, sizing presets to the run length
+   * @returns {Object|Array|null} Schedule spec, or null for a constant rate
+   */
+  resolveSchedulePreset() {
+    const { schedule } = this.options;
+    const preset = typeof schedule === 'string' ? SCHEDULE_PRESETS[schedule] : null;
+    if (!preset) return schedule;
+    
+    const totalSteps = this.optimizer ? this.optimizer.config.maxIterations : this.options.maxIterations;
+    return preset.create(totalSteps);
+  }
+  
+  /**
+   * Create and initialize the optimizer of a run
+   * The primary run follows the visualizer options; racing runs keep their own configuration.
+   * @param {Object} run - Run record
+   */
+  buildRunOptimizer(run) {
+    const preset = run.primary ? this.options.optimizer : run.preset;
+    const start = run.primary ? this.options.initialPosition : run.startPosition;
+    
+    const overrides = run.primary ?
+      {
+        lineSearch: this.options.lineSearch,
+        schedule: this.resolveSchedulePreset(),
+        batchSize: this.options.batchSize,
+        seed: this.options.seed,
+        stopping: this.options.stopping,
+        ...(this.options.momentum === null ? {} : { momentum: this.options.momentum })
+      } :
+      { seed: this.options.seed, ...run.overrides };
+    // Diverging runs stop with a status badge unless a run opts out
+    run.optimizer = createOptimizer(this.currentFunction, preset, { detectDivergence: true, ...overrides });
+    run.optimizer.initialize(start.x, start.y);
+    
+    if (run.primary) {
+      this.optimizer = run.optimizer;
+    }
+  }
+  
+  /**
+   * Add an optimizer run that races the others on the current function
+   * All runs restart together so they stay in lockstep.
+   * @param {Object} config - Run configuration
+   * @param {string} config.optimizer - Preset name from optimizerPresets
+   * @param {Object} config.startPosition - Starting coordinates {x, y}
+   * @param {string} config.label - Legend label (derived from preset and learning rate if omitted)
+   * @param {string} config.color - Trail color
+   * @returns {Object} The created run
+   */
+  addRun(config = {}) {
+    const {
+      optimizer = this.options.optimizer,
+      startPosition = this.options.initialPosition,
+      label = null,
+      color = RUN_COLORS[this.nextRunId % RUN_COLORS.length],
+      ...overrides
+    } = config;
+    
+    const run = {
+      id: this.nextRunId++,
+      primary: false,
+      preset: optimizer,
+      overrides, // Optimizer config overrides such as learningRate or momentum
+      startPosition: { ...startPosition },
+      label,
+      color,
+      optimizer: null
+    };
+    
+    this.runs.push(run);
+    if (this.currentFunction) {
+      this.buildRunOptimizer(run);
+      this.reset();
+    }
+    
+    return run;
+  }
+  
+  /**
+   * Remove a racing run
+   * @param {number} id - Run id (the primary run cannot be removed)
+   */
+  removeRun(id) {
+    if (id === 0) return;
+    
+    this.runs = this.runs.filter(run => run.id !== id);
+    this.reset();
+  }
+  
+  /**
+   * Remove every racing run, keeping only the primary run
+   */
+  clearRuns() {
+    this.runs = this.runs.filter(run => run.primary);
+    this.reset();
+  }
+  
+  /**
+   * Get the legend label of a run
+   * @param {Object} run - Run record
+   * @returns {string} Label
+   */
+  getRunLabel(run) {
+    if (run.label) return run.label;
+    
+    const preset = run.primary ? this.options.optimizer : run.preset;
+    const { learningRate } = run.optimizer.config;
+    const { x, y } = run.optimizer.history.length ? run.optimizer.history[0].position : run.optimizer.currentPosition;
+    const search = run.optimizer.lineSearch ? ` + ${run.optimizer.lineSearch.name}` : '';
+    const batch = run.optimizer.sampler || run.optimizer.config.batchSize ? ` B=${run.optimizer.config.batchSize}` : '';
+    return `${optimizerPresets[preset] || preset}${search} η=${learningRate}${batch} @ (${x}, ${y})`;
+  }
+  
+  /**
+   * Get the current state of every run, or its recorded state at a past iteration
+   * @param {number|null} iteration - Iteration to look up (runs that stopped earlier give their
+   *   last state), null for the current states
+   * @returns {Array} Run states [{id, label, color, state}]
+   */
+  getRunStates(iteration = null) {
+    return this.labelRunStates(this.runs.map(run => {
+      const { history } = run.optimizer;
+      return iteration === null ? run.optimizer.getCurrentState() : history[Math.min(iteration, history.length - 1)];
+    }));
+  }
+  
+  /**
+   * Pair every run with a state it reached
+   * @param {Array} states - One state per run, in run order
+   * @returns {Array} Run states [{id, label, color, state}]
+   */
+  labelRunStates(states) {
+    return this.runs.map((run, index) => ({
+      id: run.id,
+      label: this.getRunLabel(run),
+      color: run.color,
+      state: states[index]
+    }));
+  }
+  
+  /**
+   * Sync the learning rate slider with the active optimizer
+   */
+  updateLearningRateDisplay() {
+    const learningRateSlider = document.getElementById('gd-learning-rate');
+    const learningRateValue = document.getElementById('gd-learning-rate-value');
+    if (learningRateSlider && learningRateValue && this.optimizer) {
+      const rate = this.optimizer.config.learningRate;
+      learningRateSlider.value = rate;
+      learningRateValue.textContent = rate.toFixed(3);
+    }
+  }
+  
   /**
    * Set visualization mode (2D or 3D)
    * @param {string} mode - '2d' or '3d'
@@ -476,15 +1282,47 @@ export class GradientDescentVisualizer {
     
     // Create new visualizer
     if (mode === '3d') {
-      this.visualizer = new Visualizer3D(this.visualizationContainer);
+      this.visualizer = new Visualizer3D(this.visualizationContainer, {
+        showCriticalPoints: this.options.showCriticalPoints,
+        showInspector: this.options.showInspector,
+        inspectHessian: this.options.inspectHessian
+      });
     } else {
-      this.visualizer = new Visualizer2D(this.visualizationContainer);
+      this.visualizer = new Visualizer2D(this.visualizationContainer, {
+        showCriticalPoints: this.options.showCriticalPoints,
+        showQuadraticModel: this.options.showQuadraticModel,
+        showLineSearch: this.options.showLineSearch,
+        showBatchGradient: this.options.showBatchGradient,
+        contourLevelMode: this.options.contourLevelMode,
+        showVectorField: this.options.showVectorField,
+        vectorFieldScale: this.options.vectorFieldScale,
+        showStreamlines: this.options.showStreamlines,
+        showBasinMap: this.options.showBasinMap,
+        basinMapMode: this.options.basinMapMode,
+        showInspector: this.options.showInspector,
+        inspectHessian: this.options.inspectHessian
+      });
     }
     
-    // Setup with current function
+    // Clicking or dragging on the plot moves the start position
+    this.visualizer.onStartPositionChange = (x, y) => this.setStartPosition(x, y);
+    if (mode !== '3d') {
+      this.visualizer.onStartPositionPreview = (position) => this.getPreviewPath(position);
+    }
+    this.visualizer.setStartMarker(this.options.initialPosition);
+    
+    // Setup with current function, showing the iteration being scrubbed if any
     if (this.currentFunction) {
       this.visualizer.setFunction(this.currentFunction);
       this.updateVisualization();
+      if (this.scrubIteration !== null) {
+        this.scrubTo(this.scrubIteration);
+      }
+    }
+    
+    // The map of the current configuration stays valid across views
+    if (this.basinMapper && this.basinMapper.map && this.visualizer.setBasinMap) {
+      this.visualizer.setBasinMap(this.basinMapper.map);
     }
   }
   
@@ -497,6 +1335,7 @@ export class GradientDescentVisualizer {
     if (this.optimizer) {
       this.optimizer.config.learningRate = rate;
     }
+    this.updateBasinMap();
   }
   
   /**
@@ -506,13 +1345,82 @@ export class GradientDescentVisualizer {
    */
   setStartPosition(x, y) {
     this.options.initialPosition = { x, y };
+    
+    const startX = document.getElementById('gd-start-x');
+    const startY = document.getElementById('gd-start-y');
+    if (startX && startY) {
+      startX.value = x;
+      startY.value = y;
+    }
+    if (this.visualizer) {
+      this.visualizer.setStartMarker(this.options.initialPosition);
+    }
+    
     if (this.optimizer) {
-      this.optimizer.initialize(x, y);
+      // Restart every run so they stay in lockstep
+      this.runs.forEach(run => {
+        const start = run.primary ? this.options.initialPosition : run.startPosition;
+        run.optimizer.initialize(start.x, start.y);
+      });
+      
+      if (this.visualizer) {
+        this.visualizer.reset();
+      }
       this.updateVisualization();
       this.updateStats();
     }
   }
   
+  /**
+   * Path the primary run would take from a start position, without disturbing the runs
+   * Replays the live optimizer configuration, including learning rate and seed.
+   * @param {Object} position - Start position {x, y}
+   * @param {number} steps - Number of steps to preview
+   * @returns {Array} Positions [{x, y}], starting with position
+   */
+  getPreviewPath(position, steps = PREVIEW_STEPS) {
+    if (!this.optimizer) return [];
+    
+    const preview = new GradientDescentOptimizer(this.currentFunction, { ...this.optimizer.config });
+    preview.initialize(position.x, position.y);
+    preview.runSteps(steps);
+    
+    return preview.history
+      .map(entry => entry.position)
+      .filter(({ x, y }) => Number.isFinite(x) && Number.isFinite(y));
+  }
+  
+  /**
+   * Restart from a random point inside the function bounds
+   * Successive calls walk through the start-position stream of the seed.
+   * @returns {Object} The new start position {x, y}
+   */
+  randomizeStartPosition() {
+    const { x: xBounds, y: yBounds } = getAxisBounds(this.currentFunction);
+    const x = Number(this.random.uniform(xBounds.min, xBounds.max).toFixed(2));
+    const y = Number(this.random.uniform(yBounds.min, yBounds.max).toFixed(2));
+    
+    this.setStartPosition(x, y);
+    return { x, y };
+  }
+  
+  /**
+   * Change the seed of every random stream and restart
+   * Racing runs with their own seed keep it.
+   * @param {number|string} seed - Seed
+   */
+  setSeed(seed) {
+    this.options.seed = seed;
+    this.random = createRandom(seed).fork('start-positions');
+    
+    this.runs.forEach(run => {
+      if (run.optimizer && (run.primary || run.overrides.seed === undefined)) {
+        run.optimizer.config.seed = seed;
+      }
+    });
+    this.reset();
+  }
+  
   /**
    * Set animation speed
    * @param {number} speed - Speed multiplier
@@ -522,6 +1430,270 @@ export class GradientDescentVisualizer {
     this.stepInterval = 100 / speed; // Adjust step interval
   }
   
+  /**
+   * Toggle the minimum, saddle and maximum markers (2D and 3D)
+   * @param {boolean} show - Whether to mark critical points
+   */
+  setCriticalPointVisibility(show) {
+    this.options.showCriticalPoints = show;
+    if (this.visualizer && this.visualizer.setCriticalPointVisibility) {
+      this.visualizer.setCriticalPointVisibility(show);
+    }
+  }
+  
+  /**
+   * Toggle the hover inspector and pinned points (2D and 3D)
+   * @param {boolean} show - Whether to show readouts under the cursor
+   */
+  setInspectorVisibility(show) {
+    this.options.showInspector = show;
+    if (this.visualizer && this.visualizer.setInspectorVisibility) {
+      this.visualizer.setInspectorVisibility(show);
+    }
+  }
+  
+  /**
+   * Toggle the Hessian eigenvalues in the inspector readouts (2D and 3D)
+   * @param {boolean} show - Whether to list the eigenvalues
+   */
+  setInspectorHessian(show) {
+    this.options.inspectHessian = show;
+    if (this.visualizer && this.visualizer.setInspectorHessian) {
+      this.visualizer.setInspectorHessian(show);
+    }
+  }
+  
+  /**
+   * Toggle the local quadratic model overlay (2D mode only)
+   * @param {boolean} show - Whether to draw the model at the current point
+   */
+  setQuadraticModelVisibility(show) {
+    this.options.showQuadraticModel = show;
+    if (this.visualizer && this.visualizer.setQuadraticModelVisibility) {
+      this.visualizer.setQuadraticModelVisibility(show);
+    }
+  }
+  
+  /**
+   * Toggle the mini-batch gradient arrow (2D mode only)
+   * @param {boolean} show - Whether to draw the latest batch and full-batch descent directions
+   */
+  setBatchGradientVisibility(show) {
+    this.options.showBatchGradient = show;
+    if (this.visualizer && this.visualizer.setBatchGradientVisibility) {
+      this.visualizer.setBatchGradientVisibility(show);
+    }
+  }
+  
+  /**
+   * Choose how contour levels and heatmap colours are spaced (2D mode only)
+   * @param {string} mode - 'linear', 'log' or 'quantile'
+   */
+  setContourLevelMode(mode) {
+    this.options.contourLevelMode = mode;
+    if (this.visualizer && this.visualizer.setContourLevelMode) {
+      this.visualizer.setContourLevelMode(mode);
+    }
+  }
+  
+  /**
+   * Toggle the gradient vector field arrows (2D mode only)
+   * @param {boolean} show - Whether to draw -∇f arrows on a lattice
+   */
+  setVectorFieldVisibility(show) {
+    this.options.showVectorField = show;
+    if (this.visualizer && this.visualizer.setVectorFieldVisibility) {
+      this.visualizer.setVectorFieldVisibility(show);
+    }
+  }
+  
+  /**
+   * Choose how the vector field arrows are scaled (2D mode only)
+   * @param {string} scale - 'normalized' for equal lengths or 'magnitude' to scale by |∇f|
+   */
+  setVectorFieldScale(scale) {
+    this.options.vectorFieldScale = scale;
+    if (this.visualizer && this.visualizer.setVectorFieldScale) {
+      this.visualizer.setVectorFieldScale(scale);
+    }
+  }
+  
+  /**
+   * Toggle the gradient-flow streamlines (2D mode only)
+   * @param {boolean} show - Whether to draw streamlines
+   */
+  setStreamlineVisibility(show) {
+    this.options.showStreamlines = show;
+    if (this.visualizer && this.visualizer.setStreamlineVisibility) {
+      this.visualizer.setStreamlineVisibility(show);
+    }
+  }
+  
+  /**
+   * Toggle the basin-of-attraction map (2D mode only)
+   * While shown, the map is recomputed whenever the function or the primary run's configuration changes.
+   * @param {boolean} show - Whether to compute and draw the basin map
+   */
+  setBasinMapVisibility(show) {
+    this.options.showBasinMap = show;
+    if (this.visualizer && this.visualizer.setBasinMapVisibility) {
+      this.visualizer.setBasinMapVisibility(show);
+    }
+    this.updateBasinMap();
+  }
+  
+  /**
+   * Choose what the basin map cells are colored by (2D mode only)
+   * @param {string} mode - 'basin' for the point reached, 'iterations' or 'divergence'
+   */
+  setBasinMapMode(mode) {
+    this.options.basinMapMode = mode;
+    if (this.visualizer && this.visualizer.setBasinMapMode) {
+      this.visualizer.setBasinMapMode(mode);
+    }
+  }
+  
+  /**
+   * Start a basin map of the primary run's configuration, unless the latest one already matches it
+   * Hiding the map stops the computation in progress.
+   */
+  updateBasinMap() {
+    if (!this.options.showBasinMap || !this.optimizer) {
+      if (this.basinMapper) {
+        this.basinMapper.cancel();
+        this.basinMapper.map = null;
+      }
+      this.basinMapSource = null;
+      return;
+    }
+    
+    const func = this.currentFunction;
+    const config = { ...this.optimizer.config };
+    const source = this.basinMapSource;
+    if (source && source.func === func &&
+      Object.keys(config).every(key => config[key] === source.config[key])) {
+      return;
+    }
+    this.basinMapSource = { func, config };
+    
+    if (!this.basinMapper) {
+      this.basinMapper = new BasinMapper();
+      this.basinMapper.onUpdate = (map) => {
+        if (this.visualizer && this.visualizer.setBasinMap) {
+          this.visualizer.setBasinMap(map);
+        }
+      };
+    }
+    
+    const map = this.basinMapper.compute(func, config, getAxisBounds(func), this.options.basinMapResolution);
+    if (this.visualizer && this.visualizer.setBasinMap) {
+      this.visualizer.setBasinMap(map);
+    }
+  }
+  
+  /**
+   * Sweep the primary run's learning rate, and optionally its momentum, from the start position
+   * Each configuration is run to convergence with the rest of the current settings; the sweep
+   * is charted as it fills in, and clicking a chart cell loads that configuration.
+   * A new sweep cancels one still in progress.
+   * @param {Object} options - Sweep options
+   * @param {number} options.minRate - Smallest learning rate (current rate / 100 by default)
+   * @param {number} options.maxRate - Largest learning rate (current rate × 100 by default)
+   * @param {number} options.count - Number of log-spaced learning rates
+   * @param {Array|null} options.momenta - Momentum values for a two-dimensional sweep, null for none
+   * @returns {Promise} Resolves with the finished sweep, or null if it was cancelled
+   */
+  runLearningRateSweep(options = {}) {
+    this.cancelSweep();
+    if (!this.optimizer) return Promise.resolve(null);
+    
+    const rate = this.optimizer.config.learningRate;
+    const {
+      minRate = rate / SWEEP_RANGE,
+      maxRate = rate * SWEEP_RANGE,
+      count = SWEEP_RATES,
+      momenta = null
+    } = options;
+    
+    const func = this.currentFunction;
+    const config = { ...this.optimizer.config };
+    const start = { ...this.options.initialPosition };
+    const sweep = createSweep(logSpace(minRate, maxRate, count), momenta || [null]);
+    this.sweep = sweep;
+    this.showSweep();
+    
+    return new Promise(resolve => {
+      this.resolveSweep = resolve;
+      const chunk = (from) => {
+        const to = Math.min(sweep.cells.length, from + SWEEP_CELLS_PER_CHUNK);
+        computeSweepCells(func, config, start, sweep, from, to);
+        this.sweepTimer = to < sweep.cells.length ? setTimeout(() => chunk(to), 0) : null;
+        this.showSweep();
+        if (this.sweepTimer === null) {
+          this.resolveSweep = null;
+          resolve(sweep);
+        }
+      };
+      this.sweepTimer = setTimeout(() => chunk(0), 0);
+    });
+  }
+  
+  /**
+   * Stop a sweep in progress; the cells computed so far stay on the chart
+   */
+  cancelSweep() {
+    if (this.sweepTimer !== null) {
+      clearTimeout(this.sweepTimer);
+      this.sweepTimer = null;
+      this.resolveSweep(null);
+      this.resolveSweep = null;
+    }
+  }
+  
+  /**
+   * Chart the latest sweep, creating the chart on first use
+   */
+  showSweep() {
+    const host = document.getElementById('gd-sweep-chart');
+    if (!host) return;
+    
+    if (!this.sweepChart) {
+      const metric = document.getElementById('gd-sweep-metric');
+      this.sweepChart = new SweepChart(host, { metric: metric ? metric.value : 'loss' });
+      this.sweepChart.onSelect = (cell) => this.loadSweepCell(cell);
+    }
+    this.sweepChart.setSweep(this.sweep);
+  }
+  
+  /**
+   * Load a sweep configuration into the primary run and restart it
+   * @param {Object} cell - Sweep cell {learningRate, momentum, ...}
+   */
+  loadSweepCell(cell) {
+    if (!this.optimizer) return;
+    
+    // Momentum picks the update rule, so a momentum sweep rebuilds the optimizer
+    if (this.sweep && this.sweep.momenta.length > 1) {
+      this.options.momentum = cell.momentum;
+      this.buildRunOptimizer(this.runs[0]);
+    }
+    this.options.learningRate = cell.learningRate;
+    this.optimizer.config.learningRate = cell.learningRate;
+    this.reset();
+    this.updateLearningRateDisplay();
+  }
+  
+  /**
+   * Toggle the line search trial overlay (2D mode only)
+   * @param {boolean} show - Whether to draw the latest search ray and trial points
+   */
+  setLineSearchVisibility(show) {
+    this.options.showLineSearch = show;
+    if (this.visualizer && this.visualizer.setLineSearchVisibility) {
+      this.visualizer.setLineSearchVisibility(show);
+    }
+  }
+  
   /**
    * Start animation
    */
@@ -559,25 +1731,48 @@ export class GradientDescentVisualizer {
   }
   
   /**
-   * Perform single step
+   * Perform single step on every run in lockstep
+   * @returns {Object} Primary run's step result
    */
   step() {
     if (!this.optimizer) return;
     
-    const result = this.optimizer.step();
-    this.updateVisualization();
-    this.updateStats();
+    // Stepping continues from the latest state, so leave a scrubbed iteration first
+    if (this.scrubIteration !== null) {
+      this.scrubTo(null);
+    }
+    
+    const wasRunning = this.runs.map(run => run.optimizer.status === 'running');
+    // Every run's state after the step, shared by the plot, the panels and the callbacks
+    const runStates = this.labelRunStates(this.runs.map(run => run.optimizer.step()));
+    const result = runStates[0].state;
+    this.updateVisualization(runStates);
+    this.updateStats(runStates);
+    
+    // Report runs that diverged on this step
+    if (this.onDivergence) {
+      runStates.forEach(({ id, label, state }, index) => {
+        if (wasRunning[index] && state.status === 'diverged') {
+          this.onDivergence(state, { id, label });
+        }
+      });
+    }
     
-    // Call step callback
+    // Call step callback with the primary result and every run's state
     if (this.onStep) {
-      this.onStep(result);
+      this.onStep(result, runStates);
     }
     
-    // Check for convergence
-    if (this.optimizer.converged) {
+    // Stop once every run has converged, diverged, stalled or exhausted its iterations or epochs
+    const finished = this.runs.every(run => run.optimizer.isFinished());
+    
+    if (finished) {
       this.pause();
-      if (this.onConvergence) {
-        this.onConvergence(this.optimizer.getStatistics());
+      if (this.onConvergence && this.runs.some(run => run.optimizer.converged)) {
+        this.onConvergence(
+          this.optimizer.getStatistics(),
+          this.runs.map(run => ({ id: run.id, label: this.getRunLabel(run), statistics: run.optimizer.getStatistics() }))
+        );
       }
     }
     
@@ -590,17 +1785,18 @@ export class GradientDescentVisualizer {
   reset() {
     this.pause();
     
-    if (this.optimizer) {
-      this.optimizer.initialize(
-        this.options.initialPosition.x,
-        this.options.initialPosition.y
-      );
-    }
+    this.runs.forEach(run => {
+      if (!run.optimizer) return;
+      const start = run.primary ? this.options.initialPosition : run.startPosition;
+      run.optimizer.initialize(start.x, start.y);
+    });
+    this.scrubIteration = null;
     
     if (this.visualizer) {
       this.visualizer.reset();
       this.updateVisualization();
     }
+    this.updateBasinMap();
     
     this.updateStats();
   }
@@ -623,36 +1819,238 @@ export class GradientDescentVisualizer {
   
   /**
    * Update visualization with current state
+   * @param {Array|null} runStates - Current state of every run, null to read them with getRunStates()
    */
-  updateVisualization() {
+  updateVisualization(runStates = null) {
     if (this.visualizer && this.optimizer) {
-      const state = this.optimizer.getCurrentState();
-      this.visualizer.updateVisualization(state);
+      const states = runStates || this.getRunStates();
+      this.visualizer.updateRuns(states);
       
-      // Call state change callback
+      // Call state change callback with the primary run's state
       if (this.onStateChange) {
-        this.onStateChange(state);
+        this.onStateChange(states[0].state);
       }
     }
   }
   
   /**
    * Update statistics display
+   * @param {Array|null} runStates - State of every run after the step just taken, appended to the
+   *   history chart; null to read them with getRunStates() and chart every run's history anew
    */
-  updateStats() {
-    if (!this.optimizer || !this.options.showControls) return;
+  updateStats(runStates = null) {
+    if (!this.optimizer) return;
     
-    const state = this.optimizer.getCurrentState();
+    this.updateHistoryChart(runStates);
+    if (!this.options.showControls) return;
+    
+    const states = runStates || this.getRunStates();
+    const { state } = states[0];
     
     const iterationEl = document.getElementById('gd-iteration');
     const functionValueEl = document.getElementById('gd-function-value');
     const gradientNormEl = document.getElementById('gd-gradient-norm');
-    const convergedEl = document.getElementById('gd-converged');
+    const epochEl = document.getElementById('gd-epoch');
+    const learningRateEl = document.getElementById('gd-effective-learning-rate');
+    const basinEl = document.getElementById('gd-basin');
+    const orderEl = document.getElementById('gd-convergence-order');
+    const statusEl = document.getElementById('gd-status');
     
     if (iterationEl) iterationEl.textContent = state.iteration;
     if (functionValueEl) functionValueEl.textContent = state.functionValue.toFixed(6);
     if (gradientNormEl) gradientNormEl.textContent = state.gradientMagnitude.toFixed(6);
-    if (convergedEl) convergedEl.textContent = state.converged ? 'Yes' : 'No';
+    if (epochEl) epochEl.textContent = state.epoch;
+    if (learningRateEl) learningRateEl.textContent = Number(state.learningRate.toPrecision(4));
+    if (basinEl) basinEl.textContent = this.describeBasin(state);
+    if (orderEl) orderEl.textContent = this.describeConvergenceOrder(this.optimizer.getStatistics());
+    if (statusEl) this.renderStatusBadge(statusEl, state);
+    
+    this.updateRunStats(states);
+  }
+  
+  /**
+   * Update the per-run statistics table (shown only while racing)
+   * @param {Array} runStates - Current state of every run, from getRunStates()
+   */
+  updateRunStats(runStates) {
+    const table = document.getElementById('gd-run-stats');
+    if (!table) return;
+    
+    table.innerHTML = '';
+    if (this.runs.length < 2) return;
+    
+    const header = table.insertRow();
+    ['Run', 'Iteration', 'Function Value', 'Gradient Norm', 'Basin', 'Status'].forEach(title => {
+      const th = document.createElement('th');
+      th.textContent = title;
+      header.appendChild(th);
+    });
+    
+    for (const { label, color, state } of runStates) {
+      const row = table.insertRow();
+      
+      const nameCell = row.insertCell();
+      const swatch = document.createElement('span');
+      swatch.className = 'gd-run-swatch';
+      swatch.style.background = color;
+      nameCell.appendChild(swatch);
+      nameCell.appendChild(document.createTextNode(label));
+      
+      row.insertCell().textContent = state.iteration;
+      row.insertCell().textContent = state.functionValue.toFixed(6);
+      row.insertCell().textContent = state.gradientMagnitude.toFixed(6);
+      row.insertCell().textContent = this.describeBasin(state);
+      
+      const badge = document.createElement('span');
+      this.renderStatusBadge(badge, state);
+      row.insertCell().appendChild(badge);
+    }
+  }
+  
+  /**
+   * Chart the history of every run and sync the scrubber, creating the chart on first use
+   * @param {Array|null} runStates - State of every run after the step just taken, appended and
+   *   redrawn on the next animation frame; null to chart every run's history anew
+   */
+  updateHistoryChart(runStates = null) {
+    if (!this.historyContainer) return;
+    
+    if (runStates && this.historyChart) {
+      this.historyChart.appendStates(runStates.map(({ state }) => state));
+    } else {
+      if (!this.historyChart) {
+        const host = this.historyContainer.querySelector('#gd-history-chart');
+        this.historyChart = new HistoryChart(host, { logScale: this.options.historyLogScale });
+        this.historyChart.onScrub = (iteration) => this.scrubTo(iteration);
+      }
+      this.historyChart.setRuns(this.runs.map(run => ({
+        id: run.id,
+        label: this.getRunLabel(run),
+        color: run.color,
+        history: run.optimizer.history
+      })));
+    }
+    this.updateScrubber();
+  }
+  
+  /**
+   * Sync the scrubber slider and its readout with the shown iteration
+   */
+  updateScrubber() {
+    if (!this.historyContainer) return;
+    const scrubber = this.historyContainer.querySelector('#gd-history-scrubber');
+    const readout = this.historyContainer.querySelector('#gd-history-iteration');
+    const last = this.getLastIteration();
+    
+    if (scrubber) {
+      scrubber.max = last;
+      scrubber.value = this.scrubIteration === null ? last : this.scrubIteration;
+    }
+    if (readout) {
+      readout.textContent = this.scrubIteration === null ? 'Live' : `${this.scrubIteration} / ${last}`;
+    }
+  }
+  
+  /**
+   * Last iteration recorded by any run
+   * @returns {number} Iteration
+   */
+  getLastIteration() {
+    return this.runs.reduce((last, run) => Math.max(last, run.optimizer.history.length - 1), 0);
+  }
+  
+  /**
+   * Show the runs as they were at a past iteration
+   * The marker moves to the recorded position and the trail is replayed up to it; the optimizers
+   * keep their state, and the next step() continues from the latest iteration.
+   * @param {number|null} iteration - Iteration from optimizer.history, null (or the latest) to follow the runs again
+   */
+  scrubTo(iteration) {
+    if (!this.optimizer) return;
+    
+    const last = this.getLastIteration();
+    const target = iteration === null ? last : Math.max(0, Math.min(last, Math.round(iteration)));
+    this.scrubIteration = target < last ? target : null;
+    if (this.scrubIteration !== null) {
+      this.pause();
+    }
+    
+    if (this.visualizer) {
+      this.visualizer.reset();
+      for (let k = Math.max(0, target - this.visualizer.options.trailLength + 1); k <= target; k++) {
+        this.visualizer.updateRuns(this.getRunStates(k));
+      }
+    }
+    if (this.historyChart) {
+      this.historyChart.setCursor(this.scrubIteration);
+    }
+    this.updateScrubber();
+  }
+  
+  /**
+   * Switch the history charts between log and linear value axes
+   * @param {boolean} logScale - Whether to use log scales
+   */
+  setHistoryLogScale(logScale) {
+    this.options.historyLogScale = logScale;
+    if (this.historyChart) {
+      this.historyChart.setLogScale(logScale);
+    }
+  }
+  
+  /**
+   * Show an optimizer status in a badge element
+   * @param {HTMLElement} element - Badge element
+   * @param {Object} state - Optimizer state with status and statusReason
+   */
+  renderStatusBadge(element, state) {
+    element.className = `gd-status-badge gd-status-${state.status}`;
+    element.textContent = this.describeStatus(state);
+  }
+  
+  /**
+   * Describe the status of a run
+   * @param {Object} state - Optimizer state with status and statusReason
+   * @returns {string} Status with its reason, e.g. 'Diverged (NaN/Infinity)'
+   */
+  describeStatus(state) {
+    const label = STATUS_LABELS[state.status];
+    if (!state.statusReason) return label;
+    
+    // Stopping rules that fired together are joined with ' + '
+    const reasons = state.statusReason.split(' + ').map(reason => STATUS_REASON_LABELS[reason] || reason);
+    return `${label} (${reasons.join(' + ')})`;
+  }
+  
+  /**
+   * Describe the empirical convergence order of a run
+   * @param {Object} statistics - Optimizer statistics from getStatistics()
+   * @returns {string} e.g. 'q ≈ 1.00, μ ≈ 0.800', or '-' before there are enough steps
+   */
+  describeConvergenceOrder(statistics) {
+    if (!statistics || statistics.convergenceOrder === null) return '-';
+    return `q ≈ ${statistics.convergenceOrder.toFixed(2)}, μ ≈ ${statistics.convergenceRate.toPrecision(3)}`;
+  }
+  
+  /**
+   * Describe the basin of attraction a run ended in
+   * findBasin() runs a full descent, so it waits until the run has stopped and each end point is
+   * only looked up once.
+   * @param {Object} state - Optimizer state with position and status
+   * @returns {string} Critical point that descent from the end point reaches, 'Unknown', or '-' while running
+   */
+  describeBasin(state) {
+    if (state.status === 'running') return '-';
+    
+    const key = `${state.position.x},${state.position.y}`;
+    if (!this.basinLabels.has(key)) {
+      const basin = findBasin(this.currentFunction, state.position);
+      const label = basin ?
+        `${BASIN_LABELS[basin.point.type]} (${basin.point.x.toFixed(2)}, ${basin.point.y.toFixed(2)})` :
+        'Unknown';
+      this.basinLabels.set(key, label);
+    }
+    return this.basinLabels.get(key);
   }
   
   /**
@@ -676,7 +2074,18 @@ export class GradientDescentVisualizer {
    * @returns {Object} Complete optimization data
    */
   exportData() {
-    return this.optimizer ? this.optimizer.exportData() : null;
+    if (!this.optimizer) return null;
+    
+    const data = this.optimizer.exportData();
+    if (this.runs.length > 1) {
+      data.runs = this.runs.map(run => ({
+        id: run.id,
+        label: this.getRunLabel(run),
+        color: run.color,
+        ...run.optimizer.exportData()
+      }));
+    }
+    return data;
   }
   
   /**
@@ -685,6 +2094,21 @@ export class GradientDescentVisualizer {
   destroy() {
     this.pause();
     
+    if (this.basinMapper) {
+      this.basinMapper.destroy();
+      this.basinMapper = null;
+    }
+    
+    this.cancelSweep();
+    if (this.sweepChart) {
+      this.sweepChart.destroy();
+      this.sweepChart = null;
+    }
+    if (this.historyChart) {
+      this.historyChart.destroy();
+      this.historyChart = null;
+    }
+    
     if (this.visualizer) {
       this.visualizer.destroy();
     }
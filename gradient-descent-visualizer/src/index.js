@@ -16,19 +16,157 @@ export {
   rastrigin,
   CustomFunction,
   getBuiltInFunctions,
+  getCriticalPoints,
+  getAxisBounds,
+  findCriticalPoints,
+  inspectPoint,
+  findBasin,
   mathUtils
 } from './math/functions.js';
 
+export {
+  himmelblau,
+  beale,
+  booth,
+  matyas,
+  ackley,
+  goldsteinPrice,
+  threeHumpCamel,
+  sixHumpCamel,
+  styblinskiTang,
+  levi13,
+  easom,
+  saddle,
+  monkeySaddle,
+  benchmarkFunctions
+} from './math/benchmarks.js';
+
+export {
+  parseExpression,
+  compileExpression,
+  ExpressionSyntaxError
+} from './math/expression.js';
+
+export {
+  differentiate,
+  simplify,
+  formatExpression,
+  symbolicDerivatives
+} from './math/symbolic.js';
+
+export {
+  ad,
+  Dual,
+  autodiff,
+  createAutodiffFunction,
+  checkGradient
+} from './math/autodiff.js';
+
+export {
+  mulberry32,
+  hashSeed,
+  createRandom
+} from './math/random.js';
+
+export {
+  createLinearDataset,
+  createLogisticDataset,
+  createDatasetObjective,
+  createBatchSampler,
+  linearRegression,
+  logisticRegression
+} from './math/datasets.js';
+
+export {
+  armijo,
+  wolfe,
+  exact,
+  getLineSearches
+} from './math/lineSearch.js';
+
+export {
+  constant,
+  stepDecay,
+  exponential,
+  inverseTime,
+  cosine,
+  cosineRestarts,
+  warmup,
+  oneCycle,
+  cyclical,
+  chain,
+  sequence,
+  createSchedule,
+  scheduleFactories
+} from './math/schedules.js';
+
+export {
+  gradientNorm,
+  absoluteChange,
+  relativeChange,
+  stepSize,
+  distanceToMinimum,
+  plateau,
+  timeBudget,
+  anyOf,
+  allOf,
+  createStoppingCriterion,
+  stoppingFactories,
+  estimateConvergence
+} from './math/convergence.js';
+
 export {
   GradientDescentOptimizer,
   createOptimizer,
+  optimizerPresets,
   optimizationUtils,
-  defaultConfig
+  defaultConfig,
+  OPTIMIZER_STATUSES
 } from './math/gradientDescent.js';
 
+export {
+  isNonFinite,
+  detectDivergence,
+  isOscillating,
+  DIVERGENCE_REASONS
+} from './math/divergence.js';
+
+export {
+  createBasinMap,
+  computeBasinRows,
+  BASIN_PENDING,
+  BASIN_DIVERGED,
+  BASIN_UNRESOLVED
+} from './math/basins.js';
+
+export {
+  logSpace,
+  createSweep,
+  runSweepCell,
+  computeSweepCells,
+  divergenceOnset
+} from './math/sweep.js';
+
+export {
+  sgd,
+  momentum,
+  nesterov,
+  adagrad,
+  rmsprop,
+  adadelta,
+  adam,
+  adamw,
+  newton,
+  dampedNewton,
+  bfgs,
+  lbfgs,
+  getOptimizerRules
+} from './math/optimizers.js';
+
 // Visualization components
 export { Visualizer2D } from './visualization/Visualizer2D.js';
 export { Visualizer3D } from './visualization/Visualizer3D.js';
+export { HistoryChart, historySeries, HISTORY_METRICS } from './visualization/HistoryChart.js';
 
 /**
  * Quick setup function for easy integration
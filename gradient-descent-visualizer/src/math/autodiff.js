@@ -0,0 +1,306 @@
+/**
+ * Forward-mode automatic differentiation with dual numbers
+ * Write an objective once against the `ad` math API and get its exact gradient,
+ * Hessian and Hessian-vector products. The same code evaluates plain numbers at full speed.
+ *
+ *   import { ad, createAutodiffFunction } from 'gradient-descent-visualizer';
+ *
+ *   const himmelblau = createAutodiffFunction(
+ *     (x, y) => ad.add(ad.pow(ad.sub(ad.add(ad.mul(x, x), y), 11), 2),
+ *                      ad.pow(ad.sub(ad.add(x, ad.mul(y, y)), 7), 2)),
+ *     { name: 'Himmelblau', bounds: { min: -5, max: 5 } }
+ *   );
+ */
+
+import { getAxisBounds } from './functions.js';
+
+/**
+ * Dual number re + eps·ε with ε² = 0
+ * Components may themselves be duals, which gives second derivatives (forward-over-forward).
+ */
+export class Dual {
+  /**
+   * @param {number|Dual} re - Real part
+   * @param {number|Dual} eps - Infinitesimal part
+   */
+  constructor(re, eps = 0) {
+    this.re = re;
+    this.eps = eps;
+  }
+}
+
+const isDual = (value) => value instanceof Dual;
+const lift = (value) => (isDual(value) ? value : new Dual(value, 0));
+
+/**
+ * Build a unary operation from a function and its derivative, both generic over duals
+ * @param {Function} f - Plain implementation
+ * @param {Function} derivative - Generic derivative f'(u)
+ * @returns {Function} Generic unary operation
+ */
+const unary = (f, derivative) => {
+  const op = (a) => {
+    if (!isDual(a)) return f(a);
+    return new Dual(op(a.re), ad.mul(derivative(a.re), a.eps));
+  };
+  return op;
+};
+
+/**
+ * Math API accepting numbers or dual numbers
+ */
+export const ad = {
+  add: (a, b) => {
+    if (!isDual(a) && !isDual(b)) return a + b;
+    const A = lift(a);
+    const B = lift(b);
+    return new Dual(ad.add(A.re, B.re), ad.add(A.eps, B.eps));
+  },
+  
+  sub: (a, b) => {
+    if (!isDual(a) && !isDual(b)) return a - b;
+    const A = lift(a);
+    const B = lift(b);
+    return new Dual(ad.sub(A.re, B.re), ad.sub(A.eps, B.eps));
+  },
+  
+  mul: (a, b) => {
+    if (!isDual(a) && !isDual(b)) return a * b;
+    const A = lift(a);
+    const B = lift(b);
+    return new Dual(ad.mul(A.re, B.re), ad.add(ad.mul(A.re, B.eps), ad.mul(A.eps, B.re)));
+  },
+  
+  div: (a, b) => {
+    if (!isDual(a) && !isDual(b)) return a / b;
+    const A = lift(a);
+    const B = lift(b);
+    return new Dual(
+      ad.div(A.re, B.re),
+      ad.div(ad.sub(ad.mul(A.eps, B.re), ad.mul(A.re, B.eps)), ad.mul(B.re, B.re))
+    );
+  },
+  
+  neg: (a) => ad.sub(0, a),
+  
+  /**
+   * Power a^b; a constant exponent uses the power rule, otherwise exp(b·log a)
+   * @param {number|Dual} a - Base
+   * @param {number|Dual} b - Exponent
+   * @returns {number|Dual} Result
+   */
+  pow: (a, b) => {
+    if (!isDual(a) && !isDual(b)) return Math.pow(a, b);
+    if (!isDual(b)) {
+      return new Dual(ad.pow(a.re, b), ad.mul(ad.mul(b, ad.pow(a.re, b - 1)), a.eps));
+    }
+    return ad.exp(ad.mul(b, ad.log(a)));
+  },
+  
+  sin: unary(Math.sin, (u) => ad.cos(u)),
+  cos: unary(Math.cos, (u) => ad.neg(ad.sin(u))),
+  tan: unary(Math.tan, (u) => ad.div(1, ad.pow(ad.cos(u), 2))),
+  atan: unary(Math.atan, (u) => ad.div(1, ad.add(1, ad.mul(u, u)))),
+  sinh: unary(Math.sinh, (u) => ad.cosh(u)),
+  cosh: unary(Math.cosh, (u) => ad.sinh(u)),
+  tanh: unary(Math.tanh, (u) => ad.sub(1, ad.pow(ad.tanh(u), 2))),
+  exp: unary(Math.exp, (u) => ad.exp(u)),
+  log: unary(Math.log, (u) => ad.div(1, u)),
+  sqrt: unary(Math.sqrt, (u) => ad.div(0.5, ad.sqrt(u))),
+  abs: unary(Math.abs, (u) => Math.sign(ad.real(u))),
+  
+  /**
+   * Plain numeric part of a value
+   * @param {number|Dual} a - Value
+   * @returns {number} Real part
+   */
+  real: (a) => (isDual(a) ? ad.real(a.re) : a),
+  
+  PI: Math.PI,
+  E: Math.E
+};
+
+/**
+ * Extract the ε-coefficient of a result, treating plain numbers as constants
+ * @param {number|Dual} value - Result
+ * @returns {number|Dual} Infinitesimal part
+ */
+const epsilonPart = (value) => (isDual(value) ? value.eps : 0);
+
+/**
+ * Real part one nesting level down
+ * @param {number|Dual} value - Result
+ * @returns {number|Dual} Real part
+ */
+const realPart = (value) => (isDual(value) ? value.re : value);
+
+/**
+ * Create a differentiator for an objective written against the `ad` API
+ * @param {Function} valueFunction - (x, y) => number, built from ad operations
+ * @returns {Object} { value, gradient, directionalDerivative, hessianVectorProduct, hessian }
+ */
+export function autodiff(valueFunction) {
+  /**
+   * Evaluate along the direction (vx, vy) through one dual pass
+   * @returns {number|Dual} Dual result
+   */
+  const seed = (x, y, vx, vy) => valueFunction(new Dual(x, vx), new Dual(y, vy));
+  
+  /**
+   * Second-order pass: inner ε1 along v, outer ε2 along u
+   * The ε1ε2 coefficient is uᵀHv.
+   */
+  const seed2 = (x, y, v, u) => valueFunction(
+    new Dual(new Dual(x, v.x), new Dual(u.x, 0)),
+    new Dual(new Dual(y, v.y), new Dual(u.y, 0))
+  );
+  
+  const api = {
+    value: (x, y) => valueFunction(x, y),
+    
+    /**
+     * Directional derivative ∇f·v
+     * @param {number} x - x coordinate
+     * @param {number} y - y coordinate
+     * @param {Object} v - Direction {x, y}
+     * @returns {number} Directional derivative
+     */
+    directionalDerivative: (x, y, v) => epsilonPart(seed(x, y, v.x, v.y)),
+    
+    /**
+     * Exact gradient (two forward passes)
+     * @param {number} x - x coordinate
+     * @param {number} y - y coordinate
+     * @returns {Object} Gradient vector {dx, dy}
+     */
+    gradient: (x, y) => ({
+      dx: epsilonPart(seed(x, y, 1, 0)),
+      dy: epsilonPart(seed(x, y, 0, 1))
+    }),
+    
+    /**
+     * Hessian-vector product Hv (two second-order forward passes)
+     * @param {number} x - x coordinate
+     * @param {number} y - y coordinate
+     * @param {Object} v - Vector {x, y}
+     * @returns {Object} Product {x, y}
+     */
+    hessianVectorProduct: (x, y, v) => ({
+      x: epsilonPart(epsilonPart(seed2(x, y, v, { x: 1, y: 0 }))),
+      y: epsilonPart(epsilonPart(seed2(x, y, v, { x: 0, y: 1 })))
+    }),
+    
+    /**
+     * Exact Hessian (three second-order passes, using symmetry)
+     * @param {number} x - x coordinate
+     * @param {number} y - y coordinate
+     * @returns {Object} Hessian entries {dxx, dxy, dyy}
+     */
+    hessian: (x, y) => {
+      const ex = { x: 1, y: 0 };
+      const ey = { x: 0, y: 1 };
+      return {
+        dxx: epsilonPart(epsilonPart(seed2(x, y, ex, ex))),
+        dxy: epsilonPart(epsilonPart(seed2(x, y, ex, ey))),
+        dyy: epsilonPart(epsilonPart(seed2(x, y, ey, ey)))
+      };
+    }
+  };
+  
+  /**
+   * Check that the value function propagates dual numbers
+   * (code using Math.* directly silently turns them into NaN)
+   * @param {number} x - x coordinate to probe
+   * @param {number} y - y coordinate to probe
+   * @returns {boolean} True if derivatives can be taken
+   */
+  api.supportsDuals = (x = 0, y = 0) => {
+    try {
+      const result = seed(x, y, 1, 1);
+      return isDual(result) && !Number.isNaN(ad.real(realPart(result)));
+    } catch (error) {
+      return false;
+    }
+  };
+  
+  return api;
+}
+
+/**
+ * Build a complete optimization function object from an `ad`-based value function
+ * @param {Function} valueFunction - (x, y) => number, built from ad operations
+ * @param {Object} metadata - name, description, bounds, globalMinimum, recommendedLearningRate
+ * @returns {Object} Function object usable with setFunction()
+ */
+export function createAutodiffFunction(valueFunction, metadata = {}) {
+  const derivatives = autodiff(valueFunction);
+  
+  return {
+    name: 'Autodiff Function',
+    description: 'User-defined function with automatic differentiation',
+    bounds: { min: -5, max: 5 },
+    recommendedLearningRate: 0.01,
+    ...metadata,
+    value: derivatives.value,
+    gradient: derivatives.gradient,
+    hessian: derivatives.hessian,
+    hessianVectorProduct: derivatives.hessianVectorProduct
+  };
+}
+
+/**
+ * Compare a function's gradient() against a reference gradient over its bounds
+ * The reference is automatic differentiation when value() is written against the `ad` API,
+ * and central finite differences otherwise.
+ * @param {Object} func - Function object with value(), gradient() and bounds
+ * @param {Object} options - { samples: grid points per axis, tolerance: allowed relative error }
+ * @returns {Object} { ok, reference, maxError, worst, samples }
+ */
+export function checkGradient(func, options = {}) {
+  const { samples = 15, tolerance = 1e-6, h = 1e-6 } = options;
+  const { x: xBounds, y: yBounds } = getAxisBounds(func);
+  const derivatives = autodiff((x, y) => func.value(x, y));
+  const useAutodiff = derivatives.supportsDuals((xBounds.min + xBounds.max) / 2, (yBounds.min + yBounds.max) / 2);
+  
+  const referenceGradient = useAutodiff ?
+    derivatives.gradient :
+    (x, y) => ({
+      dx: (func.value(x + h, y) - func.value(x - h, y)) / (2 * h),
+      dy: (func.value(x, y + h) - func.value(x, y - h)) / (2 * h)
+    });
+  
+  // Relative error, absolute near zero
+  const errorOf = (actual, expected) => Math.abs(actual - expected) / Math.max(1, Math.abs(expected));
+  
+  let worst = null;
+  const xStep = (xBounds.max - xBounds.min) / (samples - 1);
+  const yStep = (yBounds.max - yBounds.min) / (samples - 1);
+  
+  for (let i = 0; i < samples; i++) {
+    for (let j = 0; j < samples; j++) {
+      const x = xBounds.min + i * xStep;
+      const y = yBounds.min + j * yStep;
+      const expected = referenceGradient(x, y);
+      const actual = func.gradient(x, y);
+      
+      if (!Number.isFinite(expected.dx) || !Number.isFinite(expected.dy)) continue;
+      
+      const error = Math.max(errorOf(actual.dx, expected.dx), errorOf(actual.dy, expected.dy));
+      if (!worst || !(error <= worst.error)) {
+        worst = { x, y, expected, actual, error: Number.isNaN(error) ? Infinity : error };
+      }
+    }
+  }
+  
+  // Finite differences carry their own truncation error
+  const allowed = useAutodiff ? tolerance : Math.max(tolerance, 1e-4);
+  const maxError = worst ? worst.error : 0;
+  
+  return {
+    ok: maxError <= allowed,
+    reference: useAutodiff ? 'autodiff' : 'finite-difference',
+    maxError,
+    worst,
+    samples: samples * samples
+  };
+}
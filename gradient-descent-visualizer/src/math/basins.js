@@ -0,0 +1,147 @@
+/**
+ * Basin-of-attraction maps
+ * Runs an optimizer from the centre of every cell of a start-point grid and records where each
+ * run ended: which annotated critical point it reached, how many iterations it took, or whether
+ * it diverged. Cells are stored column by column in typed arrays, cell k = i * resolution + j at
+ * x = x_min + (i + 0.5)·width / resolution, y = y_min + (j + 0.5)·height / resolution.
+ * Minima that are not annotated (most of Rastrigin's, any custom function's) are added to the
+ * map's points as runs converge to them, so every attractor gets its own outcome.
+ */
+
+import { GradientDescentOptimizer } from './gradientDescent.js';
+
+/**
+ * Outcome of a cell whose run has not been computed yet
+ */
+export const BASIN_PENDING = -3;
+
+/**
+ * Outcome of a run the optimizer stopped as diverged
+ */
+export const BASIN_DIVERGED = -2;
+
+/**
+ * Outcome of a run that stopped without converging, away from every known critical point
+ */
+export const BASIN_UNRESOLVED = -1;
+
+/**
+ * Largest distance to a critical point, relative to the axis ranges, that counts as reaching it
+ * Also the distance within which converged end points are merged into one discovered minimum.
+ */
+const CAPTURE_RADIUS = 0.02;
+
+/**
+ * Create an empty basin map with every cell pending
+ * @param {Object} bounds - Start-point region {x: {min, max}, y: {min, max}}
+ * @param {number} resolution - Cells per axis
+ * @param {Array} points - Known critical points, from getCriticalPoints(); outcomes index this list
+ * @param {number} maxIterations - Iteration limit of the runs
+ * @returns {Object} { bounds, resolution, points, maxIterations, outcomes: Int16Array, iterations: Uint32Array, rowsDone }
+ */
+export function createBasinMap(bounds, resolution, points, maxIterations) {
+  return {
+    bounds: { x: { ...bounds.x }, y: { ...bounds.y } },
+    resolution,
+    points: points.map(point => ({ ...point })),
+    maxIterations,
+    outcomes: new Int16Array(resolution * resolution).fill(BASIN_PENDING),
+    iterations: new Uint32Array(resolution * resolution),
+    rowsDone: 0
+  };
+}
+
+/**
+ * Start point at the centre of a cell
+ * @param {Object} map - Basin map
+ * @param {number} i - Column (x index)
+ * @param {number} j - Row (y index)
+ * @returns {Object} Position {x, y}
+ */
+export function basinCellCenter(map, i, j) {
+  const { bounds: { x: xBounds, y: yBounds }, resolution } = map;
+  return {
+    x: xBounds.min + (i + 0.5) * (xBounds.max - xBounds.min) / resolution,
+    y: yBounds.min + (j + 0.5) * (yBounds.max - yBounds.min) / resolution
+  };
+}
+
+/**
+ * Run an optimizer from one start point and classify where it ended
+ * A converged run that is not near any known point discovers a minimum, which is appended to
+ * map.points with type 'local-minimum' and found: true. A run counts as diverged when the optimizer
+ * stops it with status 'diverged', so the optimizer should have detectDivergence on.
+ * @param {GradientDescentOptimizer} optimizer - Optimizer to reuse; it is re-initialized at start
+ * @param {Object} start - Start position {x, y}
+ * @param {Object} map - Basin map supplying the bounds and critical points
+ * @returns {Object} { outcome: index into map.points, BASIN_DIVERGED or BASIN_UNRESOLVED, iterations }
+ */
+export function classifyRun(optimizer, start, map) {
+  const { x: xBounds, y: yBounds } = map.bounds;
+  const xWidth = xBounds.max - xBounds.min;
+  const yWidth = yBounds.max - yBounds.min;
+  
+  optimizer.initialize(start.x, start.y);
+  while (!optimizer.isFinished()) {
+    optimizer.step();
+  }
+  if (optimizer.status === 'diverged') {
+    return { outcome: BASIN_DIVERGED, iterations: optimizer.iteration };
+  }
+  
+  const { x, y } = optimizer.currentPosition;
+  let outcome = BASIN_UNRESOLVED;
+  let nearest = CAPTURE_RADIUS;
+  map.points.forEach((point, index) => {
+    const distance = Math.hypot((point.x - x) / xWidth, (point.y - y) / yWidth);
+    if (distance <= nearest) {
+      nearest = distance;
+      outcome = index;
+    }
+  });
+  
+  if (outcome === BASIN_UNRESOLVED && optimizer.converged) {
+    map.points.push({ x, y, value: optimizer.func.value(x, y), type: 'local-minimum', found: true });
+    outcome = map.points.length - 1;
+  }
+  return { outcome, iterations: optimizer.iteration };
+}
+
+/**
+ * Fill columns of a basin map in place
+ * Callers that must stay responsive compute a few columns at a time.
+ * @param {Object} func - Function object
+ * @param {Object} config - Optimizer configuration, as in GradientDescentOptimizer
+ * @param {Object} map - Basin map from createBasinMap()
+ * @param {number} from - First column (x index)
+ * @param {number} to - Column after the last one
+ */
+export function computeBasinRows(func, config, map, from = 0, to = map.resolution) {
+  // classifyRun() takes divergence from the optimizer's status
+  const optimizer = new GradientDescentOptimizer(func, { ...config, detectDivergence: true });
+  const { resolution } = map;
+  
+  for (let i = from; i < to; i++) {
+    for (let j = 0; j < resolution; j++) {
+      const { outcome, iterations } = classifyRun(optimizer, basinCellCenter(map, i, j), map);
+      map.outcomes[i * resolution + j] = outcome;
+      map.iterations[i * resolution + j] = iterations;
+    }
+  }
+  map.rowsDone = Math.max(map.rowsDone, to);
+}
+
+/**
+ * Whether an optimizer configuration is plain data that can be sent to a worker
+ * Custom rules, line searches and schedule objects carry functions and stay on their thread.
+ * @param {*} value - Configuration or part of it
+ * @returns {boolean} True for numbers, strings, booleans, null and arrays or plain objects of them
+ */
+export function isPlainData(value) {
+  if (value === null || ['number', 'string', 'boolean', 'undefined'].includes(typeof value)) return true;
+  if (Array.isArray(value)) return value.every(isPlainData);
+  if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.values(value).every(isPlainData);
+  }
+  return false;
+}
@@ -0,0 +1,542 @@
+/**
+ * Standard optimization test functions
+ * Each function follows the same shape as the classics in functions.js and adds:
+ *
+ *   minima: [{ x, y, value, global }] - every known local minimum inside the bounds,
+ *                                       global ones first
+ *   saddles: [{ x, y, value }]         - known saddle points inside the bounds
+ *   maxima: [{ x, y, value }]          - known local maxima inside the bounds
+ *   category: string                  - Grouping used by the function menu
+ *   xBounds / yBounds: { min, max }    - Per-axis ranges where the square bounds fit badly
+ *
+ * globalMinimum is the first entry of minima, or null for functions that are unbounded below.
+ */
+
+/**
+ * Calculate Hessian matrix of Himmelblau's function
+ * @param {number} x - x coordinate
+ * @param {number} y - y coordinate
+ * @returns {Object} Hessian entries {dxx, dxy, dyy}
+ */
+const himmelblauHessian = (x, y) => ({
+  dxx: 12 * x * x + 4 * y - 42,
+  dxy: 4 * (x + y),
+  dyy: 4 * x + 12 * y * y - 26
+});
+
+/**
+ * Himmelblau's function: f(x,y) = (x² + y - 11)² + (x + y² - 7)²
+ * Four global minima of equal value, one local maximum and four saddles
+ */
+export const himmelblau = {
+  name: 'Himmelblau',
+  description: 'Four equal minima: f(x,y) = (x² + y - 11)² + (x + y² - 7)²',
+  category: 'Multimodal',
+  
+  value: (x, y) => Math.pow(x * x + y - 11, 2) + Math.pow(x + y * y - 7, 2),
+  
+  gradient: (x, y) => {
+    const a = x * x + y - 11;
+    const b = x + y * y - 7;
+    return {
+      dx: 4 * x * a + 2 * b,
+      dy: 2 * a + 4 * y * b
+    };
+  },
+  
+  hessian: himmelblauHessian,
+  
+  bounds: { min: -5, max: 5 },
+  minima: [
+    { x: 3, y: 2, value: 0, global: true },
+    { x: -2.805118086952745, y: 3.131312518250573, value: 0, global: true },
+    { x: -3.779310253377747, y: -3.283185991286170, value: 0, global: true },
+    { x: 3.584428340330492, y: -1.848126526964404, value: 0, global: true }
+  ],
+  saddles: [
+    { x: 3.385154183607, y: 0.073851879838, value: 13.311926270406 },
+    { x: 0.086677504555, y: 2.884254701175, value: 67.719150087526 },
+    { x: -3.073025750764, y: -0.081353044288, value: 104.015162917558 },
+    { x: -0.127961346731, y: -1.953714980245, value: 178.337239201927 }
+  ],
+  maxima: [
+    { x: -0.270844590667, y: -0.923038556480, value: 181.616521522583 }
+  ],
+  globalMinimum: { x: 3, y: 2, value: 0 },
+  recommendedLearningRate: 0.01
+};
+
+/**
+ * Beale function: f(x,y) = (1.5 - x + xy)² + (2.25 - x + xy²)² + (2.625 - x + xy³)²
+ * Flat valleys and sharp ridges near the corners of the domain
+ */
+const BEALE_CONSTANTS = [1.5, 2.25, 2.625];
+
+export const beale = {
+  name: 'Beale',
+  description: 'Flat valleys with steep corners: f(x,y) = Σ (cᵢ - x + xyⁱ)², c = 1.5, 2.25, 2.625',
+  category: 'Valley',
+  
+  value: (x, y) => BEALE_CONSTANTS.reduce((sum, c, k) => sum + Math.pow(c - x + x * Math.pow(y, k + 1), 2), 0),
+  
+  gradient: (x, y) => {
+    let dx = 0;
+    let dy = 0;
+    BEALE_CONSTANTS.forEach((c, k) => {
+      const i = k + 1;
+      const residual = c - x + x * Math.pow(y, i);
+      dx += 2 * residual * (Math.pow(y, i) - 1);
+      dy += 2 * residual * i * x * Math.pow(y, i - 1);
+    });
+    return { dx, dy };
+  },
+  
+  hessian: (x, y) => {
+    let dxx = 0;
+    let dxy = 0;
+    let dyy = 0;
+    BEALE_CONSTANTS.forEach((c, k) => {
+      const i = k + 1;
+      const residual = c - x + x * Math.pow(y, i);
+      const rx = Math.pow(y, i) - 1;
+      const ry = i * x * Math.pow(y, i - 1);
+      dxx += 2 * rx * rx;
+      dxy += 2 * (rx * ry + residual * i * Math.pow(y, i - 1));
+      dyy += 2 * (ry * ry + (i > 1 ? residual * i * (i - 1) * x * Math.pow(y, i - 2) : 0));
+    });
+    return { dxx, dxy, dyy };
+  },
+  
+  bounds: { min: -4.5, max: 4.5 },
+  xBounds: { min: -4.5, max: 4.5 },
+  yBounds: { min: -3, max: 2 },
+  minima: [
+    { x: 3, y: 0.5, value: 0, global: true }
+  ],
+  saddles: [
+    { x: 0, y: 1, value: 14.203125 },
+    { x: 0.100537937324, y: -2.644513585023, value: 9.864512284756 }
+  ],
+  maxima: [],
+  globalMinimum: { x: 3, y: 0.5, value: 0 },
+  recommendedLearningRate: 0.001
+};
+
+/**
+ * Booth function: f(x,y) = (x + 2y - 7)² + (2x + y - 5)²
+ * Convex quadratic with a tilted, elongated bowl
+ */
+export const booth = {
+  name: 'Booth',
+  description: 'Tilted convex bowl: f(x,y) = (x + 2y - 7)² + (2x + y - 5)²',
+  category: 'Bowl',
+  
+  value: (x, y) => Math.pow(x + 2 * y - 7, 2) + Math.pow(2 * x + y - 5, 2),
+  
+  gradient: (x, y) => {
+    const a = x + 2 * y - 7;
+    const b = 2 * x + y - 5;
+    return {
+      dx: 2 * a + 4 * b,
+      dy: 4 * a + 2 * b
+    };
+  },
+  
+  hessian: () => ({ dxx: 10, dxy: 8, dyy: 10 }),
+  
+  bounds: { min: -10, max: 10 },
+  minima: [
+    { x: 1, y: 3, value: 0, global: true }
+  ],
+  saddles: [],
+  maxima: [],
+  globalMinimum: { x: 1, y: 3, value: 0 },
+  recommendedLearningRate: 0.05
+};
+
+/**
+ * Matyas function: f(x,y) = 0.26(x² + y²) - 0.48xy
+ * Convex but nearly flat along the diagonal (condition number 25)
+ */
+export const matyas = {
+  name: 'Matyas',
+  description: 'Flat diagonal valley: f(x,y) = 0.26(x² + y²) - 0.48xy',
+  category: 'Bowl',
+  
+  value: (x, y) => 0.26 * (x * x + y * y) - 0.48 * x * y,
+  
+  gradient: (x, y) => ({
+    dx: 0.52 * x - 0.48 * y,
+    dy: 0.52 * y - 0.48 * x
+  }),
+  
+  hessian: () => ({ dxx: 0.52, dxy: -0.48, dyy: 0.52 }),
+  
+  bounds: { min: -10, max: 10 },
+  minima: [
+    { x: 0, y: 0, value: 0, global: true }
+  ],
+  saddles: [],
+  maxima: [],
+  globalMinimum: { x: 0, y: 0, value: 0 },
+  recommendedLearningRate: 0.5
+};
+
+/**
+ * Ackley function: f(x,y) = -20exp(-0.2√(½(x² + y²))) - exp(½(cos 2πx + cos 2πy)) + e + 20
+ * Nearly flat outer region riddled with local minima around a deep central hole.
+ * The gradient is not defined at the origin; (0, 0) is returned there.
+ */
+export const ackley = {
+  name: 'Ackley',
+  description: 'Deep central hole in a bumpy plateau (only the global minimum is listed)',
+  category: 'Multimodal',
+  
+  value: (x, y) => {
+    const r = Math.sqrt(0.5 * (x * x + y * y));
+    const waves = 0.5 * (Math.cos(2 * Math.PI * x) + Math.cos(2 * Math.PI * y));
+    return -20 * Math.exp(-0.2 * r) - Math.exp(waves) + Math.E + 20;
+  },
+  
+  gradient: (x, y) => {
+    const r = Math.sqrt(0.5 * (x * x + y * y));
+    const radial = r > 0 ? 2 * Math.exp(-0.2 * r) / r : 0;
+    const waves = Math.PI * Math.exp(0.5 * (Math.cos(2 * Math.PI * x) + Math.cos(2 * Math.PI * y)));
+    return {
+      dx: radial * x + waves * Math.sin(2 * Math.PI * x),
+      dy: radial * y + waves * Math.sin(2 * Math.PI * y)
+    };
+  },
+  
+  bounds: { min: -5, max: 5 },
+  minima: [
+    { x: 0, y: 0, value: 0, global: true }
+  ],
+  globalMinimum: { x: 0, y: 0, value: 0 },
+  recommendedLearningRate: 0.01
+};
+
+/**
+ * Goldstein-Price function
+ * f(x,y) = [1 + (x+y+1)²(19 - 14x + 3x² - 14y + 6xy + 3y²)]·[30 + (2x-3y)²(18 - 32x + 12x² + 48y - 36xy + 27y²)]
+ * Values span several orders of magnitude; three local minima surround the global one.
+ */
+export const goldsteinPrice = {
+  name: 'Goldstein-Price',
+  description: 'Steep polynomial with four minima, global f(0,-1) = 3',
+  category: 'Multimodal',
+  
+  value: (x, y) => {
+    const u = x + y + 1;
+    const v = 2 * x - 3 * y;
+    const a = 1 + u * u * (19 - 14 * x + 3 * x * x - 14 * y + 6 * x * y + 3 * y * y);
+    const b = 30 + v * v * (18 - 32 * x + 12 * x * x + 48 * y - 36 * x * y + 27 * y * y);
+    return a * b;
+  },
+  
+  gradient: (x, y) => {
+    const u = x + y + 1;
+    const v = 2 * x - 3 * y;
+    const p = 19 - 14 * x + 3 * x * x - 14 * y + 6 * x * y + 3 * y * y;
+    const q = 18 - 32 * x + 12 * x * x + 48 * y - 36 * x * y + 27 * y * y;
+    const a = 1 + u * u * p;
+    const b = 30 + v * v * q;
+    
+    // ∂p/∂x = ∂p/∂y, so both partials of a coincide
+    const da = 2 * u * p + u * u * (-14 + 6 * x + 6 * y);
+    const dbx = 4 * v * q + v * v * (-32 + 24 * x - 36 * y);
+    const dby = -6 * v * q + v * v * (48 - 36 * x + 54 * y);
+    
+    return {
+      dx: da * b + a * dbx,
+      dy: da * b + a * dby
+    };
+  },
+  
+  bounds: { min: -2, max: 2.5 },
+  xBounds: { min: -1.5, max: 2.5 },
+  yBounds: { min: -2, max: 1.5 },
+  minima: [
+    { x: 0, y: -1, value: 3, global: true },
+    { x: -0.6, y: -0.4, value: 30, global: false },
+    { x: 1.8, y: 0.2, value: 84, global: false },
+    { x: 1.2, y: 0.8, value: 840, global: false }
+  ],
+  saddles: [
+    { x: -0.4, y: -0.6, value: 35 },
+    { x: 1.2, y: -0.2, value: 99 },
+    { x: 1.4, y: 0.6, value: 980 },
+    { x: 0.6, y: 0.4, value: 990 }
+  ],
+  maxima: [
+    { x: 0.8, y: 0.2, value: 1155 }
+  ],
+  globalMinimum: { x: 0, y: -1, value: 3 },
+  recommendedLearningRate: 0.000002
+};
+
+/**
+ * Three-hump camel function: f(x,y) = 2x² - 1.05x⁴ + x⁶/6 + xy + y²
+ * One global and two local minima
+ */
+export const threeHumpCamel = {
+  name: 'Three-Hump Camel',
+  description: 'Three minima: f(x,y) = 2x² - 1.05x⁴ + x⁶/6 + xy + y²',
+  category: 'Multimodal',
+  
+  value: (x, y) => 2 * x * x - 1.05 * Math.pow(x, 4) + Math.pow(x, 6) / 6 + x * y + y * y,
+  
+  gradient: (x, y) => ({
+    dx: 4 * x - 4.2 * Math.pow(x, 3) + Math.pow(x, 5) + y,
+    dy: x + 2 * y
+  }),
+  
+  hessian: (x) => ({
+    dxx: 4 - 12.6 * x * x + 5 * Math.pow(x, 4),
+    dxy: 1,
+    dyy: 2
+  }),
+  
+  bounds: { min: -2.5, max: 2.5 },
+  minima: [
+    { x: 0, y: 0, value: 0, global: true },
+    { x: -1.747552345830, y: 0.873776172915, value: 0.298638442237, global: false },
+    { x: 1.747552345830, y: -0.873776172915, value: 0.298638442237, global: false }
+  ],
+  saddles: [
+    { x: -1.070542291824, y: 0.535271145912, value: 0.877361557763 },
+    { x: 1.070542291824, y: -0.535271145912, value: 0.877361557763 }
+  ],
+  maxima: [],
+  globalMinimum: { x: 0, y: 0, value: 0 },
+  recommendedLearningRate: 0.05
+};
+
+/**
+ * Six-hump camel function: f(x,y) = (4 - 2.1x² + x⁴/3)x² + xy + (4y² - 4)y²
+ * Two global and four local minima
+ */
+export const sixHumpCamel = {
+  name: 'Six-Hump Camel',
+  description: 'Six minima: f(x,y) = (4 - 2.1x² + x⁴/3)x² + xy + (4y² - 4)y²',
+  category: 'Multimodal',
+  
+  value: (x, y) => (4 - 2.1 * x * x + Math.pow(x, 4) / 3) * x * x + x * y + (4 * y * y - 4) * y * y,
+  
+  gradient: (x, y) => ({
+    dx: 8 * x - 8.4 * Math.pow(x, 3) + 2 * Math.pow(x, 5) + y,
+    dy: x - 8 * y + 16 * Math.pow(y, 3)
+  }),
+  
+  hessian: (x, y) => ({
+    dxx: 8 - 25.2 * x * x + 10 * Math.pow(x, 4),
+    dxy: 1,
+    dyy: -8 + 48 * y * y
+  }),
+  
+  bounds: { min: -2, max: 2 },
+  minima: [
+    { x: 0.089842013100, y: -0.712656403021, value: -1.031628453490, global: true },
+    { x: -0.089842013100, y: 0.712656403021, value: -1.031628453490, global: true },
+    { x: -1.703606714970, y: 0.796083568673, value: -0.215463824384, global: false },
+    { x: 1.703606714970, y: -0.796083568673, value: -0.215463824384, global: false },
+    { x: -1.607104752920, y: -0.568651454884, value: 2.104250310311, global: false },
+    { x: 1.607104752920, y: 0.568651454884, value: 2.104250310311, global: false }
+  ],
+  saddles: [
+    { x: 0, y: 0, value: 0 },
+    { x: 1.109205336805, y: -0.768268092510, value: 0.543718600978 },
+    { x: -1.109205336805, y: 0.768268092510, value: 0.543718600978 },
+    { x: 1.638067984190, y: 0.228674069044, value: 2.229357197531 },
+    { x: -1.638067984190, y: -0.228674069044, value: 2.229357197531 },
+    { x: 1.296070267167, y: 0.605084388039, value: 2.229470818030 },
+    { x: -1.296070267167, y: -0.605084388039, value: 2.229470818030 }
+  ],
+  maxima: [
+    { x: 1.230229876517, y: 0.162334584459, value: 2.496295351024 },
+    { x: -1.230229876517, y: -0.162334584459, value: 2.496295351024 }
+  ],
+  globalMinimum: { x: 0.089842013100, y: -0.712656403021, value: -1.031628453490 },
+  recommendedLearningRate: 0.01
+};
+
+/**
+ * Styblinski-Tang function: f(x,y) = ½(x⁴ - 16x² + 5x + y⁴ - 16y² + 5y)
+ * Separable, with a minimum in each quadrant of the domain
+ */
+const STYBLINSKI_LOW = -2.903534027771;
+const STYBLINSKI_HIGH = 2.746802770991;
+const STYBLINSKI_PEAK = 0.156731256780;
+const styblinskiTangTerm = (t) => 0.5 * (Math.pow(t, 4) - 16 * t * t + 5 * t);
+const styblinskiTangPoint = ([x, y]) => ({ x, y, value: styblinskiTangTerm(x) + styblinskiTangTerm(y) });
+
+export const styblinskiTang = {
+  name: 'Styblinski-Tang',
+  description: 'Separable quartic with four minima: f(x,y) = ½Σ(t⁴ - 16t² + 5t)',
+  category: 'Multimodal',
+  
+  value: (x, y) => styblinskiTangTerm(x) + styblinskiTangTerm(y),
+  
+  gradient: (x, y) => ({
+    dx: 2 * Math.pow(x, 3) - 16 * x + 2.5,
+    dy: 2 * Math.pow(y, 3) - 16 * y + 2.5
+  }),
+  
+  hessian: (x, y) => ({
+    dxx: 6 * x * x - 16,
+    dxy: 0,
+    dyy: 6 * y * y - 16
+  }),
+  
+  bounds: { min: -5, max: 5 },
+  minima: [
+    [STYBLINSKI_LOW, STYBLINSKI_LOW],
+    [STYBLINSKI_LOW, STYBLINSKI_HIGH],
+    [STYBLINSKI_HIGH, STYBLINSKI_LOW],
+    [STYBLINSKI_HIGH, STYBLINSKI_HIGH]
+  ].map((point, i) => ({ ...styblinskiTangPoint(point), global: i === 0 })),
+  saddles: [
+    [STYBLINSKI_LOW, STYBLINSKI_PEAK],
+    [STYBLINSKI_PEAK, STYBLINSKI_LOW],
+    [STYBLINSKI_HIGH, STYBLINSKI_PEAK],
+    [STYBLINSKI_PEAK, STYBLINSKI_HIGH]
+  ].map(styblinskiTangPoint),
+  maxima: [styblinskiTangPoint([STYBLINSKI_PEAK, STYBLINSKI_PEAK])],
+  globalMinimum: {
+    x: STYBLINSKI_LOW,
+    y: STYBLINSKI_LOW,
+    value: 2 * styblinskiTangTerm(STYBLINSKI_LOW)
+  },
+  recommendedLearningRate: 0.01
+};
+
+/**
+ * Lévi function N.13
+ * f(x,y) = sin²(3πx) + (x-1)²(1 + sin²(3πy)) + (y-1)²(1 + sin²(2πy))
+ * Ripples with many local minima around the global one at (1, 1)
+ */
+export const levi13 = {
+  name: 'Lévi N.13',
+  description: 'Rippled bowl (only the global minimum is listed)',
+  category: 'Multimodal',
+  
+  value: (x, y) => {
+    const s3x = Math.sin(3 * Math.PI * x);
+    const s3y = Math.sin(3 * Math.PI * y);
+    const s2y = Math.sin(2 * Math.PI * y);
+    return s3x * s3x + Math.pow(x - 1, 2) * (1 + s3y * s3y) + Math.pow(y - 1, 2) * (1 + s2y * s2y);
+  },
+  
+  gradient: (x, y) => {
+    const s3y = Math.sin(3 * Math.PI * y);
+    const s2y = Math.sin(2 * Math.PI * y);
+    return {
+      dx: 3 * Math.PI * Math.sin(6 * Math.PI * x) + 2 * (x - 1) * (1 + s3y * s3y),
+      dy: 3 * Math.PI * Math.pow(x - 1, 2) * Math.sin(6 * Math.PI * y) +
+        2 * (y - 1) * (1 + s2y * s2y) +
+        2 * Math.PI * Math.pow(y - 1, 2) * Math.sin(4 * Math.PI * y)
+    };
+  },
+  
+  bounds: { min: -4, max: 6 },
+  minima: [
+    { x: 1, y: 1, value: 0, global: true }
+  ],
+  globalMinimum: { x: 1, y: 1, value: 0 },
+  recommendedLearningRate: 0.005
+};
+
+/**
+ * Easom function: f(x,y) = -cos(x)cos(y)exp(-((x-π)² + (y-π)²))
+ * A narrow well in an almost perfectly flat plane
+ */
+export const easom = {
+  name: 'Easom',
+  description: 'Needle-like well in a flat plane: f(x,y) = -cos x cos y e^-((x-π)² + (y-π)²)',
+  category: 'Plateau',
+  
+  value: (x, y) => -Math.cos(x) * Math.cos(y) * Math.exp(-(Math.pow(x - Math.PI, 2) + Math.pow(y - Math.PI, 2))),
+  
+  gradient: (x, y) => {
+    const envelope = Math.exp(-(Math.pow(x - Math.PI, 2) + Math.pow(y - Math.PI, 2)));
+    return {
+      dx: envelope * Math.cos(y) * (Math.sin(x) + 2 * (x - Math.PI) * Math.cos(x)),
+      dy: envelope * Math.cos(x) * (Math.sin(y) + 2 * (y - Math.PI) * Math.cos(y))
+    };
+  },
+  
+  bounds: { min: 0, max: 6.5 },
+  minima: [
+    { x: Math.PI, y: Math.PI, value: -1, global: true }
+  ],
+  globalMinimum: { x: Math.PI, y: Math.PI, value: -1 },
+  recommendedLearningRate: 0.1
+};
+
+/**
+ * Saddle: f(x,y) = x² - y²
+ * Unbounded below, with a saddle point at the origin
+ */
+export const saddle = {
+  name: 'Saddle',
+  description: 'Saddle point at the origin: f(x,y) = x² - y²',
+  category: 'Saddle',
+  
+  value: (x, y) => x * x - y * y,
+  
+  gradient: (x, y) => ({ dx: 2 * x, dy: -2 * y }),
+  
+  hessian: () => ({ dxx: 2, dxy: 0, dyy: -2 }),
+  
+  bounds: { min: -2, max: 2 },
+  minima: [],
+  saddles: [{ x: 0, y: 0, value: 0 }],
+  maxima: [],
+  globalMinimum: null,
+  recommendedLearningRate: 0.05
+};
+
+/**
+ * Monkey saddle: f(x,y) = x³ - 3xy²
+ * Degenerate saddle at the origin with three downhill valleys
+ */
+export const monkeySaddle = {
+  name: 'Monkey Saddle',
+  description: 'Degenerate saddle with three valleys: f(x,y) = x³ - 3xy²',
+  category: 'Saddle',
+  
+  value: (x, y) => Math.pow(x, 3) - 3 * x * y * y,
+  
+  gradient: (x, y) => ({
+    dx: 3 * x * x - 3 * y * y,
+    dy: -6 * x * y
+  }),
+  
+  hessian: (x, y) => ({ dxx: 6 * x, dxy: -6 * y, dyy: -6 * x }),
+  
+  bounds: { min: -2, max: 2 },
+  minima: [],
+  saddles: [{ x: 0, y: 0, value: 0 }],
+  maxima: [],
+  globalMinimum: null,
+  recommendedLearningRate: 0.05
+};
+
+/**
+ * Benchmark functions by registry key
+ */
+export const benchmarkFunctions = {
+  himmelblau,
+  beale,
+  booth,
+  matyas,
+  ackley,
+  goldsteinPrice,
+  threeHumpCamel,
+  sixHumpCamel,
+  styblinskiTang,
+  levi13,
+  easom,
+  saddle,
+  monkeySaddle
+};
@@ -0,0 +1,281 @@
+/**
+ * Stopping criteria and convergence diagnostics
+ * A stopping criterion looks at a run after every step and names the rules that say it
+ * should stop:
+ *
+ *   {
+ *     type: string,
+ *     params: Object,
+ *     check: ({ history, func, now }) => Array of fired rule types, or null
+ *   }
+ *
+ * `history` holds the recorded states oldest first, `func` is the objective and `now` the
+ * current performance.now() time. Like schedules, criteria are plain data plus a function, so
+ * specs such as [{ type: 'relativeChange', tolerance: 1e-9 }, 'plateau'] serialize with
+ * JSON.stringify and can be rebuilt with createStoppingCriterion(). anyOf() and allOf() combine them.
+ */
+
+import { getCriticalPoints } from './functions.js';
+
+/**
+ * Status a fired rule gives the run; rules not listed here mean it converged
+ */
+const CRITERION_STATUSES = {
+  plateau: 'stalled',
+  timeBudget: 'maxIterations'
+};
+
+/**
+ * Pairs of consecutive step lengths the convergence estimate is fitted to
+ */
+const ESTIMATE_WINDOW = 10;
+
+/**
+ * Build a criterion that fires when a test passes
+ * @param {string} type - Rule type (key in stoppingFactories)
+ * @param {Object} params - Resolved parameters
+ * @param {Function} test - (context) => boolean
+ * @returns {Object} Stopping criterion
+ */
+const criterion = (type, params, test) => ({
+  type,
+  params,
+  check: (context) => (test(context) ? [type] : null)
+});
+
+/**
+ * Latest recorded state
+ * @param {Array} history - Recorded states
+ * @returns {Object} Last state
+ */
+const latest = (history) => history[history.length - 1];
+
+/**
+ * Distance between two positions
+ * @param {Object} a - Position {x, y}
+ * @param {Object} b - Position {x, y}
+ * @returns {number} Euclidean distance
+ */
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * Gradient norm below a tolerance (the classic criterion, and the default)
+ * @param {Object} params - { tolerance }
+ * @returns {Object} Stopping criterion
+ */
+export const gradientNorm = ({ tolerance = 1e-6 } = {}) =>
+  criterion('gradientNorm', { tolerance }, ({ history }) => latest(history).gradientMagnitude < tolerance);
+
+/**
+ * Last step changed the loss by less than a tolerance: |f_k − f_(k−1)| < tolerance
+ * @param {Object} params - { tolerance }
+ * @returns {Object} Stopping criterion
+ */
+export const absoluteChange = ({ tolerance = 1e-10 } = {}) =>
+  criterion('absoluteChange', { tolerance }, ({ history }) => history.length > 1 &&
+    Math.abs(latest(history).functionValue - history[history.length - 2].functionValue) < tolerance);
+
+/**
+ * Last step changed the loss by less than a fraction of its size: |f_k − f_(k−1)| < tolerance · |f_(k−1)|
+ * @param {Object} params - { tolerance }
+ * @returns {Object} Stopping criterion
+ */
+export const relativeChange = ({ tolerance = 1e-8 } = {}) =>
+  criterion('relativeChange', { tolerance }, ({ history }) => {
+    if (history.length < 2) return false;
+    const previous = history[history.length - 2].functionValue;
+    return Math.abs(latest(history).functionValue - previous) < tolerance * Math.abs(previous);
+  });
+
+/**
+ * Last step moved less than a tolerance
+ * @param {Object} params - { tolerance }
+ * @returns {Object} Stopping criterion
+ */
+export const stepSize = ({ tolerance = 1e-8 } = {}) =>
+  criterion('stepSize', { tolerance }, ({ history }) => history.length > 1 &&
+    distance(latest(history).position, history[history.length - 2].position) < tolerance);
+
+/**
+ * Within a tolerance of a known minimum
+ * @param {Object} params - { tolerance, point }, where point {x, y} defaults to the function's
+ *   annotated minima (the rule never fires on functions without any)
+ * @returns {Object} Stopping criterion
+ */
+export const distanceToMinimum = ({ tolerance = 1e-4, point = null } = {}) =>
+  criterion('distanceToMinimum', { tolerance, point }, ({ history, func }) => {
+    const minima = point ? [point] : getCriticalPoints(func).filter(p => p.type.endsWith('minimum'));
+    const { position } = latest(history);
+    return minima.some(minimum => distance(position, minimum) < tolerance);
+  });
+
+/**
+ * No new best loss, by at least minDelta, within the last `patience` steps
+ * @param {Object} params - { patience, minDelta }
+ * @returns {Object} Stopping criterion
+ */
+export const plateau = ({ patience = 50, minDelta = 1e-8 } = {}) =>
+  criterion('plateau', { patience, minDelta }, ({ history }) => {
+    if (history.length <= patience) return false;
+    
+    const split = history.length - patience;
+    let bestBefore = Infinity;
+    for (let k = 0; k < split; k++) {
+      bestBefore = Math.min(bestBefore, history[k].functionValue);
+    }
+    for (let k = split; k < history.length; k++) {
+      if (history[k].functionValue < bestBefore - minDelta) return false;
+    }
+    return true;
+  });
+
+/**
+ * Wall-clock budget since the run was initialized
+ * @param {Object} params - { milliseconds }
+ * @returns {Object} Stopping criterion
+ */
+export const timeBudget = ({ milliseconds = 1000 } = {}) =>
+  criterion('timeBudget', { milliseconds }, ({ history, now }) => now - history[0].timestamp >= milliseconds);
+
+/**
+ * Stop when any of the criteria fires; reports every one that fired
+ * @param {...Object} criteria - Criteria or specs accepted by createStoppingCriterion()
+ * @returns {Object} Stopping criterion
+ */
+export const anyOf = (...criteria) => {
+  const parts = criteria.map(createStoppingCriterion);
+  return {
+    type: 'any',
+    criteria: parts,
+    check: (context) => {
+      const fired = parts.flatMap(part => part.check(context) || []);
+      return fired.length > 0 ? fired : null;
+    }
+  };
+};
+
+/**
+ * Stop only when all of the criteria fire on the same step
+ * @param {...Object} criteria - Criteria or specs accepted by createStoppingCriterion()
+ * @returns {Object} Stopping criterion
+ */
+export const allOf = (...criteria) => {
+  const parts = criteria.map(createStoppingCriterion);
+  return {
+    type: 'all',
+    criteria: parts,
+    check: (context) => {
+      const fired = [];
+      for (const part of parts) {
+        const names = part.check(context);
+        if (!names) return null;
+        fired.push(...names);
+      }
+      return fired;
+    }
+  };
+};
+
+/**
+ * Stopping criterion factories by type name
+ */
+export const stoppingFactories = {
+  gradientNorm,
+  absoluteChange,
+  relativeChange,
+  stepSize,
+  distanceToMinimum,
+  plateau,
+  timeBudget
+};
+
+/**
+ * Build a stopping criterion from a criterion object, a type name, a spec { type, ...params }
+ * (params may also be nested as { type, params }), { type: 'any' | 'all', criteria } or an
+ * array (any of them)
+ * @param {Object|string|Array} spec - Criterion description
+ * @returns {Object} Stopping criterion
+ */
+export function createStoppingCriterion(spec) {
+  if (Array.isArray(spec)) {
+    return anyOf(...spec);
+  }
+  if (typeof spec === 'string') {
+    return createStoppingCriterion({ type: spec });
+  }
+  if (!spec || typeof spec !== 'object') {
+    throw new Error(`Invalid stopping criterion: ${spec}`);
+  }
+  if (typeof spec.check === 'function') {
+    return spec;
+  }
+  
+  const { type, params, ...rest } = spec;
+  if (type === 'any') {
+    return anyOf(...spec.criteria);
+  }
+  if (type === 'all') {
+    return allOf(...spec.criteria);
+  }
+  
+  const factory = stoppingFactories[type];
+  if (!factory) {
+    throw new Error(`Unknown stopping criterion: ${type}`);
+  }
+  return factory({ ...rest, ...params });
+}
+
+/**
+ * Resolve the stopping criterion for an optimizer configuration
+ * `config.stopping` wins; otherwise the run stops once the gradient norm drops below config.tolerance.
+ * @param {Object} config - Optimizer configuration
+ * @returns {Object} Stopping criterion
+ */
+export function resolveStopping(config) {
+  return config.stopping ? createStoppingCriterion(config.stopping) : gradientNorm({ tolerance: config.tolerance });
+}
+
+/**
+ * Terminal status of a run stopped by the given rules
+ * A converging rule wins over a plateau, which wins over an exhausted budget.
+ * @param {Array} fired - Types of the rules that fired
+ * @returns {string} 'converged', 'stalled' or 'maxIterations'
+ */
+export function stoppingStatus(fired) {
+  const statuses = fired.map(type => CRITERION_STATUSES[type] || 'converged');
+  return ['converged', 'stalled', 'maxIterations'].find(status => statuses.includes(status));
+}
+
+/**
+ * Estimate the empirical order and rate of convergence from the step lengths of a run
+ * With d_k = |x_(k+1) − x_k|, a run converging with order q and rate μ has d_(k+1) ≈ μ·d_k^q, so
+ * log d_(k+1) = log μ + q·log d_k. The order and rate are fitted by least squares over the last
+ * few pairs of consecutive steps. Step lengths need no known minimum, so the estimate also works
+ * on a run that is still going.
+ * @param {Array} history - Recorded states, oldest first
+ * @param {number} window - Number of step pairs to fit
+ * @returns {Object|null} { order, rate, samples }, or null while fewer than two distinct pairs are usable
+ */
+export function estimateConvergence(history, window = ESTIMATE_WINDOW) {
+  const pairs = [];
+  let next = null;
+  for (let k = history.length - 1; k > 0 && pairs.length < window; k--) {
+    const step = distance(history[k].position, history[k - 1].position);
+    // Steps at rounding level carry no information about the rate
+    const floor = 1e-13 * (1 + Math.hypot(history[k].position.x, history[k].position.y));
+    const usable = step > floor;
+    if (usable && next !== null) {
+      pairs.push([Math.log(step), Math.log(next)]);
+    }
+    next = usable ? step : null;
+  }
+  if (pairs.length < 2) return null;
+  
+  const meanU = pairs.reduce((sum, [u]) => sum + u, 0) / pairs.length;
+  const meanV = pairs.reduce((sum, [, v]) => sum + v, 0) / pairs.length;
+  const spread = pairs.reduce((sum, [u]) => sum + (u - meanU) ** 2, 0);
+  if (spread < 1e-12) return null;
+  
+  const order = pairs.reduce((sum, [u, v]) => sum + (u - meanU) * (v - meanV), 0) / spread;
+  return { order, rate: Math.exp(meanV - order * meanU), samples: pairs.length };
+}
@@ -0,0 +1,243 @@
+/**
+ * Dataset-backed objectives for stochastic gradient descent
+ * Builds seeded synthetic datasets and turns them into two-parameter loss surfaces
+ * (x = weight, y = bias) that expose per-batch losses and gradients next to the
+ * usual full-batch value(), gradient() and hessian().
+ *
+ * Batch methods take an array of sample indices:
+ *   batchValue(w, b, indices), batchGradient(w, b, indices), batchHessian(w, b, indices)
+ */
+
+import { createRandom } from './random.js';
+
+/**
+ * Numerically stable logistic sigmoid
+ * @param {number} z - Logit
+ * @returns {number} σ(z)
+ */
+const sigmoid = (z) => (z >= 0 ? 1 / (1 + Math.exp(-z)) : Math.exp(z) / (1 + Math.exp(z)));
+
+/**
+ * Numerically stable softplus log(1 + e^z)
+ * @param {number} z - Logit
+ * @returns {number} softplus(z)
+ */
+const softplus = (z) => (z > 0 ? z + Math.log1p(Math.exp(-z)) : Math.log1p(Math.exp(z)));
+
+/**
+ * Generate a seeded 1D linear regression dataset y = slope·x + intercept + noise
+ * @param {Object} options - { samples, slope, intercept, noise, range, seed }
+ * @returns {Object} Dataset { type: 'linear', points: [{x, y}], options }
+ */
+export function createLinearDataset(options = {}) {
+  const { samples = 100, slope = 2, intercept = -1, noise = 1, range = 3, seed = 42 } = options;
+  const random = createRandom(seed);
+  const points = [];
+  
+  for (let i = 0; i < samples; i++) {
+    const x = random.uniform(-range, range);
+    points.push({ x, y: slope * x + intercept + random.normal(0, noise) });
+  }
+  
+  return { type: 'linear', points, options: { samples, slope, intercept, noise, range, seed } };
+}
+
+/**
+ * Generate a seeded 1D binary classification dataset with P(label = 1) = σ(weight·x + bias)
+ * @param {Object} options - { samples, weight, bias, range, seed }
+ * @returns {Object} Dataset { type: 'logistic', points: [{x, y}] with y in {0, 1}, options }
+ */
+export function createLogisticDataset(options = {}) {
+  const { samples = 100, weight = 2, bias = -0.5, range = 3, seed = 7 } = options;
+  const random = createRandom(seed);
+  const points = [];
+  
+  for (let i = 0; i < samples; i++) {
+    const x = random.uniform(-range, range);
+    points.push({ x, y: random.next() < sigmoid(weight * x + bias) ? 1 : 0 });
+  }
+  
+  return { type: 'logistic', points, options: { samples, weight, bias, range, seed } };
+}
+
+/**
+ * Per-sample loss definitions for the parameters (w, b) and a data point (x, y)
+ * Each provides the loss, its gradient factor r (∇ℓ = r·[x, 1]) and curvature factor c (∇²ℓ = c·[x, 1][x, 1]ᵀ).
+ */
+const LOSSES = {
+  linear: {
+    name: 'Linear Regression',
+    description: 'Mean squared error ½(w·x + b - y)² of a line fit to noisy samples',
+    loss: (z, y) => 0.5 * (z - y) * (z - y),
+    residual: (z, y) => z - y,
+    curvature: () => 1
+  },
+  logistic: {
+    name: 'Logistic Regression',
+    description: 'Mean cross-entropy of σ(w·x + b) against binary labels',
+    loss: (z, y) => softplus(z) - y * z,
+    residual: (z, y) => sigmoid(z) - y,
+    curvature: (z) => {
+      const p = sigmoid(z);
+      return p * (1 - p);
+    }
+  }
+};
+
+/**
+ * Turn a dataset into an optimization function over (w, b)
+ * @param {Object} dataset - Dataset from createLinearDataset() or createLogisticDataset()
+ * @param {Object} options - { l2: ridge penalty ½λ(w² + b²), xBounds, yBounds, name, description }
+ * @returns {Object} Function object with batch methods
+ */
+export function createDatasetObjective(dataset, options = {}) {
+  const definition = LOSSES[dataset.type];
+  if (!definition) {
+    throw new Error(`Unknown dataset type: ${dataset.type}`);
+  }
+  
+  const { points } = dataset;
+  const { l2 = dataset.type === 'logistic' ? 1e-3 : 0 } = options;
+  const allIndices = points.map((_point, i) => i);
+  
+  const batchValue = (w, b, indices = allIndices) => {
+    let sum = 0;
+    for (const i of indices) {
+      const { x, y } = points[i];
+      sum += definition.loss(w * x + b, y);
+    }
+    return sum / indices.length + 0.5 * l2 * (w * w + b * b);
+  };
+  
+  const batchGradient = (w, b, indices = allIndices) => {
+    let dx = 0;
+    let dy = 0;
+    for (const i of indices) {
+      const { x, y } = points[i];
+      const r = definition.residual(w * x + b, y);
+      dx += r * x;
+      dy += r;
+    }
+    return {
+      dx: dx / indices.length + l2 * w,
+      dy: dy / indices.length + l2 * b
+    };
+  };
+  
+  const batchHessian = (w, b, indices = allIndices) => {
+    let dxx = 0;
+    let dxy = 0;
+    let dyy = 0;
+    for (const i of indices) {
+      const { x } = points[i];
+      const c = definition.curvature(w * x + b);
+      dxx += c * x * x;
+      dxy += c * x;
+      dyy += c;
+    }
+    const n = indices.length;
+    return { dxx: dxx / n + l2, dxy: dxy / n, dyy: dyy / n + l2 };
+  };
+  
+  // Full-batch minimum by Newton's method (exact in one step for least squares)
+  let w = 0;
+  let b = 0;
+  for (let i = 0; i < 50; i++) {
+    const g = batchGradient(w, b);
+    const H = batchHessian(w, b);
+    const det = H.dxx * H.dyy - H.dxy * H.dxy;
+    const stepW = (H.dyy * g.dx - H.dxy * g.dy) / det;
+    const stepB = (H.dxx * g.dy - H.dxy * g.dx) / det;
+    w -= stepW;
+    b -= stepB;
+    if (Math.hypot(stepW, stepB) < 1e-12) break;
+  }
+  
+  // Stable full-batch step size: 1 / largest Hessian eigenvalue at the minimum
+  const H = batchHessian(w, b);
+  const largestEigenvalue = (H.dxx + H.dyy) / 2 + Math.hypot((H.dxx - H.dyy) / 2, H.dxy);
+  const recommendedLearningRate = Math.min(1, Number((1 / largestEigenvalue).toPrecision(2)));
+  
+  // Size each axis so the loss rises about as much at both edges: weights fed large inputs
+  // get a narrow range, the less sensitive parameter a wider one
+  const stiffest = Math.max(H.dxx, H.dyy);
+  const xReach = Math.ceil(Math.abs(w) + 3 * Math.sqrt(stiffest / H.dxx));
+  const yReach = Math.ceil(Math.abs(b) + 3 * Math.sqrt(stiffest / H.dyy));
+  const xBounds = options.xBounds || options.bounds || { min: -xReach, max: xReach };
+  const yBounds = options.yBounds || options.bounds || { min: -yReach, max: yReach };
+  
+  return {
+    name: options.name || definition.name,
+    description: options.description || `${definition.description} (${points.length} samples)`,
+    category: 'Data',
+    
+    value: (x, y) => batchValue(x, y),
+    gradient: (x, y) => batchGradient(x, y),
+    hessian: (x, y) => batchHessian(x, y),
+    
+    batchValue,
+    batchGradient,
+    batchHessian,
+    
+    dataset,
+    size: points.length,
+    bounds: {
+      min: Math.min(xBounds.min, yBounds.min),
+      max: Math.max(xBounds.max, yBounds.max)
+    },
+    xBounds,
+    yBounds,
+    globalMinimum: { x: w, y: b, value: batchValue(w, b) },
+    recommendedLearningRate
+  };
+}
+
+/**
+ * Draw mini-batches of sample indices epoch by epoch
+ * Every epoch visits each sample exactly once; the last batch of an epoch may be smaller.
+ * @param {number} size - Number of samples
+ * @param {Object} options - { shuffle, seed, random: generator from createRandom(), overriding seed }
+ * @returns {Object} Sampler { next(batchSize): { indices, epoch }, epoch, epochsCompleted }
+ */
+export function createBatchSampler(size, options = {}) {
+  const { shuffle = true, seed = 1 } = options;
+  const random = options.random || createRandom(seed);
+  const order = Array.from({ length: size }, (_value, i) => i);
+  let cursor = size; // Start a fresh epoch on the first call
+  
+  const sampler = {
+    epoch: -1,
+    epochsCompleted: 0,
+    
+    /**
+     * Take the next mini-batch
+     * @param {number} batchSize - Samples per batch
+     * @returns {Object} { indices, epoch }
+     */
+    next: (batchSize) => {
+      if (cursor >= size) {
+        sampler.epoch++;
+        cursor = 0;
+        if (shuffle) {
+          random.shuffle(order);
+        }
+      }
+      
+      const indices = order.slice(cursor, cursor + Math.max(1, batchSize));
+      cursor += indices.length;
+      if (cursor >= size) {
+        // The epoch ends with this batch
+        sampler.epochsCompleted = sampler.epoch + 1;
+      }
+      return { indices, epoch: sampler.epoch };
+    }
+  };
+  
+  return sampler;
+}
+
+/**
+ * Default dataset objectives offered next to the analytic surfaces
+ */
+export const linearRegression = createDatasetObjective(createLinearDataset());
+export const logisticRegression = createDatasetObjective(createLogisticDataset());
@@ -0,0 +1,102 @@
+/**
+ * Divergence and stall detection
+ * Tells runs that blew up (non-finite values, a loss that explodes, an escape far outside the
+ * plot region) and runs that bounce back and forth without making progress apart from runs that
+ * are merely slow, so optimizers can stop them early with an explicit status.
+ */
+
+import { getAxisBounds } from './functions.js';
+import { defaultConfig } from './gradientDescent.js';
+
+/**
+ * Reasons a run is declared diverged, in the order they are checked
+ */
+export const DIVERGENCE_REASONS = ['non-finite', 'exploding-loss', 'escaped'];
+
+/**
+ * Plot region of a function, used as the reference of the escape box
+ * @param {Object} func - Function object
+ * @returns {Object|null} Bounds {x: {min, max}, y: {min, max}}, or null for functions without bounds
+ */
+export function escapeBounds(func) {
+  return func.bounds || (func.xBounds && func.yBounds) ? getAxisBounds(func) : null;
+}
+
+/**
+ * Whether a position lies outside the escape box
+ * @param {Object} position - Position {x, y}
+ * @param {Object} bounds - Plot region {x: {min, max}, y: {min, max}}
+ * @param {number} radius - Half-size of the box in axis ranges around the centre of the region
+ * @returns {boolean} True if the position escaped
+ */
+export function hasEscaped(position, bounds, radius = defaultConfig.escapeRadius) {
+  const inside = (coordinate, { min, max }) =>
+    Math.abs(coordinate - (min + max) / 2) <= radius * (max - min);
+  return !(inside(position.x, bounds.x) && inside(position.y, bounds.y));
+}
+
+/**
+ * Whether a recorded state holds NaN or ±Infinity in its position, loss or gradient
+ * @param {Object} state - Recorded state
+ * @returns {boolean} True if the state is not finite
+ */
+export function isNonFinite({ position, functionValue, gradient }) {
+  return ![position.x, position.y, functionValue, gradient.dx, gradient.dy].every(Number.isFinite);
+}
+
+/**
+ * Check the latest states of a run for divergence
+ * A non-finite state diverges at once. Exploding loss and escape must last `patience` states,
+ * since quasi-Newton methods can make a wild step far out and still come back to converge.
+ * @param {Array} history - Recorded states, oldest first
+ * @param {Object} options - Detection settings
+ * @param {Object|null} options.bounds - Plot region of the escape box, null to skip the escape check
+ * @param {number} options.escapeRadius - Half-size of the escape box in axis ranges
+ * @param {number} options.explosionFactor - Loss increase over the first state, relative to
+ *   max(1, |first loss|), that counts as exploding
+ * @param {number} options.patience - Consecutive states that must explode or stay out
+ * @returns {string|null} One of DIVERGENCE_REASONS, or null while the run looks sane
+ */
+export function detectDivergence(history, { bounds, escapeRadius, explosionFactor, patience }) {
+  if (isNonFinite(history[history.length - 1])) return 'non-finite';
+  if (history.length < patience) return null;
+  
+  const recent = history.slice(-patience);
+  const initialValue = history[0].functionValue;
+  const threshold = explosionFactor * Math.max(1, Math.abs(initialValue));
+  if (recent.every(state => state.functionValue - initialValue > threshold)) {
+    return 'exploding-loss';
+  }
+  
+  if (bounds && recent.every(state => hasEscaped(state.position, bounds, escapeRadius))) {
+    return 'escaped';
+  }
+  return null;
+}
+
+/**
+ * Whether a run is oscillating without progress
+ * True when each of the last `window` steps reversed the direction of the step before it and
+ * the loss is no lower than `window` steps ago.
+ * @param {Array} history - Recorded states, oldest first
+ * @param {number} window - Number of consecutive reversing steps required
+ * @returns {boolean} True if the run is stalled
+ */
+export function isOscillating(history, window) {
+  const last = history.length - 1;
+  if (last < window + 1) return false;
+  
+  const step = (k) => ({
+    dx: history[k].position.x - history[k - 1].position.x,
+    dy: history[k].position.y - history[k - 1].position.y
+  });
+  
+  let next = step(last);
+  for (let k = last - 1; k >= last - window; k--) {
+    const previous = step(k);
+    if (previous.dx * next.dx + previous.dy * next.dy >= 0) return false;
+    next = previous;
+  }
+  
+  return history[last].functionValue >= history[last - window].functionValue;
+}
@@ -0,0 +1,429 @@
+/**
+ * Safe math expression parser for custom functions
+ * Tokenizes, parses and compiles expressions such as `x^2 + 3sin(y)` into
+ * closure-based evaluators without ever executing user-supplied JavaScript.
+ *
+ * AST node types:
+ *   { type: 'number', value }
+ *   { type: 'variable', name }          x or y
+ *   { type: 'constant', name, value }   pi or e
+ *   { type: 'unary', op: '-', argument }
+ *   { type: 'binary', op, left, right } op in + - * / ^
+ *   { type: 'call', name, args }
+ */
+
+/**
+ * Supported functions with their arity and implementation
+ */
+export const expressionFunctions = {
+  sin: { arity: 1, fn: Math.sin },
+  cos: { arity: 1, fn: Math.cos },
+  tan: { arity: 1, fn: Math.tan },
+  asin: { arity: 1, fn: Math.asin },
+  acos: { arity: 1, fn: Math.acos },
+  atan: { arity: 1, fn: Math.atan },
+  sinh: { arity: 1, fn: Math.sinh },
+  cosh: { arity: 1, fn: Math.cosh },
+  tanh: { arity: 1, fn: Math.tanh },
+  exp: { arity: 1, fn: Math.exp },
+  log: { arity: 1, fn: Math.log },
+  ln: { arity: 1, fn: Math.log },
+  log10: { arity: 1, fn: Math.log10 },
+  log2: { arity: 1, fn: Math.log2 },
+  sqrt: { arity: 1, fn: Math.sqrt },
+  cbrt: { arity: 1, fn: Math.cbrt },
+  abs: { arity: 1, fn: Math.abs },
+  sign: { arity: 1, fn: Math.sign },
+  floor: { arity: 1, fn: Math.floor },
+  ceil: { arity: 1, fn: Math.ceil },
+  round: { arity: 1, fn: Math.round },
+  pow: { arity: 2, fn: Math.pow },
+  atan2: { arity: 2, fn: Math.atan2 },
+  min: { arity: 2, fn: Math.min },
+  max: { arity: 2, fn: Math.max }
+};
+
+/**
+ * Named constants
+ */
+export const expressionConstants = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+const VARIABLES = ['x', 'y'];
+
+/**
+ * Look a name up in a table of its own properties only, so names such as `constructor`,
+ * `toString` or `__proto__` never resolve to members of Object.prototype
+ * @param {Object} table - expressionFunctions or expressionConstants
+ * @param {string} name - Identifier
+ * @returns {boolean} True if the table defines the name
+ */
+const defines = (table, name) => Object.prototype.hasOwnProperty.call(table, name);
+
+/**
+ * Syntax error with the 1-based column where parsing failed
+ */
+export class ExpressionSyntaxError extends Error {
+  /**
+   * @param {string} message - Error description without position
+   * @param {number} column - 1-based column of the offending token
+   */
+  constructor(message, column) {
+    super(`${message} at column ${column}`);
+    this.name = 'ExpressionSyntaxError';
+    this.column = column;
+  }
+}
+
+/**
+ * Normalize identifiers written against the JavaScript Math object
+ * (`Math.sin`, `Math.PI`) to the plain math syntax (`sin`, `pi`)
+ * @param {string} name - Identifier as written
+ * @returns {string} Normalized identifier
+ */
+const normalizeIdentifier = (name) => {
+  if (!name.startsWith('Math.')) return name;
+  const member = name.slice(5);
+  return member === 'PI' || member === 'E' ? member.toLowerCase() : member;
+};
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression source
+ * @returns {Array} Tokens {type, text, value, column}
+ */
+export function tokenize(source) {
+  const tokens = [];
+  const numberPattern = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i;
+  const identifierPattern = /^(Math\.)?[A-Za-z_][A-Za-z0-9_]*/;
+  let index = 0;
+  
+  while (index < source.length) {
+    const char = source[index];
+    const column = index + 1;
+    const rest = source.slice(index);
+    
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+    
+    const numberMatch = rest.match(numberPattern);
+    if (numberMatch) {
+      tokens.push({ type: 'number', text: numberMatch[0], value: parseFloat(numberMatch[0]), column });
+      index += numberMatch[0].length;
+      continue;
+    }
+    
+    const identifierMatch = rest.match(identifierPattern);
+    if (identifierMatch) {
+      const text = identifierMatch[0];
+      tokens.push({ type: 'identifier', text, value: normalizeIdentifier(text), column });
+      index += text.length;
+      continue;
+    }
+    
+    if (rest.startsWith('**')) {
+      tokens.push({ type: 'operator', text: '**', value: '^', column });
+      index += 2;
+      continue;
+    }
+    
+    if ('+-*/^'.includes(char)) {
+      tokens.push({ type: 'operator', text: char, value: char, column });
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: 'paren', text: char, value: char, column });
+    } else if (char === ',') {
+      tokens.push({ type: 'comma', text: char, value: char, column });
+    } else {
+      throw new ExpressionSyntaxError(`unexpected character '${char}'`, column);
+    }
+    index++;
+  }
+  
+  tokens.push({ type: 'end', text: '', value: null, column: source.length + 1 });
+  return tokens;
+}
+
+/**
+ * Recursive descent parser over a token list
+ *
+ *   additive := term (('+' | '-') term)*
+ *   term     := unary (('*' | '/') unary | power)*   juxtaposition is implicit multiplication
+ *   unary    := ('-' | '+') unary | power
+ *   power    := primary ('^' unary)?                 right associative
+ *   primary  := number | variable | constant | name '(' args ')' | '(' additive ')'
+ */
+class Parser {
+  /**
+   * @param {Array} tokens - Tokens from tokenize()
+   */
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+  
+  /**
+   * @returns {Object} Current token
+   */
+  peek() {
+    return this.tokens[this.position];
+  }
+  
+  /**
+   * Consume the current token
+   * @returns {Object} Consumed token
+   */
+  next() {
+    return this.tokens[this.position++];
+  }
+  
+  /**
+   * Check whether the next token is an operator or punctuation with the given value
+   * @param {string} value - Token value
+   * @returns {boolean} True on match
+   */
+  at(value) {
+    const token = this.peek();
+    return token.type !== 'number' && token.type !== 'identifier' && token.value === value;
+  }
+  
+  /**
+   * Build an error for an unexpected token
+   * @param {Object} token - Offending token
+   * @returns {ExpressionSyntaxError} Error
+   */
+  unexpected(token) {
+    if (token.type === 'end') {
+      return new ExpressionSyntaxError('unexpected end of expression', token.column);
+    }
+    return new ExpressionSyntaxError(`unexpected '${token.text}'`, token.column);
+  }
+  
+  /**
+   * Consume a token that must have the given value
+   * @param {string} value - Expected token value
+   * @returns {Object} Consumed token
+   */
+  expect(value) {
+    if (!this.at(value)) {
+      throw this.unexpected(this.peek());
+    }
+    return this.next();
+  }
+  
+  /**
+   * Parse the whole token list
+   * @returns {Object} AST root node
+   */
+  parse() {
+    if (this.peek().type === 'end') {
+      throw new ExpressionSyntaxError('empty expression', 1);
+    }
+    
+    const ast = this.parseAdditive();
+    if (this.peek().type !== 'end') {
+      throw this.unexpected(this.peek());
+    }
+    return ast;
+  }
+  
+  /**
+   * @returns {Object} Sum or difference node
+   */
+  parseAdditive() {
+    let left = this.parseTerm();
+    while (this.at('+') || this.at('-')) {
+      const op = this.next().value;
+      left = { type: 'binary', op, left, right: this.parseTerm() };
+    }
+    return left;
+  }
+  
+  /**
+   * @returns {Object} Product or quotient node, including implicit multiplication
+   */
+  parseTerm() {
+    let left = this.parseUnary();
+    for (;;) {
+      if (this.at('*') || this.at('/')) {
+        const op = this.next().value;
+        left = { type: 'binary', op, left, right: this.parseUnary() };
+      } else if (this.peek().type === 'identifier' || this.at('(')) {
+        left = { type: 'binary', op: '*', left, right: this.parsePower() };
+      } else {
+        return left;
+      }
+    }
+  }
+  
+  /**
+   * @returns {Object} Negated or plain node
+   */
+  parseUnary() {
+    if (this.at('-')) {
+      this.next();
+      return { type: 'unary', op: '-', argument: this.parseUnary() };
+    }
+    if (this.at('+')) {
+      this.next();
+      return this.parseUnary();
+    }
+    return this.parsePower();
+  }
+  
+  /**
+   * @returns {Object} Power node (binds tighter than unary minus on its left)
+   */
+  parsePower() {
+    const base = this.parsePrimary();
+    if (this.at('^')) {
+      this.next();
+      return { type: 'binary', op: '^', left: base, right: this.parseUnary() };
+    }
+    return base;
+  }
+  
+  /**
+   * @returns {Object} Number, identifier or parenthesized node
+   */
+  parsePrimary() {
+    const token = this.next();
+    
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value };
+    }
+    
+    if (token.type === 'identifier') {
+      return this.parseIdentifier(token);
+    }
+    
+    if (token.value === '(' && token.type === 'paren') {
+      const inner = this.parseAdditive();
+      this.expect(')');
+      return inner;
+    }
+    
+    throw this.unexpected(token);
+  }
+  
+  /**
+   * Resolve an identifier to a variable, constant or function call
+   * A variable or constant followed by '(' is left for parseTerm() to multiply: x(y + 1), pi(x).
+   * @param {Object} token - Identifier token
+   * @returns {Object} AST node
+   */
+  parseIdentifier(token) {
+    const name = token.value;
+    const isValue = VARIABLES.includes(name) || defines(expressionConstants, name);
+    
+    if (this.at('(') && !isValue) {
+      const definition = defines(expressionFunctions, name) ? expressionFunctions[name] : null;
+      if (!definition) {
+        throw new ExpressionSyntaxError(`unknown function '${token.text}'`, token.column);
+      }
+      
+      this.next();
+      const args = [this.parseAdditive()];
+      while (this.at(',')) {
+        this.next();
+        args.push(this.parseAdditive());
+      }
+      this.expect(')');
+      
+      if (args.length !== definition.arity) {
+        const plural = definition.arity === 1 ? '' : 's';
+        throw new ExpressionSyntaxError(`${name} expects ${definition.arity} argument${plural}`, token.column);
+      }
+      return { type: 'call', name, args };
+    }
+    
+    if (VARIABLES.includes(name)) {
+      return { type: 'variable', name };
+    }
+    if (defines(expressionConstants, name)) {
+      return { type: 'constant', name, value: expressionConstants[name] };
+    }
+    if (defines(expressionFunctions, name)) {
+      throw new ExpressionSyntaxError(`function '${token.text}' needs parentheses`, token.column);
+    }
+    throw new ExpressionSyntaxError(`unknown identifier '${token.text}'`, token.column);
+  }
+}
+
+/**
+ * Parse an expression into an AST
+ * @param {string} source - Expression source
+ * @returns {Object} AST root node
+ * @throws {ExpressionSyntaxError} With the column of the first error
+ */
+export function parseExpression(source) {
+  return new Parser(tokenize(source)).parse();
+}
+
+/**
+ * Binary operator implementations
+ */
+const BINARY_OPERATORS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '^': Math.pow
+};
+
+/**
+ * Compile an AST into a fast evaluator (x, y) => number
+ * @param {Object} node - AST node
+ * @returns {Function} Evaluator
+ */
+export function compileNode(node) {
+  if (node.type === 'number' || node.type === 'constant') {
+    const { value } = node;
+    return () => value;
+  }
+  
+  if (node.type === 'variable') {
+    return node.name === 'x' ? (x) => x : (_x, y) => y;
+  }
+  
+  if (node.type === 'unary') {
+    const argument = compileNode(node.argument);
+    return (x, y) => -argument(x, y);
+  }
+  
+  if (node.type === 'binary') {
+    const left = compileNode(node.left);
+    const right = compileNode(node.right);
+    const operator = BINARY_OPERATORS[node.op];
+    if (!operator) {
+      throw new Error(`Unknown operator: ${node.op}`);
+    }
+    return (x, y) => operator(left(x, y), right(x, y));
+  }
+  
+  if (node.type === 'call') {
+    const { fn } = expressionFunctions[node.name];
+    const args = node.args.map(compileNode);
+    if (args.length === 1) {
+      const [argument] = args;
+      return (x, y) => fn(argument(x, y));
+    }
+    const [first, second] = args;
+    return (x, y) => fn(first(x, y), second(x, y));
+  }
+  
+  throw new Error(`Unknown expression node: ${node.type}`);
+}
+
+/**
+ * Parse and compile an expression in one go
+ * @param {string} source - Expression source
+ * @returns {Object} { ast, evaluate }
+ */
+export function compileExpression(source) {
+  const ast = parseExpression(source);
+  return { ast, evaluate: compileNode(ast) };
+}
@@ -3,6 +3,11 @@
  * Each function includes value calculation, gradient computation, and metadata
  */
 
+import { compileExpression, compileNode } from './expression.js';
+import { symbolicDerivatives, simplify, differentiate, formatExpression } from './symbolic.js';
+import { linearRegression, logisticRegression } from './datasets.js';
+import { benchmarkFunctions } from './benchmarks.js';
+
 /**
  * Quadratic Bowl function: f(x,y) = (x-1)² + (y-1)²
  * Simple convex function with global minimum at (1,1)
@@ -10,6 +15,7 @@
 export const quadraticBowl = {
   name: 'Quadratic Bowl',
   description: 'Simple convex function: f(x,y) = (x-1)² + (y-1)²',
+  category: 'Bowl',
   
   /**
    * Calculate function value
@@ -34,8 +40,19 @@ export const quadraticBowl = {
     };
   },
   
+  /**
+   * Calculate Hessian matrix
+   * @returns {Object} Hessian entries {dxx, dxy, dyy}
+   */
+  hessian: () => {
+    return { dxx: 2, dxy: 0, dyy: 2 };
+  },
+  
   // Visualization bounds
   bounds: { min: -2, max: 4 },
+  minima: [{ x: 1, y: 1, value: 0, global: true }],
+  saddles: [],
+  maxima: [],
   globalMinimum: { x: 1, y: 1, value: 0 },
   recommendedLearningRate: 0.1
 };
@@ -47,6 +64,7 @@ export const quadraticBowl = {
 export const rosenbrock = {
   name: 'Rosenbrock',
   description: 'Non-convex "banana" function: f(x,y) = 100(y-x²)² + (1-x)²',
+  category: 'Valley',
   
   /**
    * Calculate function value
@@ -72,8 +90,25 @@ export const rosenbrock = {
     };
   },
   
+  /**
+   * Calculate Hessian matrix
+   * @param {number} x - x coordinate
+   * @param {number} y - y coordinate
+   * @returns {Object} Hessian entries {dxx, dxy, dyy}
+   */
+  hessian: (x, y) => {
+    return {
+      dxx: 1200 * x * x - 400 * y + 2,
+      dxy: -400 * x,
+      dyy: 200
+    };
+  },
+  
   // Visualization bounds
   bounds: { min: -2, max: 2 },
+  minima: [{ x: 1, y: 1, value: 0, global: true }],
+  saddles: [],
+  maxima: [],
   globalMinimum: { x: 1, y: 1, value: 0 },
   recommendedLearningRate: 0.001
 };
@@ -85,6 +120,7 @@ export const rosenbrock = {
 export const rastrigin = {
   name: 'Rastrigin',
   description: 'Multimodal function with many local minima',
+  category: 'Multimodal',
   
   /**
    * Calculate function value
@@ -113,36 +149,178 @@ export const rastrigin = {
     };
   },
   
+  /**
+   * Calculate Hessian matrix
+   * @param {number} x - x coordinate
+   * @param {number} y - y coordinate
+   * @returns {Object} Hessian entries {dxx, dxy, dyy}
+   */
+  hessian: (x, y) => {
+    const A = 10;
+    const k = 4 * Math.PI * Math.PI * A;
+    return {
+      dxx: 2 + k * Math.cos(2 * Math.PI * x),
+      dxy: 0,
+      dyy: 2 + k * Math.cos(2 * Math.PI * y)
+    };
+  },
+  
   // Visualization bounds
   bounds: { min: -5, max: 5 },
+  minima: [{ x: 0, y: 0, value: 0, global: true }], // Local minima near every integer point are not listed
   globalMinimum: { x: 0, y: 0, value: 0 },
   recommendedLearningRate: 0.01
 };
 
 /**
  * Custom function parser for user-defined functions
- * Allows users to input custom mathematical expressions
+ * Allows users to input custom mathematical expressions such as `x^2 + sin(y)`.
+ * Expressions are parsed by a safe math parser, never executed as JavaScript.
  */
 export class CustomFunction {
   /**
-   * @param {string} expression - JavaScript expression for the function
-   * @param {Object} bounds - Visualization bounds {min, max}
+   * @param {string} expression - Math expression in x and y
+   * @param {Object} bounds - Visualization bounds {min, max}, or per axis { x: {min, max}, y: {min, max} }
    * @param {number} learningRate - Recommended learning rate
+   * @param {Object} options - { criticalPoints: false leaves minima, saddles, maxima and globalMinimum undefined }
    */
-  constructor(expression, bounds = { min: -5, max: 5 }, learningRate = 0.01) {
+  constructor(expression, bounds = { min: -5, max: 5 }, learningRate = 0.01, options = {}) {
     this.name = 'Custom Function';
     this.description = `Custom function: ${expression}`;
     this.expression = expression;
-    this.bounds = bounds;
     this.recommendedLearningRate = learningRate;
     
-    // Create function from expression
+    if (bounds.x && bounds.y) {
+      this.xBounds = { ...bounds.x };
+      this.yBounds = { ...bounds.y };
+      this.bounds = {
+        min: Math.min(bounds.x.min, bounds.y.min),
+        max: Math.max(bounds.x.max, bounds.y.max)
+      };
+    } else {
+      this.bounds = bounds;
+    }
+    
+    // Parse and compile expression
     try {
-      // eslint-disable-next-line no-new-func
-      this.valueFunction = new Function('x', 'y', `return ${expression}`);
+      const { ast, evaluate } = compileExpression(expression);
+      this.ast = ast;
+      this.valueFunction = evaluate;
     } catch (error) {
-      throw new Error(`Invalid function expression: ${error.message}`);
+      const invalid = new Error(`Invalid function expression: ${error.message}`);
+      invalid.column = error.column;
+      throw invalid;
     }
+    
+    this.setupDerivatives();
+    
+    // Critical points are located on first use of minima, saddles, maxima or globalMinimum,
+    // since the multi-start search costs far more than parsing
+    this.analysis = null; // findCriticalPoints() result once analyzed
+    this.analyzeOnDemand = options.criticalPoints !== false;
+  }
+  
+  /**
+   * Derive exact gradient and Hessian expressions when the expression allows it
+   * Leaves `derivatives` null (finite differences) for non-differentiable expressions.
+   */
+  setupDerivatives() {
+    this.derivatives = null;
+    this.gradientExpression = null;
+    this.hessianExpression = null;
+    
+    let partials;
+    try {
+      partials = {
+        dx: simplify(differentiate(this.ast, 'x')),
+        dy: simplify(differentiate(this.ast, 'y'))
+      };
+    } catch (error) {
+      return;
+    }
+    
+    // Second derivatives can fail on their own, e.g. abs(x) differentiates to sign(x)
+    try {
+      partials = symbolicDerivatives(this.ast);
+    } catch (error) {
+      // Keep the exact gradient, Hessian falls back to finite differences
+    }
+    
+    this.derivatives = {};
+    for (const [key, ast] of Object.entries(partials)) {
+      this.derivatives[key] = { ast, evaluate: compileNode(ast), text: formatExpression(ast) };
+    }
+    
+    this.gradientExpression = {
+      dx: this.derivatives.dx.text,
+      dy: this.derivatives.dy.text
+    };
+    
+    if (this.derivatives.dxx) {
+      this.hessianExpression = {
+        dxx: this.derivatives.dxx.text,
+        dxy: this.derivatives.dxy.text,
+        dyy: this.derivatives.dyy.text
+      };
+    }
+  }
+  
+  /**
+   * Locate the stationary points inside the bounds and expose them as
+   * minima, saddles, maxima and globalMinimum, like the built-in metadata
+   * @param {Object} options - Options for findCriticalPoints()
+   * @returns {Object} The attached critical points
+   */
+  analyzeCriticalPoints(options = {}) {
+    this.analysis = findCriticalPoints(this, options);
+    return this.analysis;
+  }
+  
+  /**
+   * Critical points of the function, analyzed on first use
+   * @returns {Object|null} findCriticalPoints() result, null when the analysis is turned off
+   */
+  getCriticalPointAnalysis() {
+    if (!this.analysis && this.analyzeOnDemand) {
+      this.analyzeCriticalPoints();
+    }
+    return this.analysis;
+  }
+  
+  /**
+   * Local and global minima inside the bounds, lowest first
+   * @returns {Array|undefined} Minima [{x, y, value, global}]
+   */
+  get minima() {
+    const analysis = this.getCriticalPointAnalysis();
+    return analysis ? analysis.minima : undefined;
+  }
+  
+  /**
+   * Saddle points inside the bounds
+   * @returns {Array|undefined} Saddles [{x, y, value}]
+   */
+  get saddles() {
+    const analysis = this.getCriticalPointAnalysis();
+    return analysis ? analysis.saddles : undefined;
+  }
+  
+  /**
+   * Local maxima inside the bounds, highest first
+   * @returns {Array|undefined} Maxima [{x, y, value}]
+   */
+  get maxima() {
+    const analysis = this.getCriticalPointAnalysis();
+    return analysis ? analysis.maxima : undefined;
+  }
+  
+  /**
+   * Lowest minimum inside the bounds
+   * @returns {Object|null|undefined} Minimum {x, y, value}, null when there is none
+   */
+  get globalMinimum() {
+    const analysis = this.getCriticalPointAnalysis();
+    return analysis ? analysis.globalMinimum : undefined;
   }
   
   /**
@@ -160,13 +338,21 @@ export class CustomFunction {
   }
   
   /**
-   * Calculate numerical gradient using finite differences
+   * Calculate gradient, exact when symbolic derivatives are available
+   * and by central finite differences otherwise
    * @param {number} x - x coordinate
    * @param {number} y - y coordinate
    * @param {number} h - Step size for numerical differentiation
    * @returns {Object} Gradient vector {dx, dy}
    */
   gradient(x, y, h = 1e-6) {
+    if (this.derivatives) {
+      return {
+        dx: this.derivatives.dx.evaluate(x, y),
+        dy: this.derivatives.dy.evaluate(x, y)
+      };
+    }
+    
     const f = this.value.bind(this);
     
     // Central difference for numerical gradient
@@ -175,18 +361,263 @@ export class CustomFunction {
     
     return { dx, dy };
   }
+  
+  /**
+   * Calculate Hessian matrix, exact when symbolic second derivatives are available
+   * @param {number} x - x coordinate
+   * @param {number} y - y coordinate
+   * @param {number} h - Step size for numerical differentiation
+   * @returns {Object} Hessian entries {dxx, dxy, dyy}
+   */
+  hessian(x, y, h = 1e-4) {
+    if (this.derivatives && this.derivatives.dxx) {
+      return {
+        dxx: this.derivatives.dxx.evaluate(x, y),
+        dxy: this.derivatives.dxy.evaluate(x, y),
+        dyy: this.derivatives.dyy.evaluate(x, y)
+      };
+    }
+    
+    const f = this.value.bind(this);
+    const center = f(x, y);
+    
+    return {
+      dxx: (f(x + h, y) - 2 * center + f(x - h, y)) / (h * h),
+      dxy: (f(x + h, y + h) - f(x + h, y - h) - f(x - h, y + h) + f(x - h, y - h)) / (4 * h * h),
+      dyy: (f(x, y + h) - 2 * center + f(x, y - h)) / (h * h)
+    };
+  }
 }
 
 /**
  * Get all available built-in functions
+ * The registry order is the order of the function menu, grouped by each function's category.
  * @returns {Object} Dictionary of function name to function object
  */
 export const getBuiltInFunctions = () => ({
   'quadratic': quadraticBowl,
   'rosenbrock': rosenbrock,
-  'rastrigin': rastrigin
+  'rastrigin': rastrigin,
+  ...benchmarkFunctions,
+  'linearRegression': linearRegression,
+  'logisticRegression': logisticRegression
 });
 
+/**
+ * Resolve the visualization range of each axis
+ * Functions declare a square `bounds: { min, max }` and may give either axis its own
+ * range with `xBounds` / `yBounds`; `bounds` then encloses both for single-range consumers.
+ * @param {Object} func - Function object
+ * @returns {Object} { x: {min, max}, y: {min, max} }
+ */
+export function getAxisBounds(func) {
+  const { bounds, xBounds = bounds, yBounds = bounds } = func;
+  return {
+    x: { min: xBounds.min, max: xBounds.max },
+    y: { min: yBounds.min, max: yBounds.max }
+  };
+}
+
+/**
+ * List the annotated critical points of a function
+ * Reads the minima, saddles and maxima metadata; functions without a minima list
+ * fall back to their globalMinimum.
+ * @param {Object} func - Function object
+ * @returns {Array} Points {x, y, value, type} with type 'global-minimum', 'local-minimum', 'saddle' or 'maximum'
+ */
+export function getCriticalPoints(func) {
+  const minima = func.minima || (func.globalMinimum ? [{ ...func.globalMinimum, global: true }] : []);
+  const point = (type) => ({ x, y, value }) => ({ x, y, value, type });
+  
+  return [
+    ...minima.map(minimum => point(minimum.global ? 'global-minimum' : 'local-minimum')(minimum)),
+    ...(func.saddles || []).map(point('saddle')),
+    ...(func.maxima || []).map(point('maximum'))
+  ];
+}
+
+/**
+ * Classify a stationary point from the Hessian eigenvalues
+ * Degenerate Hessians (an eigenvalue near zero) are settled by comparing values on a small ring.
+ * @param {Object} func - Function object
+ * @param {number} x - x coordinate
+ * @param {number} y - y coordinate
+ * @param {number} radius - Ring radius for degenerate points
+ * @returns {string} 'minimum', 'maximum' or 'saddle'
+ */
+const classifyStationaryPoint = (func, x, y, radius) => {
+  const [smaller, larger] = mathUtils.eigenSymmetric2x2(mathUtils.hessian(func, x, y)).values;
+  const eps = 1e-6 * Math.max(1, Math.abs(smaller), Math.abs(larger));
+  
+  if (smaller > eps) return 'minimum';
+  if (larger < -eps) return 'maximum';
+  if (smaller < -eps && larger > eps) return 'saddle';
+  
+  const center = func.value(x, y);
+  let higher = 0;
+  let lower = 0;
+  for (let k = 0; k < 16; k++) {
+    const angle = (2 * Math.PI * k) / 16;
+    const value = func.value(x + radius * Math.cos(angle), y + radius * Math.sin(angle));
+    if (value > center) higher++;
+    if (value < center) lower++;
+  }
+  if (lower === 0) return 'minimum';
+  if (higher === 0) return 'maximum';
+  return 'saddle';
+};
+
+/**
+ * Locate the stationary points of a function by multi-start Newton iteration on ∇f = 0
+ * Starts from a gridSize × gridSize grid over the axis bounds, keeps the points that converge
+ * inside the bounds, merges duplicates and classifies each one from its Hessian.
+ * The result has the shape of the built-in metadata, so Object.assign(func, result) annotates func.
+ * @param {Object} func - Function object with value(), gradient() and bounds
+ * @param {Object} options - { gridSize, maxIterations, tolerance: gradient norm relative to max(1, |f|) }
+ * @returns {Object} { minima: [{x, y, value, global}], saddles, maxima, globalMinimum }
+ */
+export function findCriticalPoints(func, options = {}) {
+  const { gridSize = 12, maxIterations = 50, tolerance = 1e-8 } = options;
+  const { x: xBounds, y: yBounds } = getAxisBounds(func);
+  const xWidth = xBounds.max - xBounds.min;
+  const yWidth = yBounds.max - yBounds.min;
+  const relative = (dx, dy) => Math.hypot(dx / xWidth, dy / yWidth);
+  const found = [];
+  
+  for (let i = 0; i < gridSize; i++) {
+    for (let j = 0; j < gridSize; j++) {
+      // Cell centers, so that symmetric functions are not started exactly on a critical point
+      let x = xBounds.min + ((i + 0.5) / gridSize) * xWidth;
+      let y = yBounds.min + ((j + 0.5) / gridSize) * yWidth;
+      
+      for (let k = 0; k < maxIterations; k++) {
+        const gradient = func.gradient(x, y);
+        const step = mathUtils.solveSymmetric2x2(mathUtils.hessian(func, x, y), { x: -gradient.dx, y: -gradient.dy });
+        if (!step) break;
+        
+        // Cap the step so a nearly singular Hessian cannot throw the iterate across the domain
+        const scale = Math.min(1, 0.25 / relative(step.x, step.y));
+        x += scale * step.x;
+        y += scale * step.y;
+        if (!Number.isFinite(x) || !Number.isFinite(y)) break;
+      }
+      
+      const value = func.value(x, y);
+      const gradient = func.gradient(x, y);
+      const converged = Math.hypot(gradient.dx, gradient.dy) <= tolerance * Math.max(1, Math.abs(value));
+      const inside = x >= xBounds.min && x <= xBounds.max && y >= yBounds.min && y <= yBounds.max;
+      if (!converged || !inside || !Number.isFinite(value)) continue;
+      
+      if (!found.some(point => relative(point.x - x, point.y - y) < 1e-4)) {
+        found.push({ x, y, value, type: classifyStationaryPoint(func, x, y, 1e-3 * Math.min(xWidth, yWidth)) });
+      }
+    }
+  }
+  
+  const byValue = (a, b) => a.value - b.value;
+  const strip = ({ x, y, value }) => ({ x, y, value });
+  const minima = found.filter(point => point.type === 'minimum').sort(byValue);
+  const lowest = minima.length > 0 ? minima[0].value : null;
+  
+  return {
+    minima: minima.map(point => ({
+      ...strip(point),
+      global: point.value - lowest <= 1e-9 * Math.max(1, Math.abs(lowest))
+    })),
+    saddles: found.filter(point => point.type === 'saddle').sort(byValue).map(strip),
+    maxima: found.filter(point => point.type === 'maximum').sort(byValue).reverse().map(strip),
+    globalMinimum: minima.length > 0 ? strip(minima[0]) : null
+  };
+}
+
+/**
+ * Find the basin of attraction a position lies in
+ * Descends with backtracking steps of at most 1% of the axis ranges, along the Newton
+ * direction where the Hessian is positive definite and along -∇f elsewhere, then looks
+ * for the annotated critical point where the descent stopped.
+ * @param {Object} func - Function object
+ * @param {Object} position - Position {x, y}
+ * @param {Object} options - { maxSteps, tolerance: gradient norm that ends the descent }
+ * @returns {Object|null} { point, index, distance, endpoint } where index is the position of point in
+ *   getCriticalPoints(func), or null when the descent ends away from every annotated point
+ */
+export function findBasin(func, position, options = {}) {
+  const { maxSteps = 1000, tolerance = 1e-8 } = options;
+  const points = getCriticalPoints(func);
+  if (points.length === 0) return null;
+  
+  const { x: xBounds, y: yBounds } = getAxisBounds(func);
+  const relative = (dx, dy) => Math.hypot(dx / (xBounds.max - xBounds.min), dy / (yBounds.max - yBounds.min));
+  let { x, y } = position;
+  let value = func.value(x, y);
+  
+  for (let i = 0; i < maxSteps; i++) {
+    const gradient = func.gradient(x, y);
+    const norm = Math.hypot(gradient.dx, gradient.dy);
+    if (!(norm > tolerance)) break;
+    
+    // Newton direction in convex regions, where it follows curved valleys much faster
+    let direction = { x: -gradient.dx, y: -gradient.dy };
+    const hessian = mathUtils.hessian(func, x, y);
+    if (mathUtils.eigenSymmetric2x2(hessian).values[0] > 0) {
+      const newton = mathUtils.solveSymmetric2x2(hessian, direction);
+      if (newton) direction = newton;
+    }
+    const slope = direction.x * gradient.dx + direction.y * gradient.dy;
+    
+    // Armijo backtracking, capped so the descent cannot jump over a ridge
+    let alpha = Math.min(1, 0.01 / relative(direction.x, direction.y));
+    let accepted = false;
+    for (let k = 0; k < 60 && !accepted; k++) {
+      const candidate = func.value(x + alpha * direction.x, y + alpha * direction.y);
+      if (candidate <= value + 1e-4 * alpha * slope) {
+        x += alpha * direction.x;
+        y += alpha * direction.y;
+        value = candidate;
+        accepted = true;
+      } else {
+        alpha /= 2;
+      }
+    }
+    if (!accepted) break;
+  }
+  
+  let best = null;
+  let bestRelative = Infinity;
+  points.forEach((point, index) => {
+    const distance = relative(point.x - x, point.y - y);
+    if (distance < bestRelative) {
+      bestRelative = distance;
+      best = { point, index, distance: Math.hypot(point.x - x, point.y - y), endpoint: { x, y } };
+    }
+  });
+  
+  return bestRelative <= 0.02 ? best : null;
+}
+
+/**
+ * Read the value and local first- and second-order information of a function at a point
+ * @param {Object} func - Function object
+ * @param {number} x - x coordinate
+ * @param {number} y - y coordinate
+ * @returns {Object} { x, y, value, gradient: {dx, dy}, gradientNorm, hessian: {dxx, dxy, dyy},
+ *   eigenvalues: [smaller, larger] }
+ */
+export function inspectPoint(func, x, y) {
+  const gradient = func.gradient(x, y);
+  const hessian = mathUtils.hessian(func, x, y);
+  
+  return {
+    x,
+    y,
+    value: func.value(x, y),
+    gradient,
+    gradientNorm: mathUtils.vectorMagnitude(gradient),
+    hessian,
+    eigenvalues: mathUtils.eigenSymmetric2x2(hessian).values
+  };
+}
+
 /**
  * Utility functions for mathematical operations
  */
@@ -220,5 +651,71 @@ export const mathUtils = {
    */
   lerp: (a, b, t) => {
     return a + (b - a) * t;
+  },
+  
+  /**
+   * Hessian of a function: analytic when it provides hessian(),
+   * otherwise central differences of its gradient
+   * @param {Object} func - Function object
+   * @param {number} x - x coordinate
+   * @param {number} y - y coordinate
+   * @param {number} h - Step size for numerical differentiation
+   * @returns {Object} Hessian entries {dxx, dxy, dyy}
+   */
+  hessian: (func, x, y, h = 1e-5) => {
+    if (typeof func.hessian === 'function') {
+      return func.hessian(x, y);
+    }
+    
+    const gxPlus = func.gradient(x + h, y);
+    const gxMinus = func.gradient(x - h, y);
+    const gyPlus = func.gradient(x, y + h);
+    const gyMinus = func.gradient(x, y - h);
+    
+    return {
+      dxx: (gxPlus.dx - gxMinus.dx) / (2 * h),
+      // Symmetrize the two mixed estimates
+      dxy: ((gxPlus.dy - gxMinus.dy) + (gyPlus.dx - gyMinus.dx)) / (4 * h),
+      dyy: (gyPlus.dy - gyMinus.dy) / (2 * h)
+    };
+  },
+  
+  /**
+   * Eigen-decomposition of a symmetric 2x2 matrix
+   * @param {Object} matrix - Entries {dxx, dxy, dyy}
+   * @returns {Object} {values: [smaller, larger], vectors: [{x, y}, {x, y}]} with unit vectors
+   */
+  eigenSymmetric2x2: (matrix) => {
+    const { dxx, dxy, dyy } = matrix;
+    const mean = (dxx + dyy) / 2;
+    const radius = Math.hypot((dxx - dyy) / 2, dxy);
+    const values = [mean - radius, mean + radius];
+    
+    // Angle of the eigenvector for the larger eigenvalue
+    const angle = 0.5 * Math.atan2(2 * dxy, dxx - dyy);
+    const major = { x: Math.cos(angle), y: Math.sin(angle) };
+    const minor = { x: -major.y, y: major.x };
+    
+    return { values, vectors: [minor, major] };
+  },
+  
+  /**
+   * Solve the symmetric 2x2 system H·p = b
+   * @param {Object} matrix - Entries {dxx, dxy, dyy}
+   * @param {Object} b - Right-hand side {x, y}
+   * @returns {Object|null} Solution {x, y}, or null if H is singular
+   */
+  solveSymmetric2x2: (matrix, b) => {
+    const { dxx, dxy, dyy } = matrix;
+    const determinant = dxx * dyy - dxy * dxy;
+    const scale = Math.max(Math.abs(dxx), Math.abs(dyy), Math.abs(dxy), 1e-300);
+    if (Math.abs(determinant) < 1e-14 * scale * scale) {
+      return null;
+    }
+    
+    return {
+      x: (dyy * b.x - dxy * b.y) / determinant,
+      y: (dxx * b.y - dxy * b.x) / determinant
+    };
   }
 }; 
\ No newline at end of file
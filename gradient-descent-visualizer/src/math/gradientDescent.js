@@ -4,6 +4,18 @@
  */
 
 import { mathUtils } from './functions.js';
+import { resolveOptimizerRule, snapshotState } from './optimizers.js';
+import { resolveLineSearch } from './lineSearch.js';
+import { resolveSchedule } from './schedules.js';
+import { createBatchSampler } from './datasets.js';
+import { createRandom } from './random.js';
+import { escapeBounds, isNonFinite, detectDivergence, isOscillating } from './divergence.js';
+import { resolveStopping, stoppingStatus, estimateConvergence } from './convergence.js';
+
+/**
+ * Status of an optimizer: still running, or why it stopped
+ */
+export const OPTIMIZER_STATUSES = ['running', 'converged', 'diverged', 'maxIterations', 'stalled'];
 
 /**
  * Configuration options for gradient descent
@@ -11,10 +23,36 @@ import { mathUtils } from './functions.js';
 export const defaultConfig = {
   learningRate: 0.01,
   maxIterations: 1000,
-  tolerance: 1e-6,
+  tolerance: 1e-6, // Gradient norm below which the run has converged, unless stopping is set
+  stopping: null, // Stopping criteria, see createStoppingCriterion(); null stops on the gradient norm
   momentum: 0,
-  adaptiveLearningRate: false,
-  initialDecay: 0.9
+  adaptiveLearningRate: false, // Legacy shorthand for schedule { type: 'exponential', gamma: initialDecay }
+  initialDecay: 0.9,
+  schedule: null, // Learning rate schedule, see createSchedule()
+  algorithm: null, // Update rule name or custom rule object; null picks 'sgd' or 'momentum'
+  beta1: 0.9,
+  beta2: 0.999,
+  epsilon: 1e-8,
+  rho: 0.9,
+  weightDecay: 0,
+  damping: 1e-3, // Damped Newton: smallest eigenvalue enforced on the shifted Hessian
+  memory: 5, // L-BFGS: number of curvature pairs kept
+  lineSearch: null, // Line search name or custom object; null takes the rule's step as is
+  c1: 1e-4, // Armijo sufficient decrease constant
+  c2: 0.9, // Wolfe curvature constant
+  backtrackFactor: 0.5,
+  maxLineSearchIterations: 20,
+  lineSearchTolerance: 1e-4, // Golden-section bracket width, relative to the step size
+  batchSize: null, // Mini-batch size for dataset objectives; null uses the full batch
+  shuffle: true, // Reshuffle samples every epoch
+  epochs: null, // Stop after this many passes over the data; null for no limit
+  gradientNoise: 0, // Standard deviation of Gaussian noise added to every step's gradient
+  seed: 1, // Seed of every random stream (shuffling, gradient noise), number or string
+  detectDivergence: false, // Stop runs whose loss explodes, that escape or that oscillate without progress (the visualizer, sweeps and basin maps turn it on); non-finite runs always stop
+  explosionFactor: 1e6, // Loss increase over the start, relative to max(1, |f(x0)|), that counts as diverged
+  escapeRadius: 10, // Distance from the plot centre, in axis ranges, that counts as escaped
+  divergencePatience: 5, // Consecutive exploding or escaped states before a run counts as diverged
+  oscillationWindow: 100 // Consecutive reversing steps without loss decrease that count as stalled
 };
 
 /**
@@ -29,12 +67,24 @@ export class GradientDescentOptimizer {
   constructor(optimizationFunction, config = {}) {
     this.func = optimizationFunction;
     this.config = { ...defaultConfig, ...config };
+    this.rule = resolveOptimizerRule(this.config);
+    this.lineSearch = resolveLineSearch(this.config);
+    this.schedule = resolveSchedule(this.config);
+    this.stopping = resolveStopping(this.config);
     
     // Current state
     this.currentPosition = { x: 0, y: 0 };
-    this.velocity = { x: 0, y: 0 }; // For momentum
+    this.optimizerState = this.rule.createState(); // Per-rule internal state
+    this.lastLineSearch = null; // Trial steps of the most recent line search
+    this.sampler = null; // Mini-batch sampler, created on the first stochastic step
+    this.lastBatch = null; // Mini-batch of the most recent step
+    this.resetRandom();
     this.iteration = 0;
     this.converged = false;
+    this.status = 'running'; // One of OPTIMIZER_STATUSES
+    this.statusReason = null; // Why the run stopped: a divergence reason, 'oscillation', 'epochs' or the fired config.stopping rules
+    this.stoppedBy = null; // Types of the stopping rules that fired, or null
+    this.escapeBounds = escapeBounds(this.func);
     
     // History tracking
     this.history = [];
@@ -52,14 +102,22 @@ export class GradientDescentOptimizer {
    */
   initialize(x, y) {
     this.currentPosition = { x, y };
-    this.velocity = { x: 0, y: 0 };
+    this.optimizerState = this.rule.createState();
+    this.lastLineSearch = null;
+    this.sampler = null;
+    this.lastBatch = null;
+    this.resetRandom();
     this.iteration = 0;
     this.converged = false;
+    this.status = 'running';
+    this.statusReason = null;
+    this.stoppedBy = null;
     this.history = [];
     this.isRunning = false;
     
     // Record initial state
     this.recordCurrentState();
+    this.updateStatus();
   }
   
   /**
@@ -67,52 +125,231 @@ export class GradientDescentOptimizer {
    * @returns {Object} Step result with position, gradient, and metadata
    */
   step() {
-    if (this.converged || this.iteration >= this.config.maxIterations) {
+    if (this.isFinished()) {
       this.isRunning = false;
       return this.getCurrentState();
     }
     
     const { x, y } = this.currentPosition;
     
-    // Calculate gradient
-    const gradient = this.func.gradient(x, y);
-    const gradientMagnitude = mathUtils.vectorMagnitude(gradient);
+    // Scheduled learning rate for this step
+    const currentLearningRate = this.getLearningRate(this.iteration);
     
-    // Check for convergence
-    if (gradientMagnitude < this.config.tolerance) {
-      this.converged = true;
-      this.isRunning = false;
-      this.endTime = performance.now();
-      return this.getCurrentState();
+    // Mini-batch objective for this step (the full objective unless stochastic)
+    const objective = this.nextBatchObjective({ x, y });
+    let stepGradient = objective.gradient(x, y);
+    if (this.config.gradientNoise > 0) {
+      stepGradient = {
+        dx: stepGradient.dx + this.noise.normal(0, this.config.gradientNoise),
+        dy: stepGradient.dy + this.noise.normal(0, this.config.gradientNoise)
+      };
     }
-    
-    // Adaptive learning rate (optional)
-    let currentLearningRate = this.config.learningRate;
-    if (this.config.adaptiveLearningRate && this.iteration > 0) {
-      const decayFactor = Math.pow(this.config.initialDecay, this.iteration);
-      currentLearningRate *= decayFactor;
+    if (this.lastBatch) {
+      this.lastBatch.gradient = stepGradient;
     }
     
-    // Update velocity (momentum)
-    if (this.config.momentum > 0) {
-      this.velocity.x = this.config.momentum * this.velocity.x - currentLearningRate * gradient.dx;
-      this.velocity.y = this.config.momentum * this.velocity.y - currentLearningRate * gradient.dy;
-      
-      // Update position with momentum
-      this.currentPosition.x += this.velocity.x;
-      this.currentPosition.y += this.velocity.y;
-    } else {
-      // Standard gradient descent update
-      this.currentPosition.x -= currentLearningRate * gradient.dx;
-      this.currentPosition.y -= currentLearningRate * gradient.dy;
-    }
+    // Delegate the update to the configured rule
+    const delta = this.rule.update({
+      position: { x, y },
+      gradient: stepGradient,
+      learningRate: currentLearningRate,
+      config: this.config,
+      func: objective,
+      state: this.optimizerState,
+      iteration: this.iteration
+    });
+    
+    const step = this.lineSearch ? this.searchStep({ x, y }, stepGradient, delta, objective) : delta;
+    
+    this.currentPosition.x += step.dx;
+    this.currentPosition.y += step.dy;
     
     this.iteration++;
     this.recordCurrentState();
+    this.updateStatus();
     
     return this.getCurrentState();
   }
   
+  /**
+   * Check the latest recorded state for divergence, the stopping rules, stalling or an exhausted budget
+   * A non-finite state always diverges; the other divergence and stall checks need config.detectDivergence.
+   * The terminal status is also written into that history entry.
+   */
+  updateStatus() {
+    const { detectDivergence: detect, oscillationWindow, maxIterations, epochs } = this.config;
+    
+    const latestState = this.history[this.history.length - 1];
+    const reason = detect ? detectDivergence(this.history, {
+      bounds: this.escapeBounds,
+      escapeRadius: this.config.escapeRadius,
+      explosionFactor: this.config.explosionFactor,
+      patience: this.config.divergencePatience
+    }) : (isNonFinite(latestState) ? 'non-finite' : null);
+    
+    if (reason) {
+      this.finish('diverged', reason);
+    } else {
+      const fired = this.stopping.check({ history: this.history, func: this.func, now: performance.now() });
+      if (fired) {
+        this.stoppedBy = fired;
+        this.converged = stoppingStatus(fired) === 'converged';
+        // The default gradient-norm stop is a plain convergence, without a reason
+        this.finish(stoppingStatus(fired), this.config.stopping ? fired.join(' + ') : null);
+      } else if (detect && isOscillating(this.history, oscillationWindow)) {
+        this.finish('stalled', 'oscillation');
+      }
+    }
+    
+    if (this.status === 'running' && this.iteration >= maxIterations) {
+      this.finish('maxIterations', null);
+    } else if (this.status === 'running' && epochs !== null && this.getEpochsCompleted() >= epochs) {
+      this.finish('maxIterations', 'epochs');
+    }
+    
+    if (this.status !== 'running') {
+      latestState.status = this.status;
+      latestState.statusReason = this.statusReason;
+    }
+  }
+  
+  /**
+   * Stop the run with a terminal status
+   * @param {string} status - One of OPTIMIZER_STATUSES other than 'running'
+   * @param {string|null} reason - Detail of the status, or null
+   */
+  finish(status, reason) {
+    this.status = status;
+    this.statusReason = reason;
+    this.isRunning = false;
+    this.endTime = performance.now();
+  }
+  
+  /**
+   * Restart the random streams from config.seed so that a rerun replays the same numbers
+   */
+  resetRandom() {
+    this.random = createRandom(this.config.seed);
+    this.noise = this.random.fork('gradient-noise');
+  }
+  
+  /**
+   * Whether the optimizer has stopped: converged, diverged, stalled, out of iterations or out of epochs
+   * @returns {boolean} True if step() will not move any further
+   */
+  isFinished() {
+    const { maxIterations, epochs } = this.config;
+    return this.status !== 'running' ||
+      this.iteration >= maxIterations ||
+      (epochs !== null && this.getEpochsCompleted() >= epochs);
+  }
+  
+  /**
+   * Number of full passes over the data so far
+   * Without mini-batches every step is a full pass.
+   * @returns {number} Completed epochs
+   */
+  getEpochsCompleted() {
+    return this.sampler ? this.sampler.epochsCompleted : this.iteration;
+  }
+  
+  /**
+   * Draw the next mini-batch and view the objective through it
+   * Dataset objectives (with batchGradient and size) are subsampled when config.batchSize
+   * is smaller than the dataset; every other function is returned unchanged.
+   * @param {Object} position - Position before the step {x, y}
+   * @returns {Object} Objective for this step
+   */
+  nextBatchObjective(position) {
+    const func = this.func;
+    const { batchSize } = this.config;
+    
+    if (!batchSize || typeof func.batchGradient !== 'function' || batchSize >= func.size) {
+      this.lastBatch = null;
+      return func;
+    }
+    
+    if (!this.sampler) {
+      this.sampler = createBatchSampler(func.size, { shuffle: this.config.shuffle, random: this.random.fork('batches') });
+    }
+    
+    const { indices, epoch } = this.sampler.next(batchSize);
+    this.lastBatch = { epoch, indices, origin: { ...position }, gradient: null };
+    
+    return {
+      ...func,
+      value: (x, y) => func.batchValue(x, y, indices),
+      gradient: (x, y) => func.batchGradient(x, y, indices),
+      hessian: (x, y) => func.batchHessian(x, y, indices)
+    };
+  }
+  
+  /**
+   * Effective learning rate of a step under the configured schedule
+   * @param {number} iteration - Step index (0 for the first step)
+   * @returns {number} Learning rate
+   */
+  getLearningRate(iteration = this.iteration) {
+    const baseRate = this.config.learningRate;
+    return this.schedule ? this.schedule.rate(iteration, baseRate) : baseRate;
+  }
+  
+  /**
+   * Replace the learning rate schedule
+   * @param {Object|string|Array|null} schedule - Anything createSchedule() accepts, or null for a constant rate
+   */
+  setSchedule(schedule) {
+    this.config.schedule = schedule;
+    this.schedule = resolveSchedule(this.config);
+  }
+  
+  /**
+   * Replace the stopping criteria
+   * A run that has already stopped stays stopped until it is initialized again.
+   * @param {Object|string|Array|null} stopping - Anything createStoppingCriterion() accepts, or null for the gradient norm
+   */
+  setStopping(stopping) {
+    this.config.stopping = stopping;
+    this.stopping = resolveStopping(this.config);
+  }
+  
+  /**
+   * Scale the rule's proposed step with the configured line search
+   * Steps that do not point downhill are replaced by steepest descent before searching.
+   * @param {Object} position - Position before the step {x, y}
+   * @param {Object} gradient - Gradient at that position {dx, dy}
+   * @param {Object} delta - Step proposed by the update rule {dx, dy}
+   * @param {Object} objective - Function to search on (the current mini-batch when stochastic)
+   * @returns {Object} Accepted step {dx, dy}
+   */
+  searchStep(position, gradient, delta, objective = this.func) {
+    const fallback = gradient.dx * delta.dx + gradient.dy * delta.dy >= 0;
+    const direction = fallback ?
+      { x: -this.config.learningRate * gradient.dx, y: -this.config.learningRate * gradient.dy } :
+      { x: delta.dx, y: delta.dy };
+    
+    const result = this.lineSearch.search({
+      func: objective,
+      position,
+      direction,
+      value: objective.value(position.x, position.y),
+      gradient,
+      config: this.config
+    });
+    
+    this.lastLineSearch = {
+      method: this.lineSearch.name,
+      origin: { ...position },
+      direction,
+      step: result.step,
+      trials: result.trials,
+      satisfied: result.satisfied,
+      fallback
+    };
+    
+    return { dx: result.step * direction.x, dy: result.step * direction.y };
+  }
+  
   /**
    * Run optimization for multiple steps
    * @param {number} steps - Number of steps to run
@@ -126,11 +363,11 @@ export class GradientDescentOptimizer {
       this.startTime = performance.now();
     }
     
-    for (let i = 0; i < steps && !this.converged; i++) {
+    for (let i = 0; i < steps && !this.isFinished(); i++) {
       results.push(this.step());
     }
     
-    if (this.converged && !this.endTime) {
+    if (this.isFinished() && !this.endTime) {
       this.endTime = performance.now();
     }
     
@@ -138,7 +375,7 @@ export class GradientDescentOptimizer {
   }
   
   /**
-   * Run optimization until convergence or max iterations
+   * Run optimization until convergence, max iterations or the epoch limit
    * @returns {Array} Complete optimization history
    */
   runToConvergence() {
@@ -147,7 +384,7 @@ export class GradientDescentOptimizer {
       this.startTime = performance.now();
     }
     
-    while (!this.converged && this.iteration < this.config.maxIterations) {
+    while (!this.isFinished()) {
       this.step();
     }
     
@@ -175,7 +412,16 @@ export class GradientDescentOptimizer {
       gradientMagnitude,
       iteration: this.iteration,
       converged: this.converged,
-      learningRate: this.config.learningRate
+      status: this.status,
+      statusReason: this.statusReason,
+      // Rate of the step that produced this state (the first step's rate before any step)
+      learningRate: this.getLearningRate(Math.max(0, this.iteration - 1)),
+      baseLearningRate: this.config.learningRate,
+      algorithm: this.rule.name,
+      optimizerState: snapshotState(this.optimizerState),
+      lineSearch: this.lastLineSearch,
+      batch: this.lastBatch,
+      epoch: this.getEpochsCompleted()
     };
   }
   
@@ -196,9 +442,16 @@ export class GradientDescentOptimizer {
   reset() {
     this.iteration = 0;
     this.converged = false;
+    this.status = 'running';
+    this.statusReason = null;
+    this.stoppedBy = null;
     this.history = [];
     this.isRunning = false;
-    this.velocity = { x: 0, y: 0 };
+    this.optimizerState = this.rule.createState();
+    this.lastLineSearch = null;
+    this.sampler = null;
+    this.lastBatch = null;
+    this.resetRandom();
     this.startTime = null;
     this.endTime = null;
   }
@@ -216,10 +469,16 @@ export class GradientDescentOptimizer {
     const finalValue = this.history[this.history.length - 1].functionValue;
     const improvement = initialValue - finalValue;
     const improvementPercent = (improvement / Math.abs(initialValue)) * 100;
+    const convergence = estimateConvergence(this.history);
     
     return {
       iterations: this.iteration,
       converged: this.converged,
+      status: this.status,
+      statusReason: this.statusReason,
+      stoppedBy: this.stoppedBy,
+      convergenceOrder: convergence ? convergence.order : null,
+      convergenceRate: convergence ? convergence.rate : null,
       initialValue,
       finalValue,
       improvement,
@@ -235,7 +494,11 @@ export class GradientDescentOptimizer {
    */
   exportData() {
     return {
-      config: this.config,
+      config: {
+        ...this.config,
+        schedule: this.schedule
+      },
+      seed: this.random.seed,
       history: this.history,
       statistics: this.getStatistics(),
       functionInfo: {
@@ -249,10 +512,11 @@ export class GradientDescentOptimizer {
 /**
  * Factory function to create optimizer with presets
  * @param {Object} func - Optimization function
- * @param {string} preset - Preset name ('standard', 'momentum', 'adaptive')
+ * @param {string} preset - Preset name (see optimizerPresets)
+ * @param {Object} overrides - Configuration overriding the preset
  * @returns {GradientDescentOptimizer} Configured optimizer
  */
-export function createOptimizer(func, preset = 'standard') {
+export function createOptimizer(func, preset = 'standard', overrides = {}) {
   const presets = {
     standard: {
       learningRate: func.recommendedLearningRate || 0.01,
@@ -269,51 +533,99 @@ export function createOptimizer(func, preset = 'standard') {
       momentum: 0,
       adaptiveLearningRate: true,
       initialDecay: 0.95
+    },
+    nesterov: {
+      algorithm: 'nesterov',
+      learningRate: func.recommendedLearningRate || 0.01,
+      momentum: 0.9
+    },
+    adagrad: {
+      algorithm: 'adagrad',
+      learningRate: 0.5
+    },
+    rmsprop: {
+      algorithm: 'rmsprop',
+      learningRate: 0.02,
+      rho: 0.9
+    },
+    adadelta: {
+      algorithm: 'adadelta',
+      learningRate: 1,
+      rho: 0.95,
+      epsilon: 1e-6
+    },
+    adam: {
+      algorithm: 'adam',
+      learningRate: 0.05
+    },
+    adamw: {
+      algorithm: 'adamw',
+      learningRate: 0.05,
+      weightDecay: 0.01
+    },
+    newton: {
+      algorithm: 'newton',
+      learningRate: 1
+    },
+    'damped-newton': {
+      algorithm: 'damped-newton',
+      learningRate: 1,
+      damping: 1e-3
+    },
+    bfgs: {
+      algorithm: 'bfgs',
+      learningRate: 1
+    },
+    lbfgs: {
+      algorithm: 'lbfgs',
+      learningRate: 1,
+      memory: 5
     }
   };
   
   const config = presets[preset] || presets.standard;
-  return new GradientDescentOptimizer(func, config);
+  return new GradientDescentOptimizer(func, { ...config, ...overrides });
 }
 
+/**
+ * Available optimizer presets with display labels
+ */
+export const optimizerPresets = {
+  standard: 'Gradient Descent',
+  momentum: 'Momentum',
+  adaptive: 'Decaying Learning Rate',
+  nesterov: 'Nesterov',
+  adagrad: 'AdaGrad',
+  rmsprop: 'RMSProp',
+  adadelta: 'AdaDelta',
+  adam: 'Adam',
+  adamw: 'AdamW',
+  newton: 'Newton',
+  'damped-newton': 'Damped Newton',
+  bfgs: 'BFGS',
+  lbfgs: 'L-BFGS'
+};
+
 /**
  * Utility functions for optimization analysis
  */
 export const optimizationUtils = {
   /**
-   * Calculate convergence rate from history
+   * Estimate the empirical convergence order and rate from history
    * @param {Array} history - Optimization history
-   * @returns {number} Convergence rate
+   * @returns {Object|null} { order, rate, samples }, see estimateConvergence()
    */
-  calculateConvergenceRate: (history) => {
-    if (history.length < 2) return 0;
-    
-    const values = history.map(h => h.functionValue);
-    const differences = [];
-    
-    for (let i = 1; i < values.length; i++) {
-      differences.push(Math.abs(values[i] - values[i-1]));
-    }
-    
-    // Calculate average rate of improvement
-    return differences.reduce((sum, diff) => sum + diff, 0) / differences.length;
-  },
+  estimateConvergence: (history) => estimateConvergence(history),
   
   /**
-   * Detect if optimization is stuck in local minimum
+   * Calculate the convergence rate of a run
+   * @deprecated Use estimateConvergence(), which also gives the convergence order
    * @param {Array} history - Optimization history
-   * @param {number} windowSize - Number of recent steps to analyze
-   * @returns {boolean} True if likely stuck
+   * @returns {number} Empirical rate μ, or 0 while there is no estimate
    */
-  detectLocalMinimum: (history, windowSize = 10) => {
-    if (history.length < windowSize) return false;
-    
-    const recentHistory = history.slice(-windowSize);
-    const values = recentHistory.map(h => h.functionValue);
-    
-    // Check if values have plateaued
-    const variance = optimizationUtils.calculateVariance(values);
-    return variance < 1e-8;
+  calculateConvergenceRate: (history) => {
+    const estimate = estimateConvergence(history);
+    return estimate ? estimate.rate : 0;
   },
   
   /**
@@ -0,0 +1,265 @@
+/**
+ * Line search strategies for gradient descent
+ * A line search picks the step size α along the step p proposed by the update rule,
+ * so that the new position is x + αp. α = 1 reproduces the rule's own step.
+ *
+ *   {
+ *     name: string,
+ *     description: string,
+ *     search: (context) => { step, trials, satisfied }
+ *   }
+ *
+ * The search context is { func, position, direction, value, gradient, config }, where
+ * `direction` is p, `value` is f(x) and `gradient` is ∇f(x). Every evaluated step size is
+ * returned in `trials` as { alpha, value } in evaluation order.
+ */
+
+/**
+ * Restrict f to the ray x + αp and record every evaluation
+ * @param {Object} context - Search context
+ * @returns {Object} { phi, slope, trials, initialSlope }
+ */
+const createRay = ({ func, position, direction, gradient }) => {
+  const trials = [];
+  
+  const at = (alpha) => ({ x: position.x + alpha * direction.x, y: position.y + alpha * direction.y });
+  
+  return {
+    trials,
+    
+    // φ(α) = f(x + αp)
+    phi: (alpha) => {
+      const point = at(alpha);
+      const value = func.value(point.x, point.y);
+      trials.push({ alpha, value });
+      return value;
+    },
+    
+    // φ'(α) = ∇f(x + αp)·p
+    slope: (alpha) => {
+      const point = at(alpha);
+      const g = func.gradient(point.x, point.y);
+      return g.dx * direction.x + g.dy * direction.y;
+    },
+    
+    initialSlope: gradient.dx * direction.x + gradient.dy * direction.y
+  };
+};
+
+/**
+ * Sufficient decrease (Armijo) condition φ(α) ≤ φ(0) + c₁αφ'(0)
+ * @param {number} value - φ(α)
+ * @param {number} alpha - Step size
+ * @param {number} value0 - φ(0)
+ * @param {number} slope0 - φ'(0)
+ * @param {number} c1 - Armijo constant
+ * @returns {boolean} True if the condition holds
+ */
+const sufficientDecrease = (value, alpha, value0, slope0, c1) => value <= value0 + c1 * alpha * slope0;
+
+/**
+ * Backtracking line search: shrink α by backtrackFactor until the Armijo condition holds
+ */
+export const armijo = {
+  name: 'Backtracking (Armijo)',
+  description: 'Shrink α until f(x + αp) ≤ f(x) + c₁α∇f·p',
+  
+  /**
+   * Find a step size
+   * @param {Object} context - Search context
+   * @returns {Object} { step, trials, satisfied }
+   */
+  search: (context) => {
+    const { value, config } = context;
+    const { phi, trials, initialSlope } = createRay(context);
+    let alpha = 1;
+    
+    for (let i = 0; i < config.maxLineSearchIterations; i++) {
+      if (sufficientDecrease(phi(alpha), alpha, value, initialSlope, config.c1)) {
+        return { step: alpha, trials, satisfied: true };
+      }
+      alpha *= config.backtrackFactor;
+    }
+    
+    return { step: alpha, trials, satisfied: false };
+  }
+};
+
+/**
+ * Strong Wolfe line search (Nocedal & Wright, Algorithms 3.5 and 3.6)
+ * Expands α until the minimizer is bracketed, then bisects the bracket until both the
+ * Armijo condition and the curvature condition |φ'(α)| ≤ c₂|φ'(0)| hold.
+ */
+export const wolfe = {
+  name: 'Strong Wolfe',
+  description: 'Armijo plus |∇f(x + αp)·p| ≤ c₂|∇f·p|',
+  
+  /**
+   * Find a step size
+   * @param {Object} context - Search context
+   * @returns {Object} { step, trials, satisfied }
+   */
+  search: (context) => {
+    const { value, config } = context;
+    const { phi, slope, trials, initialSlope } = createRay(context);
+    const { c1, c2, maxLineSearchIterations } = config;
+    let evaluations = 0;
+    
+    const curvatureHolds = (s) => Math.abs(s) <= -c2 * initialSlope;
+    
+    /**
+     * Shrink a bracket [lo, hi] known to contain acceptable steps
+     * @returns {Object} Search result
+     */
+    const zoom = (lo, valueLo, hi) => {
+      while (evaluations < maxLineSearchIterations) {
+        const alpha = (lo + hi) / 2;
+        const valueAlpha = phi(alpha);
+        evaluations++;
+        
+        if (!sufficientDecrease(valueAlpha, alpha, value, initialSlope, c1) || valueAlpha >= valueLo) {
+          hi = alpha;
+        } else {
+          const s = slope(alpha);
+          if (curvatureHolds(s)) {
+            return { step: alpha, trials, satisfied: true };
+          }
+          if (s * (hi - lo) >= 0) {
+            hi = lo;
+          }
+          lo = alpha;
+          valueLo = valueAlpha;
+        }
+      }
+      return { step: lo, trials, satisfied: false };
+    };
+    
+    let previous = 0;
+    let valuePrevious = value;
+    let alpha = 1;
+    
+    while (evaluations < maxLineSearchIterations) {
+      const valueAlpha = phi(alpha);
+      evaluations++;
+      
+      if (!sufficientDecrease(valueAlpha, alpha, value, initialSlope, c1) ||
+          (previous > 0 && valueAlpha >= valuePrevious)) {
+        return zoom(previous, valuePrevious, alpha);
+      }
+      
+      const s = slope(alpha);
+      if (curvatureHolds(s)) {
+        return { step: alpha, trials, satisfied: true };
+      }
+      if (s >= 0) {
+        return zoom(alpha, valueAlpha, previous);
+      }
+      
+      previous = alpha;
+      valuePrevious = valueAlpha;
+      alpha *= 2;
+    }
+    
+    return { step: previous, trials, satisfied: false };
+  }
+};
+
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+/**
+ * Exact line search: bracket the minimizer of φ by doubling α, then golden-section search
+ */
+export const exact = {
+  name: 'Exact (Golden Section)',
+  description: 'Minimize f(x + αp) over α by golden-section search',
+  
+  /**
+   * Find a step size
+   * @param {Object} context - Search context
+   * @returns {Object} { step, trials, satisfied }
+   */
+  search: (context) => {
+    const { value, config } = context;
+    const { phi, trials } = createRay(context);
+    const { maxLineSearchIterations, lineSearchTolerance } = config;
+    
+    // Bracket: grow [lo, hi] while φ keeps decreasing past the middle point
+    let lo = 0;
+    let mid = 1;
+    let valueMid = phi(mid);
+    let hi = mid;
+    
+    if (valueMid < value) {
+      hi = 2 * mid;
+      let valueHi = phi(hi);
+      for (let i = 0; i < maxLineSearchIterations && valueHi < valueMid; i++) {
+        lo = mid;
+        mid = hi;
+        valueMid = valueHi;
+        hi = 2 * hi;
+        valueHi = phi(hi);
+      }
+    }
+    
+    // Golden-section search on [lo, hi]
+    let a = hi - GOLDEN_RATIO * (hi - lo);
+    let b = lo + GOLDEN_RATIO * (hi - lo);
+    let valueA = phi(a);
+    let valueB = phi(b);
+    
+    for (let i = 0; i < maxLineSearchIterations && hi - lo > lineSearchTolerance * Math.max(1, hi); i++) {
+      if (valueA < valueB) {
+        hi = b;
+        b = a;
+        valueB = valueA;
+        a = hi - GOLDEN_RATIO * (hi - lo);
+        valueA = phi(a);
+      } else {
+        lo = a;
+        a = b;
+        valueA = valueB;
+        b = lo + GOLDEN_RATIO * (hi - lo);
+        valueB = phi(b);
+      }
+    }
+    
+    const best = trials.reduce((min, trial) => (trial.value < min.value ? trial : min));
+    const satisfied = best.value <= value;
+    return { step: satisfied ? best.alpha : 0, trials, satisfied };
+  }
+};
+
+/**
+ * Get all available line searches
+ * @returns {Object} Dictionary of line search name to line search object
+ */
+export const getLineSearches = () => ({
+  'armijo': armijo,
+  'wolfe': wolfe,
+  'exact': exact
+});
+
+/**
+ * Resolve the line search for an optimizer configuration
+ * `config.lineSearch` may be a registered name, a custom line search object, or null for
+ * the rule's fixed step.
+ * @param {Object} config - Optimizer configuration
+ * @returns {Object|null} Line search, or null
+ */
+export function resolveLineSearch(config) {
+  const { lineSearch } = config;
+  if (!lineSearch || lineSearch === 'none') return null;
+  
+  if (typeof lineSearch === 'object') {
+    if (typeof lineSearch.search !== 'function') {
+      throw new Error('Custom line searches must provide search()');
+    }
+    return lineSearch;
+  }
+  
+  const search = getLineSearches()[lineSearch];
+  if (!search) {
+    throw new Error(`Unknown line search: ${lineSearch}`);
+  }
+  return search;
+}
@@ -0,0 +1,527 @@
+/**
+ * Optimizer update rules for gradient descent
+ * Each rule owns its per-step internal state (moment estimates, accumulators)
+ * and turns a gradient into a position update behind a common interface:
+ *
+ *   {
+ *     name: string,
+ *     description: string,
+ *     createState: () => Object,
+ *     update: (context) => { dx, dy }
+ *   }
+ *
+ * The update context is { position, gradient, learningRate, config, func, state, iteration }.
+ * Rules mutate `state` in place; the optimizer snapshots it into history after every step.
+ *
+ * Second-order rules (newton, dampedNewton) read curvature from func.hessian when the
+ * function provides it and from finite differences of the gradient otherwise.
+ * Quasi-Newton rules (bfgs, lbfgs) build their curvature estimate from gradient changes.
+ */
+
+import { mathUtils } from './functions.js';
+
+/**
+ * Create a zeroed 2D vector
+ * @returns {Object} Vector {x, y}
+ */
+const zeroVector = () => ({ x: 0, y: 0 });
+
+/**
+ * Plain gradient descent: Δ = -η∇f
+ */
+export const sgd = {
+  name: 'Gradient Descent',
+  description: 'Plain gradient descent: Δ = -η∇f',
+  
+  createState: () => ({}),
+  
+  /**
+   * Calculate position update
+   * @param {Object} context - Update context
+   * @returns {Object} Position update {dx, dy}
+   */
+  update: ({ gradient, learningRate }) => {
+    return {
+      dx: -learningRate * gradient.dx,
+      dy: -learningRate * gradient.dy
+    };
+  }
+};
+
+/**
+ * Heavy-ball momentum: v = μv - η∇f, Δ = v
+ */
+export const momentum = {
+  name: 'Momentum',
+  description: 'Heavy-ball momentum: v = μv - η∇f',
+  
+  createState: () => ({ velocity: zeroVector() }),
+  
+  /**
+   * Calculate position update
+   * @param {Object} context - Update context
+   * @returns {Object} Position update {dx, dy}
+   */
+  update: ({ gradient, learningRate, config, state }) => {
+    const { velocity } = state;
+    velocity.x = config.momentum * velocity.x - learningRate * gradient.dx;
+    velocity.y = config.momentum * velocity.y - learningRate * gradient.dy;
+    
+    return { dx: velocity.x, dy: velocity.y };
+  }
+};
+
+/**
+ * Nesterov accelerated gradient: gradient is taken at the look-ahead point x + μv
+ */
+export const nesterov = {
+  name: 'Nesterov',
+  description: 'Nesterov momentum: v = μv - η∇f(x + μv)',
+  
+  createState: () => ({ velocity: zeroVector(), lookahead: null }),
+  
+  /**
+   * Calculate position update
+   * @param {Object} context - Update context
+   * @returns {Object} Position update {dx, dy}
+   */
+  update: ({ position, learningRate, config, func, state }) => {
+    const { velocity } = state;
+    const lookahead = {
+      x: position.x + config.momentum * velocity.x,
+      y: position.y + config.momentum * velocity.y
+    };
+    const gradient = func.gradient(lookahead.x, lookahead.y);
+    
+    velocity.x = config.momentum * velocity.x - learningRate * gradient.dx;
+    velocity.y = config.momentum * velocity.y - learningRate * gradient.dy;
+    state.lookahead = lookahead;
+    
+    return { dx: velocity.x, dy: velocity.y };
+  }
+};
+
+/**
+ * AdaGrad: per-coordinate steps scaled by the accumulated squared gradient
+ */
+export const adagrad = {
+  name: 'AdaGrad',
+  description: 'AdaGrad: G += g², Δ = -ηg / (√G + ε)',
+  
+  createState: () => ({ accumulator: zeroVector() }),
+  
+  /**
+   * Calculate position update
+   * @param {Object} context - Update context
+   * @returns {Object} Position update {dx, dy}
+   */
+  update: ({ gradient, learningRate, config, state }) => {
+    const { accumulator } = state;
+    accumulator.x += gradient.dx * gradient.dx;
+    accumulator.y += gradient.dy * gradient.dy;
+    
+    return {
+      dx: -learningRate * gradient.dx / (Math.sqrt(accumulator.x) + config.epsilon),
+      dy: -learningRate * gradient.dy / (Math.sqrt(accumulator.y) + config.epsilon)
+    };
+  }
+};
+
+/**
+ * RMSProp: AdaGrad with an exponentially decaying accumulator
+ */
+export const rmsprop = {
+  name: 'RMSProp',
+  description: 'RMSProp: E = ρE + (1-ρ)g², Δ = -ηg / (√E + ε)',
+  
+  createState: () => ({ meanSquare: zeroVector() }),
+  
+  /**
+   * Calculate position update
+   * @param {Object} context - Update context
+   * @returns {Object} Position update {dx, dy}
+   */
+  update: ({ gradient, learningRate, config, state }) => {
+    const { meanSquare } = state;
+    const { rho, epsilon } = config;
+    meanSquare.x = rho * meanSquare.x + (1 - rho) * gradient.dx * gradient.dx;
+    meanSquare.y = rho * meanSquare.y + (1 - rho) * gradient.dy * gradient.dy;
+    
+    return {
+      dx: -learningRate * gradient.dx / (Math.sqrt(meanSquare.x) + epsilon),
+      dy: -learningRate * gradient.dy / (Math.sqrt(meanSquare.y) + epsilon)
+    };
+  }
+};
+
+/**
+ * AdaDelta: unit-corrected RMSProp, the learning rate acts as a plain scale factor
+ */
+export const adadelta = {
+  name: 'AdaDelta',
+  description: 'AdaDelta: Δ = -√(E[Δ²] + ε) / √(E[g²] + ε) · g',
+  
+  createState: () => ({ meanSquare: zeroVector(), meanSquareDelta: zeroVector() }),
+  
+  /**
+   * Calculate position update
+   * @param {Object} context - Update context
+   * @returns {Object} Position update {dx, dy}
+   */
+  update: ({ gradient, learningRate, config, state }) => {
+    const { meanSquare, meanSquareDelta } = state;
+    const { rho, epsilon } = config;
+    const delta = {};
+    
+    for (const [axis, g] of [['x', gradient.dx], ['y', gradient.dy]]) {
+      meanSquare[axis] = rho * meanSquare[axis] + (1 - rho) * g * g;
+      const d = -Math.sqrt(meanSquareDelta[axis] + epsilon) / Math.sqrt(meanSquare[axis] + epsilon) * g;
+      meanSquareDelta[axis] = rho * meanSquareDelta[axis] + (1 - rho) * d * d;
+      delta[axis] = learningRate * d;
+    }
+    
+    return { dx: delta.x, dy: delta.y };
+  }
+};
+
+/**
+ * Shared Adam moment update with bias correction
+ * @param {Object} gradient - Gradient vector {dx, dy}
+ * @param {Object} config - Optimizer configuration
+ * @param {Object} state - Adam state {firstMoment, secondMoment, t}
+ * @returns {Object} Bias-corrected step direction {dx, dy} (before learning rate)
+ */
+const adamDirection = (gradient, config, state) => {
+  const { beta1, beta2, epsilon } = config;
+  const { firstMoment, secondMoment } = state;
+  state.t += 1;
+  
+  firstMoment.x = beta1 * firstMoment.x + (1 - beta1) * gradient.dx;
+  firstMoment.y = beta1 * firstMoment.y + (1 - beta1) * gradient.dy;
+  secondMoment.x = beta2 * secondMoment.x + (1 - beta2) * gradient.dx * gradient.dx;
+  secondMoment.y = beta2 * secondMoment.y + (1 - beta2) * gradient.dy * gradient.dy;
+  
+  const correction1 = 1 - Math.pow(beta1, state.t);
+  const correction2 = 1 - Math.pow(beta2, state.t);
+  
+  return {
+    dx: (firstMoment.x / correction1) / (Math.sqrt(secondMoment.x / correction2) + epsilon),
+    dy: (firstMoment.y / correction1) / (Math.sqrt(secondMoment.y / correction2) + epsilon)
+  };
+};
+
+/**
+ * Adam: bias-corrected first and second moment estimates
+ */
+export const adam = {
+  name: 'Adam',
+  description: 'Adam: Δ = -η m̂ / (√v̂ + ε)',
+  
+  createState: () => ({ firstMoment: zeroVector(), secondMoment: zeroVector(), t: 0 }),
+  
+  /**
+   * Calculate position update
+   * @param {Object} context - Update context
+   * @returns {Object} Position update {dx, dy}
+   */
+  update: ({ gradient, learningRate, config, state }) => {
+    const direction = adamDirection(gradient, config, state);
+    return {
+      dx: -learningRate * direction.dx,
+      dy: -learningRate * direction.dy
+    };
+  }
+};
+
+/**
+ * AdamW: Adam with decoupled weight decay
+ */
+export const adamw = {
+  name: 'AdamW',
+  description: 'AdamW: Δ = -η (m̂ / (√v̂ + ε) + λx)',
+  
+  createState: () => ({ firstMoment: zeroVector(), secondMoment: zeroVector(), t: 0 }),
+  
+  /**
+   * Calculate position update
+   * @param {Object} context - Update context
+   * @returns {Object} Position update {dx, dy}
+   */
+  update: ({ position, gradient, learningRate, config, state }) => {
+    const direction = adamDirection(gradient, config, state);
+    return {
+      dx: -learningRate * (direction.dx + config.weightDecay * position.x),
+      dy: -learningRate * (direction.dy + config.weightDecay * position.y)
+    };
+  }
+};
+
+/**
+ * Steepest descent fallback used when no usable curvature is available
+ * @param {Object} gradient - Gradient vector {dx, dy}
+ * @returns {Object} Direction {x, y}
+ */
+const steepestDescent = (gradient) => ({ x: -gradient.dx, y: -gradient.dy });
+
+/**
+ * Newton's method: Δ = -η H⁻¹∇f
+ * Jumps to the stationary point of the local quadratic model, which may be a saddle or maximum.
+ */
+export const newton = {
+  name: 'Newton',
+  description: 'Newton: Δ = -η H⁻¹∇f',
+  
+  createState: () => ({ hessian: null, singular: false }),
+  
+  /**
+   * Calculate position update
+   * @param {Object} context - Update context
+   * @returns {Object} Position update {dx, dy}
+   */
+  update: ({ position, gradient, learningRate, func, state }) => {
+    const hessian = mathUtils.hessian(func, position.x, position.y);
+    const direction = mathUtils.solveSymmetric2x2(hessian, { x: -gradient.dx, y: -gradient.dy });
+    
+    state.hessian = hessian;
+    state.singular = direction === null;
+    
+    const step = direction || steepestDescent(gradient);
+    return { dx: learningRate * step.x, dy: learningRate * step.y };
+  }
+};
+
+/**
+ * Damped Newton: the Hessian is shifted by λI until its smallest eigenvalue reaches
+ * config.damping, so every step is a descent direction (Levenberg-Marquardt style)
+ */
+export const dampedNewton = {
+  name: 'Damped Newton',
+  description: 'Damped Newton: Δ = -η (H + λI)⁻¹∇f with H + λI positive definite',
+  
+  createState: () => ({ hessian: null, shift: 0 }),
+  
+  /**
+   * Calculate position update
+   * @param {Object} context - Update context
+   * @returns {Object} Position update {dx, dy}
+   */
+  update: ({ position, gradient, learningRate, config, func, state }) => {
+    const hessian = mathUtils.hessian(func, position.x, position.y);
+    const [smallest] = mathUtils.eigenSymmetric2x2(hessian).values;
+    const shift = Math.max(0, config.damping - smallest);
+    const shifted = { dxx: hessian.dxx + shift, dxy: hessian.dxy, dyy: hessian.dyy + shift };
+    const direction = mathUtils.solveSymmetric2x2(shifted, { x: -gradient.dx, y: -gradient.dy });
+    
+    state.hessian = hessian;
+    state.shift = shift;
+    
+    const step = direction || steepestDescent(gradient);
+    return { dx: learningRate * step.x, dy: learningRate * step.y };
+  }
+};
+
+/**
+ * Record the current point and return the curvature pair s = Δx, y = Δ∇f
+ * relative to the previous step of a quasi-Newton rule
+ * @param {Object} position - Current position {x, y}
+ * @param {Object} gradient - Current gradient {dx, dy}
+ * @param {Object} state - Rule state with previousPosition and previousGradient
+ * @returns {Object|null} Pair {s, y, sy}, or null on the first step or when s·y ≤ 0
+ */
+const takeCurvaturePair = (position, gradient, state) => {
+  const { previousPosition, previousGradient } = state;
+  state.previousPosition = { x: position.x, y: position.y };
+  state.previousGradient = { dx: gradient.dx, dy: gradient.dy };
+  
+  if (!previousPosition) return null;
+  
+  const s = { x: position.x - previousPosition.x, y: position.y - previousPosition.y };
+  const y = { x: gradient.dx - previousGradient.dx, y: gradient.dy - previousGradient.dy };
+  const sy = s.x * y.x + s.y * y.y;
+  
+  // Skip pairs that would break positive definiteness
+  if (!(sy > 1e-12 * Math.hypot(s.x, s.y) * Math.hypot(y.x, y.y))) {
+    return null;
+  }
+  return { s, y, sy };
+};
+
+/**
+ * First quasi-Newton direction: unit-length steepest descent, since no curvature is known yet
+ * @param {Object} gradient - Gradient vector {dx, dy}
+ * @returns {Object} Direction {x, y}
+ */
+const initialDirection = (gradient) => {
+  const norm = mathUtils.vectorMagnitude(gradient) || 1;
+  return { x: -gradient.dx / norm, y: -gradient.dy / norm };
+};
+
+/**
+ * BFGS: maintains a dense inverse Hessian approximation
+ * H⁺ = (I - ρsyᵀ) H (I - ρysᵀ) + ρssᵀ with ρ = 1 / (s·y)
+ */
+export const bfgs = {
+  name: 'BFGS',
+  description: 'BFGS: Δ = -η H̃∇f, H̃ updated from gradient changes',
+  
+  createState: () => ({ inverseHessian: null, previousPosition: null, previousGradient: null }),
+  
+  /**
+   * Calculate position update
+   * @param {Object} context - Update context
+   * @returns {Object} Position update {dx, dy}
+   */
+  update: ({ position, gradient, learningRate, state }) => {
+    const pair = takeCurvaturePair(position, gradient, state);
+    
+    if (pair) {
+      const { s, y, sy } = pair;
+      // Scale the identity by s·y / y·y before the first update (Nocedal & Wright, eq. 6.20)
+      const H = state.inverseHessian || (() => {
+        const gamma = sy / (y.x * y.x + y.y * y.y);
+        return { dxx: gamma, dxy: 0, dyy: gamma };
+      })();
+      const rho = 1 / sy;
+      
+      // Hy and yᵀHy
+      const Hy = { x: H.dxx * y.x + H.dxy * y.y, y: H.dxy * y.x + H.dyy * y.y };
+      const yHy = y.x * Hy.x + y.y * Hy.y;
+      const factor = rho * rho * yHy + rho;
+      
+      state.inverseHessian = {
+        dxx: H.dxx - rho * 2 * Hy.x * s.x + factor * s.x * s.x,
+        dxy: H.dxy - rho * (Hy.x * s.y + s.x * Hy.y) + factor * s.x * s.y,
+        dyy: H.dyy - rho * 2 * Hy.y * s.y + factor * s.y * s.y
+      };
+    }
+    
+    const H = state.inverseHessian;
+    const direction = H ?
+      {
+        x: -(H.dxx * gradient.dx + H.dxy * gradient.dy),
+        y: -(H.dxy * gradient.dx + H.dyy * gradient.dy)
+      } :
+      initialDirection(gradient);
+    
+    return { dx: learningRate * direction.x, dy: learningRate * direction.y };
+  }
+};
+
+/**
+ * L-BFGS: applies the inverse Hessian implicitly from the last config.memory
+ * curvature pairs with the two-loop recursion
+ */
+export const lbfgs = {
+  name: 'L-BFGS',
+  description: 'L-BFGS: BFGS from the last m curvature pairs',
+  
+  createState: () => ({ pairs: [], previousPosition: null, previousGradient: null }),
+  
+  /**
+   * Calculate position update
+   * @param {Object} context - Update context
+   * @returns {Object} Position update {dx, dy}
+   */
+  update: ({ position, gradient, learningRate, config, state }) => {
+    const pair = takeCurvaturePair(position, gradient, state);
+    if (pair) {
+      state.pairs.push(pair);
+      while (state.pairs.length > Math.max(1, config.memory)) {
+        state.pairs.shift();
+      }
+    }
+    
+    const { pairs } = state;
+    if (pairs.length === 0) {
+      const direction = initialDirection(gradient);
+      return { dx: learningRate * direction.x, dy: learningRate * direction.y };
+    }
+    
+    // Two-loop recursion, newest pair first
+    const q = { x: gradient.dx, y: gradient.dy };
+    const alphas = [];
+    for (let i = pairs.length - 1; i >= 0; i--) {
+      const { s, y, sy } = pairs[i];
+      const alpha = (s.x * q.x + s.y * q.y) / sy;
+      alphas[i] = alpha;
+      q.x -= alpha * y.x;
+      q.y -= alpha * y.y;
+    }
+    
+    const newest = pairs[pairs.length - 1];
+    const gamma = newest.sy / (newest.y.x * newest.y.x + newest.y.y * newest.y.y);
+    const r = { x: gamma * q.x, y: gamma * q.y };
+    
+    for (let i = 0; i < pairs.length; i++) {
+      const { s, y, sy } = pairs[i];
+      const beta = (y.x * r.x + y.y * r.y) / sy;
+      r.x += s.x * (alphas[i] - beta);
+      r.y += s.y * (alphas[i] - beta);
+    }
+    
+    return { dx: -learningRate * r.x, dy: -learningRate * r.y };
+  }
+};
+
+/**
+ * Get all available optimizer update rules
+ * @returns {Object} Dictionary of rule name to rule object
+ */
+export const getOptimizerRules = () => ({
+  'sgd': sgd,
+  'momentum': momentum,
+  'nesterov': nesterov,
+  'adagrad': adagrad,
+  'rmsprop': rmsprop,
+  'adadelta': adadelta,
+  'adam': adam,
+  'adamw': adamw,
+  'newton': newton,
+  'damped-newton': dampedNewton,
+  'bfgs': bfgs,
+  'lbfgs': lbfgs
+});
+
+/**
+ * Resolve the update rule for an optimizer configuration
+ * `config.algorithm` may be a registered rule name or a custom rule object;
+ * without one, the legacy momentum setting picks between 'sgd' and 'momentum'.
+ * @param {Object} config - Optimizer configuration
+ * @returns {Object} Update rule
+ */
+export function resolveOptimizerRule(config) {
+  const { algorithm } = config;
+  
+  if (algorithm && typeof algorithm === 'object') {
+    if (typeof algorithm.update !== 'function' || typeof algorithm.createState !== 'function') {
+      throw new Error('Custom optimizer rules must provide createState() and update()');
+    }
+    return algorithm;
+  }
+  
+  const name = algorithm || (config.momentum > 0 ? 'momentum' : 'sgd');
+  const rule = getOptimizerRules()[name];
+  if (!rule) {
+    throw new Error(`Unknown optimizer algorithm: ${name}`);
+  }
+  return rule;
+}
+
+/**
+ * Deep copy an optimizer state for history snapshots
+ * @param {*} value - State value
+ * @returns {*} Copied value
+ */
+export function snapshotState(value) {
+  if (Array.isArray(value)) {
+    return value.map(snapshotState);
+  }
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const key of Object.keys(value)) {
+      copy[key] = snapshotState(value[key]);
+    }
+    return copy;
+  }
+  return value;
+}
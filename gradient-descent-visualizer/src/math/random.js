@@ -0,0 +1,119 @@
+/**
+ * Seedable pseudo-random numbers
+ * Every randomized feature draws from a generator created here instead of Math.random,
+ * so a run is reproduced bit-for-bit from its seed:
+ *
+ *   const random = createRandom(42);
+ *   random.next();       // uniform in [0, 1)
+ *   random.normal();     // standard normal
+ *   random.fork('noise') // independent stream derived from the same seed
+ *
+ * Seeds are 32-bit unsigned integers; strings are hashed, so shared links may use words.
+ */
+
+/**
+ * Mulberry32 pseudo-random generator
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} () => number in [0, 1)
+ */
+export const mulberry32 = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Normalize a seed to a 32-bit unsigned integer
+ * Numbers are truncated; strings are hashed with FNV-1a.
+ * @param {number|string} seed - Seed
+ * @returns {number} 32-bit unsigned seed
+ */
+export function hashSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.trunc(seed) >>> 0;
+  }
+  if (typeof seed !== 'string') {
+    throw new Error(`Invalid random seed: ${seed}`);
+  }
+  
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator
+ * @param {number|string} seed - Seed (see hashSeed())
+ * @returns {Object} Generator { seed, next, uniform, normal, integer, shuffle, fork }
+ */
+export function createRandom(seed = 1) {
+  const normalized = hashSeed(seed);
+  const next = mulberry32(normalized);
+  
+  return {
+    seed: normalized,
+    
+    /**
+     * Uniform sample in [0, 1)
+     * @returns {number} Sample
+     */
+    next,
+    
+    /**
+     * Uniform sample in [min, max)
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} Sample
+     */
+    uniform: (min = 0, max = 1) => min + (max - min) * next(),
+    
+    /**
+     * Normal sample via Box-Muller
+     * @param {number} mean - Mean
+     * @param {number} std - Standard deviation
+     * @returns {number} Sample
+     */
+    normal: (mean = 0, std = 1) => {
+      const u = 1 - next();
+      const v = next();
+      return mean + std * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    },
+    
+    /**
+     * Uniform integer in [0, n)
+     * @param {number} n - Number of outcomes
+     * @returns {number} Integer sample
+     */
+    integer: (n) => Math.floor(next() * n),
+    
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} The same array
+     */
+    shuffle: (array) => {
+      for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+      }
+      return array;
+    },
+    
+    /**
+     * Derive an independent generator for a named stream
+     * Forks depend only on this generator's seed and the name, not on how many samples were drawn,
+     * so adding a new random feature does not shift the numbers of existing ones.
+     * @param {string} name - Stream name
+     * @returns {Object} Generator
+     */
+    fork: (name) => createRandom(hashSeed(`${normalized}:${name}`))
+  };
+}
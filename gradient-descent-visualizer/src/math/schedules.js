@@ -0,0 +1,274 @@
+/**
+ * Learning rate schedules
+ * A schedule maps the step index t (0 for the first step) and a base rate to the
+ * effective learning rate of that step:
+ *
+ *   {
+ *     type: string,
+ *     params: Object,
+ *     rate: (iteration, baseRate) => number
+ *   }
+ *
+ * `type` and `params` describe the schedule as plain data, so a schedule serializes
+ * with JSON.stringify and can be rebuilt with createSchedule(). Rates are expressed
+ * relative to the base rate, which keeps them chainable: chain(warmup, cosine) feeds
+ * the cosine rate into the warmup as its base.
+ */
+
+/**
+ * Build a schedule object
+ * @param {string} type - Schedule type (key in scheduleFactories)
+ * @param {Object} params - Resolved parameters
+ * @param {Function} rate - (iteration, baseRate) => learning rate
+ * @returns {Object} Schedule
+ */
+const schedule = (type, params, rate) => ({ type, params, rate });
+
+/**
+ * Cosine interpolation from `from` (progress 0) to `to` (progress 1)
+ * @param {number} from - Start value
+ * @param {number} to - End value
+ * @param {number} progress - Position in [0, 1]
+ * @returns {number} Interpolated value
+ */
+const cosineInterpolate = (from, to, progress) => to + (from - to) * (1 + Math.cos(Math.PI * progress)) / 2;
+
+/**
+ * Check a schedule parameter against its lower bound
+ * @param {string} type - Schedule type, for the error message
+ * @param {string} name - Parameter name
+ * @param {number} value - Parameter value
+ * @param {number} min - Smallest allowed value
+ * @param {boolean} inclusive - Whether min itself is allowed
+ * @throws {Error} If value is below the bound or not a number
+ */
+const checkParam = (type, name, value, min, inclusive = true) => {
+  if (!(inclusive ? value >= min : value > min)) {
+    throw new Error(`Invalid ${type} schedule: ${name} must be ${inclusive ? 'at least' : 'greater than'} ${min}, got ${value}`);
+  }
+};
+
+/**
+ * Constant rate
+ * @returns {Object} Schedule
+ */
+export const constant = () => schedule('constant', {}, (_t, base) => base);
+
+/**
+ * Step decay: multiply by gamma every stepSize steps
+ * @param {Object} params - { stepSize, gamma }
+ * @returns {Object} Schedule
+ */
+export const stepDecay = ({ stepSize = 100, gamma = 0.5 } = {}) => {
+  checkParam('step', 'stepSize', stepSize, 0, false);
+  return schedule('step', { stepSize, gamma }, (t, base) => base * Math.pow(gamma, Math.floor(t / stepSize)));
+};
+
+/**
+ * Exponential decay: base · gamma^t
+ * @param {Object} params - { gamma }
+ * @returns {Object} Schedule
+ */
+export const exponential = ({ gamma = 0.99 } = {}) =>
+  schedule('exponential', { gamma }, (t, base) => base * Math.pow(gamma, t));
+
+/**
+ * Inverse-time decay: base / (1 + decayRate · t / decaySteps)
+ * @param {Object} params - { decayRate, decaySteps }
+ * @returns {Object} Schedule
+ */
+export const inverseTime = ({ decayRate = 0.01, decaySteps = 1 } = {}) => {
+  checkParam('inverseTime', 'decaySteps', decaySteps, 0, false);
+  return schedule('inverseTime', { decayRate, decaySteps }, (t, base) => base / (1 + decayRate * t / decaySteps));
+};
+
+/**
+ * Cosine annealing from base to base · minFactor over totalSteps, then flat
+ * @param {Object} params - { totalSteps, minFactor }
+ * @returns {Object} Schedule
+ */
+export const cosine = ({ totalSteps = 1000, minFactor = 0 } = {}) => {
+  checkParam('cosine', 'totalSteps', totalSteps, 0, false);
+  return schedule('cosine', { totalSteps, minFactor }, (t, base) =>
+    cosineInterpolate(base, base * minFactor, Math.min(t, totalSteps) / totalSteps));
+};
+
+/**
+ * Cosine annealing with warm restarts (SGDR): the cycle restarts at the base rate
+ * and every cycle is periodMultiplier times longer than the previous one
+ * @param {Object} params - { period, periodMultiplier, minFactor }
+ * @returns {Object} Schedule
+ */
+export const cosineRestarts = ({ period = 100, periodMultiplier = 1, minFactor = 0 } = {}) => {
+  // With a shorter or shrinking cycle the cycle search below would never reach t
+  checkParam('cosineRestarts', 'period', period, 1);
+  checkParam('cosineRestarts', 'periodMultiplier', periodMultiplier, 1);
+  return schedule('cosineRestarts', { period, periodMultiplier, minFactor }, (t, base) => {
+    let start = 0;
+    let length = period;
+    while (t >= start + length) {
+      start += length;
+      length *= periodMultiplier;
+    }
+    return cosineInterpolate(base, base * minFactor, (t - start) / length);
+  });
+};
+
+/**
+ * Linear warmup from base · startFactor to base over warmupSteps
+ * @param {Object} params - { warmupSteps, startFactor }
+ * @returns {Object} Schedule
+ */
+export const warmup = ({ warmupSteps = 100, startFactor = 0.01 } = {}) => {
+  checkParam('warmup', 'warmupSteps', warmupSteps, 0, false);
+  return schedule('warmup', { warmupSteps, startFactor }, (t, base) =>
+    base * (startFactor + (1 - startFactor) * Math.min(1, t / warmupSteps)));
+};
+
+/**
+ * One-cycle policy: cosine ramp from base up to base · maxFactor over the first
+ * pctStart of totalSteps, then cosine annealing down to base · finalFactor
+ * @param {Object} params - { totalSteps, maxFactor, pctStart, finalFactor }
+ * @returns {Object} Schedule
+ */
+export const oneCycle = ({ totalSteps = 1000, maxFactor = 10, pctStart = 0.3, finalFactor = 0.01 } = {}) =>
+  schedule('oneCycle', { totalSteps, maxFactor, pctStart, finalFactor }, (t, base) => {
+    const peak = Math.max(1, Math.round(totalSteps * pctStart));
+    if (t < peak) {
+      return cosineInterpolate(base, base * maxFactor, t / peak);
+    }
+    const progress = Math.min(1, (t - peak) / Math.max(1, totalSteps - peak));
+    return cosineInterpolate(base * maxFactor, base * finalFactor, progress);
+  });
+
+/**
+ * Cyclical learning rate (Smith, 2017): triangle waves between base and base · maxFactor,
+ * each half cycle lasting stepSize steps
+ * Modes: 'triangular' (constant amplitude), 'triangular2' (amplitude halves every cycle),
+ * 'exp_range' (amplitude scaled by gamma^t).
+ * @param {Object} params - { stepSize, maxFactor, mode, gamma }
+ * @returns {Object} Schedule
+ */
+export const cyclical = ({ stepSize = 50, maxFactor = 4, mode = 'triangular', gamma = 0.999 } = {}) => {
+  checkParam('cyclical', 'stepSize', stepSize, 0, false);
+  return schedule('cyclical', { stepSize, maxFactor, mode, gamma }, (t, base) => {
+    const cycle = Math.floor(1 + t / (2 * stepSize));
+    const x = Math.abs(t / stepSize - 2 * cycle + 1);
+    let amplitude = base * (maxFactor - 1) * Math.max(0, 1 - x);
+    if (mode === 'triangular2') {
+      amplitude /= Math.pow(2, cycle - 1);
+    } else if (mode === 'exp_range') {
+      amplitude *= Math.pow(gamma, t);
+    }
+    return base + amplitude;
+  });
+};
+
+/**
+ * Compose schedules: each schedule's rate becomes the base rate of the next
+ * chain(warmup(), cosine()) anneals with a cosine while warming up over the first steps.
+ * @param {...Object} schedules - Schedules or specs accepted by createSchedule()
+ * @returns {Object} Schedule
+ */
+export const chain = (...schedules) => {
+  const parts = schedules.map(createSchedule);
+  return {
+    type: 'chain',
+    schedules: parts,
+    rate: (t, base) => parts.reduce((rate, part) => part.rate(t, rate), base)
+  };
+};
+
+/**
+ * Run schedules one after another, switching at the given milestones
+ * Each schedule restarts its own step count at its milestone.
+ * @param {Array} schedules - Schedules or specs accepted by createSchedule()
+ * @param {Array} milestones - Step indices where the next schedule takes over (one fewer than schedules)
+ * @returns {Object} Schedule
+ */
+export const sequence = (schedules, milestones) => {
+  const parts = schedules.map(createSchedule);
+  if (milestones.length !== parts.length - 1) {
+    throw new Error('sequence() needs one milestone between each pair of schedules');
+  }
+  return {
+    type: 'sequence',
+    schedules: parts,
+    milestones: [...milestones],
+    rate: (t, base) => {
+      let index = 0;
+      while (index < milestones.length && t >= milestones[index]) {
+        index++;
+      }
+      const start = index === 0 ? 0 : milestones[index - 1];
+      return parts[index].rate(t - start, base);
+    }
+  };
+};
+
+/**
+ * Schedule factories by type name
+ */
+export const scheduleFactories = {
+  constant,
+  step: stepDecay,
+  exponential,
+  inverseTime,
+  cosine,
+  cosineRestarts,
+  warmup,
+  oneCycle,
+  cyclical
+};
+
+/**
+ * Build a schedule from a schedule object, a type name, a spec { type, ...params }
+ * (params may also be nested as { type, params }) or an array (chained)
+ * @param {Object|string|Array} spec - Schedule description
+ * @returns {Object} Schedule
+ */
+export function createSchedule(spec) {
+  if (Array.isArray(spec)) {
+    return chain(...spec);
+  }
+  if (typeof spec === 'string') {
+    return createSchedule({ type: spec });
+  }
+  if (!spec || typeof spec !== 'object') {
+    throw new Error(`Invalid learning rate schedule: ${spec}`);
+  }
+  if (typeof spec.rate === 'function') {
+    return spec;
+  }
+  
+  const { type, params, ...rest } = spec;
+  if (type === 'chain') {
+    return chain(...spec.schedules);
+  }
+  if (type === 'sequence') {
+    return sequence(spec.schedules, spec.milestones);
+  }
+  
+  const factory = scheduleFactories[type];
+  if (!factory) {
+    throw new Error(`Unknown learning rate schedule: ${type}`);
+  }
+  return factory({ ...rest, ...params });
+}
+
+/**
+ * Resolve the schedule for an optimizer configuration
+ * `config.schedule` wins; otherwise the legacy adaptiveLearningRate flag maps to
+ * exponential decay with gamma = initialDecay.
+ * @param {Object} config - Optimizer configuration
+ * @returns {Object|null} Schedule, or null for a constant rate
+ */
+export function resolveSchedule(config) {
+  if (config.schedule) {
+    return createSchedule(config.schedule);
+  }
+  if (config.adaptiveLearningRate) {
+    return exponential({ gamma: config.initialDecay });
+  }
+  return null;
+}
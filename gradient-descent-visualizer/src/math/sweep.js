@@ -0,0 +1,110 @@
+/**
+ * Learning-rate stability sweeps
+ * Runs the optimizer to convergence from one start point for every learning rate of a
+ * log-spaced range, and optionally for every momentum of a list, recording the final loss,
+ * the iteration count and whether the run diverged. Cells are stored one row per momentum,
+ * cell k = m * learningRates.length + l.
+ */
+
+import { GradientDescentOptimizer } from './gradientDescent.js';
+
+/**
+ * Log-spaced values from min to max inclusive
+ * @param {number} min - First value, > 0
+ * @param {number} max - Last value, > 0
+ * @param {number} count - Number of values
+ * @returns {Array} Values with a constant ratio between neighbours
+ */
+export function logSpace(min, max, count) {
+  if (count === 1) return [min];
+  
+  const ratio = Math.log(max / min);
+  return Array.from({ length: count }, (_, i) => min * Math.exp(ratio * i / (count - 1)));
+}
+
+/**
+ * Create an empty sweep
+ * @param {Array} learningRates - Learning rates, ascending
+ * @param {Array} momenta - Momentum of each row; [null] sweeps the learning rate alone and
+ *   keeps the configuration's momentum
+ * @returns {Object} { learningRates, momenta, cells: Array of null, cellsDone }
+ */
+export function createSweep(learningRates, momenta = [null]) {
+  return {
+    learningRates: [...learningRates],
+    momenta: [...momenta],
+    cells: new Array(learningRates.length * momenta.length).fill(null),
+    cellsDone: 0
+  };
+}
+
+/**
+ * Run one configuration of a sweep to convergence
+ * Whether the run diverged is the optimizer's own verdict, with divergence detection turned on,
+ * so the sweep agrees with the status the run would get in the visualizer.
+ * @param {Object} func - Function object
+ * @param {Object} config - Optimizer configuration, as in GradientDescentOptimizer
+ * @param {Object} start - Start position {x, y}
+ * @param {number} learningRate - Learning rate of the run
+ * @param {number|null} momentum - Momentum of the run, null to keep config.momentum
+ * @returns {Object} { learningRate, momentum, finalValue, iterations, converged, diverged, divergedAt, status }
+ *   where divergedAt is the iteration at which the optimizer stopped the run as diverged, or null,
+ *   and status is the optimizer's terminal status
+ */
+export function runSweepCell(func, config, start, learningRate, momentum = null) {
+  const optimizer = new GradientDescentOptimizer(func, {
+    ...config,
+    detectDivergence: true,
+    learningRate,
+    ...(momentum === null ? {} : { momentum })
+  });
+  optimizer.initialize(start.x, start.y);
+  const history = optimizer.runToConvergence();
+  
+  const diverged = optimizer.status === 'diverged';
+  return {
+    learningRate,
+    momentum: optimizer.config.momentum,
+    finalValue: history[history.length - 1].functionValue,
+    iterations: optimizer.iteration,
+    converged: optimizer.converged,
+    diverged,
+    divergedAt: diverged ? optimizer.iteration : null,
+    status: optimizer.status
+  };
+}
+
+/**
+ * Fill cells of a sweep in place
+ * Callers that must stay responsive compute a few cells at a time.
+ * @param {Object} func - Function object
+ * @param {Object} config - Optimizer configuration
+ * @param {Object} start - Start position {x, y}
+ * @param {Object} sweep - Sweep from createSweep()
+ * @param {number} from - First cell
+ * @param {number} to - Cell after the last one
+ */
+export function computeSweepCells(func, config, start, sweep, from = 0, to = sweep.cells.length) {
+  const columns = sweep.learningRates.length;
+  
+  for (let k = from; k < to; k++) {
+    const learningRate = sweep.learningRates[k % columns];
+    const momentum = sweep.momenta[Math.floor(k / columns)];
+    sweep.cells[k] = runSweepCell(func, config, start, learningRate, momentum);
+  }
+  sweep.cellsDone = Math.max(sweep.cellsDone, to);
+}
+
+/**
+ * Divergence onset of each row: the smallest learning rate whose run diverged
+ * @param {Object} sweep - Sweep
+ * @returns {Array} Learning rate per momentum row, null where no computed run diverged
+ */
+export function divergenceOnset(sweep) {
+  const columns = sweep.learningRates.length;
+  
+  return sweep.momenta.map((_, m) => {
+    const cell = sweep.cells.slice(m * columns, (m + 1) * columns).find(cell => cell && cell.diverged);
+    return cell ? cell.learningRate : null;
+  });
+}
@@ -0,0 +1,509 @@
+/**
+ * Symbolic differentiation for parsed math expressions
+ * Works on the AST produced by expression.js: differentiate, simplify and pretty-print.
+ */
+
+import { compileNode, expressionConstants } from './expression.js';
+
+/**
+ * Functions without a usable derivative; expressions using them fall back to finite differences
+ */
+export const NON_DIFFERENTIABLE = ['sign', 'floor', 'ceil', 'round', 'min', 'max'];
+
+/**
+ * Raised when an expression uses a non-differentiable function
+ */
+export class NonDifferentiableError extends Error {
+  /**
+   * @param {string} name - Offending function name
+   */
+  constructor(name) {
+    super(`${name}() is not differentiable`);
+    this.name = 'NonDifferentiableError';
+    this.functionName = name;
+  }
+}
+
+// AST node builders
+const num = (value) => ({ type: 'number', value });
+const neg = (argument) => ({ type: 'unary', op: '-', argument });
+const add = (left, right) => ({ type: 'binary', op: '+', left, right });
+const sub = (left, right) => ({ type: 'binary', op: '-', left, right });
+const mul = (left, right) => ({ type: 'binary', op: '*', left, right });
+const div = (left, right) => ({ type: 'binary', op: '/', left, right });
+const pow = (left, right) => ({ type: 'binary', op: '^', left, right });
+const call = (name, ...args) => ({ type: 'call', name, args });
+
+const isNumber = (node, value) => node.type === 'number' && (value === undefined || node.value === value);
+
+/**
+ * Check whether a simplified node prints with a leading minus sign
+ * @param {Object} node - AST node
+ * @returns {boolean} True for negative numbers, negations and products or quotients led by one
+ */
+const isNegative = (node) => (isNumber(node) && node.value < 0) || node.type === 'unary' ||
+  (node.type === 'binary' && (node.op === '*' || node.op === '/') && isNegative(node.left));
+
+/**
+ * Greatest common divisor of two integers
+ * @param {number} a - First integer
+ * @param {number} b - Second integer
+ * @returns {number} Divisor
+ */
+const gcd = (a, b) => (b === 0 ? Math.abs(a) : gcd(b, a % b));
+
+/**
+ * Functions whose value is never negative
+ */
+const NON_NEGATIVE_FUNCTIONS = ['exp', 'sqrt', 'abs', 'cosh'];
+
+/**
+ * Check whether an expression is provably non-negative wherever it is defined
+ * Powers may only be regrouped on such bases: (x^2)^0.5 is |x|, not x.
+ * @param {Object} node - AST node
+ * @returns {boolean} True for non-negative numbers and constants, even integer powers, and sums,
+ *   products, quotients and powers of non-negative terms
+ */
+const isNonNegative = (node) => {
+  switch (node.type) {
+  case 'number':
+    return node.value >= 0;
+  case 'constant':
+    return expressionConstants[node.name] >= 0;
+  case 'call':
+    return NON_NEGATIVE_FUNCTIONS.includes(node.name);
+  case 'binary':
+    if (node.op === '^') {
+      return (isNumber(node.right) && node.right.value % 2 === 0) || isNonNegative(node.left);
+    }
+    return node.op !== '-' && isNonNegative(node.left) && isNonNegative(node.right);
+  default:
+    return false;
+  }
+};
+
+/**
+ * Check whether u^a · u^b may be written u^(a+b)
+ * @param {Object} base - Base u
+ * @param {...Object} exponents - Exponents involved
+ * @returns {boolean} True when every exponent is an integer or the base is non-negative
+ */
+const canRegroupPowers = (base, ...exponents) =>
+  exponents.every(exponent => isNumber(exponent) && Number.isInteger(exponent.value)) || isNonNegative(base);
+
+/**
+ * Check whether an expression depends on a variable
+ * @param {Object} node - AST node
+ * @param {string} variable - 'x' or 'y'; omitted means either
+ * @returns {boolean} True if the variable occurs
+ */
+export function dependsOn(node, variable) {
+  switch (node.type) {
+  case 'variable':
+    return variable === undefined || node.name === variable;
+  case 'unary':
+    return dependsOn(node.argument, variable);
+  case 'binary':
+    return dependsOn(node.left, variable) || dependsOn(node.right, variable);
+  case 'call':
+    return node.args.some(arg => dependsOn(arg, variable));
+  default:
+    return false;
+  }
+}
+
+/**
+ * Structural equality of two AST nodes
+ * @param {Object} a - First node
+ * @param {Object} b - Second node
+ * @returns {boolean} True if equal
+ */
+export function nodesEqual(a, b) {
+  if (a.type !== b.type) return false;
+  
+  switch (a.type) {
+  case 'number':
+    return a.value === b.value;
+  case 'variable':
+  case 'constant':
+    return a.name === b.name;
+  case 'unary':
+    return nodesEqual(a.argument, b.argument);
+  case 'binary':
+    return a.op === b.op && nodesEqual(a.left, b.left) && nodesEqual(a.right, b.right);
+  case 'call':
+    return a.name === b.name && a.args.length === b.args.length &&
+      a.args.every((arg, i) => nodesEqual(arg, b.args[i]));
+  default:
+    return false;
+  }
+}
+
+/**
+ * Derivative of a single-argument function with respect to its argument u
+ * @param {string} name - Function name
+ * @param {Object} u - Argument node
+ * @returns {Object} d/du name(u)
+ */
+const functionDerivative = (name, u) => {
+  switch (name) {
+  case 'sin': return call('cos', u);
+  case 'cos': return neg(call('sin', u));
+  case 'tan': return div(num(1), pow(call('cos', u), num(2)));
+  case 'asin': return div(num(1), call('sqrt', sub(num(1), pow(u, num(2)))));
+  case 'acos': return neg(div(num(1), call('sqrt', sub(num(1), pow(u, num(2))))));
+  case 'atan': return div(num(1), add(num(1), pow(u, num(2))));
+  case 'sinh': return call('cosh', u);
+  case 'cosh': return call('sinh', u);
+  case 'tanh': return div(num(1), pow(call('cosh', u), num(2)));
+  case 'exp': return call('exp', u);
+  case 'log':
+  case 'ln': return div(num(1), u);
+  case 'log10': return div(num(1), mul(u, call('ln', num(10))));
+  case 'log2': return div(num(1), mul(u, call('ln', num(2))));
+  case 'sqrt': return div(num(1), mul(num(2), call('sqrt', u)));
+  case 'cbrt': return div(num(1), mul(num(3), pow(call('cbrt', u), num(2))));
+  case 'abs': return call('sign', u);
+  default: throw new NonDifferentiableError(name);
+  }
+};
+
+/**
+ * Differentiate an expression (result is not simplified)
+ * @param {Object} node - AST node
+ * @param {string} variable - 'x' or 'y'
+ * @returns {Object} Derivative AST
+ * @throws {NonDifferentiableError} If a non-differentiable function is used
+ */
+export function differentiate(node, variable) {
+  switch (node.type) {
+  case 'number':
+  case 'constant':
+    return num(0);
+  
+  case 'variable':
+    return num(node.name === variable ? 1 : 0);
+  
+  case 'unary':
+    return neg(differentiate(node.argument, variable));
+  
+  case 'binary': {
+    const { op, left: u, right: v } = node;
+    const du = differentiate(u, variable);
+    const dv = differentiate(v, variable);
+    
+    if (op === '+') return add(du, dv);
+    if (op === '-') return sub(du, dv);
+    if (op === '*') return add(mul(du, v), mul(u, dv));
+    if (op === '/') return div(sub(mul(du, v), mul(u, dv)), pow(v, num(2)));
+    
+    // Power rule, exponential rule or the general u^v case
+    if (!dependsOn(v, variable)) {
+      return mul(mul(v, pow(u, sub(v, num(1)))), du);
+    }
+    if (!dependsOn(u, variable)) {
+      return mul(mul(node, call('ln', u)), dv);
+    }
+    return mul(node, add(mul(dv, call('ln', u)), div(mul(v, du), u)));
+  }
+  
+  case 'call': {
+    const { name, args } = node;
+    
+    if (name === 'pow') {
+      return differentiate(pow(args[0], args[1]), variable);
+    }
+    if (name === 'atan2') {
+      const [a, b] = args;
+      const da = differentiate(a, variable);
+      const db = differentiate(b, variable);
+      return div(sub(mul(b, da), mul(a, db)), add(pow(a, num(2)), pow(b, num(2))));
+    }
+    if (NON_DIFFERENTIABLE.includes(name)) {
+      throw new NonDifferentiableError(name);
+    }
+    
+    const [u] = args;
+    return mul(functionDerivative(name, u), differentiate(u, variable));
+  }
+  
+  default:
+    throw new Error(`Unknown expression node: ${node.type}`);
+  }
+}
+
+/**
+ * Simplify one binary node whose children are already simplified
+ * @param {string} op - Operator
+ * @param {Object} l - Left child
+ * @param {Object} r - Right child
+ * @returns {Object} Simplified node
+ */
+const simplifyBinary = (op, l, r) => {
+  // Constant folding
+  if (isNumber(l) && isNumber(r)) {
+    const folded = compileNode({ type: 'binary', op, left: l, right: r })();
+    if (Number.isFinite(folded)) return num(folded);
+  }
+  
+  switch (op) {
+  case '+':
+    if (isNumber(l, 0)) return r;
+    if (isNumber(r, 0)) return l;
+    if (isNegative(r)) return simplifyBinary('-', l, simplifyUnary(r));
+    if (l.type === 'unary') return simplifyBinary('-', r, l.argument);
+    if (nodesEqual(l, r)) return simplifyBinary('*', num(2), l);
+    break;
+  
+  case '-':
+    if (isNumber(r, 0)) return l;
+    if (isNumber(l, 0)) return simplifyUnary(r);
+    if (isNegative(r)) return simplifyBinary('+', l, simplifyUnary(r));
+    if (nodesEqual(l, r)) return num(0);
+    break;
+  
+  case '*':
+    if (isNumber(l, 0) || isNumber(r, 0)) return num(0);
+    return simplifyProduct(op, l, r);
+  
+  case '/':
+    if (isNumber(l, 0)) return num(0);
+    if (isNumber(r, 0)) break;
+    return simplifyProduct(op, l, r);
+  
+  case '^':
+    if (isNumber(r, 0)) return num(1);
+    if (isNumber(r, 1)) return l;
+    if (isNumber(l, 0) || isNumber(l, 1)) return l;
+    if (l.type === 'binary' && l.op === '^' && isNumber(l.right) && isNumber(r) &&
+        (Number.isInteger(r.value) || isNonNegative(l.left))) {
+      return simplifyBinary('^', l.left, num(l.right.value * r.value));
+    }
+    break;
+  
+  default:
+    break;
+  }
+  
+  return { type: 'binary', op, left: l, right: r };
+};
+
+/**
+ * Simplify a negation whose argument is already simplified
+ * @param {Object} argument - Negated node
+ * @returns {Object} Simplified node
+ */
+const simplifyUnary = (argument) => {
+  if (isNumber(argument)) return num(-argument.value);
+  if (argument.type === 'unary') return argument.argument;
+  if (argument.type === 'binary' && argument.op === '-') {
+    return simplifyBinary('-', argument.right, argument.left);
+  }
+  if (argument.type === 'binary' && (argument.op === '*' || (argument.op === '/' && !isNumber(argument.right, 0)))) {
+    return simplifyProduct(argument.op, argument.left, argument.right, -1);
+  }
+  return neg(argument);
+};
+
+/**
+ * Split a simplified product or quotient into its numeric coefficient and the powers of its
+ * other factors, merging the exponents of equal bases where canRegroupPowers() allows
+ * @param {Object} node - AST node
+ * @param {number} side - 1 when node multiplies, -1 when it divides
+ * @param {Object} product - Accumulator { numerator, denominator, factors: [{ base, exponent }] }
+ */
+const collectFactors = (node, side, product) => {
+  if (isNumber(node)) {
+    product[side > 0 ? 'numerator' : 'denominator'] *= node.value;
+    return;
+  }
+  if (node.type === 'unary') {
+    product.numerator = -product.numerator;
+    collectFactors(node.argument, side, product);
+    return;
+  }
+  if (node.type === 'binary' && (node.op === '*' || node.op === '/')) {
+    collectFactors(node.left, side, product);
+    collectFactors(node.right, node.op === '/' ? -side : side, product);
+    return;
+  }
+  
+  const [base, power] = node.type === 'binary' && node.op === '^' ? [node.left, node.right] : [node, num(1)];
+  const exponent = side > 0 ? power : simplifyUnary(power);
+  const factor = product.factors.find(other =>
+    nodesEqual(other.base, base) && canRegroupPowers(base, other.exponent, exponent));
+  if (factor) {
+    factor.exponent = simplifyBinary('+', factor.exponent, exponent);
+  } else {
+    product.factors.push({ base, exponent });
+  }
+};
+
+/**
+ * Simplify a product or quotient whose operands are already simplified
+ * The result is a reduced coefficient times the factors with positive exponents, over the
+ * factors with negative ones: 2 * 1 / (2sqrt(u)) * x becomes x / sqrt(u).
+ * @param {string} op - '*' or '/'
+ * @param {Object} l - Left operand
+ * @param {Object} r - Right operand
+ * @param {number} sign - -1 to negate the result
+ * @returns {Object} Simplified node
+ */
+const simplifyProduct = (op, l, r, sign = 1) => {
+  const product = { numerator: sign, denominator: 1, factors: [] };
+  collectFactors(l, 1, product);
+  collectFactors(r, op === '/' ? -1 : 1, product);
+  
+  let { numerator: p, denominator: q } = product;
+  if (q === 0) {
+    const node = { type: 'binary', op, left: l, right: r };
+    return sign < 0 ? neg(node) : node;
+  }
+  if (p === 0) return num(0);
+  if (q < 0) {
+    p = -p;
+    q = -q;
+  }
+  if (Number.isInteger(p / q)) {
+    p /= q;
+    q = 1;
+  } else if (Number.isInteger(p) && Number.isInteger(q)) {
+    const divisor = gcd(p, q);
+    p /= divisor;
+    q /= divisor;
+  }
+  
+  const above = [];
+  const below = [];
+  for (const { base, exponent } of product.factors) {
+    if (isNumber(exponent, 0)) continue;
+    if (isNumber(exponent) && exponent.value < 0) {
+      below.push(simplifyBinary('^', base, num(-exponent.value)));
+    } else {
+      above.push(simplifyBinary('^', base, exponent));
+    }
+  }
+  
+  // The coefficient goes in front of the first factor: 2x * y, -x * y
+  const times = (nodes) => nodes.reduce((left, right) => mul(left, right));
+  const scale = (coefficient, nodes) => {
+    if (nodes.length === 0) return num(coefficient);
+    const [first, ...rest] = nodes;
+    if (coefficient === 1) return times(nodes);
+    if (coefficient === -1) return times([neg(first), ...rest]);
+    return times([mul(num(coefficient), first), ...rest]);
+  };
+  
+  const top = scale(p, above);
+  if (q === 1 && below.length === 0) return top;
+  return div(top, scale(q, below));
+};
+
+/**
+ * Algebraically simplify an expression: constant folding, identities,
+ * coefficient merging and sign normalization
+ * @param {Object} node - AST node
+ * @returns {Object} Simplified AST
+ */
+export function simplify(node) {
+  switch (node.type) {
+  case 'unary':
+    return simplifyUnary(simplify(node.argument));
+  case 'binary':
+    return simplifyBinary(node.op, simplify(node.left), simplify(node.right));
+  case 'call':
+    return { type: 'call', name: node.name, args: node.args.map(simplify) };
+  default:
+    return node;
+  }
+}
+
+/**
+ * Operator precedence used for parenthesization when printing
+ */
+const PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2, 'unary': 3, '^': 4, 'atom': 5 };
+
+/**
+ * Precedence of a node as printed
+ * @param {Object} node - AST node
+ * @returns {number} Precedence
+ */
+const precedenceOf = (node) => {
+  if (node.type === 'binary') return PRECEDENCE[node.op];
+  if (node.type === 'unary' || (node.type === 'number' && node.value < 0)) return PRECEDENCE.unary;
+  return PRECEDENCE.atom;
+};
+
+/**
+ * Format a number compactly
+ * @param {number} value - Number
+ * @returns {string} Text
+ */
+const formatNumber = (value) => {
+  if (Number.isInteger(value)) return String(value);
+  return String(parseFloat(value.toPrecision(6)));
+};
+
+/**
+ * Pretty-print an expression in the parser's own syntax (output re-parses to the same value)
+ * Numeric coefficients are written by juxtaposition: `2x`, `-400(y - x^2) * x`.
+ * @param {Object} node - AST node
+ * @returns {string} Expression text
+ */
+export function formatExpression(node) {
+  const wrap = (child, minPrecedence) => {
+    const text = formatExpression(child);
+    return precedenceOf(child) < minPrecedence ? `(${text})` : text;
+  };
+  
+  switch (node.type) {
+  case 'number':
+    return formatNumber(node.value);
+  case 'variable':
+  case 'constant':
+    return node.name;
+  case 'unary':
+    return `-${wrap(node.argument, PRECEDENCE.unary + 1)}`;
+  case 'call':
+    return `${node.name}(${node.args.map(formatExpression).join(', ')})`;
+  case 'binary': {
+    const { op, left, right } = node;
+    const precedence = PRECEDENCE[op];
+    
+    if (op === '^') {
+      return `${wrap(left, PRECEDENCE.atom)}^${wrap(right, PRECEDENCE.unary)}`;
+    }
+    if (op === '*' && isNumber(left) && !isNumber(right) && precedenceOf(right) >= PRECEDENCE['^']) {
+      return `${formatNumber(left.value)}${formatExpression(right)}`;
+    }
+    if (op === '*' && isNumber(left) && !isNumber(right) && precedenceOf(right) < PRECEDENCE['*']) {
+      return `${formatNumber(left.value)}(${formatExpression(right)})`;
+    }
+    
+    // Left-associative: the right operand of - and / needs parentheses at equal precedence
+    const rightMinimum = op === '-' || op === '/' ? precedence + 1 : precedence;
+    return `${wrap(left, precedence)} ${op} ${wrap(right, rightMinimum)}`;
+  }
+  default:
+    throw new Error(`Unknown expression node: ${node.type}`);
+  }
+}
+
+/**
+ * Compute simplified gradient and Hessian expressions
+ * @param {Object} ast - Expression AST
+ * @returns {Object} { dx, dy, dxx, dxy, dyy } simplified ASTs
+ * @throws {NonDifferentiableError} If a non-differentiable function is used
+ */
+export function symbolicDerivatives(ast) {
+  const dx = simplify(differentiate(ast, 'x'));
+  const dy = simplify(differentiate(ast, 'y'));
+  
+  return {
+    dx,
+    dy,
+    dxx: simplify(differentiate(dx, 'x')),
+    dxy: simplify(differentiate(dx, 'y')),
+    dyy: simplify(differentiate(dy, 'y'))
+  };
+}
@@ -0,0 +1,327 @@
+/**
+ * Optimization history chart using Canvas 2D API
+ * Plots the loss, gradient norm, step size and learning rate of every run against the
+ * iteration, one panel per quantity, with a cursor at the iteration shown in the visualizer
+ */
+
+import { createLevelScale, formatLevel } from './contours.js';
+
+/**
+ * Quantities a history chart plots, one panel each, in reading order
+ */
+export const HISTORY_METRICS = ['loss', 'gradientNorm', 'stepSize', 'learningRate'];
+
+/**
+ * Panel titles of each metric
+ */
+const METRIC_LABELS = {
+  loss: 'Loss f(x)',
+  gradientNorm: 'Gradient norm |∇f|',
+  stepSize: 'Step size |Δx|',
+  learningRate: 'Learning rate η'
+};
+
+/**
+ * Value of a metric at one recorded state
+ * Each takes (history, k) and returns a number, or null where the metric is undefined.
+ */
+const METRIC_VALUES = {
+  loss: (history, k) => history[k].functionValue,
+  gradientNorm: (history, k) => history[k].gradientMagnitude,
+  // Length of the step that produced state k; the initial state has none
+  stepSize: (history, k) => (k === 0 ? null : Math.hypot(
+    history[k].position.x - history[k - 1].position.x,
+    history[k].position.y - history[k - 1].position.y
+  )),
+  learningRate: (history, k) => history[k].learningRate
+};
+
+/**
+ * Space around the plot area of each panel for axes and labels, in pixels
+ */
+const MARGIN = { left: 52, right: 12, top: 18, bottom: 20 };
+
+/**
+ * Panels per row of the chart
+ */
+const COLUMNS = 2;
+
+/**
+ * Color of the iteration cursor
+ */
+const CURSOR_COLOR = '#333333';
+
+/**
+ * Values of a metric over a run
+ * @param {Array} history - Recorded states, oldest first
+ * @param {string} metric - One of HISTORY_METRICS
+ * @returns {Array} One value per state, null where the metric is undefined
+ */
+export function historySeries(history, metric) {
+  const value = METRIC_VALUES[metric];
+  if (!value) {
+    throw new Error(`Unknown history metric: ${metric}`);
+  }
+  return history.map((_, k) => value(history, k));
+}
+
+/**
+ * History chart class: draws the metrics of every run and reports clicked iterations
+ */
+export class HistoryChart {
+  /**
+   * @param {HTMLElement} container - DOM element to render into
+   * @param {Object} options - Configuration options
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      width: 640,
+      height: 280,
+      logScale: true, // Log-scaled value axes, for quantities that span orders of magnitude
+      ...options
+    };
+    
+    this.canvas = null;
+    this.ctx = null;
+    this.runs = []; // [{id, label, color, history}], each history the chart's own copy
+    this.cursor = null; // Iteration marked by the cursor, null for none
+    this.frameId = null; // Pending animation frame of a deferred render, null for none
+    
+    // Callbacks
+    this.onScrub = null; // (iteration) => void, called when a panel is clicked
+    
+    this.initializeCanvas();
+  }
+  
+  /**
+   * Create the canvas and listen for clicks on the panels
+   */
+  initializeCanvas() {
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.options.width;
+    this.canvas.height = this.options.height;
+    this.canvas.style.border = '1px solid #ccc';
+    this.canvas.style.borderRadius = '4px';
+    this.canvas.style.cursor = 'pointer';
+    this.ctx = this.canvas.getContext('2d');
+    this.container.appendChild(this.canvas);
+    
+    this.canvas.addEventListener('click', (event) => {
+      const rect = this.canvas.getBoundingClientRect();
+      const scaleX = rect.width ? this.canvas.width / rect.width : 1;
+      const scaleY = rect.height ? this.canvas.height / rect.height : 1;
+      const iteration = this.iterationAt((event.clientX - rect.left) * scaleX, (event.clientY - rect.top) * scaleY);
+      if (iteration === null) return;
+      
+      this.setCursor(iteration);
+      if (this.onScrub) this.onScrub(iteration);
+    });
+  }
+  
+  /**
+   * Show the runs, replacing any shown before
+   * @param {Array} runs - Runs [{id, label, color, history}]; each gets its own series
+   */
+  setRuns(runs) {
+    this.runs = runs.map(run => ({ ...run, history: run.history.slice() }));
+    this.render();
+  }
+  
+  /**
+   * Add the states the runs reached on their latest step and redraw on the next animation frame
+   * Runs that stopped earlier report their last state again, which is not added twice.
+   * @param {Array} states - One state per run, in the order of setRuns()
+   */
+  appendStates(states) {
+    states.forEach((state, index) => {
+      const { history } = this.runs[index];
+      if (state.iteration >= history.length) {
+        history.push(state);
+      }
+    });
+    this.scheduleRender();
+  }
+  
+  /**
+   * Render on the next animation frame, once however many updates arrive before it
+   */
+  scheduleRender() {
+    if (this.frameId !== null) return;
+    this.frameId = requestAnimationFrame(() => {
+      this.frameId = null;
+      this.render();
+    });
+  }
+  
+  /**
+   * Move the iteration cursor
+   * @param {number|null} iteration - Iteration to mark, null to hide the cursor
+   */
+  setCursor(iteration) {
+    this.cursor = iteration;
+    this.render();
+  }
+  
+  /**
+   * Switch the value axes between log and linear scales
+   * @param {boolean} logScale - Whether to use log scales
+   */
+  setLogScale(logScale) {
+    this.options.logScale = logScale;
+    this.render();
+  }
+  
+  /**
+   * Last iteration recorded by any run
+   * @returns {number} Iteration, 0 before any run has a history
+   */
+  getLastIteration() {
+    return this.runs.reduce((last, run) => Math.max(last, run.history.length - 1), 0);
+  }
+  
+  /**
+   * Plot areas of the panels inside their margins, laid out COLUMNS to a row
+   * @returns {Array} Panels [{ metric, left, top, width, height }]
+   */
+  getPanels() {
+    const rows = Math.ceil(HISTORY_METRICS.length / COLUMNS);
+    const panelWidth = this.options.width / COLUMNS;
+    const panelHeight = this.options.height / rows;
+    return HISTORY_METRICS.map((metric, index) => ({
+      metric,
+      left: (index % COLUMNS) * panelWidth + MARGIN.left,
+      top: Math.floor(index / COLUMNS) * panelHeight + MARGIN.top,
+      width: panelWidth - MARGIN.left - MARGIN.right,
+      height: panelHeight - MARGIN.top - MARGIN.bottom
+    }));
+  }
+  
+  /**
+   * Iteration under a canvas point
+   * @param {number} x - Canvas x
+   * @param {number} y - Canvas y
+   * @returns {number|null} Nearest recorded iteration, null outside the plot areas
+   */
+  iterationAt(x, y) {
+    if (this.runs.length === 0) return null;
+    
+    const panel = this.getPanels().find(({ left, top, width, height }) =>
+      x >= left && x <= left + width && y >= top && y <= top + height);
+    if (!panel) return null;
+    
+    return Math.round((x - panel.left) / panel.width * this.getLastIteration());
+  }
+  
+  /**
+   * Draw the chart
+   */
+  render() {
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+    
+    this.ctx.clearRect(0, 0, this.options.width, this.options.height);
+    if (this.runs.length === 0) return;
+    
+    const last = this.getLastIteration();
+    for (const panel of this.getPanels()) {
+      this.renderPanel(panel, last);
+    }
+  }
+  
+  /**
+   * Draw one metric of every run, the cursor and the panel axes
+   * @param {Object} panel - Plot area from getPanels()
+   * @param {number} last - Last iteration, at the right edge of the plot area
+   */
+  renderPanel(panel, last) {
+    const { metric, left, top, width, height } = panel;
+    const series = this.runs.map(run => historySeries(run.history, metric));
+    // One scale per panel, shared by the runs so their series compare
+    const scale = createLevelScale(series.flat().filter(value => value !== null), 0, this.options.logScale ? 'log' : 'linear');
+    const toX = (k) => left + (last > 0 ? k / last : 0) * width;
+    const toY = (value) => top + (1 - scale.normalize(value)) * height;
+    const ctx = this.ctx;
+    
+    ctx.save();
+    ctx.lineWidth = 1.5;
+    this.runs.forEach((run, index) => {
+      const values = series[index];
+      // Long runs are thinned to about one point per pixel, always keeping the latest state
+      const stride = Math.max(1, Math.floor(values.length / width));
+      ctx.strokeStyle = run.color;
+      ctx.beginPath();
+      let drawing = false;
+      for (let k = 0; k < values.length; k++) {
+        if (k % stride !== 0 && k !== values.length - 1) continue;
+        if (values[k] === null || !Number.isFinite(values[k])) {
+          drawing = false;
+          continue;
+        }
+        if (drawing) {
+          ctx.lineTo(toX(k), toY(values[k]));
+        } else {
+          ctx.moveTo(toX(k), toY(values[k]));
+          drawing = true;
+        }
+      }
+      ctx.stroke();
+    });
+    
+    if (this.cursor !== null) {
+      const x = toX(Math.min(this.cursor, last));
+      ctx.strokeStyle = CURSOR_COLOR;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([2, 2]);
+      ctx.beginPath();
+      ctx.moveTo(x, top);
+      ctx.lineTo(x, top + height);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    
+    // Axes: the value range on the left, the first and last iteration below
+    ctx.strokeStyle = '#666666';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(left, top, width, height);
+    ctx.fillStyle = '#333333';
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    if (scale.max > scale.min) {
+      for (const t of [0, 0.5, 1]) {
+        ctx.fillText(formatLevel(scale.denormalize(t)), left - 4, top + (1 - t) * height);
+      }
+    } else {
+      ctx.fillText(formatLevel(scale.min), left - 4, top + height / 2);
+    }
+    
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillText('0', left, top + height + 4);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${last}`, left + width, top + height + 4);
+    ctx.textAlign = 'center';
+    ctx.fillText('Iteration', left + width / 2, top + height + 4);
+    
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(`${METRIC_LABELS[metric]}${this.options.logScale ? ' (log scale)' : ''}`, left, top - 4);
+    ctx.restore();
+  }
+  
+  /**
+   * Remove the chart
+   */
+  destroy() {
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+    if (this.canvas && this.container.contains(this.canvas)) {
+      this.container.removeChild(this.canvas);
+    }
+  }
+}
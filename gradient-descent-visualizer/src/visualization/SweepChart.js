@@ -0,0 +1,374 @@
+/**
+ * Learning-rate sweep chart using Canvas 2D API
+ * Plots a sweep from math/sweep.js as a line over the learning rate, or as a learning rate ×
+ * momentum heatmap when the sweep has several momentum rows
+ */
+
+import { divergenceOnset } from '../math/sweep.js';
+import { createLevelScale, formatLevel } from './contours.js';
+import { colorFromValue } from './colormaps.js';
+
+/**
+ * Quantities a sweep chart can plot
+ * 'loss' is the final function value, 'iterations' the run length; both on a log scale
+ */
+export const SWEEP_METRICS = ['loss', 'iterations'];
+
+/**
+ * Axis titles of each metric
+ */
+const METRIC_LABELS = {
+  loss: 'Final loss',
+  iterations: 'Iterations'
+};
+
+/**
+ * Space around the plot area for axes and labels, in pixels
+ */
+const MARGIN = { left: 64, right: 16, top: 24, bottom: 36 };
+
+/**
+ * Color of diverged runs and of the divergence onset markers
+ */
+const DIVERGED_COLOR = '#d62728';
+
+/**
+ * Sweep chart class: draws a sweep and reports clicked cells
+ */
+export class SweepChart {
+  /**
+   * @param {HTMLElement} container - DOM element to render into
+   * @param {Object} options - Configuration options
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      width: 600,
+      height: 220,
+      metric: 'loss', // 'loss' or 'iterations'
+      colorScheme: 'viridis',
+      ...options
+    };
+    
+    this.canvas = null;
+    this.ctx = null;
+    this.sweep = null;
+    this.selected = null; // Index of the cell loaded into the visualizer
+    
+    // Callbacks
+    this.onSelect = null; // (cell) => void, called when a computed cell is clicked
+    
+    this.initializeCanvas();
+  }
+  
+  /**
+   * Create the canvas and listen for clicks on cells
+   */
+  initializeCanvas() {
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.options.width;
+    this.canvas.height = this.options.height;
+    this.canvas.style.border = '1px solid #ccc';
+    this.canvas.style.borderRadius = '4px';
+    this.canvas.style.cursor = 'pointer';
+    this.ctx = this.canvas.getContext('2d');
+    this.container.appendChild(this.canvas);
+    
+    this.canvas.addEventListener('click', (event) => {
+      const rect = this.canvas.getBoundingClientRect();
+      const scaleX = rect.width ? this.canvas.width / rect.width : 1;
+      const scaleY = rect.height ? this.canvas.height / rect.height : 1;
+      const index = this.cellAt((event.clientX - rect.left) * scaleX, (event.clientY - rect.top) * scaleY);
+      if (index === null || !this.sweep.cells[index]) return;
+      
+      this.selected = index;
+      this.render();
+      if (this.onSelect) this.onSelect(this.sweep.cells[index]);
+    });
+  }
+  
+  /**
+   * Show a sweep, or update it as more cells are computed
+   * @param {Object} sweep - Sweep from createSweep()
+   */
+  setSweep(sweep) {
+    if (sweep !== this.sweep) {
+      this.selected = null;
+    }
+    this.sweep = sweep;
+    this.render();
+  }
+  
+  /**
+   * Choose the plotted quantity
+   * @param {string} metric - 'loss' or 'iterations'
+   */
+  setMetric(metric) {
+    if (!SWEEP_METRICS.includes(metric)) {
+      throw new Error(`Unknown sweep metric: ${metric}`);
+    }
+    this.options.metric = metric;
+    this.render();
+  }
+  
+  /**
+   * Plot area inside the margins, with one column per learning rate and one row per momentum
+   * @returns {Object} { left, top, width, height, columnWidth, rowHeight }
+   */
+  getLayout() {
+    const width = this.options.width - MARGIN.left - MARGIN.right;
+    const height = this.options.height - MARGIN.top - MARGIN.bottom;
+    const columns = this.sweep ? this.sweep.learningRates.length : 1;
+    const rows = this.sweep ? this.sweep.momenta.length : 1;
+    return {
+      left: MARGIN.left,
+      top: MARGIN.top,
+      width,
+      height,
+      columnWidth: width / columns,
+      rowHeight: height / rows
+    };
+  }
+  
+  /**
+   * Cell under a canvas point
+   * @param {number} x - Canvas x
+   * @param {number} y - Canvas y
+   * @returns {number|null} Cell index, null outside the plot area; in a line chart every
+   *   point of a column selects its learning rate
+   */
+  cellAt(x, y) {
+    if (!this.sweep) return null;
+    
+    const { left, top, width, height, columnWidth, rowHeight } = this.getLayout();
+    if (x < left || x >= left + width || y < top || y >= top + height) return null;
+    
+    const column = Math.floor((x - left) / columnWidth);
+    const row = this.sweep.momenta.length - 1 - Math.floor((y - top) / rowHeight);
+    return row * this.sweep.learningRates.length + column;
+  }
+  
+  /**
+   * Plotted value of a cell
+   * @param {Object} cell - Sweep cell
+   * @returns {number} Final loss or iteration count
+   */
+  metricValue(cell) {
+    return this.options.metric === 'iterations' ? cell.iterations : cell.finalValue;
+  }
+  
+  /**
+   * Draw the chart
+   */
+  render() {
+    this.ctx.clearRect(0, 0, this.options.width, this.options.height);
+    if (!this.sweep) return;
+    
+    // One log scale over the runs that did not diverge
+    const values = this.sweep.cells
+      .filter(cell => cell && !cell.diverged)
+      .map(cell => this.metricValue(cell));
+    const scale = createLevelScale(values, 0, 'log');
+    
+    if (this.sweep.momenta.length > 1) {
+      this.renderHeatmap(scale);
+    } else {
+      this.renderLine(scale);
+    }
+    this.renderOnset();
+    this.renderAxes(scale);
+  }
+  
+  /**
+   * Draw a single-row sweep as a line over the learning rate
+   * Filled dots converged, hollow ones stopped at the iteration limit and diverged runs are crosses on top.
+   * @param {Object} scale - Level scale of the plotted values
+   */
+  renderLine(scale) {
+    const { left, top, height, columnWidth } = this.getLayout();
+    const centerX = (column) => left + (column + 0.5) * columnWidth;
+    const ctx = this.ctx;
+    
+    ctx.strokeStyle = '#1f77b4';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    let drawing = false;
+    this.sweep.cells.forEach((cell, column) => {
+      if (!cell || cell.diverged) {
+        drawing = false;
+        return;
+      }
+      const y = top + (1 - scale.normalize(this.metricValue(cell))) * height;
+      if (drawing) {
+        ctx.lineTo(centerX(column), y);
+      } else {
+        ctx.moveTo(centerX(column), y);
+        drawing = true;
+      }
+    });
+    ctx.stroke();
+    
+    this.sweep.cells.forEach((cell, column) => {
+      if (!cell) return;
+      const x = centerX(column);
+      if (cell.diverged) {
+        ctx.strokeStyle = DIVERGED_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x - 4, top + 2);
+        ctx.lineTo(x + 4, top + 10);
+        ctx.moveTo(x + 4, top + 2);
+        ctx.lineTo(x - 4, top + 10);
+        ctx.stroke();
+        return;
+      }
+      ctx.fillStyle = cell.converged ? '#1f77b4' : '#ffffff';
+      ctx.strokeStyle = '#1f77b4';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.arc(x, top + (1 - scale.normalize(this.metricValue(cell))) * height, 3, 0, 2 * Math.PI);
+      ctx.fill();
+      ctx.stroke();
+    });
+    
+    if (this.selected !== null) {
+      ctx.strokeStyle = '#333333';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([2, 2]);
+      ctx.beginPath();
+      ctx.moveTo(centerX(this.selected), top);
+      ctx.lineTo(centerX(this.selected), top + height);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  }
+  
+  /**
+   * Draw a learning rate × momentum sweep as a heatmap; diverged runs are red
+   * @param {Object} scale - Level scale of the plotted values
+   */
+  renderHeatmap(scale) {
+    const { left, top, height, columnWidth, rowHeight } = this.getLayout();
+    const columns = this.sweep.learningRates.length;
+    const ctx = this.ctx;
+    const cellRect = (k) => [
+      left + (k % columns) * columnWidth,
+      top + height - (Math.floor(k / columns) + 1) * rowHeight,
+      columnWidth,
+      rowHeight
+    ];
+    
+    this.sweep.cells.forEach((cell, k) => {
+      if (!cell) return;
+      if (cell.diverged) {
+        ctx.fillStyle = DIVERGED_COLOR;
+      } else {
+        const color = colorFromValue(scale.normalize(this.metricValue(cell)), this.options.colorScheme);
+        ctx.fillStyle = `rgb(${color.r}, ${color.g}, ${color.b})`;
+      }
+      const [x, y, w, h] = cellRect(k);
+      ctx.fillRect(Math.floor(x), Math.floor(y), Math.ceil(w), Math.ceil(h));
+    });
+    
+    if (this.selected !== null) {
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(...cellRect(this.selected));
+    }
+  }
+  
+  /**
+   * Mark where runs start to diverge: a dashed line in a line chart, a bar per row in a heatmap
+   */
+  renderOnset() {
+    const { left, top, height, columnWidth, rowHeight } = this.getLayout();
+    const onsets = divergenceOnset(this.sweep);
+    const ctx = this.ctx;
+    
+    ctx.save();
+    ctx.strokeStyle = DIVERGED_COLOR;
+    ctx.fillStyle = DIVERGED_COLOR;
+    ctx.font = '10px Arial';
+    onsets.forEach((onset, row) => {
+      if (onset === null) return;
+      const x = left + this.sweep.learningRates.indexOf(onset) * columnWidth;
+      
+      if (onsets.length === 1) {
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, top + height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`diverges from η = ${formatLevel(onset)}`, x - 4, top + height - 2);
+      } else {
+        const y = top + height - (row + 1) * rowHeight;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x, y + rowHeight);
+        ctx.stroke();
+      }
+    });
+    ctx.restore();
+  }
+  
+  /**
+   * Draw the learning rate axis, the value or momentum axis and the title
+   * @param {Object} scale - Level scale of the plotted values
+   */
+  renderAxes(scale) {
+    const { left, top, width, height, columnWidth, rowHeight } = this.getLayout();
+    const { learningRates, momenta } = this.sweep;
+    const ctx = this.ctx;
+    
+    ctx.save();
+    ctx.strokeStyle = '#666666';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(left, top, width, height);
+    ctx.fillStyle = '#333333';
+    ctx.font = '10px Arial';
+    
+    // Learning rates under a handful of columns
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    const every = Math.ceil(learningRates.length / 6);
+    learningRates.forEach((rate, column) => {
+      if (column % every !== 0 && column !== learningRates.length - 1) return;
+      ctx.fillText(formatLevel(rate), left + (column + 0.5) * columnWidth, top + height + 4);
+    });
+    ctx.fillText('Learning rate η (log scale)', left + width / 2, top + height + 20);
+    
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    if (momenta.length > 1) {
+      momenta.forEach((momentum, row) => {
+        ctx.fillText(formatLevel(momentum), left - 4, top + height - (row + 0.5) * rowHeight);
+      });
+    } else if (scale.max > scale.min) {
+      for (const t of [0, 0.5, 1]) {
+        ctx.fillText(formatLevel(scale.denormalize(t)), left - 4, top + (1 - t) * height);
+      }
+    }
+    
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    const { cellsDone, cells } = this.sweep;
+    const progress = cellsDone < cells.length ? ` (${Math.round(100 * cellsDone / cells.length)}%)` : '';
+    const title = momenta.length > 1 ? `${METRIC_LABELS[this.options.metric]} by momentum and η` : METRIC_LABELS[this.options.metric];
+    ctx.fillText(`${title}${progress}`, left, top - 6);
+    ctx.restore();
+  }
+  
+  /**
+   * Remove the chart
+   */
+  destroy() {
+    if (this.canvas && this.container.contains(this.canvas)) {
+      this.container.removeChild(this.canvas);
+    }
+  }
+}
@@ -3,6 +3,75 @@
  * Renders optimization functions as contour plots with animated gradient descent
  */
 
+import { mathUtils, getCriticalPoints, getAxisBounds } from '../math/functions.js';
+import { describePoint, describeDifference, togglePin, PIN_LABELS } from './inspector.js';
+import { createLevelScale, extractContours, formatLevel, CONTOUR_LEVEL_MODES } from './contours.js';
+import { colorFromValue } from './colormaps.js';
+import {
+  createGridWorker,
+  describeFunction,
+  evaluateGrid,
+  gridRows,
+  rasterizeHeatmap
+} from './grid.js';
+import { sampleGradientField, arrowLengths, traceStreamline, VECTOR_FIELD_SCALES } from './vectorField.js';
+import { basinCellColor, basinLegend, BASIN_MAP_MODES } from './basinMap.js';
+
+/**
+ * Glyph and label of each kind of critical point
+ */
+const CRITICAL_POINT_STYLES = {
+  'global-minimum': { label: 'Global Min', fill: '#00ff00', stroke: '#006600' },
+  'local-minimum': { label: 'Local Min', fill: null, stroke: '#008800' },
+  'saddle': { label: 'Saddle', fill: null, stroke: '#cc6600' },
+  'maximum': { label: 'Max', fill: '#ff4444', stroke: '#880000' }
+};
+
+/**
+ * Ratio of the full grid resolution to the coarse first pass of the grid worker
+ */
+const COARSE_FACTOR = 4;
+
+/**
+ * Shortest contour line, in pixels, that gets an inline value label
+ */
+const LABEL_MIN_LENGTH = 120;
+
+/**
+ * Closest two contour labels may be, in pixels
+ */
+const LABEL_SPACING = 60;
+
+/**
+ * Most basin legend rows; further entries are summarized in one line
+ */
+const BASIN_LEGEND_ROWS = 8;
+
+/**
+ * Zoom factor of one mouse wheel notch
+ */
+const WHEEL_ZOOM = 1.2;
+
+/**
+ * Smallest box, in pixels, that counts as a region selection rather than a click
+ */
+const MIN_SELECTION = 5;
+
+/**
+ * Pointer movement, in pixels, below which a press counts as a click rather than a drag
+ */
+const CLICK_TOLERANCE = 3;
+
+/**
+ * Distance, in pixels, within which the start marker can be grabbed
+ */
+const START_MARKER_RADIUS = 10;
+
+/**
+ * Distance, in pixels, within which a right-click unpins a pinned point
+ */
+const PIN_RADIUS = 8;
+
 /**
  * 2D Visualizer Class for gradient descent on contour plots
  */
@@ -17,13 +86,30 @@ export class Visualizer2D {
       width: 800,
       height: 600,
       contourLevels: 20,
+      contourLevelMode: 'linear', // 'linear', 'log' or 'quantile'
+      showContourLabels: true,
+      showColorbar: true,
       showContours: true,
       showHeatmap: true,
+      showVectorField: false,
+      vectorFieldSpacing: 40, // Screen pixels between field arrows
+      vectorFieldScale: 'normalized', // 'normalized' or 'magnitude'
+      showStreamlines: false,
+      streamlineSeeds: 10, // Streamline seeds per axis
+      showBasinMap: false, // Draw the basin map set by setBasinMap() in place of the heatmap
+      basinMapMode: 'basin', // 'basin', 'iterations' or 'divergence'
       showTrail: true,
+      showCriticalPoints: true,
+      showQuadraticModel: false,
+      showLineSearch: false,
+      showBatchGradient: false,
+      showInspector: true,
+      inspectHessian: false,
       trailLength: 100,
       pointSize: 8,
       gridResolution: 100,
       colorScheme: 'viridis',
+      useWorker: true, // Compute the grid and heatmap in a Web Worker where available
       ...options
     };
     
@@ -33,12 +119,36 @@ export class Visualizer2D {
     this.offscreenCanvas = null;
     this.offscreenCtx = null;
     
+    // Grid computation
+    this.gridWorker = null; // Web Worker computing grids and heatmaps, null to compute on this thread
+    this.gridRequest = null; // Latest grid request; results of older ones are stale
+    this.gridRequestId = 0;
+    
     // Visualization state
     this.currentFunction = null;
     this.contourData = null;
     this.currentPosition = { x: 0, y: 0 };
     this.trail = [];
-    this.globalMinimum = null;
+    this.runs = []; // Racing runs: {id, label, color, position, trail}
+    this.lineSearch = null; // Trial steps of the latest line search
+    this.batch = null; // Mini-batch of the latest stochastic step
+    this.criticalPoints = []; // Annotated minima, saddles and maxima of the function
+    this.basinMap = null; // Basin-of-attraction map of the function, see BasinMapper
+    
+    // Viewport state
+    this.viewport = null; // Visible ranges {x: {min, max}, y: {min, max}}
+    this.viewportChanged = false; // Set by gestures; the render loop regenerates the grid once per frame
+    this.gesture = null; // Active pan, box selection, pinch or start marker drag
+    
+    // Start position
+    this.startPosition = null; // Start marker {x, y}
+    this.ghostPath = null; // Preview path from the start marker while it is dragged
+    this.onStartPositionChange = null; // (x, y) => void, called when a click or drag sets the start
+    this.onStartPositionPreview = null; // ({x, y}) => [{x, y}], path to preview while dragging
+    
+    // Inspector state
+    this.hoverPosition = null; // World position under the cursor
+    this.pinnedPoints = []; // Positions pinned for comparison, oldest first
     
     // Animation state
     this.animationId = null;
@@ -65,16 +175,41 @@ export class Visualizer2D {
     this.offscreenCanvas.height = this.options.height;
     this.offscreenCtx = this.offscreenCanvas.getContext('2d');
     
+    // Grid worker, when the environment has workers
+    if (this.options.useWorker) {
+      this.setupGridWorker();
+    }
+    
     // Add to container
     this.container.appendChild(this.canvas);
     
     // Handle resize
     this.setupResizeHandler();
     
+    // Pan, zoom and region selection
+    this.setupInteraction();
+    
     // Start render loop
     this.startRenderLoop();
   }
   
+  /**
+   * Start the grid worker
+   * If it fails to load or crashes, grids are computed on this thread from then on.
+   */
+  setupGridWorker() {
+    this.gridWorker = createGridWorker();
+    if (!this.gridWorker) return;
+    
+    this.gridWorker.onmessage = (event) => this.receiveGrid(event.data);
+    this.gridWorker.onerror = (event) => {
+      if (event.preventDefault) event.preventDefault();
+      this.gridWorker.terminate();
+      this.gridWorker = null;
+      this.generateContourData();
+    };
+  }
+  
   /**
    * Setup resize handler
    */
@@ -89,6 +224,249 @@ export class Visualizer2D {
     resizeObserver.observe(this.container);
   }
   
+  /**
+   * Setup pan, zoom and start position gestures
+   * Wheel zooms around the cursor, dragging pans, shift-dragging selects a region to zoom into,
+   * double-click resets the view; one finger pans and two fingers pinch on touch screens.
+   * A click or tap moves the start point there, and the start marker can be dragged.
+   */
+  setupInteraction() {
+    const canvas = this.canvas;
+    canvas.style.cursor = 'grab';
+    canvas.style.touchAction = 'none';
+    
+    canvas.addEventListener('wheel', (event) => {
+      if (!this.viewport) return;
+      event.preventDefault();
+      const point = this.getCanvasPoint(event);
+      this.applyViewport(this.zoomedViewport(point.x, point.y, event.deltaY < 0 ? WHEEL_ZOOM : 1 / WHEEL_ZOOM));
+    }, { passive: false });
+    
+    const onMouseMove = (event) => {
+      const point = this.getCanvasPoint(event);
+      const { gesture } = this;
+      if (gesture.type === 'start') {
+        this.moveStartMarker(point);
+      } else if (gesture.type === 'pan') {
+        // Small jitter during a click does not pan
+        if (!gesture.moved && Math.hypot(point.x - gesture.origin.x, point.y - gesture.origin.y) < CLICK_TOLERANCE) return;
+        gesture.moved = true;
+        this.applyViewport(this.pannedViewport(point.x - gesture.last.x, point.y - gesture.last.y));
+        gesture.last = point;
+      } else {
+        gesture.end = point;
+        this.isDirty = true;
+      }
+    };
+    
+    const onMouseUp = () => {
+      window.removeEventListener('mousemove', onMouseMove);
+      window.removeEventListener('mouseup', onMouseUp);
+      
+      const { type, start, end, origin, moved } = this.gesture;
+      this.gesture = null;
+      canvas.style.cursor = 'grab';
+      if (type === 'start') {
+        this.commitStartPosition(this.startPosition);
+      } else if (type === 'pan' && !moved) {
+        this.commitStartPosition(this.getWorldPoint(origin));
+      } else if (type === 'select' && Math.abs(end.x - start.x) >= MIN_SELECTION && Math.abs(end.y - start.y) >= MIN_SELECTION) {
+        this.zoomToRegion(start.x, start.y, end.x, end.y);
+      }
+      this.isDirty = true;
+    };
+    
+    canvas.addEventListener('mousedown', (event) => {
+      if (!this.viewport || event.button !== 0) return;
+      event.preventDefault();
+      const point = this.getCanvasPoint(event);
+      this.hoverPosition = null;
+      if (event.shiftKey) {
+        this.gesture = { type: 'select', start: point, end: point };
+        canvas.style.cursor = 'crosshair';
+      } else if (this.isOnStartMarker(point)) {
+        this.gesture = { type: 'start' };
+        canvas.style.cursor = 'move';
+      } else {
+        this.gesture = { type: 'pan', origin: point, last: point, moved: false };
+        canvas.style.cursor = 'grabbing';
+      }
+      window.addEventListener('mousemove', onMouseMove);
+      window.addEventListener('mouseup', onMouseUp);
+    });
+    
+    // Inspect the point under the cursor, and hint that the start marker can be grabbed
+    canvas.addEventListener('mousemove', (event) => {
+      if (this.gesture || !this.viewport) return;
+      const point = this.getCanvasPoint(event);
+      canvas.style.cursor = this.isOnStartMarker(point) ? 'move' : 'grab';
+      this.hoverPosition = { x: this.screenToWorldX(point.x), y: this.screenToWorldY(point.y) };
+      this.isDirty = true;
+    });
+    
+    canvas.addEventListener('mouseleave', () => {
+      this.hoverPosition = null;
+      this.isDirty = true;
+    });
+    
+    // Right-click pins a point for comparison, or unpins the pin under the cursor
+    canvas.addEventListener('contextmenu', (event) => {
+      if (!this.viewport || !this.options.showInspector) return;
+      event.preventDefault();
+      const point = this.getCanvasPoint(event);
+      this.pinPoint({ x: this.screenToWorldX(point.x), y: this.screenToWorldY(point.y) });
+    });
+    
+    canvas.addEventListener('dblclick', () => {
+      if (this.currentFunction) this.resetViewport();
+    });
+    
+    // Touch: track the centroid and spread of the active touches
+    const touchState = (event) => {
+      const points = Array.from(event.touches, touch => this.getCanvasPoint(touch));
+      const center = {
+        x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+        y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+      };
+      const spread = points.length > 1 ? Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y) : 0;
+      return { type: 'touch', count: points.length, center, spread };
+    };
+    
+    canvas.addEventListener('touchstart', (event) => {
+      event.preventDefault();
+      if (!this.viewport) return;
+      
+      const next = touchState(event);
+      if (next.count === 1 && this.isOnStartMarker(next.center)) {
+        this.gesture = { type: 'start' };
+      } else {
+        // A single finger that lifts without moving is a tap
+        this.gesture = { ...next, tap: next.count === 1 ? next.center : null };
+      }
+    }, { passive: false });
+    
+    const onTouchEnd = (event) => {
+      event.preventDefault();
+      const { gesture } = this;
+      if (!gesture) return;
+      
+      if (gesture.type === 'start') {
+        this.commitStartPosition(this.startPosition);
+        this.gesture = null;
+      } else if (event.touches.length > 0) {
+        this.gesture = touchState(event);
+      } else {
+        if (gesture.tap) {
+          this.commitStartPosition(this.getWorldPoint(gesture.tap));
+        }
+        this.gesture = null;
+      }
+    };
+    
+    canvas.addEventListener('touchend', onTouchEnd, { passive: false });
+    canvas.addEventListener('touchcancel', onTouchEnd, { passive: false });
+    canvas.addEventListener('touchmove', (event) => {
+      event.preventDefault();
+      if (!this.gesture) return;
+      
+      const next = touchState(event);
+      if (this.gesture.type === 'start') {
+        this.moveStartMarker(next.center);
+        return;
+      }
+      if (next.count !== this.gesture.count) {
+        this.gesture = next;
+        return;
+      }
+      
+      const { tap } = this.gesture;
+      if (tap && Math.hypot(next.center.x - tap.x, next.center.y - tap.y) < CLICK_TOLERANCE) return;
+      
+      let viewport = this.pannedViewport(next.center.x - this.gesture.center.x, next.center.y - this.gesture.center.y);
+      if (next.count > 1 && this.gesture.spread > 0 && next.spread > 0) {
+        viewport = this.zoomedViewport(next.center.x, next.center.y, next.spread / this.gesture.spread, viewport);
+      }
+      this.applyViewport(viewport);
+      this.gesture = next;
+    }, { passive: false });
+  }
+  
+  /**
+   * Position of a mouse event or touch in canvas pixels
+   * @param {Object} event - MouseEvent or Touch with clientX / clientY
+   * @returns {Object} Canvas point {x, y}
+   */
+  getCanvasPoint(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const scaleX = rect.width ? this.canvas.width / rect.width : 1;
+    const scaleY = rect.height ? this.canvas.height / rect.height : 1;
+    return {
+      x: (event.clientX - rect.left) * scaleX,
+      y: (event.clientY - rect.top) * scaleY
+    };
+  }
+  
+  /**
+   * World position under a canvas point, rounded to the precision of one pixel
+   * @param {Object} point - Canvas point {x, y}
+   * @returns {Object} World position {x, y}
+   */
+  getWorldPoint(point) {
+    const round = (value, span, pixels) => {
+      const digits = Math.min(12, Math.max(0, Math.ceil(-Math.log10(span / pixels))));
+      return Number(value.toFixed(digits));
+    };
+    const { x: xBounds, y: yBounds } = this.viewport;
+    return {
+      x: round(this.screenToWorldX(point.x), xBounds.max - xBounds.min, this.options.width),
+      y: round(this.screenToWorldY(point.y), yBounds.max - yBounds.min, this.options.height)
+    };
+  }
+  
+  /**
+   * Whether a canvas point is on the start marker
+   * @param {Object} point - Canvas point {x, y}
+   * @returns {boolean} True if the marker can be grabbed there
+   */
+  isOnStartMarker(point) {
+    if (!this.startPosition) return false;
+    const x = this.worldToScreenX(this.startPosition.x);
+    const y = this.worldToScreenY(this.startPosition.y);
+    return Math.hypot(point.x - x, point.y - y) <= START_MARKER_RADIUS;
+  }
+  
+  /**
+   * Move the start marker while it is dragged and preview the run from there
+   * @param {Object} point - Canvas point {x, y}
+   */
+  moveStartMarker(point) {
+    this.startPosition = this.getWorldPoint(point);
+    this.ghostPath = this.onStartPositionPreview ? this.onStartPositionPreview({ ...this.startPosition }) : null;
+    this.isDirty = true;
+  }
+  
+  /**
+   * Place the start marker and report the new start position
+   * @param {Object} position - World position {x, y}
+   */
+  commitStartPosition(position) {
+    this.startPosition = { ...position };
+    this.ghostPath = null;
+    this.isDirty = true;
+    if (this.onStartPositionChange) {
+      this.onStartPositionChange(position.x, position.y);
+    }
+  }
+  
+  /**
+   * Show the start marker at a position
+   * @param {Object|null} position - World position {x, y}, or null to hide the marker
+   */
+  setStartMarker(position) {
+    this.startPosition = position ? { ...position } : null;
+    this.isDirty = true;
+  }
+  
   /**
    * Resize the canvas
    * @param {number} width - New width
@@ -113,63 +491,105 @@ export class Visualizer2D {
    */
   setFunction(func) {
     this.currentFunction = func;
-    this.globalMinimum = func.globalMinimum;
+    this.criticalPoints = getCriticalPoints(func);
+    this.basinMap = null;
+    this.viewport = getAxisBounds(func);
     this.generateContourData();
     this.isDirty = true;
   }
   
   /**
-   * Generate contour data from function
+   * Generate contour data from function over the current viewport
+   * The grid worker evaluates the grid and rasterizes the heatmap off the main thread, coarse
+   * pass first, and a newer request cancels an older one. Functions the worker cannot rebuild
+   * (see describeFunction()) and environments without workers compute the full grid here.
    */
   generateContourData() {
     if (!this.currentFunction) return;
     
-    const { bounds } = this.currentFunction;
+    this.viewportChanged = false;
     const resolution = this.options.gridResolution;
+    const request = {
+      id: ++this.gridRequestId,
+      viewport: { x: { ...this.viewport.x }, y: { ...this.viewport.y } },
+      resolution,
+      coarseResolution: Math.max(2, Math.ceil(resolution / COARSE_FACTOR)),
+      width: this.options.width,
+      height: this.options.height,
+      colorScheme: this.options.colorScheme,
+      contourLevels: this.options.contourLevels,
+      contourLevelMode: this.options.contourLevelMode
+    };
+    this.gridRequest = request;
     
-    // Create grid data
-    const gridData = [];
-    const step = (bounds.max - bounds.min) / (resolution - 1);
-    
-    let minValue = Infinity;
-    let maxValue = -Infinity;
-    
-    for (let i = 0; i < resolution; i++) {
-      gridData[i] = [];
-      for (let j = 0; j < resolution; j++) {
-        const x = bounds.min + i * step;
-        const y = bounds.min + j * step;
-        const value = this.currentFunction.value(x, y);
-        
-        gridData[i][j] = {
-          x, y, value,
-          screenX: (i / (resolution - 1)) * this.options.width,
-          screenY: (j / (resolution - 1)) * this.options.height
-        };
-        
-        minValue = Math.min(minValue, value);
-        maxValue = Math.max(maxValue, value);
-      }
+    const descriptor = this.gridWorker ? describeFunction(this.currentFunction) : null;
+    if (descriptor) {
+      this.gridWorker.postMessage({ ...request, func: descriptor });
+    } else {
+      this.computeGrid(request);
     }
-    
-    // Generate contour levels
-    const contourLevels = [];
-    for (let i = 0; i <= this.options.contourLevels; i++) {
-      const level = minValue + (maxValue - minValue) * (i / this.options.contourLevels);
-      contourLevels.push(level);
+  }
+  
+  /**
+   * Compute a grid request on this thread at full resolution
+   * @param {Object} request - Grid request from generateContourData()
+   */
+  computeGrid(request) {
+    const values = evaluateGrid(this.currentFunction, request.viewport, request.resolution);
+    this.applyGrid(request, {
+      resolution: request.resolution,
+      final: true,
+      values,
+      pixels: rasterizeHeatmap(values, request.resolution, request)
+    });
+  }
+  
+  /**
+   * Handle a grid worker reply, dropping results of superseded requests
+   * @param {Object} result - { id, resolution, final, values, pixels } or { id, error }
+   */
+  receiveGrid(result) {
+    const request = this.gridRequest;
+    if (!request || result.id !== request.id) return;
+    
+    if (result.error) {
+      this.computeGrid(request);
+    } else {
+      this.applyGrid(request, result);
     }
+  }
+  
+  /**
+   * Install a computed grid: derive the level scale and contour lines, then redraw
+   * @param {Object} request - Grid request the result answers
+   * @param {Object} result - { resolution, final, values: Float64Array, pixels: Uint8ClampedArray }
+   */
+  applyGrid(request, result) {
+    const { resolution, values } = result;
+    const { x: xBounds, y: yBounds } = request.viewport;
+    const rows = gridRows(values, resolution);
+    
+    // One value-to-colour mapping for the heatmap, the contour levels and the colorbar
+    const scale = createLevelScale(values, request.contourLevels, request.contourLevelMode);
     
     this.contourData = {
-      grid: gridData,
-      minValue,
-      maxValue,
-      levels: contourLevels,
-      bounds,
+      values: rows,
+      heatmap: result.pixels,
+      final: result.final,
+      minValue: scale.min,
+      maxValue: scale.max,
+      scale,
+      levels: scale.levels,
+      contours: scale.levels.map(level => ({ level, lines: extractContours(rows, level) })),
+      xBounds,
+      yBounds,
       resolution,
-      step
+      xStep: (xBounds.max - xBounds.min) / (resolution - 1),
+      yStep: (yBounds.max - yBounds.min) / (resolution - 1)
     };
     
     this.renderContours();
+    this.isDirty = true;
   }
   
   /**
@@ -178,15 +598,15 @@ export class Visualizer2D {
   renderContours() {
     if (!this.contourData) return;
     
-    const { grid, minValue, maxValue, levels } = this.contourData;
-    const resolution = this.options.gridResolution;
-    
     // Clear offscreen canvas
     this.offscreenCtx.fillStyle = '#ffffff';
     this.offscreenCtx.fillRect(0, 0, this.options.width, this.options.height);
     
-    // Render heatmap if enabled
-    if (this.options.showHeatmap) {
+    // The basin map replaces the heatmap while it is shown
+    const showBasinMap = this.options.showBasinMap && this.basinMap;
+    if (showBasinMap) {
+      this.renderBasinMap();
+    } else if (this.options.showHeatmap) {
       this.renderHeatmap();
     }
     
@@ -195,68 +615,246 @@ export class Visualizer2D {
       this.renderContourLines();
     }
     
+    // Render the gradient field over the contours
+    if (this.options.showVectorField) {
+      this.renderVectorField();
+    }
+    
+    if (this.options.showStreamlines) {
+      this.renderStreamlines();
+    }
+    
     // Render axes and labels
     this.renderAxes();
+    
+    if (showBasinMap) {
+      this.renderBasinLegend();
+    } else if (this.options.showHeatmap && this.options.showColorbar) {
+      this.renderColorbar();
+    }
   }
   
   /**
-   * Render heatmap background
+   * Render descent direction arrows on a lattice of vectorFieldSpacing pixels
+   * Arrows point along -∇f as seen on screen, so they stay perpendicular to the contours at any zoom.
    */
-  renderHeatmap() {
-    const { grid, minValue, maxValue } = this.contourData;
-    const resolution = this.options.gridResolution;
+  renderVectorField() {
+    const { width, height, vectorFieldSpacing: spacing, vectorFieldScale } = this.options;
+    const columns = Math.max(1, Math.floor(width / spacing));
+    const rows = Math.max(1, Math.floor(height / spacing));
+    const samples = sampleGradientField(this.currentFunction, this.viewport, columns, rows);
+    const lengths = arrowLengths(samples, vectorFieldScale);
+    
+    // Screen pixels per world unit; screen y grows downwards
+    const xScale = width / (this.viewport.x.max - this.viewport.x.min);
+    const yScale = -height / (this.viewport.y.max - this.viewport.y.min);
+    const maxLength = 0.8 * Math.min(width / columns, height / rows);
+    
+    this.offscreenCtx.save();
+    this.offscreenCtx.strokeStyle = '#222222';
+    this.offscreenCtx.fillStyle = '#222222';
+    this.offscreenCtx.lineWidth = 1;
+    this.offscreenCtx.globalAlpha = 0.75;
+    
+    samples.forEach((sample, index) => {
+      const dx = sample.dx * xScale;
+      const dy = sample.dy * yScale;
+      const norm = Math.hypot(dx, dy);
+      const length = lengths[index] * maxLength;
+      if (!(norm > 0) || length < 1) return;
+      
+      // Centre the arrow on its sample point
+      const ux = dx / norm;
+      const uy = dy / norm;
+      const centerX = this.worldToScreenX(sample.x);
+      const centerY = this.worldToScreenY(sample.y);
+      const end = { x: centerX + ux * length / 2, y: centerY + uy * length / 2 };
+      const head = Math.min(5, length / 2);
+      const angle = Math.atan2(uy, ux);
+      
+      this.offscreenCtx.beginPath();
+      this.offscreenCtx.moveTo(centerX - ux * length / 2, centerY - uy * length / 2);
+      this.offscreenCtx.lineTo(end.x, end.y);
+      this.offscreenCtx.stroke();
+      
+      this.offscreenCtx.beginPath();
+      this.offscreenCtx.moveTo(end.x, end.y);
+      this.offscreenCtx.lineTo(end.x - head * Math.cos(angle - 0.5), end.y - head * Math.sin(angle - 0.5));
+      this.offscreenCtx.lineTo(end.x - head * Math.cos(angle + 0.5), end.y - head * Math.sin(angle + 0.5));
+      this.offscreenCtx.closePath();
+      this.offscreenCtx.fill();
+    });
     
-    const imageData = this.offscreenCtx.createImageData(this.options.width, this.options.height);
-    const data = imageData.data;
+    this.offscreenCtx.restore();
+  }
+  
+  /**
+   * Render gradient-flow streamlines traced downhill from a streamlineSeeds × streamlineSeeds lattice
+   * Each curve gets an arrowhead halfway along to show the direction of flow.
+   */
+  renderStreamlines() {
+    const seeds = this.options.streamlineSeeds;
+    const { x: xBounds, y: yBounds } = this.viewport;
+    
+    this.offscreenCtx.save();
+    this.offscreenCtx.strokeStyle = '#1f3b73';
+    this.offscreenCtx.fillStyle = '#1f3b73';
+    this.offscreenCtx.lineWidth = 1.5;
+    this.offscreenCtx.globalAlpha = 0.7;
     
-    for (let x = 0; x < this.options.width; x++) {
-      for (let y = 0; y < this.options.height; y++) {
-        // Map screen coordinates to grid coordinates
-        const gridX = Math.floor((x / this.options.width) * (resolution - 1));
-        const gridY = Math.floor((y / this.options.height) * (resolution - 1));
+    for (let i = 0; i < seeds; i++) {
+      for (let j = 0; j < seeds; j++) {
+        const seed = {
+          x: xBounds.min + (xBounds.max - xBounds.min) * (i + 0.5) / seeds,
+          y: yBounds.min + (yBounds.max - yBounds.min) * (j + 0.5) / seeds
+        };
+        const points = traceStreamline(this.currentFunction, seed, this.viewport)
+          .map(point => ({ x: this.worldToScreenX(point.x), y: this.worldToScreenY(point.y) }));
+        if (points.length < 3) continue;
         
-        if (gridX < resolution && gridY < resolution) {
-          const value = grid[gridX][gridY].value;
-          const normalized = (value - minValue) / (maxValue - minValue);
-          const color = this.getColorFromValue(normalized);
-          
-          const index = (y * this.options.width + x) * 4;
-          data[index] = color.r;     // R
-          data[index + 1] = color.g; // G
-          data[index + 2] = color.b; // B
-          data[index + 3] = 128;     // A (semi-transparent)
+        this.offscreenCtx.beginPath();
+        this.offscreenCtx.moveTo(points[0].x, points[0].y);
+        for (let k = 1; k < points.length; k++) {
+          this.offscreenCtx.lineTo(points[k].x, points[k].y);
         }
+        this.offscreenCtx.stroke();
+        
+        const middle = Math.floor(points.length / 2);
+        const from = points[middle - 1];
+        const to = points[middle];
+        const angle = Math.atan2(to.y - from.y, to.x - from.x);
+        this.offscreenCtx.beginPath();
+        this.offscreenCtx.moveTo(to.x, to.y);
+        this.offscreenCtx.lineTo(to.x - 6 * Math.cos(angle - 0.5), to.y - 6 * Math.sin(angle - 0.5));
+        this.offscreenCtx.lineTo(to.x - 6 * Math.cos(angle + 0.5), to.y - 6 * Math.sin(angle + 0.5));
+        this.offscreenCtx.closePath();
+        this.offscreenCtx.fill();
       }
     }
     
+    this.offscreenCtx.restore();
+  }
+  
+  /**
+   * Render heatmap background from the rasterized grid
+   */
+  renderHeatmap() {
+    const { heatmap } = this.contourData;
+    
+    // A resize outdates the pixels until the grid of the new size arrives
+    if (heatmap.length !== this.options.width * this.options.height * 4) return;
+    
+    const imageData = this.offscreenCtx.createImageData(this.options.width, this.options.height);
+    imageData.data.set(heatmap);
     this.offscreenCtx.putImageData(imageData, 0, 0);
   }
   
   /**
-   * Render contour lines
+   * Render the basin map: one world-space cell per start point, so it follows pan and zoom
+   * Cells still being computed are left blank.
+   */
+  renderBasinMap() {
+    const map = this.basinMap;
+    const { x: xBounds, y: yBounds } = map.bounds;
+    const xStep = (xBounds.max - xBounds.min) / map.resolution;
+    const yStep = (yBounds.max - yBounds.min) / map.resolution;
+    
+    this.offscreenCtx.save();
+    this.offscreenCtx.globalAlpha = 0.6;
+    for (let i = 0; i < map.resolution; i++) {
+      const left = this.worldToScreenX(xBounds.min + i * xStep);
+      const right = this.worldToScreenX(xBounds.min + (i + 1) * xStep);
+      for (let j = 0; j < map.resolution; j++) {
+        const color = basinCellColor(map, i * map.resolution + j, this.options.basinMapMode, this.options.colorScheme);
+        if (!color) continue;
+        
+        // Screen y grows downwards; round outwards so neighbouring cells leave no seams
+        const top = this.worldToScreenY(yBounds.min + (j + 1) * yStep);
+        const bottom = this.worldToScreenY(yBounds.min + j * yStep);
+        this.offscreenCtx.fillStyle = `rgb(${color.r}, ${color.g}, ${color.b})`;
+        this.offscreenCtx.fillRect(Math.floor(left), Math.floor(top), Math.ceil(right) - Math.floor(left),
+          Math.ceil(bottom) - Math.floor(top));
+      }
+    }
+    this.offscreenCtx.restore();
+  }
+  
+  /**
+   * Render the basin map legend in the bottom-right corner, where the colorbar would be
+   * Rows name what each colour stands for and the share of the computed cells it covers.
+   */
+  renderBasinLegend() {
+    const entries = basinLegend(this.basinMap, this.options.basinMapMode, this.options.colorScheme);
+    const { rowsDone, resolution } = this.basinMap;
+    const rows = entries.slice(0, BASIN_LEGEND_ROWS);
+    if (entries.length > BASIN_LEGEND_ROWS) {
+      rows.push({ color: null, label: `+${entries.length - BASIN_LEGEND_ROWS} more` });
+    }
+    const title = rowsDone < resolution
+      ? `Basins (${Math.round(100 * rowsDone / resolution)}%)`
+      : 'Basins';
+    
+    const padding = 6;
+    const rowHeight = 14;
+    this.offscreenCtx.save();
+    this.offscreenCtx.font = '10px Arial';
+    const labelWidth = Math.max(this.offscreenCtx.measureText(title).width,
+      ...rows.map(row => this.offscreenCtx.measureText(row.label).width));
+    const width = labelWidth + 3 * padding + 10;
+    const height = (rows.length + 1) * rowHeight + padding;
+    const left = this.options.width - width - 10;
+    const top = this.options.height - height - 30;
+    
+    this.offscreenCtx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    this.offscreenCtx.fillRect(left, top, width, height);
+    this.offscreenCtx.textAlign = 'left';
+    this.offscreenCtx.textBaseline = 'middle';
+    this.offscreenCtx.fillStyle = '#333333';
+    this.offscreenCtx.fillText(title, left + padding, top + padding / 2 + rowHeight / 2);
+    
+    rows.forEach((row, k) => {
+      const rowY = top + padding / 2 + (k + 1.5) * rowHeight;
+      if (row.color) {
+        this.offscreenCtx.fillStyle = `rgba(${row.color.r}, ${row.color.g}, ${row.color.b}, 0.6)`;
+        this.offscreenCtx.fillRect(left + padding, rowY - 5, 10, 10);
+      }
+      this.offscreenCtx.fillStyle = '#333333';
+      this.offscreenCtx.fillText(row.label, left + 2 * padding + 10, rowY);
+    });
+    this.offscreenCtx.restore();
+  }
+  
+  /**
+   * Render contour lines as joined polylines, then label the long ones with their level
    */
   renderContourLines() {
-    const { grid, levels } = this.contourData;
-    const resolution = this.options.gridResolution;
+    const { contours, resolution } = this.contourData;
+    const toScreen = (point) => ({
+      x: (point.i / (resolution - 1)) * this.options.width,
+      y: (1 - point.j / (resolution - 1)) * this.options.height
+    });
+    const labels = [];
     
     this.offscreenCtx.strokeStyle = '#333333';
     this.offscreenCtx.lineWidth = 1;
     this.offscreenCtx.globalAlpha = 0.7;
     
-    // Use marching squares algorithm for contour lines
-    for (const level of levels) {
+    for (const { level, lines } of contours) {
       this.offscreenCtx.beginPath();
       
-      for (let i = 0; i < resolution - 1; i++) {
-        for (let j = 0; j < resolution - 1; j++) {
-          const cell = [
-            grid[i][j],
-            grid[i + 1][j],
-            grid[i + 1][j + 1],
-            grid[i][j + 1]
-          ];
-          
-          this.drawContourInCell(cell, level);
+      for (const line of lines) {
+        const points = line.points.map(toScreen);
+        this.offscreenCtx.moveTo(points[0].x, points[0].y);
+        for (let k = 1; k < points.length; k++) {
+          this.offscreenCtx.lineTo(points[k].x, points[k].y);
+        }
+        if (line.closed) {
+          this.offscreenCtx.closePath();
+        }
+        
+        if (this.options.showContourLabels) {
+          const label = this.placeContourLabel(points, labels);
+          if (label) labels.push({ ...label, text: formatLevel(level) });
         }
       }
       
@@ -264,63 +862,113 @@ export class Visualizer2D {
     }
     
     this.offscreenCtx.globalAlpha = 1;
+    labels.forEach(label => this.drawContourLabel(label));
   }
   
   /**
-   * Draw contour line in a grid cell using marching squares
-   * @param {Array} cell - Four corner points of the cell
-   * @param {number} level - Contour level value
+   * Find a spot for a contour label halfway along a line
+   * @param {Array} points - Screen points of the line
+   * @param {Array} placed - Labels placed so far
+   * @returns {Object|null} { x, y, angle }, or null when the line is too short or the spot is taken
    */
-  drawContourInCell(cell, level) {
-    // Simplified marching squares implementation
-    const [tl, tr, br, bl] = cell;
-    const values = [tl.value, tr.value, br.value, bl.value];
-    
-    // Create binary representation
-    let config = 0;
-    if (values[0] > level) config |= 1;
-    if (values[1] > level) config |= 2;
-    if (values[2] > level) config |= 4;
-    if (values[3] > level) config |= 8;
-    
-    // Interpolation helper
-    const interpolate = (p1, p2, v1, v2) => {
-      if (Math.abs(v1 - v2) < 1e-10) return p1;
-      const t = (level - v1) / (v2 - v1);
-      return {
-        screenX: p1.screenX + t * (p2.screenX - p1.screenX),
-        screenY: p1.screenY + t * (p2.screenY - p1.screenY)
-      };
-    };
-    
-    // Calculate edge intersections
-    const edges = [];
-    if (config & 1 && config & 2) { // Top edge
-      edges.push(interpolate(tl, tr, values[0], values[1]));
+  placeContourLabel(points, placed) {
+    const lengths = [0];
+    for (let k = 1; k < points.length; k++) {
+      lengths.push(lengths[k - 1] + Math.hypot(points[k].x - points[k - 1].x, points[k].y - points[k - 1].y));
     }
-    if (config & 2 && config & 4) { // Right edge
-      edges.push(interpolate(tr, br, values[1], values[2]));
-    }
-    if (config & 4 && config & 8) { // Bottom edge
-      edges.push(interpolate(br, bl, values[2], values[3]));
+    const total = lengths[lengths.length - 1];
+    if (total < LABEL_MIN_LENGTH) return null;
+    
+    const k = lengths.findIndex(length => length >= total / 2);
+    const from = points[Math.max(0, k - 1)];
+    const to = points[k];
+    const x = (from.x + to.x) / 2;
+    const y = (from.y + to.y) / 2;
+    if (x < 40 || x > this.options.width - 40 || y < 20 || y > this.options.height - 30) return null;
+    if (placed.some(label => Math.hypot(label.x - x, label.y - y) < LABEL_SPACING)) return null;
+    
+    // Keep the text upright
+    let angle = Math.atan2(to.y - from.y, to.x - from.x);
+    if (angle > Math.PI / 2) angle -= Math.PI;
+    if (angle < -Math.PI / 2) angle += Math.PI;
+    return { x, y, angle };
+  }
+  
+  /**
+   * Draw a contour label along its line, on a backdrop that interrupts the line
+   * @param {Object} label - { x, y, angle, text }
+   */
+  drawContourLabel(label) {
+    this.offscreenCtx.save();
+    this.offscreenCtx.translate(label.x, label.y);
+    this.offscreenCtx.rotate(label.angle);
+    this.offscreenCtx.font = '10px Arial';
+    this.offscreenCtx.textAlign = 'center';
+    this.offscreenCtx.textBaseline = 'middle';
+    
+    const width = this.offscreenCtx.measureText(label.text).width + 4;
+    this.offscreenCtx.fillStyle = 'rgba(255, 255, 255, 0.75)';
+    this.offscreenCtx.fillRect(-width / 2, -6, width, 12);
+    this.offscreenCtx.fillStyle = '#333333';
+    this.offscreenCtx.fillText(label.text, 0, 0);
+    this.offscreenCtx.restore();
+  }
+  
+  /**
+   * Render the colorbar of the heatmap in the bottom-right corner
+   * Ticks are placed through the same scale as the heatmap, so their spacing shows the level mode;
+   * short marks on the left edge show where the contour levels fall.
+   */
+  renderColorbar() {
+    const { scale, levels } = this.contourData;
+    if (!(scale.max > scale.min)) return;
+    
+    const barWidth = 14;
+    const barHeight = Math.min(200, this.options.height * 0.4);
+    const left = this.options.width - 70;
+    const top = this.options.height - barHeight - 40;
+    const toY = (t) => top + (1 - t) * barHeight;
+    
+    this.offscreenCtx.save();
+    this.offscreenCtx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    this.offscreenCtx.fillRect(left - 8, top - 24, 70, barHeight + 32);
+    
+    // Same colours as the semi-transparent heatmap over white
+    for (let row = 0; row < barHeight; row++) {
+      const color = this.getColorFromValue(1 - row / barHeight);
+      this.offscreenCtx.fillStyle = `rgba(${color.r}, ${color.g}, ${color.b}, 0.5)`;
+      this.offscreenCtx.fillRect(left, top + row, barWidth, 1);
     }
-    if (config & 8 && config & 1) { // Left edge
-      edges.push(interpolate(bl, tl, values[3], values[0]));
+    this.offscreenCtx.strokeStyle = '#666666';
+    this.offscreenCtx.lineWidth = 1;
+    this.offscreenCtx.strokeRect(left, top, barWidth, barHeight);
+    
+    this.offscreenCtx.beginPath();
+    for (const level of levels) {
+      const y = toY(scale.normalize(level));
+      this.offscreenCtx.moveTo(left - 4, y);
+      this.offscreenCtx.lineTo(left, y);
     }
+    this.offscreenCtx.stroke();
     
-    // Draw line segments
-    if (edges.length >= 2) {
-      this.offscreenCtx.moveTo(edges[0].screenX, edges[0].screenY);
-      this.offscreenCtx.lineTo(edges[1].screenX, edges[1].screenY);
+    this.offscreenCtx.fillStyle = '#333333';
+    this.offscreenCtx.font = '10px Arial';
+    this.offscreenCtx.textAlign = 'left';
+    this.offscreenCtx.textBaseline = 'middle';
+    for (const t of [0, 0.25, 0.5, 0.75, 1]) {
+      this.offscreenCtx.fillText(formatLevel(scale.denormalize(t)), left + barWidth + 4, toY(t));
     }
+    
+    this.offscreenCtx.textAlign = 'center';
+    this.offscreenCtx.textBaseline = 'bottom';
+    this.offscreenCtx.fillText(`f (${scale.mode})`, left + barWidth / 2 + 10, top - 6);
+    this.offscreenCtx.restore();
   }
   
   /**
    * Render coordinate axes and labels
    */
   renderAxes() {
-    const { bounds } = this.contourData;
-    
     this.offscreenCtx.strokeStyle = '#666666';
     this.offscreenCtx.lineWidth = 1;
     this.offscreenCtx.font = '12px Arial';
@@ -353,7 +1001,7 @@ export class Visualizer2D {
    * Draw axis labels and tick marks
    */
   drawAxisLabels() {
-    const { bounds } = this.contourData;
+    const { xBounds, yBounds } = this.contourData;
     const numTicks = 5;
     
     this.offscreenCtx.fillStyle = '#333333';
@@ -362,7 +1010,7 @@ export class Visualizer2D {
     
     // X-axis labels
     for (let i = 0; i <= numTicks; i++) {
-      const value = bounds.min + (bounds.max - bounds.min) * (i / numTicks);
+      const value = xBounds.min + (xBounds.max - xBounds.min) * (i / numTicks);
       const x = (i / numTicks) * this.options.width;
       
       this.offscreenCtx.fillText(
@@ -377,7 +1025,7 @@ export class Visualizer2D {
     
     // Y-axis labels
     for (let i = 0; i <= numTicks; i++) {
-      const value = bounds.max - (bounds.max - bounds.min) * (i / numTicks);
+      const value = yBounds.max - (yBounds.max - yBounds.min) * (i / numTicks);
       const y = (i / numTicks) * this.options.height;
       
       this.offscreenCtx.fillText(
@@ -394,78 +1042,7 @@ export class Visualizer2D {
    * @returns {Object} RGB color object
    */
   getColorFromValue(value) {
-    // Clamp value
-    value = Math.max(0, Math.min(1, value));
-    
-    switch (this.options.colorScheme) {
-      case 'viridis':
-        return this.viridisColormap(value);
-      case 'plasma':
-        return this.plasmaColormap(value);
-      case 'jet':
-        return this.jetColormap(value);
-      default:
-        return this.viridisColormap(value);
-    }
-  }
-  
-  /**
-   * Viridis colormap implementation
-   * @param {number} t - Value between 0 and 1
-   * @returns {Object} RGB color
-   */
-  viridisColormap(t) {
-    const a = [0.2777273272234177, 0.005407344544966578, 0.3340998053353061];
-    const b = [0.1050930431085774, 1.404613529898575, 1.384590162594685];
-    const c = [-0.3308618287255563, 0.214847559468213, 0.09509516302823659];
-    const d = [-4.634230498983486, -5.799100973351585, -19.33244095627987];
-    const e = [6.228269936347081, 14.17993336680509, 56.69055260068105];
-    const f = [4.776384997670288, -13.74514537774601, -65.35303263337234];
-    const g = [-5.435455855934631, 4.645852612178535, 26.3124352495832];
-    
-    const r = a[0] + b[0] * t + c[0] * t * t + d[0] * t * t * t + e[0] * t * t * t * t + f[0] * Math.pow(t, 5) + g[0] * Math.pow(t, 6);
-    const g_val = a[1] + b[1] * t + c[1] * t * t + d[1] * t * t * t + e[1] * t * t * t * t + f[1] * Math.pow(t, 5) + g[1] * Math.pow(t, 6);
-    const b_val = a[2] + b[2] * t + c[2] * t * t + d[2] * t * t * t + e[2] * t * t * t * t + f[2] * Math.pow(t, 5) + g[2] * Math.pow(t, 6);
-    
-    return {
-      r: Math.round(Math.max(0, Math.min(1, r)) * 255),
-      g: Math.round(Math.max(0, Math.min(1, g_val)) * 255),
-      b: Math.round(Math.max(0, Math.min(1, b_val)) * 255)
-    };
-  }
-  
-  /**
-   * Jet colormap implementation
-   * @param {number} t - Value between 0 and 1
-   * @returns {Object} RGB color
-   */
-  jetColormap(t) {
-    const r = Math.max(0, Math.min(1, 1.5 - Math.abs(4 * t - 3)));
-    const g = Math.max(0, Math.min(1, 1.5 - Math.abs(4 * t - 2)));
-    const b = Math.max(0, Math.min(1, 1.5 - Math.abs(4 * t - 1)));
-    
-    return {
-      r: Math.round(r * 255),
-      g: Math.round(g * 255),
-      b: Math.round(b * 255)
-    };
-  }
-  
-  /**
-   * Plasma colormap implementation
-   * @param {number} t - Value between 0 and 1
-   * @returns {Object} RGB color
-   */
-  plasmaColormap(t) {
-    const r = 0.05 + 0.95 * Math.pow(t, 0.4);
-    const g = Math.pow(t, 2.5);
-    const b = Math.sin(Math.PI * t * 0.5);
-    
-    return {
-      r: Math.round(r * 255),
-      g: Math.round(g * 255),
-      b: Math.round(b * 255)
-    };
+    return colorFromValue(value, this.options.colorScheme);
   }
   
   /**
@@ -474,6 +1051,8 @@ export class Visualizer2D {
    */
   updateVisualization(state) {
     this.currentPosition = state.position;
+    this.lineSearch = state.lineSearch || null;
+    this.batch = state.batch || null;
     
     // Add to trail if enabled
     if (this.options.showTrail) {
@@ -489,14 +1068,49 @@ export class Visualizer2D {
   }
   
   /**
-   * Convert world coordinates to screen coordinates
-   * @param {number} x - World X coordinate
-   * @returns {number} Screen X coordinate
+   * Update visualization with the states of several racing runs
+   * A single run falls back to the classic single-trail rendering.
+   * @param {Array} runs - Run states [{id, label, color, state}]
+   */
+  updateRuns(runs) {
+    if (runs.length <= 1) {
+      this.runs = [];
+      if (runs.length === 1) {
+        this.updateVisualization(runs[0].state);
+      }
+      return;
+    }
+    
+    // Line search trials follow the primary run
+    this.lineSearch = runs[0].state.lineSearch || null;
+    this.batch = runs[0].state.batch || null;
+    
+    this.runs = runs.map(({ id, label, color, state }) => {
+      const existing = this.runs.find(run => run.id === id);
+      const trail = existing ? existing.trail : [];
+      
+      if (this.options.showTrail) {
+        trail.push({ ...state.position });
+        if (trail.length > this.options.trailLength) {
+          trail.shift();
+        }
+      }
+      
+      return { id, label, color, position: state.position, trail };
+    });
+    
+    this.isDirty = true;
+  }
+  
+  /**
+   * Convert world coordinates to screen coordinates
+   * @param {number} x - World X coordinate
+   * @returns {number} Screen X coordinate
    */
   worldToScreenX(x) {
     if (!this.contourData) return 0;
-    const { bounds } = this.contourData;
-    return ((x - bounds.min) / (bounds.max - bounds.min)) * this.options.width;
+    const { xBounds } = this.contourData;
+    return ((x - xBounds.min) / (xBounds.max - xBounds.min)) * this.options.width;
   }
   
   /**
@@ -506,14 +1120,143 @@ export class Visualizer2D {
    */
   worldToScreenY(y) {
     if (!this.contourData) return 0;
-    const { bounds } = this.contourData;
-    return ((bounds.max - y) / (bounds.max - bounds.min)) * this.options.height;
+    const { yBounds } = this.contourData;
+    return ((yBounds.max - y) / (yBounds.max - yBounds.min)) * this.options.height;
+  }
+  
+  /**
+   * Convert screen coordinates to world coordinates
+   * @param {number} x - Screen X coordinate
+   * @returns {number} World X coordinate
+   */
+  screenToWorldX(x) {
+    const { x: xBounds } = this.viewport;
+    return xBounds.min + (x / this.options.width) * (xBounds.max - xBounds.min);
+  }
+  
+  /**
+   * Convert screen coordinates to world coordinates
+   * @param {number} y - Screen Y coordinate
+   * @returns {number} World Y coordinate
+   */
+  screenToWorldY(y) {
+    const { y: yBounds } = this.viewport;
+    return yBounds.max - (y / this.options.height) * (yBounds.max - yBounds.min);
+  }
+  
+  /**
+   * Show a region of the function and regenerate the grid there
+   * @param {Object} viewport - Visible ranges {x: {min, max}, y: {min, max}}
+   */
+  setViewport(viewport) {
+    this.applyViewport(viewport);
+    if (this.viewportChanged) {
+      this.generateContourData();
+    }
+  }
+  
+  /**
+   * Show the function's full axis ranges again
+   */
+  resetViewport() {
+    this.setViewport(getAxisBounds(this.currentFunction));
+  }
+  
+  /**
+   * Zoom around a screen point, which stays under the cursor
+   * @param {number} x - Screen X coordinate
+   * @param {number} y - Screen Y coordinate
+   * @param {number} factor - Magnification; above 1 zooms in
+   */
+  zoomAt(x, y, factor) {
+    this.setViewport(this.zoomedViewport(x, y, factor));
+  }
+  
+  /**
+   * Move the view with the pointer
+   * @param {number} dx - Screen pixels moved to the right
+   * @param {number} dy - Screen pixels moved down
+   */
+  panBy(dx, dy) {
+    this.setViewport(this.pannedViewport(dx, dy));
+  }
+  
+  /**
+   * Zoom into the rectangle between two screen points
+   * @param {number} x0 - Screen X of one corner
+   * @param {number} y0 - Screen Y of one corner
+   * @param {number} x1 - Screen X of the opposite corner
+   * @param {number} y1 - Screen Y of the opposite corner
+   */
+  zoomToRegion(x0, y0, x1, y1) {
+    this.setViewport({
+      x: { min: this.screenToWorldX(Math.min(x0, x1)), max: this.screenToWorldX(Math.max(x0, x1)) },
+      y: { min: this.screenToWorldY(Math.max(y0, y1)), max: this.screenToWorldY(Math.min(y0, y1)) }
+    });
+  }
+  
+  /**
+   * Viewport magnified around a screen point
+   * @param {number} x - Screen X coordinate
+   * @param {number} y - Screen Y coordinate
+   * @param {number} factor - Magnification; above 1 zooms in
+   * @param {Object} viewport - Viewport to start from, the current one by default
+   * @returns {Object} New viewport
+   */
+  zoomedViewport(x, y, factor, viewport = this.viewport) {
+    const fx = x / this.options.width;
+    const fy = 1 - y / this.options.height;
+    const scale = (range, f) => {
+      const anchor = range.min + f * (range.max - range.min);
+      return {
+        min: anchor - (anchor - range.min) / factor,
+        max: anchor + (range.max - anchor) / factor
+      };
+    };
+    return { x: scale(viewport.x, fx), y: scale(viewport.y, fy) };
+  }
+  
+  /**
+   * Viewport moved along with the pointer
+   * @param {number} dx - Screen pixels moved to the right
+   * @param {number} dy - Screen pixels moved down
+   * @returns {Object} New viewport
+   */
+  pannedViewport(dx, dy) {
+    const { x: xBounds, y: yBounds } = this.viewport;
+    const shiftX = -dx * (xBounds.max - xBounds.min) / this.options.width;
+    const shiftY = dy * (yBounds.max - yBounds.min) / this.options.height;
+    return {
+      x: { min: xBounds.min + shiftX, max: xBounds.max + shiftX },
+      y: { min: yBounds.min + shiftY, max: yBounds.max + shiftY }
+    };
+  }
+  
+  /**
+   * Adopt a viewport and leave the grid regeneration to the next frame
+   * Ranges that are empty, inverted or too narrow to resolve in floating point are ignored.
+   * @param {Object} viewport - Visible ranges {x: {min, max}, y: {min, max}}
+   */
+  applyViewport(viewport) {
+    const valid = [viewport.x, viewport.y].every(({ min, max }) =>
+      Number.isFinite(min) && Number.isFinite(max) && max - min > 1e-9 * Math.max(1, Math.abs(min), Math.abs(max)));
+    if (!valid) return;
+    
+    this.viewport = {
+      x: { min: viewport.x.min, max: viewport.x.max },
+      y: { min: viewport.y.min, max: viewport.y.max }
+    };
+    this.viewportChanged = true;
+    this.isDirty = true;
   }
   
   /**
    * Render current frame
    */
   render() {
+    if (this.viewportChanged) {
+      this.generateContourData();
+    }
     if (!this.isDirty) return;
     
     // Clear main canvas
@@ -524,56 +1267,122 @@ export class Visualizer2D {
       this.ctx.drawImage(this.offscreenCanvas, 0, 0);
     }
     
-    // Draw global minimum
-    this.drawGlobalMinimum();
+    // Mark minima, saddles and maxima
+    if (this.options.showCriticalPoints) {
+      this.drawCriticalPoints();
+    }
     
-    // Draw trail
-    this.drawTrail();
+    // Draw the local second-order Taylor model under the markers
+    if (this.options.showQuadraticModel) {
+      this.drawQuadraticModel();
+    }
+    
+    if (this.options.showLineSearch) {
+      this.drawLineSearch();
+    }
+    
+    if (this.options.showBatchGradient) {
+      this.drawBatchGradient();
+    }
+    
+    if (this.runs.length > 0) {
+      // Draw racing runs with their legend
+      this.drawRuns();
+      this.drawLegend();
+    } else {
+      // Draw trail
+      this.drawTrail();
+      
+      // Draw current position
+      this.drawCurrentPosition();
+    }
+    
+    if (this.ghostPath) {
+      this.drawGhostPath();
+    }
+    
+    if (this.startPosition) {
+      this.drawStartMarker();
+    }
+    
+    if (this.options.showInspector) {
+      this.drawPinnedPoints();
+      if (this.hoverPosition) {
+        this.drawInspector();
+      }
+    }
     
-    // Draw current position
-    this.drawCurrentPosition();
+    if (this.gesture && this.gesture.type === 'select') {
+      this.drawSelection();
+    }
     
     this.isDirty = false;
   }
   
   /**
-   * Draw global minimum marker
+   * Mark every annotated critical point with the glyph of its kind
+   * Global minima are filled circles, local minima hollow circles, saddles crosses and maxima triangles.
    */
-  drawGlobalMinimum() {
-    if (!this.globalMinimum) return;
-    
-    const x = this.worldToScreenX(this.globalMinimum.x);
-    const y = this.worldToScreenY(this.globalMinimum.y);
-    
-    this.ctx.fillStyle = '#00ff00';
-    this.ctx.strokeStyle = '#006600';
-    this.ctx.lineWidth = 2;
-    
-    this.ctx.beginPath();
-    this.ctx.arc(x, y, 8, 0, 2 * Math.PI);
-    this.ctx.fill();
-    this.ctx.stroke();
-    
-    // Add label
-    this.ctx.fillStyle = '#006600';
-    this.ctx.font = '12px Arial';
-    this.ctx.textAlign = 'center';
-    this.ctx.fillText('Global Min', x, y - 15);
+  drawCriticalPoints() {
+    for (const point of this.criticalPoints) {
+      const style = CRITICAL_POINT_STYLES[point.type];
+      const x = this.worldToScreenX(point.x);
+      const y = this.worldToScreenY(point.y);
+      
+      this.ctx.strokeStyle = style.stroke;
+      this.ctx.lineWidth = 2;
+      this.ctx.beginPath();
+      
+      if (point.type === 'saddle') {
+        this.ctx.moveTo(x - 6, y - 6);
+        this.ctx.lineTo(x + 6, y + 6);
+        this.ctx.moveTo(x + 6, y - 6);
+        this.ctx.lineTo(x - 6, y + 6);
+      } else if (point.type === 'maximum') {
+        this.ctx.moveTo(x, y - 8);
+        this.ctx.lineTo(x + 7, y + 5);
+        this.ctx.lineTo(x - 7, y + 5);
+        this.ctx.closePath();
+      } else {
+        this.ctx.arc(x, y, point.type === 'global-minimum' ? 8 : 6, 0, 2 * Math.PI);
+      }
+      
+      if (style.fill) {
+        this.ctx.fillStyle = style.fill;
+        this.ctx.fill();
+      }
+      this.ctx.stroke();
+      
+      // Add label
+      this.ctx.fillStyle = style.stroke;
+      this.ctx.font = '12px Arial';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText(style.label, x, y - 15);
+    }
   }
   
   /**
    * Draw optimization trail
    */
   drawTrail() {
-    if (!this.options.showTrail || this.trail.length < 2) return;
+    this.drawTrailPath(this.trail, '#ff6600');
+  }
+  
+  /**
+   * Draw a trail polyline
+   * @param {Array} trail - Trail points in world coordinates
+   * @param {string} color - Stroke color
+   */
+  drawTrailPath(trail, color) {
+    if (!this.options.showTrail || trail.length < 2) return;
     
-    this.ctx.strokeStyle = '#ff6600';
+    this.ctx.strokeStyle = color;
     this.ctx.lineWidth = 2;
     this.ctx.globalAlpha = 0.7;
     
     this.ctx.beginPath();
-    for (let i = 0; i < this.trail.length; i++) {
-      const point = this.trail[i];
+    for (let i = 0; i < trail.length; i++) {
+      const point = trail[i];
       const x = this.worldToScreenX(point.x);
       const y = this.worldToScreenY(point.y);
       
@@ -605,11 +1414,444 @@ export class Visualizer2D {
     this.ctx.stroke();
   }
   
+  /**
+   * Draw the local quadratic model m(p) = f + ∇f·(p - x) + ½(p - x)ᵀH(p - x) at the current point
+   * A positive definite model is drawn as nested level ellipses around its minimum, the outermost
+   * passing through the current point; the dashed line is the full Newton step to the model's
+   * stationary point. Indefinite models show their principal curvature axes instead.
+   */
+  drawQuadraticModel() {
+    if (!this.currentFunction) return;
+    
+    const origin = this.runs.length > 0 ? this.runs[0].position : this.currentPosition;
+    const gradient = this.currentFunction.gradient(origin.x, origin.y);
+    const hessian = mathUtils.hessian(this.currentFunction, origin.x, origin.y);
+    const { values, vectors } = mathUtils.eigenSymmetric2x2(hessian);
+    const newtonStep = mathUtils.solveSymmetric2x2(hessian, { x: -gradient.dx, y: -gradient.dy });
+    
+    if (![gradient.dx, gradient.dy, hessian.dxx, hessian.dxy, hessian.dyy].every(Number.isFinite)) {
+      return;
+    }
+    
+    const toScreen = (point) => ({ x: this.worldToScreenX(point.x), y: this.worldToScreenY(point.y) });
+    const start = toScreen(origin);
+    
+    this.ctx.save();
+    this.ctx.lineWidth = 1.5;
+    
+    if (values[0] > 0 && newtonStep) {
+      const center = { x: origin.x + newtonStep.x, y: origin.y + newtonStep.y };
+      // Model decrease from the current point to the minimum: ½ ∇fᵀH⁻¹∇f
+      const decrease = -0.5 * (gradient.dx * newtonStep.x + gradient.dy * newtonStep.y);
+      
+      this.ctx.strokeStyle = '#ff00ff';
+      for (const fraction of [1, 0.5, 0.25]) {
+        // ½ λᵢ aᵢ² = fraction · decrease along each eigenvector
+        const axes = values.map(value => Math.sqrt(2 * fraction * decrease / value));
+        this.ctx.globalAlpha = 0.4 + 0.6 * fraction;
+        this.ctx.beginPath();
+        for (let i = 0; i <= 64; i++) {
+          const angle = (i / 64) * 2 * Math.PI;
+          const a = axes[0] * Math.cos(angle);
+          const b = axes[1] * Math.sin(angle);
+          const point = toScreen({
+            x: center.x + a * vectors[0].x + b * vectors[1].x,
+            y: center.y + a * vectors[0].y + b * vectors[1].y
+          });
+          if (i === 0) {
+            this.ctx.moveTo(point.x, point.y);
+          } else {
+            this.ctx.lineTo(point.x, point.y);
+          }
+        }
+        this.ctx.stroke();
+      }
+      this.ctx.globalAlpha = 1;
+    } else {
+      // Principal axes: solid for positive curvature, dashed for negative
+      const { xBounds, yBounds } = this.contourData || { xBounds: { min: -1, max: 1 }, yBounds: { min: -1, max: 1 } };
+      const length = Math.min(xBounds.max - xBounds.min, yBounds.max - yBounds.min) * 0.1;
+      
+      values.forEach((value, i) => {
+        const end = toScreen({ x: origin.x + length * vectors[i].x, y: origin.y + length * vectors[i].y });
+        const back = toScreen({ x: origin.x - length * vectors[i].x, y: origin.y - length * vectors[i].y });
+        this.ctx.strokeStyle = value > 0 ? '#ff00ff' : '#00bcd4';
+        this.ctx.setLineDash(value > 0 ? [] : [4, 3]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(back.x, back.y);
+        this.ctx.lineTo(end.x, end.y);
+        this.ctx.stroke();
+      });
+      this.ctx.setLineDash([]);
+      
+      this.ctx.fillStyle = '#00838f';
+      this.ctx.font = '11px Arial';
+      this.ctx.textAlign = 'left';
+      this.ctx.fillText('indefinite model', start.x + 10, start.y + 16);
+    }
+    
+    if (newtonStep) {
+      const target = toScreen({ x: origin.x + newtonStep.x, y: origin.y + newtonStep.y });
+      
+      this.ctx.strokeStyle = '#800080';
+      this.ctx.setLineDash([5, 4]);
+      this.ctx.beginPath();
+      this.ctx.moveTo(start.x, start.y);
+      this.ctx.lineTo(target.x, target.y);
+      this.ctx.stroke();
+      this.ctx.setLineDash([]);
+      
+      // Stationary point of the model
+      this.ctx.beginPath();
+      this.ctx.moveTo(target.x - 5, target.y - 5);
+      this.ctx.lineTo(target.x + 5, target.y + 5);
+      this.ctx.moveTo(target.x + 5, target.y - 5);
+      this.ctx.lineTo(target.x - 5, target.y + 5);
+      this.ctx.stroke();
+    }
+    
+    this.ctx.restore();
+  }
+  
+  /**
+   * Draw the latest line search: the search ray from the previous position and every
+   * evaluated trial step, with the accepted step filled in
+   */
+  drawLineSearch() {
+    if (!this.lineSearch) return;
+    
+    const { origin, direction, trials, step } = this.lineSearch;
+    const pointAt = (alpha) => ({
+      x: this.worldToScreenX(origin.x + alpha * direction.x),
+      y: this.worldToScreenY(origin.y + alpha * direction.y)
+    });
+    const reach = Math.max(1, ...trials.map(trial => trial.alpha));
+    const start = pointAt(0);
+    const end = pointAt(reach);
+    
+    this.ctx.save();
+    this.ctx.strokeStyle = '#555555';
+    this.ctx.lineWidth = 1;
+    this.ctx.setLineDash([3, 3]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(start.x, start.y);
+    this.ctx.lineTo(end.x, end.y);
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+    
+    this.ctx.strokeStyle = '#333333';
+    this.ctx.fillStyle = '#ffffff';
+    for (const trial of trials) {
+      if (trial.alpha === step) continue;
+      const point = pointAt(trial.alpha);
+      this.ctx.beginPath();
+      this.ctx.arc(point.x, point.y, 3, 0, 2 * Math.PI);
+      this.ctx.fill();
+      this.ctx.stroke();
+    }
+    
+    const accepted = pointAt(step);
+    this.ctx.fillStyle = '#00aa00';
+    this.ctx.beginPath();
+    this.ctx.arc(accepted.x, accepted.y, 4, 0, 2 * Math.PI);
+    this.ctx.fill();
+    this.ctx.stroke();
+    
+    this.ctx.fillStyle = '#333333';
+    this.ctx.font = '11px Arial';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText(`α=${Number(step.toPrecision(3))} (${trials.length} trials)`, accepted.x + 8, accepted.y - 8);
+    this.ctx.restore();
+  }
+  
+  /**
+   * Draw the latest mini-batch descent direction next to the full-batch one
+   * Both arrows start where the step was taken and share one scale, so their lengths compare.
+   */
+  drawBatchGradient() {
+    if (!this.batch || !this.batch.gradient || !this.currentFunction) return;
+    
+    const { origin, gradient } = this.batch;
+    const full = this.currentFunction.gradient(origin.x, origin.y);
+    const longest = Math.max(Math.hypot(gradient.dx, gradient.dy), Math.hypot(full.dx, full.dy));
+    if (!(longest > 0)) return;
+    
+    const maxLength = 60; // Screen pixels of the longer arrow
+    const start = { x: this.worldToScreenX(origin.x), y: this.worldToScreenY(origin.y) };
+    
+    const drawArrow = (g, color) => {
+      // Descent direction; screen y grows downwards
+      const dx = -g.dx / longest * maxLength;
+      const dy = g.dy / longest * maxLength;
+      const end = { x: start.x + dx, y: start.y + dy };
+      const angle = Math.atan2(dy, dx);
+      
+      this.ctx.strokeStyle = color;
+      this.ctx.fillStyle = color;
+      this.ctx.lineWidth = 2;
+      this.ctx.beginPath();
+      this.ctx.moveTo(start.x, start.y);
+      this.ctx.lineTo(end.x, end.y);
+      this.ctx.stroke();
+      
+      this.ctx.beginPath();
+      this.ctx.moveTo(end.x, end.y);
+      this.ctx.lineTo(end.x - 8 * Math.cos(angle - 0.4), end.y - 8 * Math.sin(angle - 0.4));
+      this.ctx.lineTo(end.x - 8 * Math.cos(angle + 0.4), end.y - 8 * Math.sin(angle + 0.4));
+      this.ctx.closePath();
+      this.ctx.fill();
+    };
+    
+    this.ctx.save();
+    this.ctx.globalAlpha = 0.8;
+    drawArrow(full, '#555555');
+    drawArrow(this.batch.gradient, '#d62728');
+    
+    this.ctx.globalAlpha = 1;
+    this.ctx.fillStyle = '#d62728';
+    this.ctx.font = '11px Arial';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText(`batch of ${this.batch.indices.length}, epoch ${this.batch.epoch + 1}`, start.x + 10, start.y + 16);
+    this.ctx.restore();
+  }
+  
+  /**
+   * Draw every racing run's trail and current position in its color
+   */
+  drawRuns() {
+    for (const run of this.runs) {
+      this.drawTrailPath(run.trail, run.color);
+    }
+    
+    for (const run of this.runs) {
+      const x = this.worldToScreenX(run.position.x);
+      const y = this.worldToScreenY(run.position.y);
+      
+      this.ctx.fillStyle = run.color;
+      this.ctx.strokeStyle = '#222222';
+      this.ctx.lineWidth = 1.5;
+      
+      this.ctx.beginPath();
+      this.ctx.arc(x, y, this.options.pointSize * 0.75, 0, 2 * Math.PI);
+      this.ctx.fill();
+      this.ctx.stroke();
+    }
+  }
+  
+  /**
+   * Draw legend mapping run colors to labels
+   */
+  drawLegend() {
+    const padding = 8;
+    const rowHeight = 18;
+    
+    this.ctx.font = '12px Arial';
+    const labelWidth = Math.max(...this.runs.map(run => this.ctx.measureText(run.label).width));
+    const width = labelWidth + 3 * padding + 14;
+    const height = this.runs.length * rowHeight + padding;
+    const left = this.options.width - width - 10;
+    const top = 10;
+    
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    this.ctx.strokeStyle = '#999999';
+    this.ctx.lineWidth = 1;
+    this.ctx.fillRect(left, top, width, height);
+    this.ctx.strokeRect(left, top, width, height);
+    
+    this.ctx.textAlign = 'left';
+    this.ctx.textBaseline = 'middle';
+    
+    this.runs.forEach((run, i) => {
+      const rowY = top + padding / 2 + i * rowHeight + rowHeight / 2;
+      
+      this.ctx.fillStyle = run.color;
+      this.ctx.fillRect(left + padding, rowY - 5, 14, 10);
+      
+      this.ctx.fillStyle = '#333333';
+      this.ctx.fillText(run.label, left + 2 * padding + 14, rowY);
+    });
+  }
+  
+  /**
+   * Draw the start marker: a target ring the user can drag
+   */
+  drawStartMarker() {
+    const x = this.worldToScreenX(this.startPosition.x);
+    const y = this.worldToScreenY(this.startPosition.y);
+    
+    this.ctx.lineWidth = 2;
+    this.ctx.strokeStyle = '#ffffff';
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, START_MARKER_RADIUS - 2, 0, 2 * Math.PI);
+    this.ctx.stroke();
+    
+    this.ctx.strokeStyle = '#1565c0';
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, START_MARKER_RADIUS, 0, 2 * Math.PI);
+    this.ctx.moveTo(x - 4, y);
+    this.ctx.lineTo(x + 4, y);
+    this.ctx.moveTo(x, y - 4);
+    this.ctx.lineTo(x, y + 4);
+    this.ctx.stroke();
+    
+    this.ctx.font = '11px Arial';
+    this.ctx.fillStyle = '#1565c0';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText('Start', x + START_MARKER_RADIUS + 3, y - START_MARKER_RADIUS);
+  }
+  
+  /**
+   * Draw the previewed path from the dragged start marker as a faint dashed line
+   */
+  drawGhostPath() {
+    this.ctx.save();
+    this.ctx.globalAlpha = 0.6;
+    this.ctx.strokeStyle = '#1565c0';
+    this.ctx.fillStyle = '#1565c0';
+    this.ctx.lineWidth = 1.5;
+    this.ctx.setLineDash([5, 4]);
+    
+    this.ctx.beginPath();
+    this.ghostPath.forEach((position, i) => {
+      const x = this.worldToScreenX(position.x);
+      const y = this.worldToScreenY(position.y);
+      if (i === 0) {
+        this.ctx.moveTo(x, y);
+      } else {
+        this.ctx.lineTo(x, y);
+      }
+    });
+    this.ctx.stroke();
+    
+    for (const position of this.ghostPath) {
+      this.ctx.beginPath();
+      this.ctx.arc(this.worldToScreenX(position.x), this.worldToScreenY(position.y), 2, 0, 2 * Math.PI);
+      this.ctx.fill();
+    }
+    this.ctx.restore();
+  }
+  
+  /**
+   * Draw a crosshair at the cursor with a readout of the point under it
+   */
+  drawInspector() {
+    const x = this.worldToScreenX(this.hoverPosition.x);
+    const y = this.worldToScreenY(this.hoverPosition.y);
+    
+    this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.4)';
+    this.ctx.lineWidth = 1;
+    this.ctx.setLineDash([3, 3]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(x, 0);
+    this.ctx.lineTo(x, this.options.height);
+    this.ctx.moveTo(0, y);
+    this.ctx.lineTo(this.options.width, y);
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+    
+    const lines = describePoint(this.currentFunction, this.hoverPosition, { hessian: this.options.inspectHessian });
+    this.drawTextBox(lines, x + 12, y + 12, true);
+  }
+  
+  /**
+   * Mark the pinned points and list their readouts, with their difference once two are pinned
+   */
+  drawPinnedPoints() {
+    if (this.pinnedPoints.length === 0) return;
+    
+    const screen = this.pinnedPoints.map(pin => ({ x: this.worldToScreenX(pin.x), y: this.worldToScreenY(pin.y) }));
+    
+    if (screen.length > 1) {
+      this.ctx.strokeStyle = '#6a1b9a';
+      this.ctx.lineWidth = 1;
+      this.ctx.setLineDash([6, 4]);
+      this.ctx.beginPath();
+      this.ctx.moveTo(screen[0].x, screen[0].y);
+      this.ctx.lineTo(screen[1].x, screen[1].y);
+      this.ctx.stroke();
+      this.ctx.setLineDash([]);
+    }
+    
+    const lines = [];
+    screen.forEach(({ x, y }, i) => {
+      // Diamond glyph with its letter
+      this.ctx.fillStyle = '#6a1b9a';
+      this.ctx.beginPath();
+      this.ctx.moveTo(x, y - 6);
+      this.ctx.lineTo(x + 6, y);
+      this.ctx.lineTo(x, y + 6);
+      this.ctx.lineTo(x - 6, y);
+      this.ctx.closePath();
+      this.ctx.fill();
+      this.ctx.font = 'bold 12px Arial';
+      this.ctx.textAlign = 'left';
+      this.ctx.textBaseline = 'bottom';
+      this.ctx.fillText(PIN_LABELS[i], x + 7, y - 4);
+      
+      const readout = describePoint(this.currentFunction, this.pinnedPoints[i], { hessian: this.options.inspectHessian });
+      lines.push(`${PIN_LABELS[i]}: ${readout[0]}`, ...readout.slice(1).map(line => `   ${line}`));
+    });
+    
+    if (this.pinnedPoints.length > 1) {
+      lines.push(...describeDifference(this.currentFunction, this.pinnedPoints[0], this.pinnedPoints[1]));
+    }
+    this.drawTextBox(lines, 40, 10, false);
+  }
+  
+  /**
+   * Draw lines of text on a translucent box
+   * @param {Array} lines - Text lines
+   * @param {number} left - Preferred left edge
+   * @param {number} top - Preferred top edge
+   * @param {boolean} flip - Whether to move the box to the other side of (left, top) when it would leave the canvas
+   */
+  drawTextBox(lines, left, top, flip) {
+    const padding = 6;
+    const rowHeight = 15;
+    
+    this.ctx.font = '12px Arial';
+    const width = Math.max(...lines.map(line => this.ctx.measureText(line).width)) + 2 * padding;
+    const height = lines.length * rowHeight + padding;
+    
+    if (flip && left + width > this.options.width) left -= width + 24;
+    if (flip && top + height > this.options.height) top -= height + 24;
+    
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    this.ctx.strokeStyle = '#999999';
+    this.ctx.lineWidth = 1;
+    this.ctx.fillRect(left, top, width, height);
+    this.ctx.strokeRect(left, top, width, height);
+    
+    this.ctx.fillStyle = '#333333';
+    this.ctx.textAlign = 'left';
+    this.ctx.textBaseline = 'middle';
+    lines.forEach((line, i) => {
+      this.ctx.fillText(line, left + padding, top + padding / 2 + i * rowHeight + rowHeight / 2);
+    });
+  }
+  
+  /**
+   * Outline the region being selected for box zoom
+   */
+  drawSelection() {
+    const { start, end } = this.gesture;
+    this.ctx.fillStyle = 'rgba(33, 150, 243, 0.15)';
+    this.ctx.strokeStyle = '#2196f3';
+    this.ctx.lineWidth = 1;
+    this.ctx.setLineDash([4, 3]);
+    this.ctx.fillRect(start.x, start.y, end.x - start.x, end.y - start.y);
+    this.ctx.strokeRect(start.x, start.y, end.x - start.x, end.y - start.y);
+    this.ctx.setLineDash([]);
+  }
+  
   /**
    * Clear the optimization trail
    */
   clearTrail() {
     this.trail = [];
+    this.runs = [];
+    this.lineSearch = null;
+    this.batch = null;
     this.isDirty = true;
   }
   
@@ -631,6 +1873,40 @@ export class Visualizer2D {
     this.isDirty = true;
   }
   
+  /**
+   * Choose how contour levels are spaced
+   * The heatmap and colorbar follow the same scale.
+   * @param {string} mode - 'linear', 'log' or 'quantile'
+   */
+  setContourLevelMode(mode) {
+    if (!CONTOUR_LEVEL_MODES.includes(mode)) {
+      throw new Error(`Unknown contour level mode: ${mode}`);
+    }
+    this.options.contourLevelMode = mode;
+    this.generateContourData();
+    this.isDirty = true;
+  }
+  
+  /**
+   * Toggle the inline value labels on contour lines
+   * @param {boolean} showContourLabels - Whether to label contour lines
+   */
+  setContourLabelsVisibility(showContourLabels) {
+    this.options.showContourLabels = showContourLabels;
+    this.renderContours();
+    this.isDirty = true;
+  }
+  
+  /**
+   * Toggle the heatmap colorbar
+   * @param {boolean} showColorbar - Whether to draw the colorbar
+   */
+  setColorbarVisibility(showColorbar) {
+    this.options.showColorbar = showColorbar;
+    this.renderContours();
+    this.isDirty = true;
+  }
+  
   /**
    * Toggle heatmap visibility
    * @param {boolean} showHeatmap - Whether to show heatmap
@@ -641,13 +1917,165 @@ export class Visualizer2D {
     this.isDirty = true;
   }
   
+  /**
+   * Show a basin-of-attraction map, or update it as more of it is computed
+   * @param {Object|null} map - Basin map from BasinMapper, null to clear it
+   */
+  setBasinMap(map) {
+    this.basinMap = map;
+    this.renderContours();
+    this.isDirty = true;
+  }
+  
+  /**
+   * Toggle the basin map layer; it replaces the heatmap and colorbar while shown
+   * @param {boolean} showBasinMap - Whether to draw the basin map
+   */
+  setBasinMapVisibility(showBasinMap) {
+    this.options.showBasinMap = showBasinMap;
+    this.renderContours();
+    this.isDirty = true;
+  }
+  
+  /**
+   * Choose what the basin map cells are coloured by
+   * @param {string} mode - 'basin' for the point reached, 'iterations' or 'divergence'
+   */
+  setBasinMapMode(mode) {
+    if (!BASIN_MAP_MODES.includes(mode)) {
+      throw new Error(`Unknown basin map mode: ${mode}`);
+    }
+    this.options.basinMapMode = mode;
+    this.renderContours();
+    this.isDirty = true;
+  }
+  
+  /**
+   * Toggle the gradient vector field arrows
+   * @param {boolean} showVectorField - Whether to draw -∇f arrows on a lattice
+   */
+  setVectorFieldVisibility(showVectorField) {
+    this.options.showVectorField = showVectorField;
+    this.renderContours();
+    this.isDirty = true;
+  }
+  
+  /**
+   * Choose how the vector field arrows are scaled
+   * @param {string} scale - 'normalized' for equal lengths or 'magnitude' to scale by |∇f|
+   */
+  setVectorFieldScale(scale) {
+    if (!VECTOR_FIELD_SCALES.includes(scale)) {
+      throw new Error(`Unknown vector field scale: ${scale}`);
+    }
+    this.options.vectorFieldScale = scale;
+    this.renderContours();
+    this.isDirty = true;
+  }
+  
+  /**
+   * Set the spacing of the vector field lattice
+   * @param {number} spacing - Screen pixels between arrows
+   */
+  setVectorFieldSpacing(spacing) {
+    this.options.vectorFieldSpacing = spacing;
+    this.renderContours();
+    this.isDirty = true;
+  }
+  
+  /**
+   * Toggle the gradient-flow streamlines
+   * @param {boolean} showStreamlines - Whether to draw streamlines
+   */
+  setStreamlineVisibility(showStreamlines) {
+    this.options.showStreamlines = showStreamlines;
+    this.renderContours();
+    this.isDirty = true;
+  }
+  
+  /**
+   * Toggle the critical point markers
+   * @param {boolean} showCriticalPoints - Whether to mark minima, saddles and maxima
+   */
+  setCriticalPointVisibility(showCriticalPoints) {
+    this.options.showCriticalPoints = showCriticalPoints;
+    this.isDirty = true;
+  }
+  
+  /**
+   * Toggle the local quadratic model overlay
+   * @param {boolean} showQuadraticModel - Whether to draw the model at the current point
+   */
+  setQuadraticModelVisibility(showQuadraticModel) {
+    this.options.showQuadraticModel = showQuadraticModel;
+    this.isDirty = true;
+  }
+  
+  /**
+   * Toggle the line search trial overlay
+   * @param {boolean} showLineSearch - Whether to draw the latest search ray and trial points
+   */
+  setLineSearchVisibility(showLineSearch) {
+    this.options.showLineSearch = showLineSearch;
+    this.isDirty = true;
+  }
+  
+  /**
+   * Toggle the mini-batch gradient arrow
+   * @param {boolean} showBatchGradient - Whether to draw the latest batch and full-batch descent directions
+   */
+  setBatchGradientVisibility(showBatchGradient) {
+    this.options.showBatchGradient = showBatchGradient;
+    this.isDirty = true;
+  }
+  
+  /**
+   * Toggle the hover inspector and pinned points
+   * @param {boolean} showInspector - Whether to show readouts under the cursor
+   */
+  setInspectorVisibility(showInspector) {
+    this.options.showInspector = showInspector;
+    this.isDirty = true;
+  }
+  
+  /**
+   * Toggle the Hessian eigenvalues in the inspector readouts
+   * @param {boolean} inspectHessian - Whether to list the eigenvalues
+   */
+  setInspectorHessian(inspectHessian) {
+    this.options.inspectHessian = inspectHessian;
+    this.isDirty = true;
+  }
+  
+  /**
+   * Pin a point for comparison, or unpin the pin within grabbing distance of it
+   * At most two points are pinned; pinning a third drops the oldest.
+   * @param {Object} position - World position {x, y}
+   */
+  pinPoint(position) {
+    const near = (pin, point) => Math.hypot(
+      this.worldToScreenX(pin.x) - this.worldToScreenX(point.x),
+      this.worldToScreenY(pin.y) - this.worldToScreenY(point.y)
+    ) <= PIN_RADIUS;
+    this.pinnedPoints = togglePin(this.pinnedPoints, position, near);
+    this.isDirty = true;
+  }
+  
+  /**
+   * Remove every pinned point
+   */
+  clearPinnedPoints() {
+    this.pinnedPoints = [];
+    this.isDirty = true;
+  }
+  
   /**
    * Set color scheme
    * @param {string} scheme - Color scheme name
    */
   setColorScheme(scheme) {
     this.options.colorScheme = scheme;
-    this.renderContours();
+    this.generateContourData();
     this.isDirty = true;
   }
   
@@ -670,6 +2098,11 @@ export class Visualizer2D {
       cancelAnimationFrame(this.animationId);
     }
     
+    if (this.gridWorker) {
+      this.gridWorker.terminate();
+      this.gridWorker = null;
+    }
+    
     if (this.canvas && this.container.contains(this.canvas)) {
       this.container.removeChild(this.canvas);
     }
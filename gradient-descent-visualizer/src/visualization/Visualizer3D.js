@@ -4,6 +4,41 @@
  */
 
 import * as THREE from 'three';
+import { getCriticalPoints, getAxisBounds } from '../math/functions.js';
+import { describePoint, describeDifference, togglePin, PIN_LABELS } from './inspector.js';
+
+/**
+ * Marker geometry, color and label of each kind of critical point
+ */
+const CRITICAL_POINT_MARKERS = {
+  'global-minimum': { label: 'Global Min', color: 0x00ff00, geometry: () => new THREE.SphereGeometry(0.15, 16, 16) },
+  'local-minimum': { label: 'Local Min', color: 0x88cc88, geometry: () => new THREE.SphereGeometry(0.1, 12, 12) },
+  'saddle': { label: 'Saddle', color: 0xff9900, geometry: () => new THREE.OctahedronGeometry(0.13) },
+  'maximum': { label: 'Max', color: 0xff3333, geometry: () => new THREE.ConeGeometry(0.12, 0.25, 12) }
+};
+
+/**
+ * Pointer movement, in pixels, below which a press counts as a click rather than a rotation
+ */
+const CLICK_TOLERANCE = 3;
+
+/**
+ * Distance, as a fraction of the axis ranges, within which a right-click unpins a pinned point
+ */
+const PIN_TOLERANCE = 0.03;
+
+/**
+ * Color of the label over runs that diverged
+ */
+const DIVERGED_COLOR = 0xdc3545;
+
+/**
+ * Whether a state can be drawn: a run that produced NaN or Infinity has no position on the surface
+ * @param {Object} state - Optimizer state
+ * @returns {boolean} True if the position and value are finite
+ */
+const isPlaceable = ({ position, functionValue }) =>
+  [position.x, position.y, functionValue].every(Number.isFinite);
 
 /**
  * 3D Visualizer Class for gradient descent on optimization surfaces
@@ -22,6 +57,9 @@ export class Visualizer3D {
       showWireframe: false,
       showTrail: true,
       trailLength: 50,
+      showCriticalPoints: true,
+      showInspector: true,
+      inspectHessian: false,
       pointSize: 0.1,
       cameraDistance: 10,
       ...options
@@ -38,7 +76,19 @@ export class Visualizer3D {
     this.currentPoint = null;
     this.trailPoints = [];
     this.trailLine = null;
-    this.globalMinimumMarker = null;
+    this.criticalPointMarkers = null; // Group of critical point markers and labels
+    this.runObjects = new Map(); // Racing runs by id: {point, trailPoints, trailLine, color}
+    this.divergenceLabels = new Map(); // 'Diverged' label sprites by run id
+    this.legend = null;
+    this.startMarker = null;
+    this.startPosition = null; // Start position {x, y} shown by the start marker
+    this.onStartPositionChange = null; // (x, y) => void, called when a click on the surface sets the start
+    this.hoverPosition = null; // Surface position under the cursor
+    this.hoverMarker = null;
+    this.tooltip = null; // HTML readout next to the cursor
+    this.pinnedPoints = []; // Positions pinned for comparison, oldest first
+    this.pinMarkers = null; // Group of pinned point markers and labels
+    this.pinPanel = null; // HTML readouts of the pinned points
     
     // Animation state
     this.animationId = null;
@@ -121,15 +171,20 @@ export class Visualizer3D {
     let isMouseDown = false;
     let mouseX = 0;
     let mouseY = 0;
+    let downX = 0;
+    let downY = 0;
     
     this.renderer.domElement.addEventListener('mousedown', (event) => {
       isMouseDown = true;
-      mouseX = event.clientX;
-      mouseY = event.clientY;
+      mouseX = downX = event.clientX;
+      mouseY = downY = event.clientY;
     });
     
     this.renderer.domElement.addEventListener('mousemove', (event) => {
-      if (!isMouseDown) return;
+      if (!isMouseDown) {
+        this.inspectAt(event);
+        return;
+      }
       
       const deltaX = event.clientX - mouseX;
       const deltaY = event.clientY - mouseY;
@@ -148,8 +203,35 @@ export class Visualizer3D {
       mouseY = event.clientY;
     });
     
-    this.renderer.domElement.addEventListener('mouseup', () => {
+    this.renderer.domElement.addEventListener('mouseup', (event) => {
+      isMouseDown = false;
+      
+      // A click without rotating sets the start position on the surface
+      if (event.button === 0 && Math.hypot(event.clientX - downX, event.clientY - downY) < CLICK_TOLERANCE) {
+        const position = this.pickSurfacePoint(event);
+        if (position) {
+          this.setStartMarker(position);
+          if (this.onStartPositionChange) {
+            this.onStartPositionChange(position.x, position.y);
+          }
+        }
+      }
+    });
+    
+    this.renderer.domElement.addEventListener('mouseleave', () => {
       isMouseDown = false;
+      this.hoverPosition = null;
+      this.updateInspector();
+    });
+    
+    // Right-click pins a surface point for comparison, or unpins the pin under the cursor
+    this.renderer.domElement.addEventListener('contextmenu', (event) => {
+      if (!this.options.showInspector) return;
+      event.preventDefault();
+      const position = this.pickSurfacePoint(event);
+      if (position) {
+        this.pinPoint(position);
+      }
     });
     
     // Zoom with wheel
@@ -160,6 +242,232 @@ export class Visualizer3D {
     });
   }
   
+  /**
+   * Find the function coordinates under the pointer by raycasting onto the surface mesh
+   * @param {MouseEvent} event - Pointer event with clientX / clientY
+   * @returns {Object|null} Position {x, y}, or null when the pointer misses the surface
+   */
+  pickSurfacePoint(event) {
+    if (!this.surface) return null;
+    
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, this.camera);
+    
+    const [hit] = raycaster.intersectObject(this.surface);
+    if (!hit) return null;
+    
+    // World X and Z are the function's x and y
+    return { x: Number(hit.point.x.toFixed(3)), y: Number(hit.point.z.toFixed(3)) };
+  }
+  
+  /**
+   * Inspect the surface point under the pointer
+   * @param {MouseEvent} event - Pointer event with clientX / clientY
+   */
+  inspectAt(event) {
+    if (!this.options.showInspector) return;
+    
+    this.hoverPosition = this.pickSurfacePoint(event);
+    this.updateInspector();
+    
+    if (this.tooltip && this.hoverPosition) {
+      const rect = this.container.getBoundingClientRect();
+      this.tooltip.style.left = `${event.clientX - rect.left + 12}px`;
+      this.tooltip.style.top = `${event.clientY - rect.top + 12}px`;
+    }
+  }
+  
+  /**
+   * Show the hover marker and readout for hoverPosition, or hide them
+   */
+  updateInspector() {
+    const visible = Boolean(this.options.showInspector && this.hoverPosition && this.currentFunction);
+    
+    if (!visible) {
+      if (this.hoverMarker) this.hoverMarker.visible = false;
+      if (this.tooltip) this.tooltip.style.display = 'none';
+      return;
+    }
+    
+    if (!this.hoverMarker) {
+      const geometry = new THREE.SphereGeometry(0.06, 12, 12);
+      this.hoverMarker = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: 0x000000 }));
+      this.scene.add(this.hoverMarker);
+    }
+    const { x, y } = this.hoverPosition;
+    this.hoverMarker.position.set(x, this.surfaceHeight(x, y) + 0.05, y);
+    this.hoverMarker.visible = true;
+    
+    if (!this.tooltip) {
+      this.tooltip = this.createOverlayPanel();
+      this.tooltip.style.pointerEvents = 'none';
+      this.container.appendChild(this.tooltip);
+    }
+    this.tooltip.style.display = 'block';
+    this.fillOverlayPanel(this.tooltip, describePoint(this.currentFunction, this.hoverPosition, { hessian: this.options.inspectHessian }));
+  }
+  
+  /**
+   * Pin a point for comparison, or unpin the pin close to it
+   * At most two points are pinned; pinning a third drops the oldest.
+   * @param {Object} position - Position {x, y}
+   */
+  pinPoint(position) {
+    const { x: xBounds, y: yBounds } = getAxisBounds(this.currentFunction);
+    const near = (pin, point) => Math.hypot(
+      (pin.x - point.x) / (xBounds.max - xBounds.min),
+      (pin.y - point.y) / (yBounds.max - yBounds.min)
+    ) <= PIN_TOLERANCE;
+    this.pinnedPoints = togglePin(this.pinnedPoints, position, near);
+    this.updatePinnedPoints();
+  }
+  
+  /**
+   * Remove every pinned point
+   */
+  clearPinnedPoints() {
+    this.pinnedPoints = [];
+    this.updatePinnedPoints();
+  }
+  
+  /**
+   * Rebuild the pinned point markers and their readout panel
+   */
+  updatePinnedPoints() {
+    if (this.pinMarkers) {
+      this.scene.remove(this.pinMarkers);
+      this.pinMarkers = null;
+    }
+    
+    const visible = this.options.showInspector && this.pinnedPoints.length > 0 && this.currentFunction;
+    if (!visible) {
+      if (this.pinPanel) {
+        this.pinPanel.remove();
+        this.pinPanel = null;
+      }
+      return;
+    }
+    
+    this.pinMarkers = new THREE.Group();
+    const lines = [];
+    this.pinnedPoints.forEach((pin, i) => {
+      const height = this.surfaceHeight(pin.x, pin.y);
+      const marker = new THREE.Mesh(new THREE.OctahedronGeometry(0.1), new THREE.MeshBasicMaterial({ color: 0x6a1b9a }));
+      marker.position.set(pin.x, height + 0.1, pin.y);
+      this.pinMarkers.add(marker);
+      
+      const label = this.createLabelSprite(PIN_LABELS[i], 0x6a1b9a);
+      label.position.set(pin.x, height + 0.4, pin.y);
+      this.pinMarkers.add(label);
+      
+      const readout = describePoint(this.currentFunction, pin, { hessian: this.options.inspectHessian });
+      lines.push(`${PIN_LABELS[i]}: ${readout[0]}`, ...readout.slice(1).map(line => `   ${line}`));
+    });
+    if (this.pinnedPoints.length > 1) {
+      lines.push(...describeDifference(this.currentFunction, this.pinnedPoints[0], this.pinnedPoints[1]));
+    }
+    this.scene.add(this.pinMarkers);
+    
+    if (!this.pinPanel) {
+      this.pinPanel = this.createOverlayPanel();
+      this.pinPanel.style.top = '10px';
+      this.pinPanel.style.left = '10px';
+      this.container.appendChild(this.pinPanel);
+    }
+    this.fillOverlayPanel(this.pinPanel, lines);
+  }
+  
+  /**
+   * Create an absolutely positioned readout panel styled like the legend
+   * @returns {HTMLElement} Panel element (not yet attached)
+   */
+  createOverlayPanel() {
+    const panel = document.createElement('div');
+    panel.style.position = 'absolute';
+    panel.style.padding = '6px 8px';
+    panel.style.background = 'rgba(255, 255, 255, 0.9)';
+    panel.style.border = '1px solid #999';
+    panel.style.font = '12px Arial';
+    panel.style.whiteSpace = 'pre';
+    return panel;
+  }
+  
+  /**
+   * Replace the text lines of a readout panel
+   * @param {HTMLElement} panel - Panel element
+   * @param {Array} lines - Text lines
+   */
+  fillOverlayPanel(panel, lines) {
+    panel.textContent = lines.join('\n');
+  }
+  
+  /**
+   * Height of the surface mesh above a function position
+   * @param {number} x - x coordinate
+   * @param {number} y - y coordinate
+   * @returns {number} World Y coordinate
+   */
+  surfaceHeight(x, y) {
+    return Math.min(Math.max(this.currentFunction.value(x, y), -10), 10) * 0.5;
+  }
+  
+  /**
+   * Toggle the hover inspector and pinned points
+   * @param {boolean} showInspector - Whether to show readouts under the cursor
+   */
+  setInspectorVisibility(showInspector) {
+    this.options.showInspector = showInspector;
+    if (!showInspector) {
+      this.hoverPosition = null;
+    }
+    this.updateInspector();
+    this.updatePinnedPoints();
+  }
+  
+  /**
+   * Toggle the Hessian eigenvalues in the inspector readouts
+   * @param {boolean} inspectHessian - Whether to list the eigenvalues
+   */
+  setInspectorHessian(inspectHessian) {
+    this.options.inspectHessian = inspectHessian;
+    this.updateInspector();
+    this.updatePinnedPoints();
+  }
+  
+  /**
+   * Show the start marker at a position on the surface
+   * @param {Object|null} position - Position {x, y}, or null to hide the marker
+   */
+  setStartMarker(position) {
+    this.startPosition = position ? { ...position } : null;
+    if (!this.startMarker) {
+      const geometry = new THREE.TorusGeometry(0.2, 0.04, 8, 24);
+      const material = new THREE.MeshBasicMaterial({ color: 0x1565c0 });
+      this.startMarker = new THREE.Mesh(geometry, material);
+      this.startMarker.rotation.x = Math.PI / 2; // Lie flat on the surface
+      this.scene.add(this.startMarker);
+    }
+    this.updateStartMarker();
+  }
+  
+  /**
+   * Place the start marker on the current surface
+   */
+  updateStartMarker() {
+    if (!this.startMarker) return;
+    
+    this.startMarker.visible = Boolean(this.startPosition && this.currentFunction);
+    if (!this.startMarker.visible) return;
+    
+    const { x, y } = this.startPosition;
+    this.startMarker.position.set(x, this.surfaceHeight(x, y) + 0.05, y);
+  }
+  
   /**
    * Setup window resize handler
    */
@@ -192,7 +500,11 @@ export class Visualizer3D {
   setFunction(func) {
     this.currentFunction = func;
     this.createSurface();
-    this.createGlobalMinimumMarker();
+    this.createCriticalPointMarkers();
+    this.updateStartMarker();
+    this.hoverPosition = null;
+    this.updateInspector();
+    this.updatePinnedPoints();
   }
   
   /**
@@ -206,36 +518,34 @@ export class Visualizer3D {
       this.scene.remove(this.surface);
     }
     
-    const { bounds } = this.currentFunction;
+    const { x: xBounds, y: yBounds } = getAxisBounds(this.currentFunction);
     const resolution = this.options.surfaceResolution;
     
     // Create geometry
     const geometry = new THREE.PlaneGeometry(
-      bounds.max - bounds.min,
-      bounds.max - bounds.min,
+      xBounds.max - xBounds.min,
+      yBounds.max - yBounds.min,
       resolution - 1,
       resolution - 1
     );
     
-    // Modify vertices based on function values
+    // Lay the plane onto the function domain: function x along world X, function y along world Z,
+    // the same placement as the markers and paths
     const positions = geometry.attributes.position;
-    const vertices = [];
+    const xCenter = (xBounds.min + xBounds.max) / 2;
+    const yCenter = (yBounds.min + yBounds.max) / 2;
     
     for (let i = 0; i < positions.count; i++) {
-      const x = positions.getX(i);
-      const z = positions.getZ(i);
-      
-      // Map from geometry coordinates to function domain
-      const funcX = (x / (bounds.max - bounds.min)) * (bounds.max - bounds.min) + bounds.min;
-      const funcZ = (z / (bounds.max - bounds.min)) * (bounds.max - bounds.min) + bounds.min;
+      // Plane y is flipped so the triangles keep facing up
+      const funcX = xCenter + positions.getX(i);
+      const funcZ = yCenter - positions.getY(i);
       
       const y = this.currentFunction.value(funcX, funcZ);
       
       // Scale Y to reasonable range
       const scaledY = Math.min(Math.max(y, -10), 10) * 0.5;
       
-      positions.setY(i, scaledY);
-      vertices.push(new THREE.Vector3(funcX, scaledY, funcZ));
+      positions.setXYZ(i, funcX, scaledY, funcZ);
     }
     
     // Recompute normals for proper lighting
@@ -261,26 +571,59 @@ export class Visualizer3D {
   }
   
   /**
-   * Create marker for global minimum
+   * Create a marker and a label for every annotated critical point
    */
-  createGlobalMinimumMarker() {
-    if (!this.currentFunction || !this.currentFunction.globalMinimum) return;
+  createCriticalPointMarkers() {
+    if (!this.currentFunction) return;
     
-    // Remove existing marker
-    if (this.globalMinimumMarker) {
-      this.scene.remove(this.globalMinimumMarker);
+    // Remove existing markers
+    if (this.criticalPointMarkers) {
+      this.scene.remove(this.criticalPointMarkers);
     }
     
-    const { x, y } = this.currentFunction.globalMinimum;
-    const functionValue = this.currentFunction.value(x, y);
-    const scaledY = Math.min(Math.max(functionValue, -10), 10) * 0.5;
+    this.criticalPointMarkers = new THREE.Group();
+    this.criticalPointMarkers.visible = this.options.showCriticalPoints;
+    
+    for (const point of getCriticalPoints(this.currentFunction)) {
+      const style = CRITICAL_POINT_MARKERS[point.type];
+      const functionValue = this.currentFunction.value(point.x, point.y);
+      const scaledY = Math.min(Math.max(functionValue, -10), 10) * 0.5;
+      
+      const marker = new THREE.Mesh(style.geometry(), new THREE.MeshBasicMaterial({ color: style.color }));
+      marker.position.set(point.x, scaledY + 0.2, point.y);
+      this.criticalPointMarkers.add(marker);
+      
+      const label = this.createLabelSprite(style.label, style.color);
+      label.position.set(point.x, scaledY + 0.55, point.y);
+      this.criticalPointMarkers.add(label);
+    }
     
-    const geometry = new THREE.SphereGeometry(0.15, 16, 16);
-    const material = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
+    this.scene.add(this.criticalPointMarkers);
+  }
+  
+  /**
+   * Create a camera-facing text label
+   * @param {string} text - Label text
+   * @param {number} color - Text color
+   * @returns {THREE.Sprite} Label sprite
+   */
+  createLabelSprite(text, color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 32;
+    
+    const ctx = canvas.getContext('2d');
+    if (ctx) {
+      ctx.font = '20px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillStyle = `#${color.toString(16).padStart(6, '0')}`;
+      ctx.fillText(text, 64, 22);
+    }
     
-    this.globalMinimumMarker = new THREE.Mesh(geometry, material);
-    this.globalMinimumMarker.position.set(x, scaledY + 0.2, y);
-    this.scene.add(this.globalMinimumMarker);
+    const material = new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(1, 0.25, 1);
+    return sprite;
   }
   
   /**
@@ -291,6 +634,7 @@ export class Visualizer3D {
     if (!this.currentFunction) return;
     
     const { position, functionValue } = state;
+    if (!isPlaceable(state)) return;
     const scaledY = Math.min(Math.max(functionValue, -10), 10) * 0.5;
     
     // Update current point
@@ -302,6 +646,170 @@ export class Visualizer3D {
     }
   }
   
+  /**
+   * Update visualization with the states of several racing runs
+   * A single run falls back to the classic single-trail rendering.
+   * @param {Array} runs - Run states [{id, label, color, state}]
+   */
+  updateRuns(runs) {
+    if (runs.length <= 1) {
+      this.clearRuns();
+      if (runs.length === 1) {
+        this.updateVisualization(runs[0].state);
+      }
+      this.updateDivergenceLabels(runs);
+      return;
+    }
+    
+    if (!this.currentFunction) return;
+    
+    // Racing runs replace the single-run point and trail
+    if (this.currentPoint) {
+      this.scene.remove(this.currentPoint);
+      this.currentPoint = null;
+    }
+    this.clearTrail();
+    
+    const activeIds = new Set(runs.map(run => run.id));
+    for (const [id, entry] of this.runObjects) {
+      if (!activeIds.has(id)) {
+        this.removeRunObjects(entry);
+        this.runObjects.delete(id);
+      }
+    }
+    
+    for (const { id, color, state } of runs) {
+      let entry = this.runObjects.get(id);
+      if (!entry) {
+        const geometry = new THREE.SphereGeometry(this.options.pointSize, 16, 16);
+        const material = new THREE.MeshBasicMaterial({ color });
+        entry = { point: new THREE.Mesh(geometry, material), trailPoints: [], trailLine: null, color };
+        this.scene.add(entry.point);
+        this.runObjects.set(id, entry);
+      }
+      
+      const { position, functionValue } = state;
+      if (!isPlaceable(state)) continue;
+      const scaledY = Math.min(Math.max(functionValue, -10), 10) * 0.5;
+      entry.point.position.set(position.x, scaledY + 0.1, position.y);
+      
+      if (this.options.showTrail) {
+        entry.trailPoints.push(new THREE.Vector3(position.x, scaledY + 0.05, position.y));
+        if (entry.trailPoints.length > this.options.trailLength) {
+          entry.trailPoints.shift();
+        }
+        
+        if (entry.trailLine) {
+          this.scene.remove(entry.trailLine);
+        }
+        if (entry.trailPoints.length > 1) {
+          const geometry = new THREE.BufferGeometry().setFromPoints(entry.trailPoints);
+          const material = new THREE.LineBasicMaterial({ color: entry.color, linewidth: 2 });
+          entry.trailLine = new THREE.Line(geometry, material);
+          this.scene.add(entry.trailLine);
+        }
+      }
+    }
+    
+    this.updateLegend(runs);
+    this.updateDivergenceLabels(runs);
+  }
+  
+  /**
+   * Show a 'Diverged' label over every run that diverged
+   * Heights are clipped to the plotted range, so without the label a run that blew up would
+   * look like it had stopped on the rim of the surface.
+   * @param {Array} runs - Run states [{id, state}]
+   */
+  updateDivergenceLabels(runs) {
+    const diverged = new Set(runs.filter(run => run.state.status === 'diverged').map(run => run.id));
+    for (const [id, label] of this.divergenceLabels) {
+      if (!diverged.has(id)) {
+        this.scene.remove(label);
+        this.divergenceLabels.delete(id);
+      }
+    }
+    
+    for (const id of diverged) {
+      // Label the last position the run could be drawn at
+      const point = runs.length > 1 ? this.runObjects.get(id).point : this.currentPoint;
+      if (!point || this.divergenceLabels.has(id)) continue;
+      
+      const label = this.createLabelSprite('Diverged', DIVERGED_COLOR);
+      label.position.set(point.position.x, point.position.y + 0.35, point.position.z);
+      this.scene.add(label);
+      this.divergenceLabels.set(id, label);
+    }
+  }
+  
+  /**
+   * Remove every 'Diverged' label
+   */
+  clearDivergenceLabels() {
+    for (const label of this.divergenceLabels.values()) {
+      this.scene.remove(label);
+    }
+    this.divergenceLabels.clear();
+  }
+  
+  /**
+   * Show an HTML legend mapping run colors to labels
+   * @param {Array} runs - Run states [{id, label, color}]
+   */
+  updateLegend(runs) {
+    if (!this.legend) {
+      this.legend = document.createElement('div');
+      this.legend.style.position = 'absolute';
+      this.legend.style.top = '10px';
+      this.legend.style.right = '10px';
+      this.legend.style.padding = '6px 8px';
+      this.legend.style.background = 'rgba(255, 255, 255, 0.85)';
+      this.legend.style.border = '1px solid #999';
+      this.legend.style.font = '12px Arial';
+      this.container.appendChild(this.legend);
+    }
+    
+    this.legend.innerHTML = '';
+    for (const run of runs) {
+      const row = document.createElement('div');
+      const swatch = document.createElement('span');
+      swatch.style.display = 'inline-block';
+      swatch.style.width = '14px';
+      swatch.style.height = '10px';
+      swatch.style.marginRight = '6px';
+      swatch.style.background = run.color;
+      row.appendChild(swatch);
+      row.appendChild(document.createTextNode(run.label));
+      this.legend.appendChild(row);
+    }
+  }
+  
+  /**
+   * Remove the scene objects of one racing run
+   * @param {Object} entry - Run objects {point, trailLine}
+   */
+  removeRunObjects(entry) {
+    this.scene.remove(entry.point);
+    if (entry.trailLine) {
+      this.scene.remove(entry.trailLine);
+    }
+  }
+  
+  /**
+   * Remove all racing runs and the legend
+   */
+  clearRuns() {
+    for (const entry of this.runObjects.values()) {
+      this.removeRunObjects(entry);
+    }
+    this.runObjects.clear();
+    
+    if (this.legend) {
+      this.legend.remove();
+      this.legend = null;
+    }
+  }
+  
   /**
    * Update current optimization point
    * @param {number} x - X coordinate
@@ -374,8 +882,21 @@ export class Visualizer3D {
       this.currentPoint = null;
     }
     
-    // Clear trail
+    // Clear trail, racing runs and divergence labels
     this.clearTrail();
+    this.clearRuns();
+    this.clearDivergenceLabels();
+  }
+  
+  /**
+   * Toggle the critical point markers
+   * @param {boolean} showCriticalPoints - Whether to mark minima, saddles and maxima
+   */
+  setCriticalPointVisibility(showCriticalPoints) {
+    this.options.showCriticalPoints = showCriticalPoints;
+    if (this.criticalPointMarkers) {
+      this.criticalPointMarkers.visible = showCriticalPoints;
+    }
   }
   
   /**
@@ -397,6 +918,13 @@ export class Visualizer3D {
     this.options.showTrail = showTrail;
     if (!showTrail) {
       this.clearTrail();
+      for (const entry of this.runObjects.values()) {
+        if (entry.trailLine) {
+          this.scene.remove(entry.trailLine);
+          entry.trailLine = null;
+        }
+        entry.trailPoints = [];
+      }
     }
   }
   
@@ -419,6 +947,14 @@ export class Visualizer3D {
       cancelAnimationFrame(this.animationId);
     }
     
+    this.clearRuns();
+    if (this.tooltip) {
+      this.tooltip.remove();
+    }
+    if (this.pinPanel) {
+      this.pinPanel.remove();
+    }
+    
     // Cleanup Three.js resources
     if (this.renderer) {
       this.renderer.dispose();
@@ -0,0 +1,299 @@
+/**
+ * Basin-of-attraction layer of the 2D view
+ * BasinMapper runs the optimizer from every cell of a start-point grid, in a worker where it can,
+ * and reports the map as columns arrive; the helpers below colour its cells and build its legend.
+ */
+
+import { getCriticalPoints } from '../math/functions.js';
+import {
+  createBasinMap,
+  computeBasinRows,
+  isPlainData,
+  BASIN_DIVERGED,
+  BASIN_UNRESOLVED,
+  BASIN_PENDING
+} from '../math/basins.js';
+import { describeFunction } from './grid.js';
+import { colorFromValue } from './colormaps.js';
+import { formatReadout } from './inspector.js';
+
+/**
+ * Ways of colouring the basin map
+ * 'basin' by the point each run reached, 'iterations' by the run length on a log scale,
+ * 'divergence' by whether the run converged, stalled or diverged
+ */
+export const BASIN_MAP_MODES = ['basin', 'iterations', 'divergence'];
+
+/**
+ * Categorical colours of the reached points, cycled when there are more points than colours
+ */
+export const BASIN_COLORS = [
+  { r: 31, g: 119, b: 180 },
+  { r: 255, g: 127, b: 14 },
+  { r: 44, g: 160, b: 44 },
+  { r: 148, g: 103, b: 189 },
+  { r: 23, g: 190, b: 207 },
+  { r: 227, g: 119, b: 194 },
+  { r: 188, g: 189, b: 34 },
+  { r: 140, g: 86, b: 75 }
+];
+
+/**
+ * Colours of the outcomes every mode shares
+ */
+const OUTCOME_COLORS = {
+  converged: { r: 44, g: 160, b: 44 },
+  unresolved: { r: 190, g: 190, b: 190 },
+  diverged: { r: 214, g: 39, b: 40 }
+};
+
+/**
+ * Legend names of the kinds of reached points
+ */
+const POINT_LABELS = {
+  'global-minimum': 'Global min',
+  'local-minimum': 'Local min',
+  'saddle': 'Saddle',
+  'maximum': 'Max'
+};
+
+/**
+ * Map columns computed per task when the map is computed on the main thread
+ */
+const COLUMNS_PER_CHUNK = 2;
+
+/**
+ * Position of an iteration count on the log colour scale
+ * @param {number} iterations - Run length
+ * @param {number} maxIterations - Iteration limit
+ * @returns {number} Value in [0, 1]
+ */
+const iterationScale = (iterations, maxIterations) =>
+  Math.log1p(iterations) / Math.log1p(Math.max(1, maxIterations));
+
+/**
+ * Colour of one cell of a basin map
+ * Diverged runs take the same colour in every mode.
+ * @param {Object} map - Basin map
+ * @param {number} k - Cell index i * resolution + j
+ * @param {string} mode - One of BASIN_MAP_MODES
+ * @param {string} colorScheme - Colormap of the 'iterations' mode
+ * @returns {Object|null} RGB color, null for cells still pending
+ */
+export function basinCellColor(map, k, mode, colorScheme = 'viridis') {
+  if (!BASIN_MAP_MODES.includes(mode)) {
+    throw new Error(`Unknown basin map mode: ${mode}`);
+  }
+  
+  const outcome = map.outcomes[k];
+  if (outcome === BASIN_PENDING) return null;
+  if (outcome === BASIN_DIVERGED) return OUTCOME_COLORS.diverged;
+  
+  if (mode === 'iterations') {
+    return colorFromValue(iterationScale(map.iterations[k], map.maxIterations), colorScheme);
+  }
+  if (outcome === BASIN_UNRESOLVED) return OUTCOME_COLORS.unresolved;
+  return mode === 'basin' ? BASIN_COLORS[outcome % BASIN_COLORS.length] : OUTCOME_COLORS.converged;
+}
+
+/**
+ * Legend of a basin map: the colours present and the share of computed cells behind each
+ * @param {Object} map - Basin map
+ * @param {string} mode - One of BASIN_MAP_MODES
+ * @param {string} colorScheme - Colormap of the 'iterations' mode
+ * @returns {Array} Entries [{ color, label }]
+ */
+export function basinLegend(map, mode, colorScheme = 'viridis') {
+  if (!BASIN_MAP_MODES.includes(mode)) {
+    throw new Error(`Unknown basin map mode: ${mode}`);
+  }
+  
+  const counts = new Map();
+  let computed = 0;
+  for (const outcome of map.outcomes) {
+    if (outcome === BASIN_PENDING) continue;
+    computed++;
+    counts.set(outcome, (counts.get(outcome) || 0) + 1);
+  }
+  const share = (count) => `${Math.round(100 * count / Math.max(1, computed))}%`;
+  const entries = [];
+  
+  if (mode === 'basin') {
+    map.points.forEach((point, index) => {
+      if (!counts.has(index)) return;
+      entries.push({
+        color: BASIN_COLORS[index % BASIN_COLORS.length],
+        label: `${POINT_LABELS[point.type]} (${formatReadout(point.x)}, ${formatReadout(point.y)}) ${share(counts.get(index))}`
+      });
+    });
+  } else if (mode === 'iterations') {
+    const ticks = [];
+    for (let tick = 1; tick < map.maxIterations; tick *= 10) ticks.push(tick);
+    ticks.push(map.maxIterations);
+    ticks.forEach(tick => entries.push({
+      color: colorFromValue(iterationScale(tick, map.maxIterations), colorScheme),
+      label: `${tick} iterations`
+    }));
+  } else {
+    const converged = [...counts].reduce((sum, [outcome, count]) => (outcome >= 0 ? sum + count : sum), 0);
+    if (converged > 0) entries.push({ color: OUTCOME_COLORS.converged, label: `Converged ${share(converged)}` });
+  }
+  
+  if (mode !== 'iterations' && counts.has(BASIN_UNRESOLVED)) {
+    entries.push({ color: OUTCOME_COLORS.unresolved, label: `No convergence ${share(counts.get(BASIN_UNRESOLVED))}` });
+  }
+  if (counts.has(BASIN_DIVERGED)) {
+    entries.push({ color: OUTCOME_COLORS.diverged, label: `Diverged ${share(counts.get(BASIN_DIVERGED))}` });
+  }
+  return entries;
+}
+
+/**
+ * Start a basin worker running basins.worker.js
+ * @returns {Worker|null} Module worker, or null where workers are unavailable
+ */
+export function createBasinWorker() {
+  if (typeof Worker === 'undefined') return null;
+  
+  try {
+    return new Worker(new URL('./basins.worker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Computes basin maps for the current function and optimizer configuration
+ * A newer compute() supersedes the map in progress. Functions the worker cannot rebuild,
+ * configurations holding functions (custom rules, line searches, schedules) and environments
+ * without workers compute on this thread, a few columns per task.
+ */
+export class BasinMapper {
+  /**
+   * @param {Object} options - { useWorker: compute in a Web Worker where available }
+   */
+  constructor(options = {}) {
+    this.options = {
+      useWorker: true,
+      ...options
+    };
+    
+    this.worker = null; // Web Worker computing maps, null to compute on this thread
+    this.request = null; // Latest request; replies to older ones are stale
+    this.requestId = 0;
+    this.timer = null; // Pending main-thread chunk
+    this.map = null; // Map of the latest request, filled in as columns arrive
+    
+    // Callbacks
+    this.onUpdate = null; // (map) => void, called whenever more of the map is known
+    
+    if (this.options.useWorker) {
+      this.setupWorker();
+    }
+  }
+  
+  /**
+   * Start the basin worker
+   * If it fails to load or crashes, maps are computed on this thread from then on.
+   */
+  setupWorker() {
+    this.worker = createBasinWorker();
+    if (!this.worker) return;
+    
+    this.worker.onmessage = (event) => this.receive(event.data);
+    this.worker.onerror = (event) => {
+      if (event.preventDefault) event.preventDefault();
+      this.worker.terminate();
+      this.worker = null;
+      if (this.request) this.computeLocally(this.request);
+    };
+  }
+  
+  /**
+   * Start computing the basin map of a function
+   * @param {Object} func - Function object
+   * @param {Object} config - Optimizer configuration, as in GradientDescentOptimizer
+   * @param {Object} bounds - Start-point region {x: {min, max}, y: {min, max}}
+   * @param {number} resolution - Cells per axis
+   * @returns {Object} The empty map, filled in as onUpdate reports
+   */
+  compute(func, config, bounds, resolution) {
+    this.cancel();
+    
+    const request = { id: ++this.requestId, func, config, bounds, resolution, points: getCriticalPoints(func) };
+    this.request = request;
+    
+    const descriptor = this.worker && isPlainData(config) ? describeFunction(func) : null;
+    if (descriptor) {
+      this.map = createBasinMap(bounds, resolution, request.points, config.maxIterations);
+      this.worker.postMessage({ ...request, func: descriptor, bounds: this.map.bounds });
+    } else {
+      this.computeLocally(request);
+    }
+    return this.map;
+  }
+  
+  /**
+   * Compute a request on this thread, yielding between chunks of columns
+   * @param {Object} request - Request from compute()
+   */
+  computeLocally(request) {
+    const map = createBasinMap(request.bounds, request.resolution, request.points, request.config.maxIterations);
+    this.map = map;
+    
+    const chunk = (from) => {
+      const to = Math.min(request.resolution, from + COLUMNS_PER_CHUNK);
+      computeBasinRows(request.func, request.config, map, from, to);
+      this.timer = to < request.resolution ? setTimeout(() => chunk(to), 0) : null;
+      if (this.onUpdate) this.onUpdate(map);
+    };
+    this.timer = setTimeout(() => chunk(0), 0);
+  }
+  
+  /**
+   * Handle a worker reply, dropping replies to superseded requests
+   * @param {Object} result - { id, from, to, outcomes, iterations, points } or { id, error }
+   */
+  receive(result) {
+    const request = this.request;
+    if (!request || result.id !== request.id) return;
+    
+    if (result.error) {
+      this.computeLocally(request);
+      return;
+    }
+    
+    const map = this.map;
+    map.outcomes.set(result.outcomes, result.from * map.resolution);
+    map.iterations.set(result.iterations, result.from * map.resolution);
+    map.points = result.points;
+    map.rowsDone = result.to;
+    if (this.onUpdate) this.onUpdate(map);
+  }
+  
+  /**
+   * Stop the map in progress
+   */
+  cancel() {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.worker && this.request) {
+      this.worker.postMessage({ id: ++this.requestId, cancel: true });
+    }
+    this.request = null;
+  }
+  
+  /**
+   * Stop computing and release the worker
+   */
+  destroy() {
+    this.cancel();
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.onUpdate = null;
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Web Worker that computes basin-of-attraction maps for BasinMapper
+ *
+ * Request:  { id, func: describeFunction() result, config, bounds, resolution, points },
+ *           or { id, cancel: true } to stop the map in progress
+ * Replies:  { id, from, to, outcomes, iterations, points } after every chunk of columns, where
+ *           outcomes and iterations hold columns [from, to) and points is the full list so far;
+ *           or { id, error } when the function cannot be rebuilt.
+ *
+ * A newer request cancels the one in progress: the map yields between chunks of columns and
+ * gives up as soon as another request has arrived.
+ */
+
+import { resolveFunction } from './grid.js';
+import { createBasinMap, computeBasinRows } from '../math/basins.js';
+
+/**
+ * Map columns computed between replies
+ */
+const COLUMNS_PER_CHUNK = 2;
+
+let latestId = null;
+
+/**
+ * Let queued messages run, so a newer request can supersede this one
+ * @returns {Promise} Resolves on the next task
+ */
+const yieldToMessages = () => new Promise(resolve => setTimeout(resolve, 0));
+
+self.onmessage = async (event) => {
+  const request = event.data;
+  latestId = request.id;
+  if (request.cancel) return;
+  
+  let func;
+  try {
+    func = resolveFunction(request.func);
+  } catch (error) {
+    self.postMessage({ id: request.id, error: error.message });
+    return;
+  }
+  
+  const { resolution } = request;
+  const map = createBasinMap(request.bounds, resolution, request.points, request.config.maxIterations);
+  
+  for (let from = 0; from < resolution; from += COLUMNS_PER_CHUNK) {
+    const to = Math.min(resolution, from + COLUMNS_PER_CHUNK);
+    computeBasinRows(func, request.config, map, from, to);
+    
+    const outcomes = map.outcomes.slice(from * resolution, to * resolution);
+    const iterations = map.iterations.slice(from * resolution, to * resolution);
+    self.postMessage({ id: request.id, from, to, outcomes, iterations, points: map.points },
+      [outcomes.buffer, iterations.buffer]);
+    
+    await yieldToMessages();
+    if (latestId !== request.id) return;
+  }
+};
@@ -0,0 +1,79 @@
+/**
+ * Colour maps of the 2D heatmap
+ * Plain functions of a normalized value, so the heatmap can be rasterized off the main thread.
+ */
+
+/**
+ * Viridis colormap implementation
+ * @param {number} t - Value between 0 and 1
+ * @returns {Object} RGB color
+ */
+const viridis = (t) => {
+  const a = [0.2777273272234177, 0.005407344544966578, 0.3340998053353061];
+  const b = [0.1050930431085774, 1.404613529898575, 1.384590162594685];
+  const c = [-0.3308618287255563, 0.214847559468213, 0.09509516302823659];
+  const d = [-4.634230498983486, -5.799100973351585, -19.33244095627987];
+  const e = [6.228269936347081, 14.17993336680509, 56.69055260068105];
+  const f = [4.776384997670288, -13.74514537774601, -65.35303263337234];
+  const g = [-5.435455855934631, 4.645852612178535, 26.3124352495832];
+  
+  const r = a[0] + b[0] * t + c[0] * t * t + d[0] * t * t * t + e[0] * t * t * t * t + f[0] * Math.pow(t, 5) + g[0] * Math.pow(t, 6);
+  const g_val = a[1] + b[1] * t + c[1] * t * t + d[1] * t * t * t + e[1] * t * t * t * t + f[1] * Math.pow(t, 5) + g[1] * Math.pow(t, 6);
+  const b_val = a[2] + b[2] * t + c[2] * t * t + d[2] * t * t * t + e[2] * t * t * t * t + f[2] * Math.pow(t, 5) + g[2] * Math.pow(t, 6);
+  
+  return {
+    r: Math.round(Math.max(0, Math.min(1, r)) * 255),
+    g: Math.round(Math.max(0, Math.min(1, g_val)) * 255),
+    b: Math.round(Math.max(0, Math.min(1, b_val)) * 255)
+  };
+};
+
+/**
+ * Jet colormap implementation
+ * @param {number} t - Value between 0 and 1
+ * @returns {Object} RGB color
+ */
+const jet = (t) => {
+  const r = Math.max(0, Math.min(1, 1.5 - Math.abs(4 * t - 3)));
+  const g = Math.max(0, Math.min(1, 1.5 - Math.abs(4 * t - 2)));
+  const b = Math.max(0, Math.min(1, 1.5 - Math.abs(4 * t - 1)));
+  
+  return {
+    r: Math.round(r * 255),
+    g: Math.round(g * 255),
+    b: Math.round(b * 255)
+  };
+};
+
+/**
+ * Plasma colormap implementation
+ * @param {number} t - Value between 0 and 1
+ * @returns {Object} RGB color
+ */
+const plasma = (t) => {
+  const r = 0.05 + 0.95 * Math.pow(t, 0.4);
+  const g = Math.pow(t, 2.5);
+  const b = Math.sin(Math.PI * t * 0.5);
+  
+  return {
+    r: Math.round(r * 255),
+    g: Math.round(g * 255),
+    b: Math.round(b * 255)
+  };
+};
+
+/**
+ * Colour maps by scheme name
+ */
+export const COLORMAPS = { viridis, plasma, jet };
+
+/**
+ * Get color from normalized value using a color scheme
+ * @param {number} value - Normalized value (0-1), clamped
+ * @param {string} scheme - Scheme name from COLORMAPS; unknown names fall back to viridis
+ * @returns {Object} RGB color object {r, g, b} in 0-255
+ */
+export function colorFromValue(value, scheme = 'viridis') {
+  const colormap = COLORMAPS[scheme] || viridis;
+  return colormap(Math.max(0, Math.min(1, value)));
+}
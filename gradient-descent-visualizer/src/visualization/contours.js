@@ -0,0 +1,214 @@
+/**
+ * Contour levels and marching-squares contour extraction for the 2D view
+ * Contours are traced on a grid of values indexed values[i][j], with i along x and j along y;
+ * the traced points are fractional grid indices, which the view maps to the screen.
+ */
+
+/**
+ * Ways of spacing contour levels
+ * 'linear' spaces them evenly in f, 'log' evenly in log(f - min), 'quantile' puts an equal share
+ * of the grid between consecutive levels
+ */
+export const CONTOUR_LEVEL_MODES = ['linear', 'log', 'quantile'];
+
+/**
+ * Share of the grid below the smallest resolved value in 'log' spacing
+ * Keeps the scale finite when the minimum itself is sampled.
+ */
+const LOG_FLOOR_QUANTILE = 0.01;
+
+/**
+ * Segments of each marching-squares case, as pairs of crossed cell edges
+ * Edges are 0 bottom, 1 right, 2 top, 3 left; corners are bit 1 (i, j), 2 (i+1, j), 4 (i+1, j+1)
+ * and 8 (i, j+1), set when the corner lies above the level. The saddle cases 5 and 10 list the
+ * pairing for a centre below the level; extractContours() swaps it when the centre is above.
+ */
+const CASE_SEGMENTS = [
+  [], [[3, 0]], [[0, 1]], [[3, 1]],
+  [[1, 2]], [[3, 0], [1, 2]], [[0, 2]], [[3, 2]],
+  [[2, 3]], [[2, 0]], [[0, 1], [2, 3]], [[2, 1]],
+  [[1, 3]], [[1, 0]], [[0, 3]], []
+];
+
+/**
+ * Corner offsets at the ends of each cell edge, in the edge order of CASE_SEGMENTS
+ */
+const EDGE_CORNERS = [
+  [[0, 0], [1, 0]],
+  [[1, 0], [1, 1]],
+  [[0, 1], [1, 1]],
+  [[0, 0], [0, 1]]
+];
+
+/**
+ * Format a contour level for its inline label
+ * @param {number} value - Level
+ * @returns {string} Three significant digits, without trailing zeros
+ */
+export const formatLevel = (value) => String(Number(value.toPrecision(3)));
+
+/**
+ * Value at a fraction of a sorted array, interpolating between neighbours
+ * @param {Array} sorted - Ascending numbers
+ * @param {number} t - Fraction in [0, 1]
+ * @returns {number} Quantile
+ */
+const quantile = (sorted, t) => {
+  const position = t * (sorted.length - 1);
+  const below = Math.floor(position);
+  const above = Math.min(below + 1, sorted.length - 1);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+};
+
+/**
+ * Build the mapping from function values to the colour scale, and the contour levels on it
+ * Levels sit at equal steps of the normalized scale, so the heatmap, the contour lines and
+ * the colorbar all agree on one mapping.
+ * @param {Array} values - Sampled function values; non-finite ones are ignored
+ * @param {number} count - Number of contour levels
+ * @param {string} mode - One of CONTOUR_LEVEL_MODES
+ * @returns {Object} { mode, min, max, levels, normalize: value => [0, 1], denormalize: t => value }
+ */
+export function createLevelScale(values, count, mode = 'linear') {
+  if (!CONTOUR_LEVEL_MODES.includes(mode)) {
+    throw new Error(`Unknown contour level mode: ${mode}`);
+  }
+  
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  const min = sorted.length > 0 ? sorted[0] : 0;
+  const max = sorted.length > 0 ? sorted[sorted.length - 1] : 0;
+  const range = max - min;
+  const clamp = (t) => Math.max(0, Math.min(1, t));
+  
+  let normalize;
+  let denormalize;
+  if (!(range > 0)) {
+    normalize = () => 0;
+    denormalize = () => min;
+  } else if (mode === 'log') {
+    const floor = Math.max(quantile(sorted, LOG_FLOOR_QUANTILE) - min, range * 1e-9);
+    const span = Math.log1p(range / floor);
+    normalize = (value) => clamp(Math.log1p(Math.max(0, value - min) / floor) / span);
+    denormalize = (t) => min + floor * Math.expm1(t * span);
+  } else if (mode === 'quantile') {
+    normalize = (value) => {
+      if (value <= min) return 0;
+      if (value >= max) return 1;
+      // Last index at or below value, then interpolate towards the next sample
+      let low = 0;
+      let high = sorted.length - 1;
+      while (high - low > 1) {
+        const middle = (low + high) >> 1;
+        if (sorted[middle] <= value) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      const within = sorted[high] > sorted[low] ? (value - sorted[low]) / (sorted[high] - sorted[low]) : 0;
+      return (low + within) / (sorted.length - 1);
+    };
+    denormalize = (t) => quantile(sorted, clamp(t));
+  } else {
+    normalize = (value) => clamp((value - min) / range);
+    denormalize = (t) => min + t * range;
+  }
+  
+  // Plateaus can give repeated quantiles; keep each level once
+  const levels = [];
+  if (range > 0) {
+    for (let i = 1; i <= count; i++) {
+      const level = denormalize(i / (count + 1));
+      if (level > min && level < max && (levels.length === 0 || level > levels[levels.length - 1])) {
+        levels.push(level);
+      }
+    }
+  }
+  
+  return { mode, min, max, levels, normalize, denormalize };
+}
+
+/**
+ * Extract the contour lines of one level with marching squares
+ * Saddle cells are resolved by the mean of their corners, and the segments of neighbouring
+ * cells are joined into polylines, so each line can be stroked and labelled as a whole.
+ * Cells with a non-finite corner are skipped.
+ * @param {Array} values - Grid values[i][j]
+ * @param {number} level - Contour level
+ * @returns {Array} Polylines [{ points: [{i, j}], closed }] in fractional grid indices
+ */
+export function extractContours(values, level) {
+  const columns = values.length;
+  const rows = columns > 0 ? values[0].length : 0;
+  
+  // Crossing point on a cell edge, keyed by the grid edge so neighbouring cells share it
+  const crossings = new Map();
+  const crossing = (i, j, edge) => {
+    const [[ai, aj], [bi, bj]] = EDGE_CORNERS[edge].map(([di, dj]) => [i + di, j + dj]);
+    const key = `${ai},${aj}-${bi},${bj}`;
+    if (!crossings.has(key)) {
+      const t = (level - values[ai][aj]) / (values[bi][bj] - values[ai][aj]);
+      crossings.set(key, { i: ai + t * (bi - ai), j: aj + t * (bj - aj) });
+    }
+    return key;
+  };
+  
+  // Segments as adjacency between crossing keys
+  const neighbours = new Map();
+  const link = (from, to) => {
+    if (!neighbours.has(from)) neighbours.set(from, []);
+    neighbours.get(from).push(to);
+  };
+  
+  for (let i = 0; i < columns - 1; i++) {
+    for (let j = 0; j < rows - 1; j++) {
+      const corners = [values[i][j], values[i + 1][j], values[i + 1][j + 1], values[i][j + 1]];
+      if (!corners.every(Number.isFinite)) continue;
+      
+      let config = 0;
+      corners.forEach((value, k) => {
+        if (value > level) config |= 1 << k;
+      });
+      
+      let segments = CASE_SEGMENTS[config];
+      if ((config === 5 || config === 10) && (corners[0] + corners[1] + corners[2] + corners[3]) / 4 > level) {
+        // Centre above the level: the high corners connect through it
+        segments = CASE_SEGMENTS[config === 5 ? 10 : 5];
+      }
+      
+      for (const [from, to] of segments) {
+        const a = crossing(i, j, from);
+        const b = crossing(i, j, to);
+        link(a, b);
+        link(b, a);
+      }
+    }
+  }
+  
+  // Walk chains from their open ends first, then whatever remains forms closed loops
+  const visited = new Set();
+  const lines = [];
+  const walk = (start) => {
+    const keys = [start];
+    visited.add(start);
+    let current = start;
+    let next = neighbours.get(current).find(key => !visited.has(key));
+    while (next !== undefined) {
+      visited.add(next);
+      keys.push(next);
+      current = next;
+      next = neighbours.get(current).find(key => !visited.has(key));
+    }
+    const closed = keys.length > 2 && neighbours.get(current).includes(start);
+    lines.push({ points: keys.map(key => crossings.get(key)), closed });
+  };
+  
+  for (const [key, adjacent] of neighbours) {
+    if (adjacent.length === 1 && !visited.has(key)) walk(key);
+  }
+  for (const key of neighbours.keys()) {
+    if (!visited.has(key)) walk(key);
+  }
+  
+  return lines;
+}
@@ -0,0 +1,144 @@
+/**
+ * Function grid evaluation and heatmap rasterization for the 2D view
+ * The same code runs in the grid worker and, where workers are unavailable, on the main thread.
+ * Grids are flat Float64Arrays with values[i * resolution + j] at
+ * (x_min + i·xStep, y_min + j·yStep), so they can be transferred between threads without copying.
+ */
+
+import { getBuiltInFunctions, CustomFunction } from '../math/functions.js';
+import { createLevelScale } from './contours.js';
+import { colorFromValue } from './colormaps.js';
+
+/**
+ * Start a grid worker running grid.worker.js
+ * @returns {Worker|null} Module worker, or null where workers are unavailable
+ */
+export function createGridWorker() {
+  if (typeof Worker === 'undefined') return null;
+  
+  try {
+    return new Worker(new URL('./grid.worker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Describe a function so that a worker can rebuild it
+ * Built-in functions are named by their registry key and custom functions by their expression
+ * and bounds, which the divergence checks depend on; any other function object only exists on this thread.
+ * @param {Object} func - Function object
+ * @returns {Object|null} { builtin } or { expression, bounds }, null when the function cannot be sent
+ */
+export function describeFunction(func) {
+  if (func instanceof CustomFunction) {
+    const bounds = func.xBounds && func.yBounds
+      ? { x: { ...func.xBounds }, y: { ...func.yBounds } }
+      : { ...func.bounds };
+    return { expression: func.expression, bounds };
+  }
+  
+  const entry = Object.entries(getBuiltInFunctions()).find(([, builtin]) => builtin === func);
+  return entry ? { builtin: entry[0] } : null;
+}
+
+/**
+ * Rebuild a function from describeFunction()
+ * @param {Object} descriptor - { builtin } or { expression, bounds }
+ * @returns {Object} Function object
+ */
+export function resolveFunction(descriptor) {
+  if (descriptor.expression !== undefined) {
+    return new CustomFunction(descriptor.expression, descriptor.bounds, undefined, { criticalPoints: false });
+  }
+  
+  const func = getBuiltInFunctions()[descriptor.builtin];
+  if (!func) {
+    throw new Error(`Unknown function: ${descriptor.builtin}`);
+  }
+  return func;
+}
+
+/**
+ * Evaluate rows of a grid in place
+ * Callers that must stay responsive evaluate a few rows at a time.
+ * @param {Object} func - Function object
+ * @param {Object} viewport - Region {x: {min, max}, y: {min, max}}
+ * @param {number} resolution - Samples per axis
+ * @param {Float64Array} values - Grid of resolution² values to fill
+ * @param {number} from - First row (x index) to evaluate
+ * @param {number} to - Row after the last one to evaluate
+ */
+export function evaluateGridRows(func, viewport, resolution, values, from = 0, to = resolution) {
+  const { x: xBounds, y: yBounds } = viewport;
+  const xStep = (xBounds.max - xBounds.min) / (resolution - 1);
+  const yStep = (yBounds.max - yBounds.min) / (resolution - 1);
+  
+  for (let i = from; i < to; i++) {
+    const x = xBounds.min + i * xStep;
+    for (let j = 0; j < resolution; j++) {
+      values[i * resolution + j] = func.value(x, yBounds.min + j * yStep);
+    }
+  }
+}
+
+/**
+ * Evaluate a function on a resolution × resolution grid
+ * @param {Object} func - Function object
+ * @param {Object} viewport - Region {x: {min, max}, y: {min, max}}
+ * @param {number} resolution - Samples per axis
+ * @returns {Float64Array} Grid values
+ */
+export function evaluateGrid(func, viewport, resolution) {
+  const values = new Float64Array(resolution * resolution);
+  evaluateGridRows(func, viewport, resolution, values);
+  return values;
+}
+
+/**
+ * View a flat grid as rows, so it can be indexed values[i][j]
+ * @param {Float64Array} values - Grid values
+ * @param {number} resolution - Samples per axis
+ * @returns {Array} Row views sharing the grid's buffer
+ */
+export function gridRows(values, resolution) {
+  return Array.from({ length: resolution }, (_, i) => values.subarray(i * resolution, (i + 1) * resolution));
+}
+
+/**
+ * Rasterize the heatmap of a grid into RGBA pixels
+ * Colours follow the contour level scale, so the heatmap agrees with the lines and the colorbar.
+ * @param {Float64Array} values - Grid values
+ * @param {number} resolution - Samples per axis
+ * @param {Object} options - { width, height, colorScheme, contourLevels, contourLevelMode }
+ * @returns {Uint8ClampedArray} width × height RGBA pixels, semi-transparent
+ */
+export function rasterizeHeatmap(values, resolution, options) {
+  const { width, height, colorScheme, contourLevels, contourLevelMode } = options;
+  const scale = createLevelScale(values, contourLevels, contourLevelMode);
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  
+  // Colour each grid value once, then spread the colours over the pixels they cover
+  const colors = new Uint8ClampedArray(values.length * 3);
+  for (let k = 0; k < values.length; k++) {
+    const color = colorFromValue(scale.normalize(values[k]), colorScheme);
+    colors[3 * k] = color.r;
+    colors[3 * k + 1] = color.g;
+    colors[3 * k + 2] = color.b;
+  }
+  
+  // Screen y grows downwards
+  const gridXs = Array.from({ length: width }, (_, x) => Math.floor((x / width) * (resolution - 1)));
+  for (let y = 0; y < height; y++) {
+    const gridY = Math.floor((1 - y / height) * (resolution - 1));
+    for (let x = 0; x < width; x++) {
+      const source = 3 * (gridXs[x] * resolution + gridY);
+      const index = (y * width + x) * 4;
+      pixels[index] = colors[source];
+      pixels[index + 1] = colors[source + 1];
+      pixels[index + 2] = colors[source + 2];
+      pixels[index + 3] = 128;
+    }
+  }
+  return pixels;
+}
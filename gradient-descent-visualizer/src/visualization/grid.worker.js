@@ -0,0 +1,78 @@
+/**
+ * Web Worker that evaluates function grids and rasterizes heatmaps for Visualizer2D
+ *
+ * Request:  { id, func: describeFunction() result, viewport, resolution, coarseResolution,
+ *             width, height, colorScheme, contourLevels, contourLevelMode }
+ * Replies:  { id, resolution, final, values, pixels } once per pass, coarse first, with both
+ *           buffers transferred; or { id, error } when the function cannot be rebuilt.
+ *
+ * A newer request cancels the one in progress: evaluation yields between chunks of rows and
+ * gives up as soon as another request has arrived.
+ */
+
+import { resolveFunction, evaluateGridRows, rasterizeHeatmap } from './grid.js';
+
+/**
+ * Grid rows evaluated between checks for a newer request
+ */
+const ROWS_PER_CHUNK = 8;
+
+let latestId = null;
+let cached = { key: null, func: null };
+
+/**
+ * Let queued messages run, so a newer request can supersede this one
+ * @returns {Promise} Resolves on the next task
+ */
+const yieldToMessages = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Rebuild a function, reusing the previous one when the request names the same function
+ * @param {Object} descriptor - describeFunction() result
+ * @returns {Object} Function object
+ */
+const functionFor = (descriptor) => {
+  const key = JSON.stringify(descriptor);
+  if (cached.key !== key) {
+    cached = { key, func: resolveFunction(descriptor) };
+  }
+  return cached.func;
+};
+
+self.onmessage = async (event) => {
+  const request = event.data;
+  latestId = request.id;
+  
+  let func;
+  try {
+    func = functionFor(request.func);
+  } catch (error) {
+    self.postMessage({ id: request.id, error: error.message });
+    return;
+  }
+  
+  // The coarse pass is cheap enough to finish without yielding, so every request shows something
+  const passes = request.coarseResolution < request.resolution
+    ? [request.coarseResolution, request.resolution]
+    : [request.resolution];
+  
+  for (const resolution of passes) {
+    const final = resolution === request.resolution;
+    const values = new Float64Array(resolution * resolution);
+    const chunk = final ? ROWS_PER_CHUNK : resolution;
+    
+    for (let row = 0; row < resolution; row += chunk) {
+      evaluateGridRows(func, request.viewport, resolution, values, row, Math.min(resolution, row + chunk));
+      if (final) {
+        await yieldToMessages();
+        if (latestId !== request.id) return;
+      }
+    }
+    
+    const pixels = rasterizeHeatmap(values, resolution, request);
+    self.postMessage({ id: request.id, resolution, final, values, pixels }, [values.buffer, pixels.buffer]);
+    
+    await yieldToMessages();
+    if (latestId !== request.id) return;
+  }
+};
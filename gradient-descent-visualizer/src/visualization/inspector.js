@@ -0,0 +1,79 @@
+/**
+ * Readouts of the hover inspector, shared by the 2D and 3D views
+ * Each readout is a list of text lines; the views only differ in where they draw them.
+ */
+
+import { inspectPoint } from '../math/functions.js';
+
+/**
+ * Most points that can be pinned for comparison at once
+ */
+export const PIN_LIMIT = 2;
+
+/**
+ * Names of the pinned points in pinning order
+ */
+export const PIN_LABELS = ['A', 'B'];
+
+/**
+ * Format a number compactly for a readout
+ * @param {number} value - Number
+ * @returns {string} Four significant digits, without trailing zeros
+ */
+export const formatReadout = (value) => {
+  if (!Number.isFinite(value)) return String(value);
+  return String(Number(value.toPrecision(4)));
+};
+
+/**
+ * Describe a point: coordinates, value, gradient and optionally the Hessian eigenvalues
+ * @param {Object} func - Function object
+ * @param {Object} position - Position {x, y}
+ * @param {Object} options - { hessian: include the Hessian eigenvalues }
+ * @returns {Array} Text lines
+ */
+export function describePoint(func, position, options = {}) {
+  const info = inspectPoint(func, position.x, position.y);
+  const lines = [
+    `x = ${formatReadout(info.x)}, y = ${formatReadout(info.y)}`,
+    `f = ${formatReadout(info.value)}`,
+    `∇f = (${formatReadout(info.gradient.dx)}, ${formatReadout(info.gradient.dy)})`,
+    `|∇f| = ${formatReadout(info.gradientNorm)}`
+  ];
+  
+  if (options.hessian) {
+    const [smaller, larger] = info.eigenvalues;
+    lines.push(`λ = ${formatReadout(smaller)}, ${formatReadout(larger)}`);
+  }
+  return lines;
+}
+
+/**
+ * Compare two pinned points
+ * @param {Object} func - Function object
+ * @param {Object} a - First position {x, y}
+ * @param {Object} b - Second position {x, y}
+ * @returns {Array} Text lines
+ */
+export function describeDifference(func, a, b) {
+  return [
+    `f(B) − f(A) = ${formatReadout(func.value(b.x, b.y) - func.value(a.x, a.y))}`,
+    `|B − A| = ${formatReadout(Math.hypot(b.x - a.x, b.y - a.y))}`
+  ];
+}
+
+/**
+ * Pin a point, or unpin the pin it lands on
+ * Pinning beyond PIN_LIMIT drops the oldest pin.
+ * @param {Array} pins - Pinned positions [{x, y}]
+ * @param {Object} position - Position to pin {x, y}
+ * @param {Function} isSame - (pin, position) => boolean, whether position lands on pin
+ * @returns {Array} New list of pinned positions
+ */
+export function togglePin(pins, position, isSame) {
+  const hit = pins.findIndex(pin => isSame(pin, position));
+  if (hit >= 0) {
+    return pins.filter((_pin, i) => i !== hit);
+  }
+  return [...pins, { x: position.x, y: position.y }].slice(-PIN_LIMIT);
+}
@@ -0,0 +1,114 @@
+/**
+ * Gradient field sampling and gradient-flow streamlines for the 2D overlay
+ * Both work in world coordinates over a viewport {x: {min, max}, y: {min, max}}; the view maps
+ * the results to the screen, so the arrows and curves follow the current pan and zoom.
+ */
+
+/**
+ * Ways of scaling the field arrows
+ * 'normalized' draws every arrow one cell long, 'magnitude' scales them by |∇f|
+ */
+export const VECTOR_FIELD_SCALES = ['normalized', 'magnitude'];
+
+/**
+ * Percentile of |∇f| drawn one cell long in 'magnitude' scaling
+ * Steeper samples are capped, so a few huge gradients (Rosenbrock's walls) do not flatten the rest.
+ */
+const MAGNITUDE_REFERENCE = 0.9;
+
+/**
+ * Sample the descent direction -∇f at the centres of a columns × rows lattice
+ * @param {Object} func - Function object
+ * @param {Object} viewport - Sampled region {x: {min, max}, y: {min, max}}
+ * @param {number} columns - Lattice columns
+ * @param {number} rows - Lattice rows
+ * @returns {Array} Samples [{x, y, dx, dy, norm}] where (dx, dy) = -∇f and norm = |∇f|
+ */
+export function sampleGradientField(func, viewport, columns, rows) {
+  const { x: xBounds, y: yBounds } = viewport;
+  const samples = [];
+  
+  for (let i = 0; i < columns; i++) {
+    for (let j = 0; j < rows; j++) {
+      const x = xBounds.min + (xBounds.max - xBounds.min) * (i + 0.5) / columns;
+      const y = yBounds.min + (yBounds.max - yBounds.min) * (j + 0.5) / rows;
+      const gradient = func.gradient(x, y);
+      
+      samples.push({ x, y, dx: -gradient.dx, dy: -gradient.dy, norm: Math.hypot(gradient.dx, gradient.dy) });
+    }
+  }
+  return samples;
+}
+
+/**
+ * Arrow lengths of field samples as fractions of one lattice cell
+ * @param {Array} samples - Samples from sampleGradientField()
+ * @param {string} scale - One of VECTOR_FIELD_SCALES
+ * @returns {Array} Length of each arrow in [0, 1]; zero for flat or non-finite samples
+ */
+export function arrowLengths(samples, scale = 'normalized') {
+  if (!VECTOR_FIELD_SCALES.includes(scale)) {
+    throw new Error(`Unknown vector field scale: ${scale}`);
+  }
+  
+  const valid = (norm) => Number.isFinite(norm) && norm > 0;
+  if (scale === 'normalized') {
+    return samples.map(sample => (valid(sample.norm) ? 1 : 0));
+  }
+  
+  const norms = samples.map(sample => sample.norm).filter(valid).sort((a, b) => a - b);
+  if (norms.length === 0) return samples.map(() => 0);
+  const reference = norms[Math.floor(MAGNITUDE_REFERENCE * (norms.length - 1))];
+  return samples.map(sample => (valid(sample.norm) ? Math.min(1, sample.norm / reference) : 0));
+}
+
+/**
+ * Trace a gradient-flow streamline downhill from a seed point
+ * Integrates dx/dt = -∇f with midpoint (RK2) steps of fixed length in viewport-normalized
+ * coordinates, so curves are equally smooth on both axes whatever their ranges. The curve
+ * ends when it leaves the viewport, stops descending (it reached a minimum) or the gradient vanishes.
+ * @param {Object} func - Function object
+ * @param {Object} start - Seed {x, y}
+ * @param {Object} viewport - Region {x: {min, max}, y: {min, max}}
+ * @param {Object} options - { step: step length as a fraction of the viewport, maxSteps }
+ * @returns {Array} Points [{x, y}], starting at the seed
+ */
+export function traceStreamline(func, start, viewport, options = {}) {
+  const { step = 0.005, maxSteps = 400 } = options;
+  const { x: xBounds, y: yBounds } = viewport;
+  const xWidth = xBounds.max - xBounds.min;
+  const yWidth = yBounds.max - yBounds.min;
+  
+  // Unit descent direction in normalized coordinates, null where the gradient vanishes
+  const direction = (x, y) => {
+    const gradient = func.gradient(x, y);
+    const u = -gradient.dx / xWidth;
+    const v = -gradient.dy / yWidth;
+    const norm = Math.hypot(u, v);
+    return norm > 0 && Number.isFinite(norm) ? { u: u / norm, v: v / norm } : null;
+  };
+  
+  let { x, y } = start;
+  let value = func.value(x, y);
+  const points = [{ x, y }];
+  
+  for (let i = 0; i < maxSteps; i++) {
+    const first = direction(x, y);
+    if (!first) break;
+    const middle = direction(x + 0.5 * step * first.u * xWidth, y + 0.5 * step * first.v * yWidth);
+    if (!middle) break;
+    
+    const nextX = x + step * middle.u * xWidth;
+    const nextY = y + step * middle.v * yWidth;
+    const nextValue = func.value(nextX, nextY);
+    if (!(nextValue < value)) break;
+    
+    x = nextX;
+    y = nextY;
+    value = nextValue;
+    points.push({ x, y });
+    
+    if (x < xBounds.min || x > xBounds.max || y < yBounds.min || y > yBounds.max) break;
+  }
+  return points;
+}
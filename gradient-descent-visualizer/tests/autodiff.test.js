@@ -0,0 +1,100 @@
+/**
+ * Unit tests for forward-mode automatic differentiation
+ */
+
+import { ad, Dual, autodiff, createAutodiffFunction, checkGradient } from '../src/math/autodiff.js';
+import { quadraticBowl, rosenbrock, rastrigin } from '../src/math/functions.js';
+
+// Rosenbrock written against the ad API
+const rosenbrockAd = (x, y) => ad.add(
+  ad.mul(100, ad.pow(ad.sub(y, ad.mul(x, x)), 2)),
+  ad.pow(ad.sub(1, x), 2)
+);
+
+describe('Automatic Differentiation', () => {
+  test('ad operations should evaluate plain numbers directly', () => {
+    expect(rosenbrockAd(1, 1)).toBe(0);
+    expect(rosenbrockAd(0, 0)).toBe(1);
+    expect(ad.sin(0)).toBe(0);
+  });
+
+  test('dual numbers should carry first derivatives', () => {
+    const result = ad.mul(ad.sin(new Dual(2, 1)), 3);
+    expect(result.re).toBeCloseTo(3 * Math.sin(2), 12);
+    expect(result.eps).toBeCloseTo(3 * Math.cos(2), 12);
+  });
+
+  test('gradient should match the analytic Rosenbrock gradient', () => {
+    const { gradient } = autodiff(rosenbrockAd);
+    [[0, 0], [-1.2, 1], [0.5, -0.3]].forEach(([x, y]) => {
+      const exact = rosenbrock.gradient(x, y);
+      const grad = gradient(x, y);
+      expect(grad.dx).toBeCloseTo(exact.dx, 10);
+      expect(grad.dy).toBeCloseTo(exact.dy, 10);
+    });
+  });
+
+  test('hessian should match the analytic Rosenbrock Hessian', () => {
+    const { hessian } = autodiff(rosenbrockAd);
+    const x = -1.2;
+    const y = 1;
+    const H = hessian(x, y);
+    expect(H.dxx).toBeCloseTo(1200 * x * x - 400 * y + 2, 8);
+    expect(H.dxy).toBeCloseTo(-400 * x, 8);
+    expect(H.dyy).toBeCloseTo(200, 8);
+  });
+
+  test('hessian-vector product should equal H·v', () => {
+    const f = autodiff((x, y) => ad.add(ad.mul(ad.exp(x), ad.sin(y)), ad.mul(x, ad.pow(y, 3))));
+    const H = f.hessian(0.4, 0.9);
+    const v = { x: 2, y: -1 };
+    const Hv = f.hessianVectorProduct(0.4, 0.9, v);
+    expect(Hv.x).toBeCloseTo(H.dxx * v.x + H.dxy * v.y, 10);
+    expect(Hv.y).toBeCloseTo(H.dxy * v.x + H.dyy * v.y, 10);
+  });
+
+  test('non-constant exponents should differentiate through exp/log', () => {
+    const { gradient } = autodiff((x, y) => ad.pow(x, y));
+    const grad = gradient(2, 3);
+    expect(grad.dx).toBeCloseTo(12, 10);
+    expect(grad.dy).toBeCloseTo(8 * Math.log(2), 10);
+  });
+
+  test('createAutodiffFunction should build a usable function object', () => {
+    const func = createAutodiffFunction(rosenbrockAd, { name: 'AD Rosenbrock', bounds: { min: -2, max: 2 } });
+    expect(func.name).toBe('AD Rosenbrock');
+    expect(func.value(1, 1)).toBe(0);
+    expect(func.gradient(1, 1)).toEqual({ dx: 0, dy: 0 });
+    expect(typeof func.hessian).toBe('function');
+  });
+});
+
+describe('checkGradient', () => {
+  test('should pass a correct hand-written gradient', () => {
+    const func = { ...createAutodiffFunction(rosenbrockAd, { bounds: { min: -2, max: 2 } }), gradient: rosenbrock.gradient };
+    const report = checkGradient(func);
+    expect(report.reference).toBe('autodiff');
+    expect(report.ok).toBe(true);
+    expect(report.maxError).toBeLessThan(1e-9);
+  });
+
+  test('should report the worst mismatch of a typo in the gradient', () => {
+    const func = {
+      ...createAutodiffFunction(rosenbrockAd, { bounds: { min: -2, max: 2 } }),
+      gradient: (x, y) => ({ dx: -400 * x * (y - x * x) - 2 * (1 - x), dy: 100 * (y - x * x) })
+    };
+    const report = checkGradient(func, { samples: 5 });
+    expect(report.ok).toBe(false);
+    expect(report.samples).toBe(25);
+    expect(Math.abs(report.worst.y - report.worst.x * report.worst.x)).toBeGreaterThan(0);
+    expect(report.worst.expected.dy).toBeCloseTo(2 * report.worst.actual.dy, 8);
+  });
+
+  test('should fall back to finite differences for Math-based functions', () => {
+    [quadraticBowl, rosenbrock, rastrigin].forEach(func => {
+      const report = checkGradient(func, { samples: 7 });
+      expect(report.reference).toBe('finite-difference');
+      expect(report.ok).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Unit tests for basin-of-attraction maps
+ */
+
+import {
+  createBasinMap,
+  basinCellCenter,
+  classifyRun,
+  computeBasinRows,
+  isPlainData,
+  BASIN_PENDING,
+  BASIN_DIVERGED,
+  BASIN_UNRESOLVED
+} from '../src/math/basins.js';
+import {
+  basinCellColor,
+  basinLegend,
+  BasinMapper,
+  BASIN_COLORS,
+  BASIN_MAP_MODES
+} from '../src/visualization/basinMap.js';
+import { colorFromValue } from '../src/visualization/colormaps.js';
+import { GradientDescentOptimizer, defaultConfig } from '../src/math/gradientDescent.js';
+import { quadraticBowl, rastrigin, getCriticalPoints, getAxisBounds } from '../src/math/functions.js';
+import { himmelblau } from '../src/math/benchmarks.js';
+
+/**
+ * Compute a whole basin map on this thread
+ */
+const basinMap = (func, overrides, resolution) => {
+  const config = { ...defaultConfig, ...overrides };
+  const map = createBasinMap(getAxisBounds(func), resolution, getCriticalPoints(func), config.maxIterations);
+  computeBasinRows(func, config, map);
+  return map;
+};
+
+describe('Basin Maps', () => {
+  test('should start with every cell pending', () => {
+    const bounds = getAxisBounds(himmelblau);
+    const map = createBasinMap(bounds, 5, getCriticalPoints(himmelblau), 100);
+
+    expect(map.outcomes).toBeInstanceOf(Int16Array);
+    expect(map.iterations).toBeInstanceOf(Uint32Array);
+    expect(Array.from(map.outcomes).every(outcome => outcome === BASIN_PENDING)).toBe(true);
+    expect(map.rowsDone).toBe(0);
+    expect(map.bounds).toEqual(bounds);
+    expect(map.bounds).not.toBe(bounds);
+  });
+
+  test('should start runs at the cell centres', () => {
+    const map = createBasinMap({ x: { min: 0, max: 4 }, y: { min: -2, max: 2 } }, 4, [], 100);
+
+    expect(basinCellCenter(map, 0, 0)).toEqual({ x: 0.5, y: -1.5 });
+    expect(basinCellCenter(map, 3, 1)).toEqual({ x: 3.5, y: -0.5 });
+  });
+
+  test('should split Himmelblau into the basins of its four minima', () => {
+    const map = basinMap(himmelblau, { learningRate: 0.01 }, 10);
+    const reached = new Set(map.outcomes);
+
+    expect(reached.size).toBe(4);
+    for (const outcome of reached) {
+      expect(map.points[outcome].type).toMatch(/minimum/);
+    }
+
+    // The cell around (3, 2) drains into the minimum there
+    const i = Math.floor((3 - map.bounds.x.min) / (map.bounds.x.max - map.bounds.x.min) * 10);
+    const j = Math.floor((2 - map.bounds.y.min) / (map.bounds.y.max - map.bounds.y.min) * 10);
+    const point = map.points[map.outcomes[i * 10 + j]];
+    expect(point.x).toBeCloseTo(3);
+    expect(point.y).toBeCloseTo(2);
+    expect(map.rowsDone).toBe(10);
+  });
+
+  test('should mark runs that blow up as diverged', () => {
+    const map = basinMap(quadraticBowl, { learningRate: 1.5 }, 4);
+
+    expect(Array.from(map.outcomes).every(outcome => outcome === BASIN_DIVERGED)).toBe(true);
+    expect(Math.max(...map.iterations)).toBeLessThan(defaultConfig.maxIterations);
+  });
+
+  test('should mark bounded runs that never settle as unresolved', () => {
+    // η = 1 flips the bowl's iterate across the minimum forever
+    const map = basinMap(quadraticBowl, { learningRate: 1, maxIterations: 50 }, 4);
+
+    expect(Array.from(map.outcomes).every(outcome => outcome === BASIN_UNRESOLVED)).toBe(true);
+    expect(Array.from(map.iterations).every(iterations => iterations === 50)).toBe(true);
+  });
+
+  test('should add minima that are not annotated as runs discover them', () => {
+    const map = basinMap(rastrigin, { learningRate: 0.002 }, 6);
+    const found = map.points.filter(point => point.found);
+
+    expect(found.length).toBeGreaterThan(1);
+    expect(found.every(point => point.type === 'local-minimum')).toBe(true);
+    // Runs that end at a discovered minimum share its outcome
+    const outcomes = new Set(map.outcomes);
+    expect(outcomes.has(BASIN_UNRESOLVED)).toBe(false);
+    expect(Math.max(...outcomes)).toBe(map.points.length - 1);
+  });
+
+  test('should compute columns in chunks to the same map', () => {
+    const config = { ...defaultConfig, learningRate: 0.01 };
+    const whole = basinMap(himmelblau, config, 6);
+    const chunked = createBasinMap(getAxisBounds(himmelblau), 6, getCriticalPoints(himmelblau), config.maxIterations);
+    for (let from = 0; from < 6; from += 4) {
+      computeBasinRows(himmelblau, config, chunked, from, Math.min(6, from + 4));
+    }
+
+    expect(chunked.outcomes).toEqual(whole.outcomes);
+    expect(chunked.iterations).toEqual(whole.iterations);
+  });
+
+  test('should count the iterations of a converged run', () => {
+    const optimizer = new GradientDescentOptimizer(quadraticBowl, { learningRate: 0.5 });
+    const map = createBasinMap(getAxisBounds(quadraticBowl), 4, getCriticalPoints(quadraticBowl), 1000);
+
+    // η = 0.5 jumps straight to the bowl's minimum
+    expect(classifyRun(optimizer, { x: 3, y: -1 }, map)).toEqual({ outcome: 0, iterations: 1 });
+  });
+
+  test('should only send plain data configurations to a worker', () => {
+    expect(isPlainData({ ...defaultConfig, schedule: { type: 'cosine', totalSteps: 100 } })).toBe(true);
+    expect(isPlainData({ ...defaultConfig, schedule: [{ type: 'warmup', warmupSteps: 5 }] })).toBe(true);
+    expect(isPlainData({ ...defaultConfig, schedule: { rate: () => 0.1 } })).toBe(false);
+    expect(isPlainData({ ...defaultConfig, algorithm: new Map() })).toBe(false);
+  });
+});
+
+describe('Basin Map Layer', () => {
+  const map = createBasinMap({ x: { min: 0, max: 1 }, y: { min: 0, max: 1 } }, 2, [
+    { x: 0, y: 0, value: 0, type: 'global-minimum' },
+    { x: 1, y: 1, value: 1, type: 'local-minimum' }
+  ], 1000);
+  map.outcomes.set([0, 1, BASIN_DIVERGED, BASIN_PENDING]);
+  map.iterations.set([1000, 10, 3, 0]);
+
+  test('should color cells by the point reached, their run length or divergence', () => {
+    expect(basinCellColor(map, 1, 'basin')).toEqual(BASIN_COLORS[1]);
+    expect(basinCellColor(map, 1, 'iterations')).toEqual(colorFromValue(Math.log(11) / Math.log(1001)));
+    expect(basinCellColor(map, 0, 'iterations')).toEqual(colorFromValue(1));
+    expect(basinCellColor(map, 0, 'divergence')).toEqual(basinCellColor(map, 1, 'divergence'));
+  });
+
+  test('should color diverged cells alike in every mode and skip pending ones', () => {
+    const colors = BASIN_MAP_MODES.map(mode => basinCellColor(map, 2, mode));
+
+    expect(colors[1]).toEqual(colors[0]);
+    expect(colors[2]).toEqual(colors[0]);
+    expect(BASIN_MAP_MODES.map(mode => basinCellColor(map, 3, mode))).toEqual([null, null, null]);
+    expect(() => basinCellColor(map, 0, 'speed')).toThrow('Unknown basin map mode: speed');
+  });
+
+  test('should list the reached points with their share of the computed cells', () => {
+    expect(basinLegend(map, 'basin').map(entry => entry.label)).toEqual([
+      'Global min (0, 0) 33%',
+      'Local min (1, 1) 33%',
+      'Diverged 33%'
+    ]);
+    expect(basinLegend(map, 'divergence').map(entry => entry.label)).toEqual(['Converged 67%', 'Diverged 33%']);
+    expect(basinLegend(map, 'iterations').map(entry => entry.label)).toEqual([
+      '1 iterations',
+      '10 iterations',
+      '100 iterations',
+      '1000 iterations',
+      'Diverged 33%'
+    ]);
+  });
+
+  test('should compute on the main thread without workers, reporting columns as they finish', async () => {
+    const mapper = new BasinMapper();
+    const config = { ...defaultConfig, learningRate: 0.01 };
+    const updates = [];
+
+    const done = new Promise(resolve => {
+      mapper.onUpdate = (update) => {
+        updates.push(update.rowsDone);
+        if (update.rowsDone === update.resolution) resolve(update);
+      };
+    });
+    const stale = mapper.compute(himmelblau, config, getAxisBounds(himmelblau), 6);
+    const result = mapper.compute(himmelblau, config, getAxisBounds(himmelblau), 5);
+    const complete = await done;
+
+    expect(mapper.worker).toBeNull();
+    expect(complete).toBe(result);
+    expect(updates).toEqual([2, 4, 5]);
+    expect(stale.rowsDone).toBe(0);
+    expect(result.outcomes).toEqual(basinMap(himmelblau, config, 5).outcomes);
+    mapper.destroy();
+  });
+});
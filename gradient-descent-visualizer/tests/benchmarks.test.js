@@ -0,0 +1,149 @@
+/**
+ * Unit tests for the benchmark function library
+ */
+
+import { benchmarkFunctions, saddle, monkeySaddle } from '../src/math/benchmarks.js';
+import { getBuiltInFunctions, getAxisBounds, mathUtils } from '../src/math/functions.js';
+
+const centralGradient = (func, x, y, h = 1e-6) => ({
+  dx: (func.value(x + h, y) - func.value(x - h, y)) / (2 * h),
+  dy: (func.value(x, y + h) - func.value(x, y - h)) / (2 * h)
+});
+
+describe('Benchmark Functions', () => {
+  Object.entries(benchmarkFunctions).forEach(([key, func]) => {
+    describe(func.name, () => {
+      test('should have required properties', () => {
+        expect(typeof func.name).toBe('string');
+        expect(typeof func.description).toBe('string');
+        expect(typeof func.category).toBe('string');
+        expect(func.bounds.min).toBeLessThan(func.bounds.max);
+        expect(Array.isArray(func.minima)).toBe(true);
+        expect(func.recommendedLearningRate).toBeGreaterThan(0);
+        expect(func.recommendedLearningRate).toBeLessThanOrEqual(1);
+      });
+
+      test('should be registered under its key', () => {
+        expect(getBuiltInFunctions()[key]).toBe(func);
+      });
+
+      test('gradient should match finite differences', () => {
+        [[0.3, -0.7], [1.1, 0.4], [-1.3, 1.7]].forEach(([x, y]) => {
+          const exact = func.gradient(x, y);
+          const numeric = centralGradient(func, x, y);
+          const scale = Math.max(1, Math.abs(numeric.dx), Math.abs(numeric.dy));
+          expect(Math.abs(exact.dx - numeric.dx) / scale).toBeLessThan(1e-5);
+          expect(Math.abs(exact.dy - numeric.dy) / scale).toBeLessThan(1e-5);
+        });
+      });
+
+      if (func.hessian) {
+        test('hessian should match finite differences of the gradient', () => {
+          const h = 1e-6;
+          const [x, y] = [0.3, -0.7];
+          const H = func.hessian(x, y);
+          expect(H.dxx).toBeCloseTo((func.gradient(x + h, y).dx - func.gradient(x - h, y).dx) / (2 * h), 3);
+          expect(H.dxy).toBeCloseTo((func.gradient(x, y + h).dx - func.gradient(x, y - h).dx) / (2 * h), 3);
+          expect(H.dyy).toBeCloseTo((func.gradient(x, y + h).dy - func.gradient(x, y - h).dy) / (2 * h), 3);
+        });
+      }
+
+      test('axis bounds should lie inside the square bounds', () => {
+        Object.values(getAxisBounds(func)).forEach(({ min, max }) => {
+          expect(min).toBeLessThan(max);
+          expect(min).toBeGreaterThanOrEqual(func.bounds.min);
+          expect(max).toBeLessThanOrEqual(func.bounds.max);
+        });
+      });
+
+      test('every listed minimum should be a stationary point inside the bounds', () => {
+        const { x: xBounds, y: yBounds } = getAxisBounds(func);
+        func.minima.forEach(({ x, y, value }) => {
+          const gradient = func.gradient(x, y);
+          expect(Math.hypot(gradient.dx, gradient.dy)).toBeLessThan(1e-6);
+          expect(func.value(x, y)).toBeCloseTo(value, 8);
+          [x, y].forEach(coordinate => {
+            expect(coordinate).toBeGreaterThanOrEqual(func.bounds.min);
+            expect(coordinate).toBeLessThanOrEqual(func.bounds.max);
+          });
+          expect(x).toBeGreaterThanOrEqual(xBounds.min);
+          expect(x).toBeLessThanOrEqual(xBounds.max);
+          expect(y).toBeGreaterThanOrEqual(yBounds.min);
+          expect(y).toBeLessThanOrEqual(yBounds.max);
+        });
+      });
+
+      test('every listed minimum should be lower than its neighbourhood', () => {
+        func.minima.forEach(({ x, y, value }) => {
+          for (let angle = 0; angle < 2 * Math.PI; angle += Math.PI / 4) {
+            expect(func.value(x + 1e-3 * Math.cos(angle), y + 1e-3 * Math.sin(angle))).toBeGreaterThan(value);
+          }
+        });
+      });
+
+      test('listed saddles and maxima should be stationary with matching curvature', () => {
+        const check = (points, expectCurvature) => (points || []).forEach(({ x, y, value }) => {
+          const gradient = func.gradient(x, y);
+          expect(Math.hypot(gradient.dx, gradient.dy)).toBeLessThan(1e-6);
+          expect(func.value(x, y)).toBeCloseTo(value, 8);
+          expectCurvature(mathUtils.eigenSymmetric2x2(mathUtils.hessian(func, x, y)).values);
+        });
+
+        check(func.saddles, ([smaller, larger]) => {
+          // Degenerate saddles (monkey saddle) have a zero Hessian
+          expect(smaller).toBeLessThanOrEqual(0);
+          expect(larger).toBeGreaterThanOrEqual(0);
+        });
+        check(func.maxima, ([, larger]) => expect(larger).toBeLessThan(0));
+      });
+
+      test('global minima should come first and be the lowest', () => {
+        if (func.minima.length === 0) {
+          expect(func.globalMinimum).toBeNull();
+          return;
+        }
+        const lowest = Math.min(...func.minima.map(minimum => minimum.value));
+        expect(func.minima[0].global).toBe(true);
+        expect(func.globalMinimum).toEqual({ x: func.minima[0].x, y: func.minima[0].y, value: func.minima[0].value });
+        func.minima.forEach(minimum => {
+          expect(minimum.global).toBe(Math.abs(minimum.value - lowest) < 1e-9);
+        });
+      });
+    });
+  });
+
+  test('Himmelblau should list its four global minima', () => {
+    expect(benchmarkFunctions.himmelblau.minima.filter(minimum => minimum.global)).toHaveLength(4);
+  });
+
+  test('six-hump camel should list two global and four local minima', () => {
+    const { minima } = benchmarkFunctions.sixHumpCamel;
+    expect(minima).toHaveLength(6);
+    expect(minima.filter(minimum => minimum.global)).toHaveLength(2);
+  });
+
+  test('saddles should be stationary but not minima', () => {
+    [saddle, monkeySaddle].forEach(func => {
+      const gradient = func.gradient(0, 0);
+      expect(Math.hypot(gradient.dx, gradient.dy)).toBe(0);
+      const nearby = [[0.1, 0], [-0.1, 0], [0, 0.1], [0, -0.1]].map(([x, y]) => func.value(x, y));
+      expect(Math.min(...nearby)).toBeLessThan(func.value(0, 0));
+      expect(Math.max(...nearby)).toBeGreaterThan(func.value(0, 0));
+    });
+  });
+});
+
+describe('Function Registry', () => {
+  test('every built-in function should carry a category and its minima', () => {
+    Object.values(getBuiltInFunctions()).forEach(func => {
+      expect(typeof func.category).toBe('string');
+      if (func.minima) {
+        expect(Array.isArray(func.minima)).toBe(true);
+      }
+    });
+  });
+
+  test('should keep the classic functions first', () => {
+    expect(Object.keys(getBuiltInFunctions()).slice(0, 3)).toEqual(['quadratic', 'rosenbrock', 'rastrigin']);
+  });
+});
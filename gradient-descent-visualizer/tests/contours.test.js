@@ -0,0 +1,137 @@
+/**
+ * Unit tests for contour levels and marching-squares extraction
+ */
+
+import {
+  createLevelScale,
+  extractContours,
+  formatLevel,
+  CONTOUR_LEVEL_MODES
+} from '../src/visualization/contours.js';
+import { rosenbrock } from '../src/math/functions.js';
+
+/**
+ * Sample a function on a resolution × resolution grid, values[i][j]
+ */
+const sampleGrid = (func, min, max, resolution) => {
+  const values = [];
+  for (let i = 0; i < resolution; i++) {
+    values[i] = [];
+    for (let j = 0; j < resolution; j++) {
+      const x = min + (max - min) * i / (resolution - 1);
+      const y = min + (max - min) * j / (resolution - 1);
+      values[i][j] = func.value(x, y);
+    }
+  }
+  return values;
+};
+
+describe('Contour Level Scales', () => {
+  test('should space linear levels evenly strictly inside the range', () => {
+    const scale = createLevelScale([0, 5, 10], 4, 'linear');
+    expect(scale.min).toBe(0);
+    expect(scale.max).toBe(10);
+    expect(scale.levels).toEqual([2, 4, 6, 8]);
+    expect(scale.normalize(5)).toBe(0.5);
+    expect(scale.normalize(20)).toBe(1);
+  });
+
+  test('should put log levels into the Rosenbrock valley', () => {
+    const values = sampleGrid(rosenbrock, -2, 2, 60).flat();
+    const linear = createLevelScale(values, 20, 'linear');
+    const log = createLevelScale(values, 20, 'log');
+
+    expect(linear.levels.filter(level => level < 100)).toHaveLength(0);
+    expect(log.levels.filter(level => level < 100).length).toBeGreaterThan(5);
+    for (let i = 1; i < log.levels.length; i++) {
+      expect(log.levels[i] / log.levels[i - 1]).toBeGreaterThan(1);
+    }
+  });
+
+  test('should split the samples into equal shares with quantile levels', () => {
+    const values = Array.from({ length: 101 }, (_, i) => i * i);
+    const scale = createLevelScale(values, 3, 'quantile');
+
+    expect(scale.levels).toEqual([625, 2500, 5625]);
+    expect(scale.normalize(2500)).toBeCloseTo(0.5, 10);
+    expect(scale.denormalize(0.5)).toBe(2500);
+  });
+
+  test('should agree between normalize and denormalize in every mode', () => {
+    const values = sampleGrid(rosenbrock, -2, 2, 30).flat();
+    CONTOUR_LEVEL_MODES.forEach(mode => {
+      const scale = createLevelScale(values, 10, mode);
+      [0.1, 0.5, 0.9].forEach(t => {
+        expect(scale.normalize(scale.denormalize(t))).toBeCloseTo(t, 6);
+      });
+    });
+  });
+
+  test('should drop repeated levels on plateaus and ignore non-finite samples', () => {
+    const values = [0, 0, 0, 0, 0, 0, 0, 1, NaN, Infinity];
+    const scale = createLevelScale(values, 4, 'quantile');
+    expect(scale.max).toBe(1);
+    expect(scale.levels.length).toBeLessThan(4);
+    expect(new Set(scale.levels).size).toBe(scale.levels.length);
+
+    expect(createLevelScale([3, 3], 5, 'linear').levels).toEqual([]);
+  });
+
+  test('should reject unknown modes', () => {
+    expect(() => createLevelScale([0, 1], 5, 'sqrt')).toThrow('Unknown contour level mode: sqrt');
+  });
+
+  test('should format level labels to three significant digits', () => {
+    expect(formatLevel(1234.5)).toBe('1230');
+    expect(formatLevel(0.012345)).toBe('0.0123');
+    expect(formatLevel(2)).toBe('2');
+  });
+});
+
+describe('Marching Squares', () => {
+  test('should join a circle into one closed polyline', () => {
+    const values = sampleGrid({ value: (x, y) => x * x + y * y }, -2, 2, 41);
+    const lines = extractContours(values, 1);
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0].closed).toBe(true);
+    // Grid index 20 is the origin and one unit is 10 cells
+    lines[0].points.forEach(point => {
+      expect(Math.hypot(point.i - 20, point.j - 20)).toBeCloseTo(10, 0);
+    });
+  });
+
+  test('should leave lines that cross the border open', () => {
+    const values = sampleGrid({ value: (x) => x }, -1, 1, 11);
+    const lines = extractContours(values, 0.05);
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0].closed).toBe(false);
+    expect(lines[0].points).toHaveLength(11);
+    lines[0].points.forEach(point => expect(point.i).toBeCloseTo(5.25, 10));
+  });
+
+  test('should resolve saddle cells by their centre value', () => {
+    // Corners (0,0) and (1,1) above the level
+    const values = [[1, 0], [0, 1]];
+    const above = extractContours(values, 0.4);
+    const below = extractContours(values, 0.6);
+
+    expect(above).toHaveLength(2);
+    expect(below).toHaveLength(2);
+
+    // Centre mean 0.5 above 0.4: the high corners connect, so each segment cuts off a low corner
+    const cutsOff = (line, corner) => line.points.every(point =>
+      Math.abs(point.i - corner[0]) + Math.abs(point.j - corner[1]) < 1);
+    expect(above.some(line => cutsOff(line, [1, 0]))).toBe(true);
+    expect(above.some(line => cutsOff(line, [0, 1]))).toBe(true);
+    expect(below.some(line => cutsOff(line, [0, 0]))).toBe(true);
+    expect(below.some(line => cutsOff(line, [1, 1]))).toBe(true);
+  });
+
+  test('should skip cells with non-finite corners', () => {
+    const values = [[0, 0, 0], [0, NaN, 0], [0, 0, 0]];
+    expect(extractContours(values, 0.5)).toEqual([]);
+    expect(extractContours([[1, 1], [1, 1]], 0.5)).toEqual([]);
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Unit tests for stopping criteria and convergence diagnostics
+ */
+
+import {
+  gradientNorm,
+  absoluteChange,
+  relativeChange,
+  stepSize,
+  distanceToMinimum,
+  plateau,
+  timeBudget,
+  anyOf,
+  allOf,
+  createStoppingCriterion,
+  stoppingStatus,
+  estimateConvergence
+} from '../src/math/convergence.js';
+import { GradientDescentOptimizer, createOptimizer, optimizationUtils } from '../src/math/gradientDescent.js';
+import { quadraticBowl, rosenbrock } from '../src/math/functions.js';
+
+/**
+ * Minimal recorded state
+ */
+const state = (x, y, functionValue, extra = {}) => ({
+  position: { x, y },
+  functionValue,
+  gradientMagnitude: 1,
+  timestamp: 0,
+  ...extra
+});
+
+describe('Stopping Criteria', () => {
+  test('should check the gradient norm, the change in f and the step size', () => {
+    const history = [state(0, 0, 10), state(0, 1e-9, 10 - 1e-11, { gradientMagnitude: 1e-7 })];
+    const context = { history, func: quadraticBowl, now: 0 };
+
+    expect(gradientNorm().check(context)).toEqual(['gradientNorm']);
+    expect(gradientNorm({ tolerance: 1e-8 }).check(context)).toBeNull();
+    expect(absoluteChange().check(context)).toEqual(['absoluteChange']);
+    expect(absoluteChange({ tolerance: 1e-12 }).check(context)).toBeNull();
+    expect(relativeChange({ tolerance: 1e-11 }).check(context)).toEqual(['relativeChange']);
+    expect(relativeChange({ tolerance: 1e-13 }).check(context)).toBeNull();
+    expect(stepSize().check(context)).toEqual(['stepSize']);
+    expect(stepSize({ tolerance: 1e-10 }).check(context)).toBeNull();
+    expect(absoluteChange().check({ ...context, history: history.slice(0, 1) })).toBeNull();
+  });
+
+  test('should measure the distance to the annotated minima or a given point', () => {
+    const context = { history: [state(1 + 1e-5, 1, 0)], func: quadraticBowl, now: 0 };
+
+    expect(distanceToMinimum().check(context)).toEqual(['distanceToMinimum']);
+    expect(distanceToMinimum({ tolerance: 1e-6 }).check(context)).toBeNull();
+    expect(distanceToMinimum({ point: { x: 2, y: 1 } }).check(context)).toBeNull();
+    expect(distanceToMinimum().check({ ...context, func: { value: () => 0 } })).toBeNull();
+  });
+
+  test('should fire on a plateau once the best loss stops improving', () => {
+    const improving = Array.from({ length: 10 }, (_, k) => state(k, 0, 10 - k));
+    const flat = [...improving, ...Array.from({ length: 4 }, () => state(0, 0, 1.5))];
+    const check = (history) => plateau({ patience: 4, minDelta: 0.1 }).check({ history });
+
+    expect(check(improving)).toBeNull();
+    expect(check(flat)).toEqual(['plateau']);
+    expect(check([...flat.slice(0, 12), state(0, 0, 0.5)])).toBeNull();
+  });
+
+  test('should fire on the wall-clock budget since the first state', () => {
+    const history = [state(0, 0, 1, { timestamp: 100 })];
+
+    expect(timeBudget({ milliseconds: 50 }).check({ history, now: 149 })).toBeNull();
+    expect(timeBudget({ milliseconds: 50 }).check({ history, now: 150 })).toEqual(['timeBudget']);
+  });
+
+  test('should combine criteria and report every rule that fired', () => {
+    const context = { history: [state(0, 0, 1), state(0, 0, 1, { gradientMagnitude: 1e-7 })], func: quadraticBowl, now: 0 };
+
+    expect(anyOf('gradientNorm', 'stepSize', 'plateau').check(context)).toEqual(['gradientNorm', 'stepSize']);
+    expect(allOf('gradientNorm', 'stepSize').check(context)).toEqual(['gradientNorm', 'stepSize']);
+    expect(allOf('gradientNorm', 'plateau').check(context)).toBeNull();
+    expect(createStoppingCriterion(['plateau', { type: 'stepSize', params: { tolerance: 1 } }]).check(context)).toEqual(['stepSize']);
+    expect(createStoppingCriterion({ type: 'all', criteria: ['stepSize', 'absoluteChange'] }).type).toBe('all');
+  });
+
+  test('should reject unknown criteria', () => {
+    expect(() => createStoppingCriterion('patience')).toThrow('Unknown stopping criterion: patience');
+    expect(() => createStoppingCriterion(3)).toThrow('Invalid stopping criterion: 3');
+  });
+
+  test('should map the fired rules to a terminal status', () => {
+    expect(stoppingStatus(['stepSize'])).toBe('converged');
+    expect(stoppingStatus(['plateau', 'timeBudget'])).toBe('stalled');
+    expect(stoppingStatus(['timeBudget', 'relativeChange'])).toBe('converged');
+    expect(stoppingStatus(['timeBudget'])).toBe('maxIterations');
+  });
+});
+
+describe('Optimizer Stopping Rules', () => {
+  test('should stop on the configured rules and report which fired', () => {
+    const optimizer = new GradientDescentOptimizer(quadraticBowl, {
+      learningRate: 0.1,
+      stopping: { type: 'all', criteria: ['stepSize', { type: 'distanceToMinimum', tolerance: 1e-6 }] }
+    });
+    optimizer.initialize(3, -1);
+    optimizer.runToConvergence();
+    const statistics = optimizer.getStatistics();
+
+    expect(optimizer.converged).toBe(true);
+    expect(statistics.status).toBe('converged');
+    expect(statistics.stoppedBy).toEqual(['stepSize', 'distanceToMinimum']);
+    expect(statistics.statusReason).toBe('stepSize + distanceToMinimum');
+  });
+
+  test('should keep the gradient norm below config.tolerance as the default rule', () => {
+    const optimizer = new GradientDescentOptimizer(quadraticBowl, { learningRate: 0.1, tolerance: 1e-3 });
+    optimizer.initialize(3, -1);
+    optimizer.runToConvergence();
+
+    expect(optimizer.getStatistics().stoppedBy).toEqual(['gradientNorm']);
+    expect(optimizer.getCurrentState().gradientMagnitude).toBeLessThan(1e-3);
+  });
+
+  test('should stall on a plateau without converging', () => {
+    const optimizer = new GradientDescentOptimizer(rosenbrock, {
+      learningRate: 0.001,
+      maxIterations: 100000,
+      stopping: { type: 'plateau', patience: 20, minDelta: 1e-3 }
+    });
+    optimizer.initialize(-1.5, 2);
+    optimizer.runToConvergence();
+
+    expect(optimizer.status).toBe('stalled');
+    expect(optimizer.converged).toBe(false);
+    expect(optimizer.iteration).toBeLessThan(100000);
+  });
+
+  test('should swap rules with setStopping()', () => {
+    const optimizer = new GradientDescentOptimizer(quadraticBowl, { learningRate: 0.1 });
+    optimizer.setStopping({ type: 'relativeChange', tolerance: 0.5 });
+    optimizer.initialize(3, -1);
+    optimizer.runToConvergence();
+
+    expect(optimizer.stoppedBy).toEqual(['relativeChange']);
+    expect(optimizer.iteration).toBeLessThan(10);
+  });
+});
+
+describe('Convergence Order', () => {
+  test('should find linear convergence and its rate for gradient descent', () => {
+    // Each step multiplies the distance to the bowl's minimum by 1 − 2η = 0.8
+    const optimizer = new GradientDescentOptimizer(quadraticBowl, { learningRate: 0.1 });
+    optimizer.initialize(3, -1);
+    optimizer.runToConvergence();
+    const statistics = optimizer.getStatistics();
+
+    expect(statistics.convergenceOrder).toBeCloseTo(1, 3);
+    expect(statistics.convergenceRate).toBeCloseTo(0.8, 3);
+    expect(optimizationUtils.estimateConvergence(optimizer.history).samples).toBe(10);
+    expect(optimizationUtils.calculateConvergenceRate(optimizer.history)).toBeCloseTo(0.8, 3);
+    expect(optimizationUtils.calculateConvergenceRate(optimizer.history.slice(0, 2))).toBe(0);
+  });
+
+  test('should find a higher order for Newton near the minimum', () => {
+    const optimizer = createOptimizer(rosenbrock, 'newton');
+    optimizer.initialize(-1.5, 2);
+    optimizer.runToConvergence();
+
+    expect(optimizer.getStatistics().convergenceOrder).toBeGreaterThan(1.5);
+  });
+
+  test('should fit synthetic step sequences of known order', () => {
+    // Step lengths d_(k+1) = 0.5 · d_k² from d_0 = 0.5
+    let x = 0;
+    let step = 0.5;
+    const history = [state(x, 0, 0)];
+    for (let k = 0; k < 4; k++) {
+      x += step;
+      history.push(state(x, 0, 0));
+      step = 0.5 * step * step;
+    }
+    const estimate = estimateConvergence(history);
+
+    expect(estimate.order).toBeCloseTo(2, 6);
+    expect(estimate.rate).toBeCloseTo(0.5, 6);
+    expect(estimate.samples).toBe(3);
+  });
+
+  test('should give no estimate without two distinct step pairs', () => {
+    const constant = Array.from({ length: 6 }, (_, k) => state(k, 0, 0));
+
+    expect(estimateConvergence(constant.slice(0, 3))).toBeNull();
+    expect(estimateConvergence(constant)).toBeNull();
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Unit tests for dataset-backed objectives and mini-batch SGD
+ */
+
+import {
+  createLinearDataset,
+  createLogisticDataset,
+  createDatasetObjective,
+  createBatchSampler,
+  linearRegression,
+  logisticRegression
+} from '../src/math/datasets.js';
+import { createOptimizer } from '../src/math/gradientDescent.js';
+import { checkGradient } from '../src/math/autodiff.js';
+import { getAxisBounds } from '../src/math/functions.js';
+
+describe('Synthetic Datasets', () => {
+  test('should be reproducible from the seed', () => {
+    expect(createLinearDataset({ seed: 3 }).points).toEqual(createLinearDataset({ seed: 3 }).points);
+    expect(createLinearDataset({ seed: 3 }).points).not.toEqual(createLinearDataset({ seed: 4 }).points);
+    expect(createLogisticDataset({ seed: 3 }).points).toEqual(createLogisticDataset({ seed: 3 }).points);
+  });
+
+  test('logistic labels should be binary', () => {
+    const { points } = createLogisticDataset({ samples: 50 });
+    expect(points).toHaveLength(50);
+    points.forEach(point => expect([0, 1]).toContain(point.y));
+  });
+
+  test('should reject unknown dataset types', () => {
+    expect(() => createDatasetObjective({ type: 'poisson', points: [] })).toThrow('Unknown dataset type');
+  });
+});
+
+describe('Dataset Objectives', () => {
+  [linearRegression, logisticRegression].forEach(func => {
+    describe(func.name, () => {
+      test('gradient should match the loss', () => {
+        expect(checkGradient(func, { samples: 7 }).ok).toBe(true);
+      });
+
+      test('global minimum should be stationary', () => {
+        const { x, y } = func.globalMinimum;
+        const gradient = func.gradient(x, y);
+        expect(Math.hypot(gradient.dx, gradient.dy)).toBeLessThan(1e-9);
+        expect(x).toBeGreaterThan(func.bounds.min);
+        expect(x).toBeLessThan(func.bounds.max);
+      });
+
+      test('full-batch loss should be the mean of the batch losses', () => {
+        const half = func.size / 2;
+        const first = Array.from({ length: half }, (_value, i) => i);
+        const second = first.map(i => i + half);
+        const mean = (func.batchValue(0.5, -0.5, first) + func.batchValue(0.5, -0.5, second)) / 2;
+        expect(func.value(0.5, -0.5)).toBeCloseTo(mean, 10);
+      });
+    });
+  });
+
+  test('axis ranges should follow the scale of each parameter', () => {
+    const objective = createDatasetObjective(createLinearDataset({ range: 40 }));
+    const { x: xBounds, y: yBounds } = getAxisBounds(objective);
+    const { x, y } = objective.globalMinimum;
+    expect(x).toBeGreaterThan(xBounds.min);
+    expect(x).toBeLessThan(xBounds.max);
+    expect(y).toBeGreaterThan(yBounds.min);
+    expect(y).toBeLessThan(yBounds.max);
+    // Inputs up to 40 make the weight far more sensitive than the intercept
+    expect(yBounds.max - yBounds.min).toBeGreaterThan(5 * (xBounds.max - xBounds.min));
+    expect(objective.bounds).toEqual({ min: yBounds.min, max: yBounds.max });
+  });
+
+  test('explicit axis bounds should be kept', () => {
+    const objective = createDatasetObjective(createLinearDataset(), { xBounds: { min: 0, max: 4 }, yBounds: { min: -3, max: 1 } });
+    expect(getAxisBounds(objective)).toEqual({ x: { min: 0, max: 4 }, y: { min: -3, max: 1 } });
+    expect(objective.bounds).toEqual({ min: -3, max: 4 });
+  });
+
+  test('least squares minimum should recover the generating line', () => {
+    const objective = createDatasetObjective(createLinearDataset({ samples: 2000, slope: 1.5, intercept: 0.5, noise: 0.1 }));
+    expect(objective.globalMinimum.x).toBeCloseTo(1.5, 1);
+    expect(objective.globalMinimum.y).toBeCloseTo(0.5, 1);
+  });
+});
+
+describe('Batch Sampler', () => {
+  test('every epoch should visit each sample once', () => {
+    const sampler = createBatchSampler(10, { seed: 5 });
+    const seen = [];
+    for (let i = 0; i < 4; i++) {
+      seen.push(...sampler.next(3).indices);
+    }
+    expect(seen.slice(0, 10).sort((a, b) => a - b)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(sampler.epochsCompleted).toBe(1);
+    expect(sampler.next(3).epoch).toBe(1);
+  });
+
+  test('should keep the order without shuffling', () => {
+    const sampler = createBatchSampler(5, { shuffle: false });
+    expect(sampler.next(2).indices).toEqual([0, 1]);
+    expect(sampler.next(2).indices).toEqual([2, 3]);
+    expect(sampler.next(2).indices).toEqual([4]);
+    expect(sampler.next(2).indices).toEqual([0, 1]);
+  });
+});
+
+describe('Stochastic Gradient Descent', () => {
+  test('mini-batches should make the path noisy but reproducible', () => {
+    const run = (seed) => {
+      const optimizer = createOptimizer(linearRegression, 'standard', { batchSize: 4, seed });
+      optimizer.initialize(-3, 3);
+      optimizer.runSteps(20);
+      return optimizer.history.map(entry => entry.position);
+    };
+
+    expect(run(1)).toEqual(run(1));
+    expect(run(1)).not.toEqual(run(2));
+  });
+
+  test('history should record the batch and its gradient', () => {
+    const optimizer = createOptimizer(linearRegression, 'standard', { batchSize: 8 });
+    optimizer.initialize(-3, 3);
+    optimizer.step();
+
+    const { batch } = optimizer.history[1];
+    expect(batch.indices).toHaveLength(8);
+    expect(batch.origin).toEqual({ x: -3, y: 3 });
+    expect(batch.gradient).toEqual(linearRegression.batchGradient(-3, 3, batch.indices));
+    expect(optimizer.history[1].gradient).toEqual(linearRegression.gradient(optimizer.currentPosition.x, optimizer.currentPosition.y));
+  });
+
+  test('mini-batch steps should evaluate the full gradient only to report the state', () => {
+    let fullGradients = 0;
+    let reportedStates = 0;
+    const objective = {
+      ...linearRegression,
+      gradient: (x, y) => {
+        fullGradients++;
+        return linearRegression.gradient(x, y);
+      }
+    };
+    const optimizer = createOptimizer(objective, 'standard', { batchSize: 8 });
+    const getCurrentState = optimizer.getCurrentState.bind(optimizer);
+    optimizer.getCurrentState = () => {
+      reportedStates++;
+      return getCurrentState();
+    };
+    optimizer.initialize(-3, 3);
+
+    fullGradients = 0;
+    reportedStates = 0;
+    optimizer.runSteps(5);
+    expect(reportedStates).toBeGreaterThan(0);
+    expect(fullGradients).toBe(reportedStates);
+  });
+
+  test('should stop after the configured number of epochs', () => {
+    const optimizer = createOptimizer(logisticRegression, 'momentum', { batchSize: 32, epochs: 3 });
+    optimizer.initialize(0, 0);
+    optimizer.runToConvergence();
+    // 100 samples in batches of 32 take 4 steps per epoch
+    expect(optimizer.iteration).toBe(12);
+    expect(optimizer.getCurrentState().epoch).toBe(3);
+    expect(optimizer.isFinished()).toBe(true);
+  });
+
+  test('full batch should match plain gradient descent', () => {
+    const plain = createOptimizer(linearRegression, 'standard');
+    const full = createOptimizer(linearRegression, 'standard', { batchSize: 1000 });
+    plain.initialize(-3, 3);
+    full.initialize(-3, 3);
+    plain.runSteps(10);
+    full.runSteps(10);
+    expect(full.currentPosition).toEqual(plain.currentPosition);
+    expect(full.lastBatch).toBeNull();
+  });
+
+  test('SGD should approach the minimum', () => {
+    const optimizer = createOptimizer(linearRegression, 'standard', {
+      batchSize: 1,
+      learningRate: 0.05,
+      schedule: { type: 'inverseTime', decayRate: 0.01 },
+      maxIterations: 3000
+    });
+    optimizer.initialize(-3, 3);
+    optimizer.runToConvergence();
+    const { x, y } = linearRegression.globalMinimum;
+    expect(Math.hypot(optimizer.currentPosition.x - x, optimizer.currentPosition.y - y)).toBeLessThan(0.2);
+  });
+});
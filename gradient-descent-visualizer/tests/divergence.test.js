@@ -0,0 +1,158 @@
+/**
+ * Unit tests for divergence and stall detection
+ */
+
+import {
+  escapeBounds,
+  hasEscaped,
+  isNonFinite,
+  detectDivergence,
+  isOscillating
+} from '../src/math/divergence.js';
+import { GradientDescentOptimizer, createOptimizer, defaultConfig } from '../src/math/gradientDescent.js';
+import { quadraticBowl, rosenbrock } from '../src/math/functions.js';
+
+/**
+ * Minimal recorded state at a position
+ */
+const state = (x, y, functionValue = x * x + y * y) => ({
+  position: { x, y },
+  functionValue,
+  gradient: { dx: 2 * x, dy: 2 * y }
+});
+
+const settings = { bounds: escapeBounds(quadraticBowl), escapeRadius: 10, explosionFactor: 1e6, patience: 3 };
+
+describe('Divergence Detection', () => {
+  test('should measure escape from the plot region in axis ranges', () => {
+    const bounds = { x: { min: -1, max: 1 }, y: { min: 0, max: 4 } };
+
+    expect(hasEscaped({ x: 20, y: 2 }, bounds)).toBe(false);
+    expect(hasEscaped({ x: 21, y: 2 }, bounds)).toBe(true);
+    expect(hasEscaped({ x: 0, y: -39 }, bounds, 10)).toBe(true);
+    expect(hasEscaped({ x: 3, y: 2 }, bounds, 1)).toBe(true);
+    expect(escapeBounds({ value: () => 0, gradient: () => ({ dx: 0, dy: 0 }) })).toBeNull();
+  });
+
+  test('should flag a non-finite state at once', () => {
+    expect(detectDivergence([state(1, 1), state(NaN, 1)], settings)).toBe('non-finite');
+    expect(detectDivergence([state(1, 1), state(1, 1, Infinity)], settings)).toBe('non-finite');
+    expect(detectDivergence([state(1, 1), state(2, 1)], settings)).toBeNull();
+  });
+
+  test('should only flag exploding loss and escapes that last', () => {
+    const far = state(1000, 0);
+    const huge = state(1, 1, 1e9);
+
+    expect(detectDivergence([state(1, 1), state(2, 2), far], settings)).toBeNull();
+    expect(detectDivergence([state(1, 1), far, far, far], settings)).toBe('escaped');
+    expect(detectDivergence([state(1, 1), far, state(2, 2), far], settings)).toBeNull();
+    expect(detectDivergence([state(1, 1), huge, huge, huge], settings)).toBe('exploding-loss');
+    expect(detectDivergence([state(1, 1), far, far, far], { ...settings, bounds: null })).toBeNull();
+  });
+
+  test('should detect steps that keep reversing without progress', () => {
+    const flipping = Array.from({ length: 8 }, (_, k) => state(k % 2 ? -1 : 1, 0));
+    const shrinking = Array.from({ length: 8 }, (_, k) => state((k % 2 ? -1 : 1) / (k + 1), 0));
+
+    expect(isOscillating(flipping, 6)).toBe(true);
+    expect(isOscillating(flipping, 7)).toBe(false);
+    expect(isOscillating(shrinking, 6)).toBe(false);
+    expect(isOscillating([...flipping, state(-2, 0)], 6)).toBe(false);
+  });
+});
+
+describe('Optimizer Status', () => {
+  test('should stop a run that overflows to NaN', () => {
+    const optimizer = new GradientDescentOptimizer(rosenbrock, { learningRate: 0.01, detectDivergence: true });
+    optimizer.initialize(-1.5, 2);
+    optimizer.runToConvergence();
+
+    expect(optimizer.status).toBe('diverged');
+    expect(optimizer.statusReason).toBe('non-finite');
+    expect(optimizer.converged).toBe(false);
+    expect(optimizer.iteration).toBeLessThan(20);
+    expect(optimizer.isFinished()).toBe(true);
+    expect(optimizer.history[optimizer.history.length - 1].status).toBe('diverged');
+  });
+
+  test('should stop a run that leaves the plot region', () => {
+    const optimizer = new GradientDescentOptimizer(quadraticBowl, { learningRate: 1.5, detectDivergence: true });
+    optimizer.initialize(3, -1);
+    optimizer.runToConvergence();
+
+    expect(optimizer.status).toBe('diverged');
+    expect(optimizer.statusReason).toBe('escaped');
+    expect(optimizer.getStatistics().status).toBe('diverged');
+  });
+
+  test('should stall a run that bounces across the minimum', () => {
+    // η = 1 flips the bowl's iterate across the minimum forever
+    const optimizer = new GradientDescentOptimizer(quadraticBowl, { learningRate: 1, detectDivergence: true });
+    optimizer.initialize(3, -1);
+    optimizer.runToConvergence();
+
+    expect(optimizer.status).toBe('stalled');
+    expect(optimizer.statusReason).toBe('oscillation');
+    expect(optimizer.iteration).toBe(defaultConfig.oscillationWindow + 1);
+  });
+
+  test('should report converged and max iteration stops', () => {
+    const converged = new GradientDescentOptimizer(quadraticBowl, { learningRate: 0.1 });
+    converged.initialize(3, -1);
+    converged.runToConvergence();
+    const limited = new GradientDescentOptimizer(quadraticBowl, { learningRate: 0.001, maxIterations: 10 });
+    limited.initialize(3, -1);
+    limited.runToConvergence();
+
+    expect(converged.getCurrentState().status).toBe('converged');
+    expect(converged.statusReason).toBeNull();
+    expect(converged.stoppedBy).toEqual(['gradientNorm']);
+    expect(limited.getCurrentState().status).toBe('maxIterations');
+    expect(limited.iteration).toBe(10);
+  });
+
+  test('should let quasi-Newton methods recover from a wild step', () => {
+    // L-BFGS steps far outside the plot on its way down the valley
+    const optimizer = createOptimizer(rosenbrock, 'lbfgs', { maxIterations: 500, detectDivergence: true });
+    optimizer.initialize(-1.5, 2);
+    optimizer.runToConvergence();
+
+    expect(optimizer.history.some(entry => hasEscaped(entry.position, escapeBounds(rosenbrock)))).toBe(true);
+    expect(optimizer.status).toBe('converged');
+  });
+
+  test('should keep stepping exploding runs unless detection is on', () => {
+    const optimizer = new GradientDescentOptimizer(quadraticBowl, { learningRate: 1.5, maxIterations: 50 });
+    optimizer.initialize(3, -1);
+    optimizer.runToConvergence();
+
+    expect(defaultConfig.detectDivergence).toBe(false);
+    expect(optimizer.status).toBe('maxIterations');
+    expect(optimizer.iteration).toBe(50);
+  });
+
+  test('should always stop runs that become non-finite', () => {
+    const optimizer = new GradientDescentOptimizer(rosenbrock, { learningRate: 0.01 });
+    optimizer.initialize(-1.5, 2);
+    optimizer.runToConvergence();
+
+    expect(optimizer.status).toBe('diverged');
+    expect(optimizer.statusReason).toBe('non-finite');
+    expect(optimizer.iteration).toBeLessThan(defaultConfig.maxIterations);
+    expect(optimizer.history.slice(0, -1).every(entry => !isNonFinite(entry))).toBe(true);
+    expect(isNonFinite(optimizer.getCurrentState())).toBe(true);
+  });
+
+  test('should return to running on reset and initialize', () => {
+    const optimizer = new GradientDescentOptimizer(quadraticBowl, { learningRate: 1.5, detectDivergence: true });
+    optimizer.initialize(3, -1);
+    optimizer.runToConvergence();
+    optimizer.reset();
+
+    expect(optimizer.status).toBe('running');
+    expect(optimizer.statusReason).toBeNull();
+    optimizer.initialize(3, -1);
+    expect(optimizer.getCurrentState().status).toBe('running');
+  });
+});
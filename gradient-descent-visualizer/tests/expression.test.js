@@ -0,0 +1,137 @@
+/**
+ * Unit tests for the math expression parser
+ */
+
+import {
+  tokenize,
+  parseExpression,
+  compileExpression,
+  ExpressionSyntaxError
+} from '../src/math/expression.js';
+import { CustomFunction } from '../src/math/functions.js';
+
+const evaluate = (source, x = 0, y = 0) => compileExpression(source).evaluate(x, y);
+
+describe('Expression Parser', () => {
+  describe('tokenize', () => {
+    test('should record 1-based columns', () => {
+      const tokens = tokenize('x + 2.5e1');
+      expect(tokens.map(t => t.column)).toEqual([1, 3, 5, 10]);
+      expect(tokens[2].value).toBe(25);
+    });
+
+    test('should reject unknown characters with their column', () => {
+      expect(() => tokenize('x + y;')).toThrow('unexpected character \';\' at column 6');
+    });
+  });
+
+  describe('evaluation', () => {
+    test('should respect operator precedence and associativity', () => {
+      expect(evaluate('1 + 2 * 3')).toBe(7);
+      expect(evaluate('2 ^ 3 ^ 2')).toBe(512);
+      expect(evaluate('-2 ^ 2')).toBe(-4);
+      expect(evaluate('2 ^ -1')).toBe(0.5);
+      expect(evaluate('8 / 4 / 2')).toBe(1);
+      expect(evaluate('x ** 2', 3)).toBe(9);
+    });
+
+    test('should support implicit multiplication', () => {
+      expect(evaluate('2x', 3)).toBe(6);
+      expect(evaluate('3(x + 1)', 1)).toBe(6);
+      expect(evaluate('(x - 1)(y + 1)', 3, 2)).toBe(6);
+      expect(evaluate('x y', 3, 4)).toBe(12);
+      expect(evaluate('2sin(x)', Math.PI / 2)).toBeCloseTo(2, 10);
+      expect(evaluate('2x^2', 3)).toBe(18);
+    });
+
+    test('should multiply variables and constants by a following parenthesis', () => {
+      expect(evaluate('x(y + 1)', 3, 2)).toBe(9);
+      expect(evaluate('y(x - 1)^2', 3, 2)).toBe(8);
+      expect(evaluate('pi(x)', 2)).toBeCloseTo(2 * Math.PI, 12);
+      expect(evaluate('e(x + 1)', 1)).toBeCloseTo(2 * Math.E, 12);
+      expect(parseExpression('x(y)')).toEqual({
+        type: 'binary',
+        op: '*',
+        left: { type: 'variable', name: 'x' },
+        right: { type: 'variable', name: 'y' }
+      });
+      expect(() => parseExpression('foo(x)')).toThrow('unknown function \'foo\'');
+    });
+
+    test('should evaluate functions and constants', () => {
+      expect(evaluate('sin(x) + cos(y)')).toBeCloseTo(1, 10);
+      expect(evaluate('exp(1) - e')).toBeCloseTo(0, 10);
+      expect(evaluate('log(e) + abs(-2)')).toBeCloseTo(3, 10);
+      expect(evaluate('cos(pi)')).toBeCloseTo(-1, 10);
+      expect(evaluate('max(x, y)', 2, 5)).toBe(5);
+    });
+
+    test('should accept the legacy Math. prefix', () => {
+      expect(evaluate('Math.sin(x) + Math.cos(y)')).toBeCloseTo(1, 10);
+      expect(evaluate('Math.pow(x-1, 2) + Math.PI', 3)).toBeCloseTo(4 + Math.PI, 10);
+    });
+
+    test('should parse into an inspectable AST', () => {
+      expect(parseExpression('x^2')).toEqual({
+        type: 'binary',
+        op: '^',
+        left: { type: 'variable', name: 'x' },
+        right: { type: 'number', value: 2 }
+      });
+    });
+  });
+
+  describe('syntax errors', () => {
+    const columnOf = (source) => {
+      try {
+        parseExpression(source);
+      } catch (error) {
+        expect(error).toBeInstanceOf(ExpressionSyntaxError);
+        return error.message;
+      }
+      return null;
+    };
+
+    test('should report the unexpected token and its column', () => {
+      expect(columnOf('(x + 1))')).toBe('unexpected \')\' at column 8');
+      expect(columnOf('sin(x) )')).toBe('unexpected \')\' at column 8');
+      expect(columnOf('x + * y')).toBe('unexpected \'*\' at column 5');
+      expect(columnOf('(x + 1')).toBe('unexpected end of expression at column 7');
+      expect(columnOf('')).toBe('empty expression at column 1');
+    });
+
+    test('should reject unknown names and wrong arity', () => {
+      expect(columnOf('x + foo')).toBe('unknown identifier \'foo\' at column 5');
+      expect(columnOf('bar(x)')).toBe('unknown function \'bar\' at column 1');
+      expect(columnOf('sin(x, y)')).toBe('sin expects 1 argument at column 1');
+      expect(columnOf('2 * sin')).toBe('function \'sin\' needs parentheses at column 5');
+    });
+
+    test('should not resolve names inherited from Object.prototype', () => {
+      expect(columnOf('constructor')).toBe('unknown identifier \'constructor\' at column 1');
+      expect(columnOf('x + toString')).toBe('unknown identifier \'toString\' at column 5');
+      expect(columnOf('__proto__')).toBe('unknown identifier \'__proto__\' at column 1');
+      expect(columnOf('constructor(1)')).toBe('unknown function \'constructor\' at column 1');
+      expect(columnOf('hasOwnProperty(x)')).toBe('unknown function \'hasOwnProperty\' at column 1');
+      expect(() => new CustomFunction('constructor')).toThrow('Invalid function expression: unknown identifier \'constructor\'');
+    });
+
+    test('should never execute JavaScript', () => {
+      expect(() => parseExpression('alert(1)')).toThrow(ExpressionSyntaxError);
+      expect(() => parseExpression('constructor.constructor("x")()')).toThrow(ExpressionSyntaxError);
+      expect(() => parseExpression('x; process.exit()')).toThrow(ExpressionSyntaxError);
+    });
+  });
+
+  describe('CustomFunction integration', () => {
+    test('should accept the expressions suggested in the prompt', () => {
+      expect(new CustomFunction('x^2 + y^2').value(1, 2)).toBe(5);
+      expect(new CustomFunction('sin(x) + cos(y)').value(0, 0)).toBeCloseTo(1, 10);
+      expect(new CustomFunction('(x-1)^2 + 2(y-1)^2').value(0, 0)).toBe(3);
+    });
+
+    test('should surface the error column', () => {
+      expect(() => new CustomFunction('x + )')).toThrow('Invalid function expression: unexpected \')\' at column 5');
+    });
+  });
+});
@@ -7,8 +7,14 @@ import {
   rosenbrock, 
   rastrigin, 
   CustomFunction, 
-  mathUtils 
+  mathUtils,
+  getCriticalPoints,
+  getAxisBounds,
+  findCriticalPoints,
+  findBasin,
+  inspectPoint
 } from '../src/math/functions.js';
+import { himmelblau, sixHumpCamel, saddle } from '../src/math/benchmarks.js';
 
 describe('Mathematical Functions', () => {
   describe('quadraticBowl', () => {
@@ -113,6 +119,31 @@ describe('Mathematical Functions', () => {
       expect(mathUtils.lerp(0, 10, 1)).toBe(10);
       expect(mathUtils.lerp(10, 20, 0.25)).toBe(12.5);
     });
+
+    test('hessian should fall back to finite differences of the gradient', () => {
+      const { hessian, ...withoutHessian } = rosenbrock;
+      const numeric = mathUtils.hessian(withoutHessian, 0.5, -0.3);
+      const exact = hessian(0.5, -0.3);
+      expect(numeric.dxx).toBeCloseTo(exact.dxx, 3);
+      expect(numeric.dxy).toBeCloseTo(exact.dxy, 3);
+      expect(numeric.dyy).toBeCloseTo(exact.dyy, 3);
+    });
+
+    test('eigenSymmetric2x2 should return sorted eigenpairs', () => {
+      const matrix = { dxx: 2, dxy: 1, dyy: 2 };
+      const { values, vectors } = mathUtils.eigenSymmetric2x2(matrix);
+      expect(values[0]).toBeCloseTo(1, 10);
+      expect(values[1]).toBeCloseTo(3, 10);
+      vectors.forEach((v, i) => {
+        expect(matrix.dxx * v.x + matrix.dxy * v.y).toBeCloseTo(values[i] * v.x, 10);
+        expect(matrix.dxy * v.x + matrix.dyy * v.y).toBeCloseTo(values[i] * v.y, 10);
+      });
+    });
+
+    test('solveSymmetric2x2 should solve or report singular systems', () => {
+      expect(mathUtils.solveSymmetric2x2({ dxx: 2, dxy: 1, dyy: 3 }, { x: 3, y: 4 })).toEqual({ x: 1, y: 1 });
+      expect(mathUtils.solveSymmetric2x2({ dxx: 1, dxy: 2, dyy: 4 }, { x: 1, y: 1 })).toBeNull();
+    });
   });
 });
 
@@ -150,6 +181,15 @@ describe('Function Properties', () => {
         expect(func.recommendedLearningRate).toBeLessThanOrEqual(1);
       });
 
+      test('hessian should match finite differences of the gradient', () => {
+        const h = 1e-5;
+        const [x, y] = [0.3, -0.7];
+        const H = func.hessian(x, y);
+        expect(H.dxx).toBeCloseTo((func.gradient(x + h, y).dx - func.gradient(x - h, y).dx) / (2 * h), 3);
+        expect(H.dxy).toBeCloseTo((func.gradient(x, y + h).dx - func.gradient(x, y - h).dx) / (2 * h), 3);
+        expect(H.dyy).toBeCloseTo((func.gradient(x, y + h).dy - func.gradient(x, y - h).dy) / (2 * h), 3);
+      });
+
       test('gradient should have correct structure', () => {
         const grad = func.gradient(0, 0);
         expect(grad).toHaveProperty('dx');
@@ -194,4 +234,157 @@ describe('Numerical Stability', () => {
       expect(grad.dy).toBeCloseTo(numericalGradY, 3);
     });
   });
-}); 
\ No newline at end of file
+}); 
+
+describe('Point Inspection', () => {
+  test('should report value, gradient and curvature', () => {
+    const info = inspectPoint(rosenbrock, 0, 0);
+    expect(info.value).toBe(1);
+    expect(info.gradient).toEqual({ dx: -2, dy: 0 });
+    expect(info.gradientNorm).toBe(2);
+    expect(info.hessian.dxx).toBe(2);
+    expect(info.hessian.dyy).toBe(200);
+    expect(info.eigenvalues[0]).toBeCloseTo(2, 10);
+    expect(info.eigenvalues[1]).toBeCloseTo(200, 10);
+  });
+
+  test('should show negative curvature at a saddle', () => {
+    const [smaller, larger] = inspectPoint(saddle, 0, 0).eigenvalues;
+    expect(smaller).toBeLessThan(0);
+    expect(larger).toBeGreaterThan(0);
+  });
+});
+
+describe('Axis Bounds', () => {
+  test('should fall back to the square bounds', () => {
+    expect(getAxisBounds(quadraticBowl)).toEqual({ x: quadraticBowl.bounds, y: quadraticBowl.bounds });
+  });
+
+  test('should read per-axis ranges', () => {
+    const func = { bounds: { min: -4, max: 6 }, xBounds: { min: -1, max: 6 }, yBounds: { min: -4, max: 2 } };
+    expect(getAxisBounds(func)).toEqual({ x: { min: -1, max: 6 }, y: { min: -4, max: 2 } });
+    expect(getAxisBounds({ bounds: { min: -1, max: 1 }, yBounds: { min: 0, max: 1 } }).x).toEqual({ min: -1, max: 1 });
+  });
+
+  test('custom functions should accept per-axis ranges', () => {
+    const func = new CustomFunction('x^4 - 2x^2 + y^2', { x: { min: 0.5, max: 2 }, y: { min: -1, max: 0.5 } });
+    expect(getAxisBounds(func)).toEqual({ x: { min: 0.5, max: 2 }, y: { min: -1, max: 0.5 } });
+    expect(func.bounds).toEqual({ min: -1, max: 2 });
+    // Only the minimum at (1, 0) lies inside; (-1, 0) and the saddle at the origin are out of range
+    expect(func.minima).toHaveLength(1);
+    expect(func.minima[0].x).toBeCloseTo(1, 8);
+  });
+});
+
+describe('Critical Point Finder', () => {
+  const types = (func) => getCriticalPoints(func).map(point => point.type).sort();
+
+  test('should find and classify the stationary points of custom functions', () => {
+    const bowl = new CustomFunction('(x-1)^2 + 2(y+1)^2');
+    expect(bowl.globalMinimum.x).toBeCloseTo(1, 10);
+    expect(bowl.globalMinimum.y).toBeCloseTo(-1, 10);
+    expect(types(bowl)).toEqual(['global-minimum']);
+
+    expect(types(new CustomFunction('x^2 - y^2'))).toEqual(['saddle']);
+    expect(types(new CustomFunction('x^4 - 2x^2 + y^2'))).toEqual(['global-minimum', 'global-minimum', 'saddle']);
+    expect(types(new CustomFunction('-(x^2) - y^2', { min: -2, max: 2 }))).toEqual(['maximum']);
+  });
+
+  test('should locate the critical points of custom functions on first use only', () => {
+    const bowl = new CustomFunction('(x-1)^2 + y^2');
+    expect(bowl.analysis).toBeNull();
+
+    const { minima } = bowl;
+    expect(bowl.analysis).not.toBeNull();
+    expect(bowl.minima).toBe(minima);
+    expect(bowl.globalMinimum).toEqual({ x: minima[0].x, y: minima[0].y, value: minima[0].value });
+
+    const skipped = new CustomFunction('x^2 + y^2', undefined, undefined, { criticalPoints: false });
+    expect(skipped.minima).toBeUndefined();
+    expect(skipped.analysis).toBeNull();
+    expect(getCriticalPoints(skipped)).toEqual([]);
+  });
+
+  test('should rank minima and mark only the lowest as global', () => {
+    const tilted = new CustomFunction('x^4 - 2x^2 + 0.3x + y^2', { min: -2, max: 2 });
+    expect(tilted.minima).toHaveLength(2);
+    expect(tilted.minima[0].global).toBe(true);
+    expect(tilted.minima[1].global).toBe(false);
+    expect(tilted.minima[0].value).toBeLessThan(tilted.minima[1].value);
+    expect(tilted.globalMinimum).toEqual({ x: tilted.minima[0].x, y: tilted.minima[0].y, value: tilted.minima[0].value });
+  });
+
+  test('should classify degenerate points from nearby values', () => {
+    expect(types(new CustomFunction('x^2 + y^4'))).toEqual(['global-minimum']);
+    expect(types(new CustomFunction('x^3 - 3x*y^2'))).toEqual(['saddle']);
+  });
+
+  test('should recover the annotated points of built-in functions', () => {
+    [himmelblau, sixHumpCamel].forEach(func => {
+      const found = findCriticalPoints(func);
+      expect(found.minima).toHaveLength(func.minima.length);
+      expect(found.saddles).toHaveLength(func.saddles.length);
+      expect(found.maxima).toHaveLength(func.maxima.length);
+      found.minima.forEach(minimum => {
+        expect(func.minima.some(known => Math.hypot(known.x - minimum.x, known.y - minimum.y) < 1e-6)).toBe(true);
+      });
+    });
+  });
+
+  test('should leave functions without stationary points empty', () => {
+    const plane = new CustomFunction('x + y');
+    expect(plane.minima).toEqual([]);
+    expect(plane.globalMinimum).toBeNull();
+  });
+
+  test('should skip the analysis on request and run it later', () => {
+    const func = new CustomFunction('x^2 + y^2', undefined, undefined, { criticalPoints: false });
+    expect(func.minima).toBeUndefined();
+    expect(func.analyzeCriticalPoints({ gridSize: 4 }).minima).toHaveLength(1);
+    expect(func.globalMinimum.value).toBeCloseTo(0, 12);
+  });
+});
+
+describe('Critical Points and Basins', () => {
+  test('should list minima, saddles and maxima with their kind', () => {
+    const points = getCriticalPoints(himmelblau);
+    expect(points.filter(point => point.type === 'global-minimum')).toHaveLength(4);
+    expect(points.filter(point => point.type === 'saddle')).toHaveLength(4);
+    expect(points.filter(point => point.type === 'maximum')).toHaveLength(1);
+
+    const camel = getCriticalPoints(sixHumpCamel);
+    expect(camel.filter(point => point.type === 'local-minimum')).toHaveLength(4);
+  });
+
+  test('should fall back to the global minimum', () => {
+    const { minima, ...withoutMinima } = quadraticBowl;
+    expect(minima).toHaveLength(1);
+    expect(getCriticalPoints(withoutMinima)).toEqual([{ x: 1, y: 1, value: 0, type: 'global-minimum' }]);
+    expect(getCriticalPoints(new CustomFunction('x^2 + y^2', undefined, undefined, { criticalPoints: false }))).toEqual([]);
+  });
+
+  test('should find the Himmelblau minimum of each quadrant', () => {
+    [[4, 4], [4, -4], [-4, 4], [-4, -4]].forEach(([x, y]) => {
+      const basin = findBasin(himmelblau, { x, y });
+      expect(basin.point.type).toBe('global-minimum');
+      expect(Math.sign(basin.point.x)).toBe(Math.sign(x));
+      expect(Math.sign(basin.point.y)).toBe(Math.sign(y));
+      expect(basin.distance).toBeLessThan(1e-4);
+    });
+  });
+
+  test('should follow curved valleys to the minimum', () => {
+    expect(findBasin(rosenbrock, { x: -1.5, y: 2 }).point).toMatchObject({ x: 1, y: 1 });
+  });
+
+  test('should tell local from global basins', () => {
+    expect(findBasin(sixHumpCamel, { x: 1.8, y: 0.8 }).point.type).toBe('local-minimum');
+    expect(findBasin(sixHumpCamel, { x: 0.2, y: -0.5 }).point.type).toBe('global-minimum');
+  });
+
+  test('should stop on a saddle and give up on unbounded descents', () => {
+    expect(findBasin(saddle, { x: 0.5, y: 0 }).point.type).toBe('saddle');
+    expect(findBasin(saddle, { x: 0.5, y: 0.5 })).toBeNull();
+    expect(findBasin(new CustomFunction('x^2 + y^2', undefined, undefined, { criticalPoints: false }), { x: 1, y: 1 })).toBeNull();
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for grid evaluation and heatmap rasterization
+ */
+
+import {
+  describeFunction,
+  resolveFunction,
+  evaluateGrid,
+  evaluateGridRows,
+  gridRows,
+  rasterizeHeatmap,
+  createGridWorker
+} from '../src/visualization/grid.js';
+import { colorFromValue, COLORMAPS } from '../src/visualization/colormaps.js';
+import { quadraticBowl, rosenbrock, CustomFunction } from '../src/math/functions.js';
+import { himmelblau } from '../src/math/benchmarks.js';
+import { escapeBounds } from '../src/math/divergence.js';
+
+describe('Grid Evaluation', () => {
+  const viewport = { x: { min: -1, max: 1 }, y: { min: 0, max: 4 } };
+
+  test('should lay out values by x index, then y index', () => {
+    const values = evaluateGrid({ value: (x, y) => 10 * x + y }, viewport, 3);
+
+    expect(values).toBeInstanceOf(Float64Array);
+    expect(Array.from(values)).toEqual([-10, -8, -6, 0, 2, 4, 10, 12, 14]);
+  });
+
+  test('should evaluate rows in chunks to the same grid', () => {
+    const whole = evaluateGrid(rosenbrock, viewport, 10);
+    const chunked = new Float64Array(100);
+    for (let row = 0; row < 10; row += 3) {
+      evaluateGridRows(rosenbrock, viewport, 10, chunked, row, Math.min(10, row + 3));
+    }
+    expect(chunked).toEqual(whole);
+  });
+
+  test('should view the grid as rows without copying', () => {
+    const values = evaluateGrid(quadraticBowl, viewport, 4);
+    const rows = gridRows(values, 4);
+
+    expect(rows).toHaveLength(4);
+    expect(rows[2][3]).toBe(values[2 * 4 + 3]);
+    expect(rows[1].buffer).toBe(values.buffer);
+  });
+});
+
+describe('Heatmap Rasterization', () => {
+  const options = { width: 8, height: 6, colorScheme: 'viridis', contourLevels: 5, contourLevelMode: 'linear' };
+
+  test('should colour the low corner at the bottom-left and the high one at the top-right', () => {
+    const values = evaluateGrid({ value: (x, y) => x + y }, { x: { min: 0, max: 1 }, y: { min: 0, max: 1 } }, 5);
+    const pixels = rasterizeHeatmap(values, 5, options);
+    const pixel = (x, y) => Array.from(pixels.slice((y * 8 + x) * 4, (y * 8 + x) * 4 + 4));
+    const low = colorFromValue(0, 'viridis');
+
+    expect(pixels).toHaveLength(8 * 6 * 4);
+    expect(pixel(0, 5)).toEqual([low.r, low.g, low.b, 128]);
+    expect(pixel(7, 0)[0]).toBeGreaterThan(pixel(0, 5)[0]);
+  });
+
+  test('should follow the contour level scale', () => {
+    const values = evaluateGrid(rosenbrock, { x: { min: -2, max: 2 }, y: { min: -1, max: 3 } }, 20);
+    const linear = rasterizeHeatmap(values, 20, options);
+    const log = rasterizeHeatmap(values, 20, { ...options, contourLevelMode: 'log' });
+    expect(log).not.toEqual(linear);
+  });
+});
+
+describe('Colormaps', () => {
+  test('should clamp values and fall back to viridis', () => {
+    expect(colorFromValue(-1, 'jet')).toEqual(COLORMAPS.jet(0));
+    expect(colorFromValue(2, 'plasma')).toEqual(COLORMAPS.plasma(1));
+    expect(colorFromValue(0.5, 'unknown')).toEqual(COLORMAPS.viridis(0.5));
+  });
+});
+
+describe('Worker Function Transfer', () => {
+  test('should name built-in functions by their registry key', () => {
+    expect(describeFunction(rosenbrock)).toEqual({ builtin: 'rosenbrock' });
+    expect(describeFunction(himmelblau)).toEqual({ builtin: 'himmelblau' });
+    expect(resolveFunction({ builtin: 'quadratic' })).toBe(quadraticBowl);
+  });
+
+  test('should rebuild custom functions from their expression and bounds', () => {
+    const custom = new CustomFunction('x^2 + sin(y)', { min: -3, max: 3 }, 0.01, { criticalPoints: false });
+    const descriptor = describeFunction(custom);
+    expect(descriptor).toEqual({ expression: 'x^2 + sin(y)', bounds: { min: -3, max: 3 } });
+
+    const rebuilt = resolveFunction(JSON.parse(JSON.stringify(descriptor)));
+    expect(rebuilt.value(1.5, -0.3)).toBe(custom.value(1.5, -0.3));
+    expect(rebuilt.bounds).toEqual({ min: -3, max: 3 });
+  });
+
+  test('should keep per-axis bounds of custom functions', () => {
+    const bounds = { x: { min: -1, max: 4 }, y: { min: 0, max: 2 } };
+    const custom = new CustomFunction('x * y', bounds, 0.01, { criticalPoints: false });
+    const rebuilt = resolveFunction(JSON.parse(JSON.stringify(describeFunction(custom))));
+    expect(rebuilt.xBounds).toEqual(bounds.x);
+    expect(rebuilt.yBounds).toEqual(bounds.y);
+    expect(escapeBounds(rebuilt)).toEqual(escapeBounds(custom));
+  });
+
+  test('should refuse functions that only exist on this thread', () => {
+    expect(describeFunction({ value: (x, y) => x * y })).toBeNull();
+    expect(() => resolveFunction({ builtin: 'missing' })).toThrow('Unknown function: missing');
+  });
+
+  test('should not start a worker where workers are unavailable', () => {
+    expect(typeof Worker).toBe('undefined');
+    expect(createGridWorker()).toBeNull();
+  });
+});
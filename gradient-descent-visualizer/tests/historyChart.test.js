@@ -0,0 +1,51 @@
+/**
+ * Unit tests for the optimization history series
+ */
+
+import { historySeries, HISTORY_METRICS } from '../src/visualization/HistoryChart.js';
+import { GradientDescentOptimizer } from '../src/math/gradientDescent.js';
+import { quadraticBowl } from '../src/math/functions.js';
+
+describe('History Series', () => {
+  const optimizer = new GradientDescentOptimizer(quadraticBowl, {
+    learningRate: 0.1,
+    maxIterations: 20,
+    schedule: { type: 'exponential', gamma: 0.5 }
+  });
+  optimizer.initialize(3, -1);
+  optimizer.runToConvergence();
+  const { history } = optimizer;
+
+  test('should give one value per recorded state for every metric', () => {
+    for (const metric of HISTORY_METRICS) {
+      expect(historySeries(history, metric)).toHaveLength(history.length);
+    }
+  });
+
+  test('should read the loss and gradient norm from each state', () => {
+    expect(historySeries(history, 'loss')).toEqual(history.map(state => state.functionValue));
+    expect(historySeries(history, 'gradientNorm')[0]).toBeCloseTo(Math.hypot(4, -4));
+  });
+
+  test('should measure the step that produced each state', () => {
+    const steps = historySeries(history, 'stepSize');
+    const { x, y } = history[1].position;
+
+    expect(steps[0]).toBeNull();
+    expect(steps[1]).toBeCloseTo(Math.hypot(x - 3, y + 1));
+    expect(steps.slice(1).every(step => step > 0)).toBe(true);
+  });
+
+  test('should follow the scheduled learning rate', () => {
+    const rates = historySeries(history, 'learningRate');
+
+    expect(rates[0]).toBeCloseTo(0.1);
+    expect(rates[1]).toBeCloseTo(0.1);
+    expect(rates[2]).toBeCloseTo(0.05);
+    expect(rates[3]).toBeCloseTo(0.025);
+  });
+
+  test('should reject unknown metrics', () => {
+    expect(() => historySeries(history, 'momentum')).toThrow('Unknown history metric: momentum');
+  });
+});
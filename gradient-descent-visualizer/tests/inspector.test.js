@@ -0,0 +1,61 @@
+/**
+ * Unit tests for the hover inspector readouts
+ */
+
+import {
+  describePoint,
+  describeDifference,
+  formatReadout,
+  togglePin,
+  PIN_LIMIT
+} from '../src/visualization/inspector.js';
+import { quadraticBowl } from '../src/math/functions.js';
+
+describe('Inspector Readouts', () => {
+  test('should format numbers to four significant digits', () => {
+    expect(formatReadout(3.14159)).toBe('3.142');
+    expect(formatReadout(2)).toBe('2');
+    expect(formatReadout(-0.000123456)).toBe('-0.0001235');
+    expect(formatReadout(Infinity)).toBe('Infinity');
+  });
+
+  test('should describe position, value and gradient', () => {
+    expect(describePoint(quadraticBowl, { x: 2, y: 0 })).toEqual([
+      'x = 2, y = 0',
+      'f = 2',
+      '∇f = (2, -2)',
+      '|∇f| = 2.828'
+    ]);
+  });
+
+  test('should add the Hessian eigenvalues on request', () => {
+    const lines = describePoint(quadraticBowl, { x: 2, y: 0 }, { hessian: true });
+    expect(lines).toHaveLength(5);
+    expect(lines[4]).toBe('λ = 2, 2');
+  });
+
+  test('should compare two points', () => {
+    expect(describeDifference(quadraticBowl, { x: 1, y: 1 }, { x: 4, y: 5 })).toEqual([
+      'f(B) − f(A) = 25',
+      '|B − A| = 5'
+    ]);
+  });
+});
+
+describe('Pinning', () => {
+  const same = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) < 0.1;
+
+  test('should keep at most PIN_LIMIT pins, dropping the oldest', () => {
+    let pins = [];
+    pins = togglePin(pins, { x: 0, y: 0 }, same);
+    pins = togglePin(pins, { x: 1, y: 0 }, same);
+    pins = togglePin(pins, { x: 2, y: 0 }, same);
+    expect(pins).toHaveLength(PIN_LIMIT);
+    expect(pins).toEqual([{ x: 1, y: 0 }, { x: 2, y: 0 }]);
+  });
+
+  test('should unpin a pin that is hit again', () => {
+    const pins = togglePin([{ x: 0, y: 0 }, { x: 1, y: 0 }], { x: 0.05, y: 0 }, same);
+    expect(pins).toEqual([{ x: 1, y: 0 }]);
+  });
+});
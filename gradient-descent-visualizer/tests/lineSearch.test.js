@@ -0,0 +1,135 @@
+/**
+ * Unit tests for line search strategies
+ */
+
+import {
+  armijo,
+  wolfe,
+  exact,
+  getLineSearches,
+  resolveLineSearch
+} from '../src/math/lineSearch.js';
+import { createOptimizer, defaultConfig } from '../src/math/gradientDescent.js';
+import { quadraticBowl, rosenbrock } from '../src/math/functions.js';
+
+/**
+ * Build a search context along the given step from a point
+ */
+const contextAt = (func, position, direction, overrides = {}) => ({
+  func,
+  position,
+  direction,
+  value: func.value(position.x, position.y),
+  gradient: func.gradient(position.x, position.y),
+  config: { ...defaultConfig, ...overrides }
+});
+
+describe('Line Searches', () => {
+  // Steepest descent from (3, 1) on the bowl: the exact minimizer along p = -∇f is α = 0.5
+  const context = () => contextAt(quadraticBowl, { x: 3, y: 1 }, { x: -4, y: 0 });
+
+  test('armijo should backtrack until sufficient decrease holds', () => {
+    const result = armijo.search(context());
+    expect(result.satisfied).toBe(true);
+    expect(result.trials.map(trial => trial.alpha)).toEqual([1, 0.5]);
+    expect(result.step).toBe(0.5);
+  });
+
+  test('armijo should accept the full step when it already decreases enough', () => {
+    const result = armijo.search(contextAt(quadraticBowl, { x: 3, y: 1 }, { x: -0.4, y: 0 }));
+    expect(result.step).toBe(1);
+    expect(result.trials).toHaveLength(1);
+  });
+
+  test('wolfe should satisfy both strong Wolfe conditions', () => {
+    const ctx = contextAt(rosenbrock, { x: -1.2, y: 1 }, { x: 0.01 * 215.6, y: 0.01 * 88 });
+    const result = wolfe.search(ctx);
+    const { step } = result;
+    const point = { x: -1.2 + step * ctx.direction.x, y: 1 + step * ctx.direction.y };
+    const slope0 = ctx.gradient.dx * ctx.direction.x + ctx.gradient.dy * ctx.direction.y;
+    const g = rosenbrock.gradient(point.x, point.y);
+    const slope = g.dx * ctx.direction.x + g.dy * ctx.direction.y;
+
+    expect(result.satisfied).toBe(true);
+    expect(rosenbrock.value(point.x, point.y)).toBeLessThanOrEqual(ctx.value + ctx.config.c1 * step * slope0);
+    expect(Math.abs(slope)).toBeLessThanOrEqual(-ctx.config.c2 * slope0);
+  });
+
+  test('wolfe should expand short steps', () => {
+    const result = wolfe.search(contextAt(quadraticBowl, { x: 3, y: 1 }, { x: -0.1, y: 0 }));
+    expect(result.step).toBeGreaterThan(1);
+    expect(result.satisfied).toBe(true);
+  });
+
+  test('exact search should find the minimizer along the ray', () => {
+    const result = exact.search(context());
+    expect(result.step).toBeCloseTo(0.5, 3);
+    expect(result.trials.length).toBeGreaterThan(5);
+  });
+
+  test('exact search should bracket minimizers beyond the full step', () => {
+    const result = exact.search(contextAt(quadraticBowl, { x: 3, y: 1 }, { x: -0.2, y: 0 }));
+    expect(result.step).toBeCloseTo(10, 2);
+  });
+
+  test('should resolve names, custom objects and none', () => {
+    expect(resolveLineSearch({ lineSearch: null })).toBeNull();
+    expect(resolveLineSearch({ lineSearch: 'none' })).toBeNull();
+    expect(resolveLineSearch({ lineSearch: 'wolfe' })).toBe(wolfe);
+    expect(Object.keys(getLineSearches())).toEqual(['armijo', 'wolfe', 'exact']);
+
+    const custom = { name: 'Half', search: () => ({ step: 0.5, trials: [], satisfied: true }) };
+    expect(resolveLineSearch({ lineSearch: custom })).toBe(custom);
+    expect(() => resolveLineSearch({ lineSearch: 'bisection' })).toThrow('Unknown line search');
+    expect(() => resolveLineSearch({ lineSearch: {} })).toThrow();
+  });
+});
+
+describe('Optimizer with line search', () => {
+  test('should record trial step sizes in history', () => {
+    const optimizer = createOptimizer(quadraticBowl, 'standard', { learningRate: 1, lineSearch: 'armijo' });
+    optimizer.initialize(3, 1);
+    optimizer.step();
+
+    const entry = optimizer.history[1];
+    expect(entry.lineSearch.method).toBe(armijo.name);
+    expect(entry.lineSearch.origin).toEqual({ x: 3, y: 1 });
+    expect(entry.lineSearch.trials.map(trial => trial.alpha)).toEqual([1, 0.5]);
+    expect(entry.lineSearch.step).toBe(0.5);
+    expect(entry.position.x).toBeCloseTo(1, 10);
+    expect(optimizer.history[0].lineSearch).toBeNull();
+  });
+
+  test('exact search should make steepest descent converge in one step on the bowl', () => {
+    const optimizer = createOptimizer(quadraticBowl, 'standard', { lineSearch: 'exact' });
+    optimizer.initialize(-2, 3);
+    optimizer.step();
+    expect(optimizer.currentPosition.x).toBeCloseTo(1, 3);
+    expect(optimizer.currentPosition.y).toBeCloseTo(1, 3);
+  });
+
+  test('should fall back to steepest descent for uphill steps', () => {
+    const uphill = { name: 'Uphill', createState: () => ({}), update: ({ gradient }) => ({ dx: gradient.dx, dy: gradient.dy }) };
+    const optimizer = createOptimizer(quadraticBowl, 'standard', { algorithm: uphill, lineSearch: 'armijo' });
+    optimizer.initialize(3, 3);
+    optimizer.step();
+    expect(optimizer.lastLineSearch.fallback).toBe(true);
+    expect(quadraticBowl.value(optimizer.currentPosition.x, optimizer.currentPosition.y)).toBeLessThan(quadraticBowl.value(3, 3));
+  });
+
+  test('bfgs with wolfe should converge on Rosenbrock', () => {
+    const optimizer = createOptimizer(rosenbrock, 'bfgs', { lineSearch: 'wolfe' });
+    optimizer.initialize(-1.5, 2);
+    optimizer.runToConvergence();
+    expect(optimizer.converged).toBe(true);
+    expect(optimizer.iteration).toBeLessThan(60);
+  });
+
+  test('reset should clear the last line search', () => {
+    const optimizer = createOptimizer(quadraticBowl, 'standard', { lineSearch: 'wolfe' });
+    optimizer.initialize(3, 3);
+    optimizer.step();
+    optimizer.reset();
+    expect(optimizer.lastLineSearch).toBeNull();
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Unit tests for optimizer update rules
+ */
+
+import {
+  sgd,
+  momentum,
+  adam,
+  adamw,
+  newton,
+  dampedNewton,
+  bfgs,
+  lbfgs,
+  getOptimizerRules,
+  resolveOptimizerRule,
+  snapshotState
+} from '../src/math/optimizers.js';
+import { GradientDescentOptimizer, createOptimizer, defaultConfig } from '../src/math/gradientDescent.js';
+import { quadraticBowl, rosenbrock, CustomFunction } from '../src/math/functions.js';
+
+describe('Optimizer Rules', () => {
+  const config = { ...defaultConfig, momentum: 0.9 };
+
+  test('sgd should step against the gradient', () => {
+    const delta = sgd.update({ gradient: { dx: 2, dy: -4 }, learningRate: 0.1, config, state: {} });
+    expect(delta.dx).toBeCloseTo(-0.2, 10);
+    expect(delta.dy).toBeCloseTo(0.4, 10);
+  });
+
+  test('momentum should accumulate velocity', () => {
+    const state = momentum.createState();
+    const gradient = { dx: 1, dy: 0 };
+    momentum.update({ gradient, learningRate: 0.1, config, state });
+    const delta = momentum.update({ gradient, learningRate: 0.1, config, state });
+    expect(delta.dx).toBeCloseTo(-0.19, 10);
+    expect(state.velocity.x).toBeCloseTo(-0.19, 10);
+  });
+
+  test('adam first step should have magnitude close to the learning rate', () => {
+    const state = adam.createState();
+    const delta = adam.update({ gradient: { dx: 50, dy: -0.01 }, learningRate: 0.05, config, state });
+    expect(delta.dx).toBeCloseTo(-0.05, 5);
+    expect(delta.dy).toBeCloseTo(0.05, 3);
+    expect(state.t).toBe(1);
+  });
+
+  test('adamw should add decoupled weight decay', () => {
+    const decayConfig = { ...config, weightDecay: 0.1 };
+    const plain = adam.update({
+      position: { x: 2, y: 0 }, gradient: { dx: 1, dy: 1 }, learningRate: 0.1, config: decayConfig, state: adam.createState()
+    });
+    const decayed = adamw.update({
+      position: { x: 2, y: 0 }, gradient: { dx: 1, dy: 1 }, learningRate: 0.1, config: decayConfig, state: adamw.createState()
+    });
+    expect(decayed.dx).toBeCloseTo(plain.dx - 0.1 * 0.1 * 2, 10);
+    expect(decayed.dy).toBeCloseTo(plain.dy, 10);
+  });
+
+  test('every rule should provide the common interface', () => {
+    Object.values(getOptimizerRules()).forEach(rule => {
+      expect(typeof rule.name).toBe('string');
+      expect(typeof rule.createState).toBe('function');
+      expect(typeof rule.update).toBe('function');
+    });
+  });
+
+  test('resolveOptimizerRule should honour the legacy momentum setting', () => {
+    expect(resolveOptimizerRule({ momentum: 0 })).toBe(sgd);
+    expect(resolveOptimizerRule({ momentum: 0.9 })).toBe(momentum);
+    expect(resolveOptimizerRule({ algorithm: 'adam', momentum: 0.9 })).toBe(adam);
+  });
+
+  test('resolveOptimizerRule should reject unknown or malformed rules', () => {
+    expect(() => resolveOptimizerRule({ algorithm: 'lbfgs-typo' })).toThrow();
+    expect(() => resolveOptimizerRule({ algorithm: { update: () => ({}) } })).toThrow();
+  });
+
+  test('snapshotState should deep copy nested state', () => {
+    const state = { velocity: { x: 1, y: 2 }, t: 3 };
+    const copy = snapshotState(state);
+    state.velocity.x = 10;
+    expect(copy).toEqual({ velocity: { x: 1, y: 2 }, t: 3 });
+  });
+});
+
+describe('GradientDescentOptimizer with update rules', () => {
+  test('every preset should converge towards the quadratic bowl minimum', () => {
+    ['standard', 'momentum', 'adaptive', 'nesterov', 'adagrad', 'rmsprop', 'adam', 'adamw'].forEach(preset => {
+      const optimizer = createOptimizer(quadraticBowl, preset, { maxIterations: 2000 });
+      optimizer.initialize(3, -1);
+      optimizer.runToConvergence();
+      const { functionValue } = optimizer.getCurrentState();
+      expect(functionValue).toBeLessThan(quadraticBowl.value(3, -1));
+    });
+  });
+
+  test('legacy presets should keep their original update', () => {
+    const optimizer = createOptimizer(quadraticBowl, 'standard');
+    optimizer.initialize(3, 3);
+    optimizer.step();
+    expect(optimizer.currentPosition.x).toBeCloseTo(3 - 0.1 * 4, 10);
+    expect(optimizer.currentPosition.y).toBeCloseTo(3 - 0.1 * 4, 10);
+  });
+
+  test('history should record per-step optimizer state snapshots', () => {
+    const optimizer = createOptimizer(rosenbrock, 'adam');
+    optimizer.initialize(-1, 1);
+    optimizer.runSteps(3);
+    expect(optimizer.history).toHaveLength(4);
+    expect(optimizer.history[0].optimizerState.t).toBe(0);
+    expect(optimizer.history[3].optimizerState.t).toBe(3);
+    expect(optimizer.history[3].algorithm).toBe('Adam');
+    expect(optimizer.history[1].optimizerState).not.toBe(optimizer.optimizerState);
+  });
+
+  test('should accept a custom rule object', () => {
+    const halfStep = {
+      name: 'Half Step',
+      createState: () => ({ calls: 0 }),
+      update: ({ gradient, state }) => {
+        state.calls++;
+        return { dx: -0.5 * gradient.dx, dy: -0.5 * gradient.dy };
+      }
+    };
+    const optimizer = new GradientDescentOptimizer(quadraticBowl, { algorithm: halfStep });
+    optimizer.initialize(3, 3);
+    optimizer.step();
+    expect(optimizer.currentPosition).toEqual({ x: 1, y: 1 });
+    expect(optimizer.optimizerState.calls).toBe(1);
+  });
+});
+
+describe('Second-order and quasi-Newton Rules', () => {
+  const config = { ...defaultConfig };
+  const saddle = {
+    value: (x, y) => x * x - y * y,
+    gradient: (x, y) => ({ dx: 2 * x, dy: -2 * y })
+  };
+
+  test('newton should jump to the minimum of a quadratic in one step', () => {
+    const optimizer = createOptimizer(quadraticBowl, 'newton');
+    optimizer.initialize(-3, 4);
+    optimizer.step();
+    expect(optimizer.currentPosition.x).toBeCloseTo(1, 10);
+    expect(optimizer.currentPosition.y).toBeCloseTo(1, 10);
+    expect(optimizer.optimizerState.hessian).toEqual({ dxx: 2, dxy: 0, dyy: 2 });
+  });
+
+  test('newton should use finite-difference Hessians without hessian()', () => {
+    const state = newton.createState();
+    const delta = newton.update({
+      position: { x: 1, y: 2 }, gradient: saddle.gradient(1, 2), learningRate: 1, config, func: saddle, state
+    });
+    // Pure Newton heads for the saddle at the origin
+    expect(delta.dx).toBeCloseTo(-1, 5);
+    expect(delta.dy).toBeCloseTo(-2, 5);
+  });
+
+  test('damped newton should shift indefinite Hessians into descent directions', () => {
+    const state = dampedNewton.createState();
+    const gradient = saddle.gradient(1, 2);
+    const delta = dampedNewton.update({
+      position: { x: 1, y: 2 }, gradient, learningRate: 1, config, func: saddle, state
+    });
+    expect(state.shift).toBeCloseTo(2 + config.damping, 5);
+    expect(delta.dx * gradient.dx + delta.dy * gradient.dy).toBeLessThan(0);
+    expect(delta.dy).toBeGreaterThan(0); // Moves away from the saddle along negative curvature
+  });
+
+  test('bfgs inverse Hessian should satisfy the secant condition', () => {
+    const quadratic = new CustomFunction('x^2 + 3y^2 + x*y');
+    const optimizer = createOptimizer(quadratic, 'bfgs');
+    optimizer.initialize(2, -1);
+    optimizer.runSteps(3);
+
+    // The third step updated H̃ from the pair between the first and second iterates
+    const [, previous, current] = optimizer.history;
+    const s = { x: current.position.x - previous.position.x, y: current.position.y - previous.position.y };
+    const y = { x: current.gradient.dx - previous.gradient.dx, y: current.gradient.dy - previous.gradient.dy };
+    const H = optimizer.optimizerState.inverseHessian;
+    expect(H.dxx * y.x + H.dxy * y.y).toBeCloseTo(s.x, 10);
+    expect(H.dxy * y.x + H.dyy * y.y).toBeCloseTo(s.y, 10);
+  });
+
+  test('bfgs first step should have length equal to the learning rate', () => {
+    const state = bfgs.createState();
+    const delta = bfgs.update({ position: { x: 0, y: 0 }, gradient: { dx: 30, dy: 40 }, learningRate: 0.5, config, state });
+    expect(Math.hypot(delta.dx, delta.dy)).toBeCloseTo(0.5, 10);
+  });
+
+  test('lbfgs should keep at most memory curvature pairs', () => {
+    const optimizer = createOptimizer(rosenbrock, 'lbfgs', { memory: 3 });
+    optimizer.initialize(-1.5, 2);
+    optimizer.runSteps(10);
+    expect(optimizer.optimizerState.pairs.length).toBeLessThanOrEqual(3);
+    expect(lbfgs.name).toBe(optimizer.getCurrentState().algorithm);
+  });
+
+  test.each(['newton', 'damped-newton', 'bfgs', 'lbfgs'])('%s should converge on Rosenbrock', (preset) => {
+    const optimizer = createOptimizer(rosenbrock, preset, { maxIterations: 500 });
+    optimizer.initialize(-1.5, 2);
+    optimizer.runToConvergence();
+    expect(optimizer.converged).toBe(true);
+    expect(optimizer.currentPosition.x).toBeCloseTo(1, 4);
+    expect(optimizer.currentPosition.y).toBeCloseTo(1, 4);
+  });
+
+  test('should be registered', () => {
+    const rules = getOptimizerRules();
+    expect(rules['newton']).toBe(newton);
+    expect(rules['damped-newton']).toBe(dampedNewton);
+    expect(rules['bfgs']).toBe(bfgs);
+    expect(rules['lbfgs']).toBe(lbfgs);
+  });
+});
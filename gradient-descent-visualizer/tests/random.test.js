@@ -0,0 +1,104 @@
+/**
+ * Unit tests for the seeded random number generator
+ */
+
+import { mulberry32, hashSeed, createRandom } from '../src/math/random.js';
+import { createOptimizer } from '../src/math/gradientDescent.js';
+import { quadraticBowl } from '../src/math/functions.js';
+import { linearRegression } from '../src/math/datasets.js';
+
+const draw = (random, n = 5) => Array.from({ length: n }, () => random.next());
+
+describe('Seeded Random Numbers', () => {
+  test('mulberry32 should match its reference output', () => {
+    const next = mulberry32(0);
+    expect(next()).toBeCloseTo(0.26642920868471265, 15);
+    expect(next()).toBeCloseTo(0.0003297457005828619, 15);
+  });
+
+  test('the same seed should give the same sequence', () => {
+    expect(draw(createRandom(42))).toEqual(draw(createRandom(42)));
+    expect(draw(createRandom(42))).not.toEqual(draw(createRandom(43)));
+  });
+
+  test('string seeds should hash to stable integers', () => {
+    expect(hashSeed('gradient')).toBe(hashSeed('gradient'));
+    expect(hashSeed('gradient')).not.toBe(hashSeed('descent'));
+    expect(hashSeed(7.9)).toBe(7);
+    expect(hashSeed(-1)).toBe(4294967295);
+    expect(createRandom('demo').seed).toBe(hashSeed('demo'));
+    expect(() => hashSeed(null)).toThrow('Invalid random seed');
+  });
+
+  test('samples should stay in range', () => {
+    const random = createRandom(3);
+    for (let i = 0; i < 1000; i++) {
+      const u = random.uniform(-2, 5);
+      expect(u).toBeGreaterThanOrEqual(-2);
+      expect(u).toBeLessThan(5);
+      const k = random.integer(4);
+      expect(Number.isInteger(k) && k >= 0 && k < 4).toBe(true);
+    }
+  });
+
+  test('normal samples should have the requested moments', () => {
+    const random = createRandom(11);
+    const samples = Array.from({ length: 20000 }, () => random.normal(3, 2));
+    const mean = samples.reduce((sum, v) => sum + v, 0) / samples.length;
+    const variance = samples.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / samples.length;
+    expect(mean).toBeCloseTo(3, 1);
+    expect(Math.sqrt(variance)).toBeCloseTo(2, 1);
+  });
+
+  test('shuffle should permute in place', () => {
+    const array = [0, 1, 2, 3, 4, 5, 6, 7];
+    const result = createRandom(5).shuffle(array);
+    expect(result).toBe(array);
+    expect([...array].sort((a, b) => a - b)).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  test('forks should not depend on draws from the parent', () => {
+    const fresh = createRandom(9);
+    const used = createRandom(9);
+    draw(used, 10);
+    expect(draw(used.fork('noise'))).toEqual(draw(fresh.fork('noise')));
+    expect(draw(fresh.fork('noise'))).not.toEqual(draw(fresh.fork('batches')));
+  });
+});
+
+describe('Reproducible Runs', () => {
+  const run = (func, config) => {
+    const optimizer = createOptimizer(func, 'momentum', config);
+    optimizer.initialize(-2, 2);
+    optimizer.runSteps(25);
+    return optimizer;
+  };
+
+  test('gradient noise should replay from the seed', () => {
+    const a = run(quadraticBowl, { gradientNoise: 0.5, seed: 'shared-link' });
+    const b = run(quadraticBowl, { gradientNoise: 0.5, seed: 'shared-link' });
+    const c = run(quadraticBowl, { gradientNoise: 0.5, seed: 2 });
+    expect(b.currentPosition).toEqual(a.currentPosition);
+    expect(c.currentPosition).not.toEqual(a.currentPosition);
+    expect(run(quadraticBowl, {}).currentPosition).not.toEqual(a.currentPosition);
+  });
+
+  test('reinitializing should replay the same run', () => {
+    const optimizer = run(linearRegression, { batchSize: 4, gradientNoise: 0.1, seed: 8 });
+    const first = optimizer.history.map(entry => entry.position);
+    optimizer.initialize(-2, 2);
+    optimizer.runSteps(25);
+    expect(optimizer.history.map(entry => entry.position)).toEqual(first);
+  });
+
+  test('exported data should carry the seed and replay bit-for-bit', () => {
+    const original = run(linearRegression, { batchSize: 8, seed: 'abc' });
+    const data = JSON.parse(JSON.stringify(original.exportData()));
+    expect(data.seed).toBe(hashSeed('abc'));
+
+    const replay = createOptimizer(linearRegression, 'momentum', { ...data.config, seed: data.seed });
+    replay.initialize(-2, 2);
+    replay.runSteps(25);
+    expect(replay.history.map(entry => entry.position)).toEqual(data.history.map(entry => entry.position));
+  });
+});
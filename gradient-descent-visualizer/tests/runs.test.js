@@ -0,0 +1,226 @@
+/**
+ * Unit tests for racing several optimizer runs in the visualizer and charting their histories
+ */
+
+import { GradientDescentVisualizer } from '../src/GradientDescentVisualizer.js';
+
+// jsdom has no canvas or layout: every context method is a no-op
+const context = new Proxy({}, {
+  get: (target, key) => {
+    if (key in target) return target[key];
+    if (key === 'measureText') return () => ({ width: 10 });
+    if (key === 'createImageData') return (width, height) => ({ data: new Uint8ClampedArray(width * height * 4) });
+    return () => {};
+  },
+  set: (target, key, value) => {
+    target[key] = value;
+    return true;
+  }
+});
+
+beforeAll(() => {
+  HTMLCanvasElement.prototype.getContext = () => context;
+  global.ResizeObserver = class {
+    observe() {}
+    disconnect() {}
+  };
+  global.requestAnimationFrame = () => 1;
+  global.cancelAnimationFrame = () => {};
+});
+
+/**
+ * A visualizer in a fresh container
+ * @param {Object} options - Visualizer options
+ * @returns {GradientDescentVisualizer} Visualizer
+ */
+const createVisualizer = (options = {}) => {
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+  return new GradientDescentVisualizer(container, options);
+};
+
+describe('Racing Runs', () => {
+  test('should step every run in lockstep', () => {
+    const visualizer = createVisualizer({
+      runs: [
+        { optimizer: 'adam', learningRate: 0.1 },
+        { optimizer: 'momentum', startPosition: { x: -1, y: 3 } }
+      ]
+    });
+    const reported = [];
+    visualizer.onStep = (result, runs) => reported.push(runs.map(run => run.state.iteration));
+
+    for (let i = 0; i < 5; i++) visualizer.step();
+
+    expect(visualizer.runs).toHaveLength(3);
+    expect(visualizer.runs.map(run => run.optimizer.history.length)).toEqual([6, 6, 6]);
+    expect(reported).toEqual([1, 2, 3, 4, 5].map(k => [k, k, k]));
+    expect(visualizer.runs[2].optimizer.history[0].position).toEqual({ x: -1, y: 3 });
+  });
+
+  test('should read every run state once per step and share it', () => {
+    const visualizer = createVisualizer({ runs: [{ optimizer: 'momentum' }] });
+    let extraReads = 0;
+    for (const { optimizer } of visualizer.runs) {
+      const { step, getCurrentState } = optimizer;
+      let stepping = false;
+      optimizer.step = () => {
+        stepping = true;
+        const result = step.call(optimizer);
+        stepping = false;
+        return result;
+      };
+      optimizer.getCurrentState = () => {
+        if (!stepping) extraReads++;
+        return getCurrentState.call(optimizer);
+      };
+    }
+    const reported = [];
+    visualizer.onStep = (result, runs) => reported.push({ result, runs });
+
+    visualizer.step();
+
+    expect(extraReads).toBe(0);
+    expect(reported[0].runs[0].state).toBe(reported[0].result);
+    expect(reported[0].runs.map(run => run.state.iteration)).toEqual([1, 1]);
+  });
+
+  test('should look up past iterations and hold runs that stopped earlier', () => {
+    const visualizer = createVisualizer({ runs: [{ optimizer: 'standard', maxIterations: 2 }] });
+    for (let i = 0; i < 4; i++) visualizer.step();
+
+    const [primary, short] = visualizer.getRunStates(3);
+    expect(primary.state).toBe(visualizer.runs[0].optimizer.history[3]);
+    expect(short.state.iteration).toBe(2);
+    expect(visualizer.runs[1].optimizer.isFinished()).toBe(true);
+  });
+
+  test('should pause only once every run has finished', () => {
+    // The primary run stops on its first step, the racing run after three
+    const visualizer = createVisualizer({
+      stopping: { type: 'gradientNorm', tolerance: 1e3 },
+      runs: [{ optimizer: 'standard', maxIterations: 3 }]
+    });
+    visualizer.isPlaying = true;
+
+    visualizer.step();
+    expect(visualizer.runs[0].optimizer.isFinished()).toBe(true);
+    expect(visualizer.isPlaying).toBe(true);
+
+    visualizer.step();
+    visualizer.step();
+    expect(visualizer.runs[1].optimizer.isFinished()).toBe(true);
+    expect(visualizer.isPlaying).toBe(false);
+  });
+});
+
+describe('addRun', () => {
+  test('should build the run from its preset, start and overrides', () => {
+    const visualizer = createVisualizer();
+    const run = visualizer.addRun({ optimizer: 'nesterov', startPosition: { x: 0.5, y: -1 }, learningRate: 0.05 });
+
+    expect(run.id).toBe(1);
+    expect(run.primary).toBe(false);
+    expect(run.overrides).toEqual({ learningRate: 0.05 });
+    expect(run.optimizer.config.learningRate).toBe(0.05);
+    expect(run.optimizer.currentPosition).toEqual({ x: 0.5, y: -1 });
+    expect(visualizer.getRunLabel(run)).toMatch(/η=0\.05 @ \(0\.5, -1\)$/);
+  });
+
+  test('should default to the primary preset and start and give each run its own color', () => {
+    const visualizer = createVisualizer({ optimizer: 'adam', initialPosition: { x: -2, y: 1 } });
+    const first = visualizer.addRun();
+    const second = visualizer.addRun({ label: 'Mine', color: '#123456' });
+
+    expect(first.preset).toBe('adam');
+    expect(first.startPosition).toEqual({ x: -2, y: 1 });
+    expect(first.color).not.toBe(visualizer.runs[0].color);
+    expect(visualizer.getRunLabel(second)).toBe('Mine');
+    expect(second.color).toBe('#123456');
+  });
+
+  test('should restart every run so they stay in lockstep', () => {
+    const visualizer = createVisualizer();
+    for (let i = 0; i < 4; i++) visualizer.step();
+
+    visualizer.addRun({ optimizer: 'momentum' });
+    expect(visualizer.runs.map(run => run.optimizer.history.length)).toEqual([1, 1]);
+
+    visualizer.step();
+    expect(visualizer.getRunStates().map(run => run.state.iteration)).toEqual([1, 1]);
+  });
+
+  test('should remove racing runs but keep the primary run', () => {
+    const visualizer = createVisualizer();
+    const run = visualizer.addRun();
+    visualizer.addRun();
+
+    visualizer.removeRun(0);
+    visualizer.removeRun(run.id);
+    expect(visualizer.runs.map(other => other.id)).toEqual([0, 2]);
+
+    visualizer.clearRuns();
+    expect(visualizer.runs).toHaveLength(1);
+    expect(visualizer.runs[0].primary).toBe(true);
+  });
+});
+
+describe('History Panel', () => {
+  test('should chart the runs under the plot without the controls', () => {
+    const visualizer = createVisualizer({ showControls: false, runs: [{ optimizer: 'momentum' }] });
+    for (let i = 0; i < 4; i++) visualizer.step();
+
+    expect(visualizer.controlContainer).toBeUndefined();
+    expect(visualizer.historyContainer.previousSibling).toBe(visualizer.visualizationContainer);
+    expect(visualizer.historyChart.runs.map(run => run.history.length)).toEqual([5, 5]);
+
+    const scrubber = visualizer.historyContainer.querySelector('#gd-history-scrubber');
+    expect(scrubber.max).toBe('4');
+    scrubber.value = '2';
+    scrubber.dispatchEvent(new Event('input'));
+    expect(visualizer.scrubIteration).toBe(2);
+    expect(visualizer.historyContainer.querySelector('#gd-history-iteration').textContent).toBe('2 / 4');
+  });
+
+  test('should append each step and redraw at most once per animation frame', () => {
+    const frames = [];
+    global.requestAnimationFrame = (callback) => frames.push(callback);
+    try {
+      const visualizer = createVisualizer({ showControls: false, runs: [{ optimizer: 'momentum', maxIterations: 2 }] });
+      const chart = visualizer.historyChart;
+      // Leave only the frames requested by the steps
+      frames.length = 0;
+      let renders = 0;
+      const render = chart.render.bind(chart);
+      chart.render = () => {
+        renders++;
+        render();
+      };
+
+      for (let i = 0; i < 4; i++) visualizer.step();
+      expect(renders).toBe(0);
+      expect(frames).toHaveLength(1);
+      expect(chart.runs.map(run => run.history.length)).toEqual([5, 3]);
+      expect(chart.runs[0].history.map(state => state.iteration)).toEqual([0, 1, 2, 3, 4]);
+
+      frames.shift()();
+      expect(renders).toBe(1);
+      visualizer.step();
+      expect(frames).toHaveLength(1);
+
+      visualizer.reset();
+      expect(renders).toBe(2);
+      expect(chart.runs.map(run => run.history.length)).toEqual([1, 1]);
+    } finally {
+      global.requestAnimationFrame = () => 1;
+    }
+  });
+
+  test('should leave the panel out when the history chart is off', () => {
+    const visualizer = createVisualizer({ showHistoryChart: false });
+    visualizer.step();
+
+    expect(visualizer.historyContainer).toBeNull();
+    expect(visualizer.historyChart).toBeNull();
+  });
+});
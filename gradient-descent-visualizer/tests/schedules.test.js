@@ -0,0 +1,206 @@
+/**
+ * Unit tests for learning rate schedules
+ */
+
+import {
+  constant,
+  stepDecay,
+  exponential,
+  inverseTime,
+  cosine,
+  cosineRestarts,
+  warmup,
+  oneCycle,
+  cyclical,
+  chain,
+  sequence,
+  createSchedule,
+  resolveSchedule
+} from '../src/math/schedules.js';
+import { createOptimizer, GradientDescentOptimizer } from '../src/math/gradientDescent.js';
+import { quadraticBowl } from '../src/math/functions.js';
+
+describe('Learning Rate Schedules', () => {
+  test('constant should keep the base rate', () => {
+    expect(constant().rate(500, 0.1)).toBe(0.1);
+  });
+
+  test('step decay should drop by gamma every stepSize steps', () => {
+    const schedule = stepDecay({ stepSize: 10, gamma: 0.5 });
+    expect(schedule.rate(9, 1)).toBe(1);
+    expect(schedule.rate(10, 1)).toBe(0.5);
+    expect(schedule.rate(25, 1)).toBe(0.25);
+  });
+
+  test('exponential and inverse-time decay', () => {
+    expect(exponential({ gamma: 0.9 }).rate(2, 1)).toBeCloseTo(0.81, 12);
+    expect(inverseTime({ decayRate: 0.5, decaySteps: 10 }).rate(20, 1)).toBeCloseTo(0.5, 12);
+  });
+
+  test('cosine should anneal to the minimum and stay there', () => {
+    const schedule = cosine({ totalSteps: 100, minFactor: 0.1 });
+    expect(schedule.rate(0, 1)).toBeCloseTo(1, 12);
+    expect(schedule.rate(50, 1)).toBeCloseTo(0.55, 12);
+    expect(schedule.rate(100, 1)).toBeCloseTo(0.1, 12);
+    expect(schedule.rate(500, 1)).toBeCloseTo(0.1, 12);
+  });
+
+  test('cosine warm restarts should restart with growing periods', () => {
+    const schedule = cosineRestarts({ period: 10, periodMultiplier: 2 });
+    expect(schedule.rate(0, 1)).toBeCloseTo(1, 12);
+    expect(schedule.rate(9, 1)).toBeLessThan(0.1);
+    expect(schedule.rate(10, 1)).toBeCloseTo(1, 12);
+    expect(schedule.rate(20, 1)).toBeCloseTo(0.5, 12);
+    expect(schedule.rate(30, 1)).toBeCloseTo(1, 12);
+  });
+
+  test('cosine warm restarts should reject periods that never reach later steps', () => {
+    expect(() => cosineRestarts({ period: 0 })).toThrow('period must be at least 1');
+    expect(() => cosineRestarts({ period: -5 })).toThrow('period must be at least 1');
+    expect(() => cosineRestarts({ period: NaN })).toThrow('period must be at least 1');
+    expect(() => cosineRestarts({ period: 10, periodMultiplier: 0.5 })).toThrow('periodMultiplier must be at least 1');
+    expect(() => createSchedule({ type: 'cosineRestarts', period: 0 })).toThrow('Invalid cosineRestarts schedule');
+
+    const shortest = cosineRestarts({ period: 1, periodMultiplier: 1 });
+    expect(shortest.rate(1000, 1)).toBeCloseTo(1, 12);
+  });
+
+  test('step decay and cyclical should reject non-positive step sizes', () => {
+    expect(() => stepDecay({ stepSize: 0 })).toThrow('stepSize must be greater than 0');
+    expect(() => stepDecay({ stepSize: -10 })).toThrow('stepSize must be greater than 0');
+    expect(() => cyclical({ stepSize: 0 })).toThrow('stepSize must be greater than 0');
+    expect(stepDecay({ stepSize: 0.5, gamma: 0.5 }).rate(1, 1)).toBe(0.25);
+  });
+
+  test('warmup should reject non-positive warmupSteps', () => {
+    expect(() => warmup({ warmupSteps: 0 })).toThrow('Invalid warmup schedule: warmupSteps must be greater than 0');
+    expect(() => warmup({ warmupSteps: -1 })).toThrow('warmupSteps must be greater than 0');
+    expect(warmup({ warmupSteps: 1, startFactor: 0 }).rate(0, 1)).toBe(0);
+  });
+
+  test('cosine should reject non-positive totalSteps', () => {
+    expect(() => cosine({ totalSteps: 0 })).toThrow('Invalid cosine schedule: totalSteps must be greater than 0');
+    expect(() => createSchedule({ type: 'cosine', totalSteps: -100 })).toThrow('totalSteps must be greater than 0');
+    expect(cosine({ totalSteps: 1 }).rate(5, 1)).toBeCloseTo(0, 12);
+  });
+
+  test('inverse-time decay should reject non-positive decaySteps', () => {
+    expect(() => inverseTime({ decaySteps: 0 })).toThrow('Invalid inverseTime schedule: decaySteps must be greater than 0');
+    expect(() => inverseTime({ decaySteps: NaN })).toThrow('decaySteps must be greater than 0');
+    expect(inverseTime({ decayRate: 1, decaySteps: 0.5 }).rate(1, 1)).toBeCloseTo(1 / 3, 12);
+  });
+
+  test('warmup should ramp linearly to the base rate', () => {
+    const schedule = warmup({ warmupSteps: 10, startFactor: 0 });
+    expect(schedule.rate(0, 2)).toBe(0);
+    expect(schedule.rate(5, 2)).toBeCloseTo(1, 12);
+    expect(schedule.rate(50, 2)).toBe(2);
+  });
+
+  test('one-cycle should peak at pctStart and end at the final factor', () => {
+    const schedule = oneCycle({ totalSteps: 100, maxFactor: 10, pctStart: 0.3, finalFactor: 0.01 });
+    expect(schedule.rate(0, 0.1)).toBeCloseTo(0.1, 12);
+    expect(schedule.rate(30, 0.1)).toBeCloseTo(1, 12);
+    expect(schedule.rate(100, 0.1)).toBeCloseTo(0.001, 12);
+  });
+
+  test('cyclical should follow triangle waves', () => {
+    const triangular = cyclical({ stepSize: 10, maxFactor: 3 });
+    expect(triangular.rate(0, 1)).toBe(1);
+    expect(triangular.rate(5, 1)).toBeCloseTo(2, 12);
+    expect(triangular.rate(10, 1)).toBeCloseTo(3, 12);
+    expect(triangular.rate(20, 1)).toBeCloseTo(1, 12);
+
+    const halving = cyclical({ stepSize: 10, maxFactor: 3, mode: 'triangular2' });
+    expect(halving.rate(30, 1)).toBeCloseTo(2, 12);
+  });
+
+  test('chain should feed each rate into the next schedule', () => {
+    const schedule = chain(cosine({ totalSteps: 100 }), warmup({ warmupSteps: 10, startFactor: 0 }));
+    expect(schedule.rate(0, 1)).toBe(0);
+    expect(schedule.rate(5, 1)).toBeCloseTo(0.5 * cosine({ totalSteps: 100 }).rate(5, 1), 12);
+    expect(schedule.rate(50, 1)).toBeCloseTo(0.5, 12);
+  });
+
+  test('sequence should switch schedules at milestones', () => {
+    const schedule = sequence([warmup({ warmupSteps: 10, startFactor: 0 }), exponential({ gamma: 0.5 })], [10]);
+    expect(schedule.rate(5, 1)).toBeCloseTo(0.5, 12);
+    expect(schedule.rate(10, 1)).toBe(1);
+    expect(schedule.rate(12, 1)).toBe(0.25);
+    expect(() => sequence([constant(), constant()], [])).toThrow();
+  });
+
+  test('createSchedule should accept names, specs, arrays and serialized schedules', () => {
+    expect(createSchedule('cosine').params.totalSteps).toBe(1000);
+    expect(createSchedule({ type: 'step', gamma: 0.1 }).params).toEqual({ stepSize: 100, gamma: 0.1 });
+    expect(createSchedule({ type: 'step', params: { stepSize: 5 } }).params.stepSize).toBe(5);
+    expect(createSchedule([{ type: 'warmup' }, 'cosine']).type).toBe('chain');
+    expect(() => createSchedule('sawtooth')).toThrow('Unknown learning rate schedule');
+
+    const original = sequence([warmup({ warmupSteps: 5 }), chain('cosine', { type: 'cyclical', stepSize: 7 })], [5]);
+    const restored = createSchedule(JSON.parse(JSON.stringify(original)));
+    for (const t of [0, 3, 5, 12, 400]) {
+      expect(restored.rate(t, 0.3)).toBeCloseTo(original.rate(t, 0.3), 12);
+    }
+  });
+
+  test('resolveSchedule should map the legacy adaptive flag to exponential decay', () => {
+    const schedule = resolveSchedule({ adaptiveLearningRate: true, initialDecay: 0.95 });
+    expect(schedule.type).toBe('exponential');
+    expect(schedule.params.gamma).toBe(0.95);
+    expect(resolveSchedule({ adaptiveLearningRate: false, schedule: null })).toBeNull();
+  });
+});
+
+describe('Optimizer with schedule', () => {
+  test('history should record the effective learning rate of each step', () => {
+    const optimizer = new GradientDescentOptimizer(quadraticBowl, {
+      learningRate: 0.1,
+      schedule: { type: 'step', stepSize: 2, gamma: 0.5 }
+    });
+    optimizer.initialize(3, 3);
+    optimizer.runSteps(4);
+
+    expect(optimizer.history.map(entry => entry.learningRate)).toEqual([0.1, 0.1, 0.1, 0.05, 0.05]);
+    expect(optimizer.history[4].baseLearningRate).toBe(0.1);
+  });
+
+  test('getCurrentState should report the decayed rate of the adaptive preset', () => {
+    const optimizer = createOptimizer(quadraticBowl, 'adaptive');
+    optimizer.initialize(3, 3);
+    optimizer.runSteps(3);
+    const { learningRate } = optimizer.getCurrentState();
+    expect(learningRate).toBeCloseTo(0.1 * Math.pow(0.95, 2), 12);
+    expect(learningRate).not.toBe(optimizer.config.learningRate);
+  });
+
+  test('steps should use the scheduled rate', () => {
+    const optimizer = new GradientDescentOptimizer(quadraticBowl, {
+      learningRate: 0.1,
+      schedule: { type: 'warmup', warmupSteps: 10, startFactor: 0 }
+    });
+    optimizer.initialize(3, 3);
+    optimizer.step();
+    expect(optimizer.currentPosition).toEqual({ x: 3, y: 3 });
+    optimizer.step();
+    expect(optimizer.currentPosition.x).toBeCloseTo(3 - 0.01 * 4, 12);
+  });
+
+  test('exportData should include the schedule in config', () => {
+    const optimizer = createOptimizer(quadraticBowl, 'standard', { schedule: ['warmup', 'cosine'] });
+    optimizer.initialize(1, 2);
+    const exported = JSON.parse(JSON.stringify(optimizer.exportData()));
+    expect(exported.config.schedule.type).toBe('chain');
+    expect(exported.config.schedule.schedules.map(part => part.type)).toEqual(['warmup', 'cosine']);
+  });
+
+  test('setSchedule should replace the schedule mid-run', () => {
+    const optimizer = createOptimizer(quadraticBowl, 'standard');
+    optimizer.initialize(3, 3);
+    optimizer.runSteps(2);
+    optimizer.setSchedule({ type: 'exponential', gamma: 0.5 });
+    expect(optimizer.getLearningRate()).toBeCloseTo(0.1 * 0.25, 12);
+    optimizer.setSchedule(null);
+    expect(optimizer.getLearningRate()).toBe(0.1);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for learning rate sweeps
+ */
+
+import {
+  logSpace,
+  createSweep,
+  runSweepCell,
+  computeSweepCells,
+  divergenceOnset
+} from '../src/math/sweep.js';
+import { defaultConfig, createOptimizer } from '../src/math/gradientDescent.js';
+import { quadraticBowl, rosenbrock } from '../src/math/functions.js';
+
+describe('Learning Rate Sweeps', () => {
+  const start = { x: 3, y: -1 };
+
+  test('should space learning rates evenly on a log scale', () => {
+    const rates = logSpace(0.001, 1, 4);
+
+    expect(rates).toHaveLength(4);
+    expect(rates[0]).toBeCloseTo(0.001);
+    expect(rates[1]).toBeCloseTo(0.01);
+    expect(rates[2]).toBeCloseTo(0.1);
+    expect(rates[3]).toBeCloseTo(1);
+    expect(logSpace(0.5, 2, 1)).toEqual([0.5]);
+  });
+
+  test('should lay out one row of cells per momentum', () => {
+    const sweep = createSweep([0.1, 0.2, 0.3], [0, 0.9]);
+
+    expect(sweep.cells).toHaveLength(6);
+    expect(sweep.cells.every(cell => cell === null)).toBe(true);
+    expect(sweep.cellsDone).toBe(0);
+    expect(createSweep([0.1]).momenta).toEqual([null]);
+  });
+
+  test('should record the final loss, iterations and convergence of a run', () => {
+    const cell = runSweepCell(quadraticBowl, defaultConfig, start, 0.1);
+
+    expect(cell.learningRate).toBe(0.1);
+    expect(cell.momentum).toBe(defaultConfig.momentum);
+    expect(cell.converged).toBe(true);
+    expect(cell.diverged).toBe(false);
+    expect(cell.divergedAt).toBeNull();
+    expect(cell.finalValue).toBeLessThan(1e-10);
+    expect(cell.iterations).toBeGreaterThan(10);
+    expect(cell.iterations).toBeLessThan(defaultConfig.maxIterations);
+  });
+
+  test('should find where the bowl starts to diverge', () => {
+    // Gradient descent on a curvature-2 bowl is stable for η < 1
+    const sweep = createSweep([0.1, 0.5, 0.9, 1.1, 2]);
+    computeSweepCells(quadraticBowl, defaultConfig, start, sweep);
+    const [slow, exact, fast, unstable, wild] = sweep.cells;
+
+    expect(sweep.cellsDone).toBe(5);
+    expect([slow, exact, fast].every(cell => cell.converged && !cell.diverged)).toBe(true);
+    expect(exact.iterations).toBeLessThan(slow.iterations);
+    expect([unstable, wild].every(cell => cell.diverged && !cell.converged)).toBe(true);
+    expect(wild.divergedAt).toBeLessThan(unstable.divergedAt);
+    expect(divergenceOnset(sweep)).toEqual([1.1]);
+    expect(wild.status).toBe('diverged');
+  });
+
+  test('should not flag a run that strays far out but converges', () => {
+    // BFGS at η = 1 steps far outside the plot on its way down Rosenbrock's valley
+    const { config } = createOptimizer(rosenbrock, 'bfgs');
+    const cell = runSweepCell(rosenbrock, config, { x: -1.8, y: 0.8 }, 1);
+
+    expect(cell.status).toBe('converged');
+    expect(cell.diverged).toBe(false);
+    expect(cell.divergedAt).toBeNull();
+  });
+
+  test('should sweep momentum rows, which move the onset', () => {
+    const sweep = createSweep([0.5, 1.1, 2.5], [0, 0.9]);
+    computeSweepCells(quadraticBowl, defaultConfig, start, sweep);
+
+    expect(sweep.cells.map(cell => cell.momentum)).toEqual([0, 0, 0, 0.9, 0.9, 0.9]);
+    // Heavy ball with β = 0.9 stays stable up to η = 2(1 + β) / 2
+    expect(divergenceOnset(sweep)).toEqual([1.1, 2.5]);
+  });
+
+  test('should report no onset for rows still being computed or without divergence', () => {
+    const sweep = createSweep([0.1, 2], [0, 0.5]);
+    computeSweepCells(quadraticBowl, defaultConfig, start, sweep, 0, 1);
+
+    expect(sweep.cellsDone).toBe(1);
+    expect(sweep.cells.slice(1)).toEqual([null, null, null]);
+    expect(divergenceOnset(sweep)).toEqual([null, null]);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for symbolic differentiation
+ */
+
+import { parseExpression, compileNode } from '../src/math/expression.js';
+import {
+  differentiate,
+  simplify,
+  formatExpression,
+  symbolicDerivatives,
+  NonDifferentiableError
+} from '../src/math/symbolic.js';
+import { CustomFunction } from '../src/math/functions.js';
+
+const derivativeText = (source, variable) => formatExpression(simplify(differentiate(parseExpression(source), variable)));
+
+describe('Symbolic Differentiation', () => {
+  test('should differentiate and simplify polynomials', () => {
+    expect(derivativeText('x^2 + y^2', 'x')).toBe('2x');
+    expect(derivativeText('x^2 + y^2', 'y')).toBe('2y');
+    expect(derivativeText('3x^3 - 2x + 7', 'x')).toBe('9x^2 - 2');
+    expect(derivativeText('x*y', 'y')).toBe('x');
+    expect(derivativeText('5', 'x')).toBe('0');
+  });
+
+  test('should apply the chain rule to functions', () => {
+    expect(derivativeText('sin(x) + cos(y)', 'x')).toBe('cos(x)');
+    expect(derivativeText('sin(x) + cos(y)', 'y')).toBe('-sin(y)');
+    expect(derivativeText('exp(2x)', 'x')).toBe('2exp(2x)');
+    expect(derivativeText('log(x)', 'x')).toBe('1 / x');
+  });
+
+  test('should fold unit factors, cancel powers and merge coefficients in products', () => {
+    expect(derivativeText('x/y', 'x')).toBe('1 / y');
+    expect(derivativeText('x/y', 'y')).toBe('-x / y^2');
+    expect(derivativeText('x/y^2', 'y')).toBe('-2x / y^3');
+    expect(derivativeText('log(x^2 + 1)', 'x')).toBe('2x / (x^2 + 1)');
+    expect(derivativeText('sqrt(x^2 + y^2)', 'x')).toBe('x / sqrt(x^2 + y^2)');
+    expect(derivativeText('log(1 + exp(x))', 'x')).toBe('exp(x) / (1 + exp(x))');
+    expect(derivativeText('cbrt(x)', 'x')).toBe('1 / (3cbrt(x)^2)');
+  });
+
+  test('should subtract negative terms instead of adding them', () => {
+    expect(derivativeText('x exp(-x^2)', 'x')).toBe('exp(-x^2) - 2x^2 * exp(-x^2)');
+    expect(derivativeText('(x - 1)^2 + 100(y - x^2)^2', 'x')).toBe('2(x - 1) - 400(y - x^2) * x');
+  });
+
+  test('simplify should keep numeric coefficients exact', () => {
+    expect(formatExpression(simplify(parseExpression('2x / 6')))).toBe('x / 3');
+    expect(formatExpression(simplify(parseExpression('4x * y / (6y)')))).toBe('2x / 3');
+    expect(formatExpression(simplify(parseExpression('1 * x * x / x^3')))).toBe('1 / x');
+  });
+
+  test('should match finite differences on a mixed expression', () => {
+    const source = 'x^2 sin(y) + exp(-x*y) / (1 + y^2) + sqrt(x^2 + 1) + atan2(y, x) + 2^x + x^y';
+    const ast = parseExpression(source);
+    const f = compileNode(ast);
+    const h = 1e-6;
+    const points = [[0.7, 0.3], [1.5, -0.4], [2, 1.2]];
+
+    ['x', 'y'].forEach(variable => {
+      const derivative = compileNode(simplify(differentiate(ast, variable)));
+      points.forEach(([x, y]) => {
+        const numeric = variable === 'x'
+          ? (f(x + h, y) - f(x - h, y)) / (2 * h)
+          : (f(x, y + h) - f(x, y - h)) / (2 * h);
+        expect(derivative(x, y)).toBeCloseTo(numeric, 5);
+      });
+    });
+  });
+
+  test('pretty-printed derivatives should re-parse to the same function', () => {
+    const ast = simplify(differentiate(parseExpression('100(y - x^2)^2 + (1 - x)^2'), 'x'));
+    const reparsed = compileNode(parseExpression(formatExpression(ast)));
+    const direct = compileNode(ast);
+    [[0, 0], [-1.2, 1], [0.5, 2]].forEach(([x, y]) => {
+      expect(reparsed(x, y)).toBeCloseTo(direct(x, y), 10);
+      expect(direct(x, y)).toBeCloseTo(-400 * x * (y - x * x) - 2 * (1 - x), 8);
+    });
+  });
+
+  test('should compute the Hessian', () => {
+    const { dxx, dxy, dyy } = symbolicDerivatives(parseExpression('x^2 y + 3y^2'));
+    expect(formatExpression(dxx)).toBe('2y');
+    expect(formatExpression(dxy)).toBe('2x');
+    expect(formatExpression(dyy)).toBe('6');
+  });
+
+  test('should reject non-differentiable functions', () => {
+    expect(() => differentiate(parseExpression('floor(x) + y'), 'x')).toThrow(NonDifferentiableError);
+    expect(() => differentiate(parseExpression('max(x, y)'), 'y')).toThrow(NonDifferentiableError);
+  });
+});
+
+describe('CustomFunction derivatives', () => {
+  test('should expose exact gradient and Hessian', () => {
+    const func = new CustomFunction('(x-1)^2 + 2(y+1)^2');
+    expect(func.gradientExpression).toEqual({ dx: '2(x - 1)', dy: '4(y + 1)' });
+    expect(func.hessianExpression).toEqual({ dxx: '2', dxy: '0', dyy: '4' });
+    expect(func.gradient(3, 0)).toEqual({ dx: 4, dy: 4 });
+    expect(func.hessian(0, 0)).toEqual({ dxx: 2, dxy: 0, dyy: 4 });
+  });
+
+  test('should keep the sign of fractional powers of even powers at negative x', () => {
+    const h = 1e-6;
+    for (const expression of ['(x^2)^0.5 + y^2', '(x^4)^0.25', 'x^2 * (x^2)^0.5', '(x^2)^1.5 / x']) {
+      const func = new CustomFunction(expression, undefined, undefined, { criticalPoints: false });
+      expect(func.derivatives).not.toBeNull();
+      for (const x of [-2, -0.7]) {
+        const numeric = (func.value(x + h, 1) - func.value(x - h, 1)) / (2 * h);
+        expect(func.gradient(x, 1).dx).toBeCloseTo(numeric, 5);
+      }
+    }
+  });
+
+  test('should regroup powers only for integer exponents or non-negative bases', () => {
+    expect(formatExpression(simplify(parseExpression('(x^2)^0.5')))).toBe('(x^2)^0.5');
+    expect(formatExpression(simplify(parseExpression('(x^3)^2')))).toBe('x^6');
+    expect(formatExpression(simplify(parseExpression('(exp(x)^2)^0.5')))).toBe('exp(x)');
+    expect(formatExpression(simplify(parseExpression('x^0.5 * x^0.5')))).toBe('x^0.5 * x^0.5');
+    expect(formatExpression(simplify(parseExpression('(x^2 + 1)^0.5 * (x^2 + 1)^0.5')))).toBe('x^2 + 1');
+  });
+
+  test('should keep an exact gradient when only the Hessian is unavailable', () => {
+    const func = new CustomFunction('abs(x) + y^2');
+    expect(func.gradient(-2, 1)).toEqual({ dx: -1, dy: 2 });
+    expect(func.hessianExpression).toBeNull();
+    expect(func.hessian(1, 1).dyy).toBeCloseTo(2, 3);
+  });
+
+  test('should fall back to finite differences for non-differentiable expressions', () => {
+    const func = new CustomFunction('floor(x) + y^2');
+    expect(func.derivatives).toBeNull();
+    expect(func.gradientExpression).toBeNull();
+    expect(func.gradient(0.5, 1).dy).toBeCloseTo(2, 5);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for the gradient field overlay
+ */
+
+import {
+  sampleGradientField,
+  arrowLengths,
+  traceStreamline,
+  VECTOR_FIELD_SCALES
+} from '../src/visualization/vectorField.js';
+import { quadraticBowl, rosenbrock, getAxisBounds } from '../src/math/functions.js';
+import { himmelblau } from '../src/math/benchmarks.js';
+
+describe('Gradient Field Sampling', () => {
+  const viewport = { x: { min: -2, max: 2 }, y: { min: -1, max: 1 } };
+
+  test('should sample the descent direction at lattice cell centres', () => {
+    const samples = sampleGradientField(quadraticBowl, viewport, 4, 2);
+    expect(samples).toHaveLength(8);
+    expect(samples[0]).toEqual({ x: -1.5, y: -0.5, dx: 5, dy: 3, norm: Math.hypot(5, 3) });
+
+    samples.forEach(sample => {
+      const gradient = quadraticBowl.gradient(sample.x, sample.y);
+      expect(sample.dx).toBe(-gradient.dx);
+      expect(sample.dy).toBe(-gradient.dy);
+    });
+  });
+
+  test('should give every non-flat arrow one cell when normalized', () => {
+    const samples = [{ norm: 0.5 }, { norm: 200 }, { norm: 0 }, { norm: NaN }];
+    expect(arrowLengths(samples, 'normalized')).toEqual([1, 1, 0, 0]);
+  });
+
+  test('should scale arrows by gradient magnitude with steep outliers capped', () => {
+    const samples = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 1000].map(norm => ({ norm }));
+    const lengths = arrowLengths(samples, 'magnitude');
+
+    expect(lengths[0]).toBeCloseTo(0.1, 10);
+    expect(lengths[4]).toBeCloseTo(0.5, 10);
+    expect(lengths[9]).toBe(1);
+    expect(lengths[10]).toBe(1);
+  });
+
+  test('should reject unknown scales', () => {
+    expect(VECTOR_FIELD_SCALES).toEqual(['normalized', 'magnitude']);
+    expect(() => arrowLengths([], 'log')).toThrow('Unknown vector field scale: log');
+  });
+});
+
+describe('Streamlines', () => {
+  test('should flow straight into the bowl minimum', () => {
+    const viewport = getAxisBounds(quadraticBowl);
+    const points = traceStreamline(quadraticBowl, { x: 3, y: 3 }, viewport);
+    const end = points[points.length - 1];
+
+    expect(points[0]).toEqual({ x: 3, y: 3 });
+    expect(Math.hypot(end.x - 1, end.y - 1)).toBeLessThan(0.1);
+    points.forEach(point => expect(point.x).toBeCloseTo(point.y, 10));
+  });
+
+  test('should descend monotonically into a minimum', () => {
+    const viewport = getAxisBounds(himmelblau);
+    const points = traceStreamline(himmelblau, { x: -0.5, y: 0.5 }, viewport, { maxSteps: 1000 });
+    const values = points.map(point => himmelblau.value(point.x, point.y));
+
+    for (let i = 1; i < values.length; i++) {
+      expect(values[i]).toBeLessThan(values[i - 1]);
+    }
+    expect(values[values.length - 1]).toBeLessThan(0.1);
+  });
+
+  test('should follow the gradient flow rather than the steepest screen direction', () => {
+    // Rosenbrock's flow drops into the valley y = x² before creeping along it
+    const viewport = getAxisBounds(rosenbrock);
+    const points = traceStreamline(rosenbrock, { x: -1, y: 2 }, viewport, { maxSteps: 200 });
+    const end = points[points.length - 1];
+
+    expect(Math.abs(end.y - end.x * end.x)).toBeLessThan(0.1);
+  });
+
+  test('should stop at the viewport edge and at the step limit', () => {
+    const viewport = { x: { min: -1, max: 1 }, y: { min: -1, max: 1 } };
+    const saddle = { value: (x, y) => y * y - x * x, gradient: (x, y) => ({ dx: -2 * x, dy: 2 * y }) };
+    const points = traceStreamline(saddle, { x: 0.5, y: 0 }, viewport);
+    expect(points[points.length - 1].x).toBeGreaterThan(1);
+    expect(points.length).toBeLessThan(400);
+
+    expect(traceStreamline(quadraticBowl, { x: 2, y: 2 }, getAxisBounds(quadraticBowl), { maxSteps: 5 }))
+      .toHaveLength(6);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for the 2D plot's viewport math
+ */
+
+import { Visualizer2D } from '../src/visualization/Visualizer2D.js';
+
+/**
+ * A plot with only the state the viewport math reads, without a canvas
+ * @param {Object} viewport - Visible ranges {x: {min, max}, y: {min, max}}
+ * @returns {Visualizer2D} Plot
+ */
+const createPlot = (viewport = { x: { min: -5, max: 5 }, y: { min: -5, max: 5 } }) => {
+  const plot = Object.create(Visualizer2D.prototype);
+  plot.options = { width: 800, height: 600 };
+  plot.viewport = viewport;
+  return plot;
+};
+
+describe('Viewport Zoom', () => {
+  test('should magnify around the canvas center', () => {
+    const viewport = createPlot().zoomedViewport(400, 300, 2);
+    expect(viewport.x.min).toBeCloseTo(-2.5, 12);
+    expect(viewport.x.max).toBeCloseTo(2.5, 12);
+    expect(viewport.y.min).toBeCloseTo(-2.5, 12);
+    expect(viewport.y.max).toBeCloseTo(2.5, 12);
+  });
+
+  test('should keep the world point under the cursor in place', () => {
+    const plot = createPlot({ x: { min: -2, max: 6 }, y: { min: 0, max: 3 } });
+    const before = { x: plot.screenToWorldX(200), y: plot.screenToWorldY(450) };
+
+    plot.viewport = plot.zoomedViewport(200, 450, 4);
+    expect(plot.screenToWorldX(200)).toBeCloseTo(before.x, 12);
+    expect(plot.screenToWorldY(450)).toBeCloseTo(before.y, 12);
+    expect(plot.viewport.x.max - plot.viewport.x.min).toBeCloseTo(2, 12);
+    expect(plot.viewport.y.max - plot.viewport.y.min).toBeCloseTo(0.75, 12);
+  });
+
+  test('should zoom out with factors below 1 and start from a given viewport', () => {
+    const plot = createPlot();
+    const from = { x: { min: 0, max: 1 }, y: { min: 0, max: 1 } };
+    const viewport = plot.zoomedViewport(0, 600, 0.5, from);
+    expect(viewport).toEqual({ x: { min: 0, max: 2 }, y: { min: 0, max: 2 } });
+    expect(plot.viewport.x).toEqual({ min: -5, max: 5 });
+  });
+});
+
+describe('Viewport Pan', () => {
+  test('should move the view along with the pointer', () => {
+    const viewport = createPlot().pannedViewport(80, 60);
+    // Dragging right and down reveals the region to the left and above
+    expect(viewport.x.min).toBeCloseTo(-6, 12);
+    expect(viewport.x.max).toBeCloseTo(4, 12);
+    expect(viewport.y.min).toBeCloseTo(-4, 12);
+    expect(viewport.y.max).toBeCloseTo(6, 12);
+  });
+
+  test('should keep the dragged world point under the pointer', () => {
+    const plot = createPlot({ x: { min: 1, max: 3 }, y: { min: -1, max: 0 } });
+    const grabbed = { x: plot.screenToWorldX(100), y: plot.screenToWorldY(100) };
+
+    plot.viewport = plot.pannedViewport(-50, 30);
+    expect(plot.screenToWorldX(50)).toBeCloseTo(grabbed.x, 12);
+    expect(plot.screenToWorldY(130)).toBeCloseTo(grabbed.y, 12);
+  });
+});
+
+describe('World Points', () => {
+  test('should map canvas points into the viewport', () => {
+    const plot = createPlot();
+    expect(plot.getWorldPoint({ x: 400, y: 300 })).toEqual({ x: 0, y: 0 });
+    expect(plot.getWorldPoint({ x: 0, y: 0 })).toEqual({ x: -5, y: 5 });
+    expect(plot.getWorldPoint({ x: 800, y: 600 })).toEqual({ x: 5, y: -5 });
+  });
+
+  test('should round to the precision of one pixel', () => {
+    const plot = createPlot();
+    // A pixel spans 0.0125 horizontally and 0.0167 vertically: two decimals
+    expect(plot.getWorldPoint({ x: 401, y: 299 })).toEqual({ x: 0.01, y: 0.02 });
+
+    plot.viewport = { x: { min: 0, max: 0.08 }, y: { min: 0, max: 0.06 } };
+    expect(plot.getWorldPoint({ x: 401, y: 299 })).toEqual({ x: 0.0401, y: 0.0301 });
+  });
+
+  test('should ignore viewports that are empty, inverted or not finite', () => {
+    const plot = createPlot();
+    plot.applyViewport({ x: { min: 1, max: 1 }, y: { min: 0, max: 1 } });
+    plot.applyViewport({ x: { min: 0, max: 1 }, y: { min: 2, max: -2 } });
+    plot.applyViewport({ x: { min: -Infinity, max: 1 }, y: { min: 0, max: 1 } });
+    expect(plot.viewport).toEqual({ x: { min: -5, max: 5 }, y: { min: -5, max: 5 } });
+
+    plot.applyViewport({ x: { min: 0, max: 2 }, y: { min: -1, max: 1 } });
+    expect(plot.viewport).toEqual({ x: { min: 0, max: 2 }, y: { min: -1, max: 1 } });
+    expect(plot.viewportChanged).toBe(true);
+  });
+});